@@ -1,6 +1,9 @@
 const { useState, useRef, useEffect } = React;
 
-export function MessageSigning({ walletState, onNavigate, addNotification }) {
+import { describeIntegrity } from '../../kaspa/js/payload-integrity.js';
+import { createTransferBundle, readTransferBundle, downloadTransferBundle, getWalletFingerprint, getBundleKindLabel, BUNDLE_KINDS, BUNDLE_EXTENSION } from '../../kaspa/js/transfer-bundle.js';
+
+export function MessageSigning({ walletState, onNavigate, addNotification, navigationData }) {
   const [message, setMessage] = useState('');
   const [signingAddress, setSigningAddress] = useState('');
   const [unsignedMessageData, setUnsignedMessageData] = useState(null);
@@ -21,6 +24,14 @@ export function MessageSigning({ walletState, onNavigate, addNotification }) {
     }
   }, [walletState.address]);
 
+  // Bundle opened from the universal import; it was already decrypted and verified
+  useEffect(() => {
+    if (navigationData && navigationData.type === 'import-bundle') {
+      loadMessageTransfer(navigationData.bundle, navigationData.file)
+        .catch(error => addNotification('Failed to open message bundle: ' + error.message, 'error'));
+    }
+  }, [navigationData]);
+
   // BigInt conversion functions
   const convertBigIntToString = (obj) => {
     if (obj === null || obj === undefined) return obj;
@@ -118,6 +129,11 @@ export function MessageSigning({ walletState, onNavigate, addNotification }) {
       return;
     }
 
+    if (walletState.isWatchOnly) {
+      addNotification('Watch-only wallets cannot sign messages', 'warning');
+      return;
+    }
+
     setIsLoading(true);
 
     try {
@@ -191,8 +207,8 @@ export function MessageSigning({ walletState, onNavigate, addNotification }) {
     }
   };
 
-  // Download JSON
-  const handleDownloadJSON = () => {
+  // Download as a .kaskold bundle
+  const handleDownloadJSON = async () => {
     const dataToDownload = signedMessageData || unsignedMessageData;
     if (!dataToDownload) {
       addNotification('No message data to download', 'error');
@@ -201,20 +217,18 @@ export function MessageSigning({ walletState, onNavigate, addNotification }) {
 
     try {
       const convertedData = convertBigIntToString(dataToDownload);
-      const jsonString = JSON.stringify(convertedData, null, 2);
-      const blob = new Blob([jsonString], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      
-      const link = document.createElement('a');
-      link.href = url;
       const type = signedMessageData ? 'signed' : 'unsigned';
-      link.download = `kaspa-${type}-message.json`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
+      const bundle = await createTransferBundle(convertedData, {
+        kind: `${type}-message`,
+        networkType: convertedData.networkType || convertedData.network || walletState.network,
+        walletFingerprint: await getWalletFingerprint(walletState)
+      });
+      if (!bundle.success) {
+        throw new Error(bundle.error);
+      }
       
-      addNotification('Message data downloaded successfully', 'success');
+      downloadTransferBundle(bundle);
+      addNotification(`Message bundle downloaded successfully (${describeIntegrity(bundle)})`, 'success');
     } catch (error) {
       addNotification('Failed to download message data: ' + error.message, 'error');
     }
@@ -227,29 +241,11 @@ export function MessageSigning({ walletState, onNavigate, addNotification }) {
 
     try {
       const text = await file.text();
-      const data = JSON.parse(text);
-      
-      const messageType = detectMessageType(data);
-      
-      if (messageType === 'unknown') {
-        throw new Error('Unrecognized message format. Please ensure this is a valid Kaspa message file.');
+      const verification = await readTransferBundle(text);
+      if (!verification.valid) {
+        throw new Error(verification.error);
       }
-      
-      const processedData = convertStringToBigInt(data);
-      
-      if (messageType === 'unsigned') {
-        setUnsignedMessageData(processedData);
-        setSignedMessageData(null);
-        await generateQRCode(processedData, 'unsigned');
-      } else if (messageType === 'signed') {
-        setUnsignedMessageData(null);
-        setSignedMessageData(processedData);
-        await generateQRCode(processedData, 'signed');
-      }
-      
-      setUploadedFile({ file, data: processedData, type: messageType });
-      setUploadedQrData(null);
-      addNotification(`${messageType} message uploaded successfully`, 'success');
+      await loadMessageTransfer(verification, file);
       
     } catch (error) {
       console.error('File upload failed:', error);
@@ -259,6 +255,37 @@ export function MessageSigning({ walletState, onNavigate, addNotification }) {
     event.target.value = '';
   };
 
+  // Load a verified message file or bundle (result of readTransferBundle)
+  const loadMessageTransfer = async (verification, file) => {
+    if (verification.kind && BUNDLE_KINDS[verification.kind].view !== 'message-signing') {
+      throw new Error(`This file holds a ${getBundleKindLabel(verification.kind).toLowerCase()} - open it with Import Bundle`);
+    }
+    const data = verification.data;
+    
+    const messageType = verification.isBundle ? verification.kind.replace('-message', '') : detectMessageType(data);
+    
+    if (messageType === 'unknown') {
+      throw new Error('Unrecognized message format. Please ensure this is a valid Kaspa message file.');
+    }
+    
+    const processedData = convertStringToBigInt(data);
+    
+    if (messageType === 'unsigned') {
+      setUnsignedMessageData(processedData);
+      setSignedMessageData(null);
+      await generateQRCode(processedData, 'unsigned');
+    } else if (messageType === 'signed') {
+      setUnsignedMessageData(null);
+      setSignedMessageData(processedData);
+      await generateQRCode(processedData, 'signed');
+    }
+    
+    setUploadedFile({ file, data: processedData, type: messageType });
+    setUploadedQrData(null);
+    addNotification(`${messageType} message ${verification.isBundle ? 'bundle opened' : 'uploaded successfully'} - ${describeIntegrity(verification)}`,
+      verification.legacy ? 'warning' : 'success');
+  };
+
   // QR upload
   const handleQRUpload = async (event) => {
     const files = Array.from(event.target.files);
@@ -308,8 +335,8 @@ export function MessageSigning({ walletState, onNavigate, addNotification }) {
       });
       setUploadedFile(null);
       
-      const partText = files.length > 1 ? ` from ${files.length} QR parts` : '';
-      addNotification(`${messageType} message uploaded${partText}`, 'success');
+      const partText = files.length > 1 ? ` from ${files.length} QR parts - ${describeIntegrity(result)}` : '';
+      addNotification(`${messageType} message uploaded${partText}`, result.legacy ? 'warning' : 'success');
 
     } catch (error) {
       console.error('QR upload failed:', error);
@@ -354,11 +381,15 @@ export function MessageSigning({ walletState, onNavigate, addNotification }) {
           setUploadedQrData({ 
             source: 'camera', 
             data: processedQrData, 
-            type: messageType
+            type: messageType,
+            isMultiPart: !!qrResult.isMultiPart,
+            totalParts: qrResult.totalParts || 1
           });
           setUploadedFile(null);
           
-          addNotification(`${messageType} message scanned successfully`, 'success');
+          const partText = qrResult.isMultiPart ? ` (${qrResult.totalParts} ${qrResult.isAnimated ? 'frames' : 'parts combined'})` : '';
+          const integrityText = qrResult.fingerprint || qrResult.legacy ? ` - ${describeIntegrity(qrResult)}` : '';
+          addNotification(`${messageType} message scanned successfully${partText}${integrityText}`, qrResult.legacy ? 'warning' : 'success');
 
         } catch (error) {
           console.error('Camera scan processing failed:', error);
@@ -505,12 +536,12 @@ export function MessageSigning({ walletState, onNavigate, addNotification }) {
           React.createElement('div', { className: 'card-body' },
             React.createElement('div', { className: 'row g-2' },
               React.createElement('div', { className: 'col-md-6' },
-                React.createElement('label', { className: 'form-label small' }, 'Upload JSON File'),
+                React.createElement('label', { className: 'form-label small' }, 'Upload Bundle or JSON File'),
                 React.createElement('input', {
                   ref: fileInputRef,
                   type: 'file',
                   className: 'form-control form-control-sm',
-                  accept: '.json',
+                  accept: `${BUNDLE_EXTENSION},.json`,
                   onChange: handleFileUpload
                 })
               ),
@@ -578,7 +609,7 @@ export function MessageSigning({ walletState, onNavigate, addNotification }) {
                     onClick: handleDownloadJSON
                   },
                     React.createElement('i', { className: 'bi bi-download me-1' }),
-                    'JSON'
+                    'Bundle'
                   ),
                   qrCodeData && qrCodeData.type === 'unsigned' && React.createElement('button', {
                     className: 'btn btn-outline-secondary btn-sm',
@@ -613,10 +644,15 @@ export function MessageSigning({ walletState, onNavigate, addNotification }) {
             React.createElement('p', { className: 'text-muted mb-3' },
               'Message created successfully. Sign it to complete the message signing process.'
             ),
+            walletState.isWatchOnly && React.createElement('div', { className: 'alert alert-info small text-start mb-3' },
+              React.createElement('i', { className: 'bi bi-eye me-2' }),
+              'Watch-only wallet: download the bundle above and sign the message on the device that holds the seed.'
+            ),
             React.createElement('button', {
               className: `btn btn-success ${isLoading ? 'disabled' : ''}`,
               onClick: handleSignMessage,
-              disabled: isLoading
+              disabled: isLoading || walletState.isWatchOnly,
+              title: walletState.isWatchOnly ? 'Watch-only wallets have no private keys' : undefined
             },
               isLoading ? 
                 React.createElement('span', null,
@@ -666,7 +702,7 @@ export function MessageSigning({ walletState, onNavigate, addNotification }) {
                     onClick: handleDownloadJSON
                   },
                     React.createElement('i', { className: 'bi bi-download me-1' }),
-                    'JSON'
+                    'Bundle'
                   ),
                   qrCodeData && qrCodeData.type === 'signed' && React.createElement('button', {
                     className: 'btn btn-outline-secondary btn-sm',
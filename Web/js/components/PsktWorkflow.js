@@ -0,0 +1,785 @@
+const { useState, useRef, useEffect } = React;
+
+import {
+  createPskt,
+  addPsktInput,
+  addPsktOutput,
+  lockPsktConstruction,
+  attachPsktUtxoEntries,
+  setPsktSequence,
+  signPskt,
+  combinePskts,
+  finalizePskt,
+  extractPsktTransaction,
+  describePskt,
+  inferPsktRole,
+  serializePskb,
+  parsePsktText,
+  createPskbTransferData,
+  readPskbTransferData,
+  PSKT_ROLES
+} from '../../kaspa/js/pskt-workflow.js';
+import { getKaspa, isInitialized } from '../../kaspa/js/init.js';
+import { sompiToKas, kasToSompi } from '../../kaspa/js/currency-utils.js';
+import { getUtxoKey, describeUtxo } from '../../kaspa/js/coin-control.js';
+import { describeIntegrity } from '../../kaspa/js/payload-integrity.js';
+import { recordTransaction } from '../../kaspa/js/transaction-history.js';
+import { createTransferBundle, readTransferBundle, downloadTransferBundle, getWalletFingerprint, getBundleKindLabel, BUNDLE_EXTENSION } from '../../kaspa/js/transfer-bundle.js';
+
+const ROLE_DESCRIPTIONS = {
+  CREATOR: 'Start an empty PSKT',
+  CONSTRUCTOR: 'Add inputs and outputs',
+  UPDATER: 'Attach UTXO entries and sequences',
+  SIGNER: 'Sign this wallet\'s inputs',
+  COMBINER: 'Merge copies signed elsewhere',
+  FINALIZER: 'Build signature scripts',
+  EXTRACTOR: 'Extract and submit'
+};
+
+export function PsktWorkflow({ walletState, onNavigate, addNotification, cachedUTXOs, navigationData }) {
+  const [pskts, setPskts] = useState([]);
+  const [role, setRole] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [selectedUtxoKey, setSelectedUtxoKey] = useState('');
+  const [manualOutpoint, setManualOutpoint] = useState('');
+  const [outputAddress, setOutputAddress] = useState('');
+  const [outputAmount, setOutputAmount] = useState('');
+  const [sequenceIndex, setSequenceIndex] = useState('0');
+  const [sequenceValue, setSequenceValue] = useState('');
+  const [pasteText, setPasteText] = useState('');
+  const [qrCodeData, setQrCodeData] = useState(null);
+  const [submittedIds, setSubmittedIds] = useState([]);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const fileInputRef = useRef(null);
+  const qrInputRef = useRef(null);
+
+  const activePskt = pskts[activeIndex] || null;
+  const summaries = pskts.map(pskt => describePskt(pskt, walletState.network));
+  const availableUtxos = cachedUTXOs && cachedUTXOs.utxos ? cachedUTXOs.utxos : [];
+
+  // Bundle opened from the universal import; it was already decrypted and verified
+  useEffect(() => {
+    if (navigationData && navigationData.type === 'import-bundle') {
+      loadPsktTransfer(readPskbTransferData(navigationData.bundle.data), navigationData.file ? navigationData.file.name : 'bundle');
+    }
+  }, [navigationData]);
+
+  // Display multi-part QR codes when generated
+  useEffect(() => {
+    if (qrCodeData && qrCodeData.isMultiPart) {
+      const container = document.getElementById('pskt-qr-display');
+      if (container) {
+        import('../../kaspa/js/qr-manager.js').then(({ createMultiPartQRDisplay }) => {
+          const displayElement = createMultiPartQRDisplay(qrCodeData, 'PSKT Bundle');
+          container.innerHTML = '';
+          container.appendChild(displayElement);
+        });
+      }
+    }
+  }, [qrCodeData]);
+
+  const formatSompi = (sompi) => {
+    if (sompi === null || sompi === undefined) {
+      return 'unknown';
+    }
+    try {
+      return `${sompiToKas(BigInt(sompi))} KAS`;
+    } catch (error) {
+      return `${sompi} sompi`;
+    }
+  };
+
+  // Record a role transition; QR codes made for the previous state no longer match
+  const applyStep = (nextRole, action, nextPskts) => {
+    setPskts(nextPskts);
+    setRole(nextRole);
+    setHistory(previous => [...previous, { role: nextRole, action, timestamp: new Date().toISOString() }]);
+    setQrCodeData(null);
+  };
+
+  const runStep = (label, step) => {
+    try {
+      step();
+    } catch (error) {
+      console.error(`PSKT ${label} failed:`, error);
+      addNotification(`${label} failed: ${error.message}`, 'error');
+    }
+  };
+
+  const replaceActive = (updated) => pskts.map((pskt, index) => index === activeIndex ? updated : pskt);
+
+  // Creator
+  const handleNewPskt = () => {
+    applyStep('CREATOR', 'Created an empty PSKT', [...pskts, createPskt()]);
+    setActiveIndex(pskts.length);
+    setSubmittedIds([]);
+  };
+
+  // Constructor
+  const handleAddInput = () => runStep('Adding input', () => {
+    let utxo;
+    if (selectedUtxoKey) {
+      utxo = availableUtxos.find(candidate => getUtxoKey(candidate) === selectedUtxoKey);
+    } else {
+      const match = manualOutpoint.trim().match(/^([0-9a-fA-F]{64}):(\d+)$/);
+      if (!match) {
+        throw new Error('Choose a UTXO or enter an outpoint as transactionId:index');
+      }
+      // Only the outpoint is known; the updater attaches the UTXO entry
+      utxo = { outpoint: { transactionId: match[1].toLowerCase(), index: parseInt(match[2], 10) } };
+    }
+    if (!utxo) {
+      throw new Error('UTXO not found');
+    }
+
+    applyStep('CONSTRUCTOR', `Added input ${getUtxoKey(utxo)}`, replaceActive(addPsktInput(activePskt, utxo)));
+    setSelectedUtxoKey('');
+    setManualOutpoint('');
+  });
+
+  const handleAddOutput = () => runStep('Adding output', () => {
+    const address = outputAddress.trim();
+    if (!isInitialized() || !getKaspa().Address.validate(address)) {
+      throw new Error('Invalid Kaspa address');
+    }
+    const amountInSompi = kasToSompi(outputAmount.trim());
+
+    applyStep('CONSTRUCTOR', `Added output of ${outputAmount.trim()} KAS to ${address}`,
+      replaceActive(addPsktOutput(activePskt, address, amountInSompi)));
+    setOutputAddress('');
+    setOutputAmount('');
+  });
+
+  const handleLockConstruction = () => runStep('Closing construction', () => {
+    applyStep('CONSTRUCTOR', 'Closed inputs and outputs', replaceActive(lockPsktConstruction(activePskt)));
+  });
+
+  // Updater
+  const handleAttachUtxoEntries = () => runStep('Attaching UTXO entries', () => {
+    let attached = 0;
+    let missing = 0;
+    const updated = pskts.map(pskt => {
+      const result = attachPsktUtxoEntries(pskt, availableUtxos);
+      attached += result.attached;
+      missing += result.missing;
+      return result.pskt;
+    });
+
+    if (missing > 0) {
+      addNotification(`${missing} input(s) are not in the cached UTXO set - refresh UTXOs on the dashboard`, 'warning');
+    }
+    applyStep('UPDATER', `Attached ${attached} UTXO entr${attached === 1 ? 'y' : 'ies'}`, updated);
+  });
+
+  const handleSetSequence = () => runStep('Setting sequence', () => {
+    if (!/^\d+$/.test(sequenceValue.trim())) {
+      throw new Error('Sequence must be a whole number');
+    }
+    const inputIndex = parseInt(sequenceIndex, 10);
+    applyStep('UPDATER', `Set input ${inputIndex} sequence to ${sequenceValue.trim()}`,
+      replaceActive(setPsktSequence(activePskt, inputIndex, sequenceValue.trim())));
+  });
+
+  // Signer: keys for the input addresses this wallet owns
+  const collectPrivateKeys = async (addresses) => {
+    const privateKeys = {};
+
+    if (walletState.isHDWallet && walletState.hdWallet) {
+      const allAddresses = walletState.hdWallet.getAllAddresses();
+      for (const address of addresses) {
+        const addressInfo = allAddresses.find(info => info.address === address);
+        if (addressInfo && addressInfo.privateKey) {
+          privateKeys[address] = addressInfo.privateKey;
+          continue;
+        }
+        try {
+          const derivedKey = await walletState.hdWallet.derivePrivateKeyForAddress(address);
+          if (derivedKey) {
+            privateKeys[address] = derivedKey;
+          }
+        } catch (error) {
+          // Inputs of other signers are expected here
+          console.warn('No private key for PSKT input address:', address, error.message);
+        }
+      }
+    } else if (walletState.currentWallet && walletState.currentWallet.privateKey && addresses.includes(walletState.address)) {
+      privateKeys[walletState.address] = walletState.currentWallet.privateKey;
+    }
+
+    return privateKeys;
+  };
+
+  const handleSign = async () => {
+    setIsWorking(true);
+    try {
+      const addresses = [...new Set(summaries.flatMap(summary => summary.inputs.map(input => input.address).filter(Boolean)))];
+      const privateKeys = await collectPrivateKeys(addresses);
+
+      let signed = 0;
+      const updated = pskts.map(pskt => {
+        const result = signPskt(pskt, privateKeys, walletState.network);
+        signed += result.signed;
+        return result.pskt;
+      });
+
+      if (signed === 0) {
+        addNotification('None of the PSKT inputs belong to this wallet', 'warning');
+        return;
+      }
+      applyStep('SIGNER', `Signed ${signed} input(s)`, updated);
+      addNotification(`Signed ${signed} input(s)`, 'success');
+    } catch (error) {
+      console.error('PSKT signing failed:', error);
+      addNotification('Signing failed: ' + error.message, 'error');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  // Combiner
+  const handleCombine = () => runStep('Combining', () => {
+    const result = combinePskts(pskts);
+    applyStep('COMBINER', result.combined > 0 ? `Combined ${pskts.length} PSKTs into ${result.pskts.length}` : 'No matching PSKTs to combine', result.pskts);
+    setActiveIndex(0);
+  });
+
+  // Finalizer
+  const handleFinalize = () => runStep('Finalizing', () => {
+    applyStep('FINALIZER', `Finalized ${pskts.length} PSKT(s)`, pskts.map(finalizePskt));
+  });
+
+  // Extractor: the extracted transactions go through the regular submission path
+  const handleExtractAndSubmit = async () => {
+    setIsWorking(true);
+    const submitted = [];
+    try {
+      const { submitTransaction } = await import('../../kaspa/js/transaction-submit.js');
+
+      for (let i = 0; i < pskts.length; i++) {
+        const extracted = extractPsktTransaction(pskts[i], walletState.network);
+        const result = await submitTransaction(extracted.signedTransactionData);
+        if (!result.success) {
+          throw new Error(`PSKT ${i + 1}: ${result.error}`);
+        }
+        submitted.push(result.transactionId);
+        walletState.hdWallet?.registerOwnTransaction?.(result.transactionId);
+        recordPsktHistory(summaries[i], result.transactionId);
+      }
+
+      addNotification(`Submitted ${submitted.length} transaction(s)`, 'success');
+    } catch (error) {
+      console.error('PSKT submission failed:', error);
+      addNotification('Submission failed: ' + error.message, 'error');
+    } finally {
+      if (submitted.length > 0) {
+        setSubmittedIds(submitted);
+        applyStep('EXTRACTOR', `Submitted ${submitted.join(', ')}`, pskts);
+      }
+      setIsWorking(false);
+    }
+  };
+
+  const recordPsktHistory = (summary, transactionId) => {
+    const walletId = walletState.currentWallet?.id;
+    if (!walletId) {
+      return;
+    }
+    const recipients = summary.outputs.map(output => ({ address: output.address, amount: sompiToKas(BigInt(output.amount)), label: '' }));
+    recordTransaction(walletId, {
+      transactionId,
+      networkType: walletState.network,
+      recipients,
+      amount: sompiToKas(BigInt(summary.outputTotal)),
+      amountInSompi: summary.outputTotal,
+      fee: summary.fee !== null ? { feeInSompi: summary.fee, feeInKas: sompiToKas(BigInt(summary.fee)) } : null
+    }, 'submitted', { txid: transactionId }).then(result => {
+      if (!result.success) {
+        console.warn('Failed to record transaction history:', result.error);
+      }
+    });
+  };
+
+  // Loaded PSKTs join the current bundle so copies signed elsewhere can be combined
+  const loadPsktTransfer = (result, source) => {
+    if (!result.valid) {
+      addNotification('Failed to load PSKT: ' + result.error, 'error');
+      return;
+    }
+    if (result.networkType && result.networkType !== walletState.network) {
+      addNotification(`PSKTs are for ${result.networkType}, but the wallet is on ${walletState.network}`, 'warning');
+    }
+
+    const nextPskts = [...pskts, ...result.pskts];
+    const nextRole = pskts.length === 0 ? result.role : inferPsktRole(nextPskts);
+    const action = `Loaded ${result.pskts.length} PSKT(s) from ${source}`;
+    setPskts(nextPskts);
+    setRole(nextRole);
+    setHistory(previous => [...previous, ...result.history, { role: nextRole, action, timestamp: new Date().toISOString() }]);
+    setActiveIndex(pskts.length);
+    setQrCodeData(null);
+    setSubmittedIds([]);
+    addNotification(action, 'success');
+  };
+
+  // Files: .kaskold bundles, this wallet's JSON, or standard PSKB/PSKT text from other tools
+  const handleFileUpload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const verification = text.trim().startsWith('PSKB') ? { valid: false } : await readTransferBundle(text);
+
+      if (verification.valid && verification.kind === 'pskb') {
+        loadPsktTransfer(readPskbTransferData(verification.data), `${file.name} (${describeIntegrity(verification)})`);
+      } else if (verification.valid && verification.kind) {
+        throw new Error(`This file holds a ${getBundleKindLabel(verification.kind).toLowerCase()} - open it with Import Bundle`);
+      } else {
+        // Standard PSKT text is parsed separately so 64-bit amounts keep their precision
+        loadPsktTransfer(parsePsktText(text), file.name);
+      }
+    } catch (error) {
+      console.error('PSKT file upload failed:', error);
+      addNotification('Failed to read PSKT file: ' + error.message, 'error');
+    }
+
+    event.target.value = '';
+  };
+
+  const handlePasteLoad = () => {
+    const result = parsePsktText(pasteText);
+    loadPsktTransfer(result, 'pasted text');
+    if (result.valid) {
+      setPasteText('');
+    }
+  };
+
+  const handleQRUpload = async (event) => {
+    const files = Array.from(event.target.files);
+    if (files.length === 0) return;
+
+    try {
+      const { readQRFromImage, readMultiPartQRFromImages } = await import('../../kaspa/js/qr-manager.js');
+      const result = files.length === 1 ? await readQRFromImage(files[0]) : await readMultiPartQRFromImages(files);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to read QR code');
+      }
+      if (result.qrData && result.qrData.type && result.qrData.type.includes('-multipart-qr')) {
+        throw new Error(`This is part ${result.qrData.part} of ${result.qrData.totalParts} QR codes. Please upload all parts together.`);
+      }
+
+      const partText = files.length > 1 ? ` - ${describeIntegrity(result)}` : '';
+      loadPsktTransfer(readPskbTransferData(result.qrData), `${files.length} QR image(s)${partText}`);
+    } catch (error) {
+      console.error('PSKT QR upload failed:', error);
+      addNotification('Failed to read QR code: ' + error.message, 'error');
+    }
+
+    event.target.value = '';
+  };
+
+  const handleCameraScan = async () => {
+    try {
+      const { openCameraQRScanner } = await import('../../kaspa/js/qr-manager.js');
+
+      await openCameraQRScanner((qrResult) => {
+        if (!qrResult.success) {
+          addNotification('Failed to scan QR code: ' + (qrResult.error || 'unknown error'), 'error');
+          return;
+        }
+        const integrityText = qrResult.fingerprint || qrResult.legacy ? ` - ${describeIntegrity(qrResult)}` : '';
+        loadPsktTransfer(readPskbTransferData(qrResult.qrData), `camera scan${integrityText}`);
+      });
+    } catch (error) {
+      console.error('PSKT camera scan failed:', error);
+      addNotification('Failed to open camera scanner: ' + error.message, 'error');
+    }
+  };
+
+  // Exports
+  const getTransferData = () => createPskbTransferData({ pskts, role, history }, walletState.network);
+
+  const handleGenerateQR = async () => {
+    try {
+      const { generateMultiPartQR } = await import('../../kaspa/js/qr-manager.js');
+      const qrResult = await generateMultiPartQR(getTransferData(), 'pskb');
+      if (!qrResult.success) {
+        throw new Error(qrResult.error);
+      }
+      setQrCodeData(qrResult);
+    } catch (error) {
+      console.error('PSKT QR generation failed:', error);
+      addNotification('Failed to generate QR code: ' + error.message, 'error');
+    }
+  };
+
+  const handleDownloadBundle = async () => {
+    try {
+      const bundle = await createTransferBundle(getTransferData(), {
+        kind: 'pskb',
+        networkType: walletState.network,
+        walletFingerprint: await getWalletFingerprint(walletState)
+      });
+      if (!bundle.success) {
+        throw new Error(bundle.error);
+      }
+
+      downloadTransferBundle(bundle);
+      addNotification(`PSKT bundle downloaded (${describeIntegrity(bundle)})`, 'success');
+    } catch (error) {
+      addNotification('Failed to download PSKT bundle: ' + error.message, 'error');
+    }
+  };
+
+  // Standard PSKB text for other Kaspa tools
+  const handleExportPskb = () => {
+    const blob = new Blob([serializePskb(pskts)], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `kaspa-pskb-${(role || 'creator').toLowerCase()}-${new Date().toISOString().split('T')[0]}.pskb`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const handleClear = () => {
+    setPskts([]);
+    setRole(null);
+    setHistory([]);
+    setActiveIndex(0);
+    setQrCodeData(null);
+    setSubmittedIds([]);
+    addNotification('PSKT workflow cleared', 'info');
+  };
+
+  // What each role can do with the current bundle
+  const activeSummary = summaries[activeIndex] || null;
+  const isConstructible = !!activeSummary && activeSummary.modifiable && activeSummary.signedInputs === 0;
+  const hasMissingEntries = summaries.some(summary => summary.missingUtxoEntries > 0);
+  const canSign = pskts.length > 0 && !hasMissingEntries && summaries.every(summary => summary.inputCount > 0 && !summary.modifiable);
+  const canFinalize = summaries.some(summary => summary.signedInputs > summary.finalizedInputs);
+  const canExtract = pskts.length > 0 && summaries.every(summary => summary.inputCount > 0 && summary.finalizedInputs === summary.inputCount);
+  const currentRoleIndex = role ? PSKT_ROLES.indexOf(role) : -1;
+
+  const renderRoleStepper = () =>
+    React.createElement('div', { className: 'd-flex flex-wrap gap-2 mb-3' },
+      PSKT_ROLES.map((roleName, index) =>
+        React.createElement('span', {
+          key: roleName,
+          className: `badge ${index < currentRoleIndex ? 'bg-success' : index === currentRoleIndex ? 'bg-primary' : 'bg-secondary'}`,
+          title: ROLE_DESCRIPTIONS[roleName]
+        },
+          index < currentRoleIndex && React.createElement('i', { className: 'bi bi-check me-1' }),
+          roleName
+        )
+      )
+    );
+
+  const renderRoleSection = (roleName, ...children) =>
+    React.createElement('div', { className: 'border rounded p-3 mb-3' },
+      React.createElement('h6', { className: 'mb-1' },
+        React.createElement('span', { className: `badge me-2 ${roleName === role ? 'bg-primary' : 'bg-secondary'}` }, roleName),
+        ROLE_DESCRIPTIONS[roleName]
+      ),
+      ...children
+    );
+
+  const renderPsktSummary = (summary, index) =>
+    React.createElement('div', {
+      key: `pskt-${index}`,
+      className: `card mb-2 ${index === activeIndex ? 'border-primary' : ''}`,
+      onClick: () => setActiveIndex(index),
+      style: { cursor: 'pointer' }
+    },
+      React.createElement('div', { className: 'card-body py-2' },
+        React.createElement('div', { className: 'd-flex justify-content-between' },
+          React.createElement('strong', null, `PSKT ${index + 1}`),
+          React.createElement('small', { className: 'text-muted' },
+            `${summary.inputCount} in / ${summary.outputCount} out - ${summary.signedInputs} signed, ${summary.finalizedInputs} finalized`
+          )
+        ),
+        summary.inputs.map((input, inputIndex) =>
+          React.createElement('div', { key: `in-${inputIndex}`, className: 'small font-monospace text-break' },
+            React.createElement('i', { className: `bi ${input.finalized ? 'bi-check-circle-fill text-success' : input.signatures > 0 ? 'bi-pen-fill text-primary' : 'bi-circle text-muted'} me-1` }),
+            `${input.outpoint.slice(0, 12)}…:${input.outpoint.split(':')[1]} `,
+            input.address ? `${input.address} ` : React.createElement('span', { className: 'text-warning' }, 'UTXO entry missing '),
+            input.amount !== null && formatSompi(input.amount)
+          )
+        ),
+        summary.outputs.map((output, outputIndex) =>
+          React.createElement('div', { key: `out-${outputIndex}`, className: 'small font-monospace text-break' },
+            React.createElement('i', { className: 'bi bi-arrow-right me-1' }),
+            `${output.address} ${formatSompi(output.amount)}`
+          )
+        ),
+        React.createElement('div', { className: 'small mt-1' },
+          'Fee: ', formatSompi(summary.fee),
+          summary.fee !== null && BigInt(summary.fee) <= 0n && React.createElement('span', { className: 'text-danger ms-2' }, 'Outputs leave no fee')
+        )
+      )
+    );
+
+  return React.createElement('section', { className: 'py-4' },
+    React.createElement('div', { className: 'row justify-content-center' },
+      React.createElement('div', { className: 'col-lg-10' },
+        // Header with Back to Dashboard button
+        React.createElement('div', { className: 'd-flex justify-content-between align-items-center mb-4' },
+          React.createElement('h4', { className: 'mb-0' },
+            React.createElement('i', { className: 'bi bi-diagram-3 me-2' }),
+            'Partially Signed Transactions'
+          ),
+          React.createElement('button', {
+            className: 'btn btn-outline-primary btn-sm',
+            onClick: () => onNavigate('wallet-dashboard')
+          },
+            React.createElement('i', { className: 'bi bi-arrow-left me-1' }),
+            'Back to Dashboard'
+          )
+        ),
+
+        React.createElement('div', { className: 'row g-4' },
+          // Roles
+          React.createElement('div', { className: 'col-lg-7' },
+            React.createElement('div', { className: 'card' },
+              React.createElement('div', { className: 'card-header' },
+                React.createElement('h5', { className: 'card-title mb-0' }, 'Workflow')
+              ),
+              React.createElement('div', { className: 'card-body' },
+                renderRoleStepper(),
+
+                renderRoleSection('CREATOR',
+                  React.createElement('button', { className: 'btn btn-primary btn-sm mt-2', onClick: handleNewPskt },
+                    React.createElement('i', { className: 'bi bi-plus-lg me-1' }),
+                    pskts.length > 0 ? 'Add PSKT to Bundle' : 'New PSKT'
+                  )
+                ),
+
+                renderRoleSection('CONSTRUCTOR',
+                  !isConstructible ?
+                    React.createElement('p', { className: 'small text-muted mb-0' }, activePskt ? 'The selected PSKT is closed to new inputs and outputs.' : 'Create a PSKT first.') :
+                    React.createElement('div', null,
+                      React.createElement('label', { className: 'form-label small mt-2' }, 'Input'),
+                      React.createElement('div', { className: 'input-group input-group-sm mb-2' },
+                        React.createElement('select', {
+                          className: 'form-select',
+                          value: selectedUtxoKey,
+                          onChange: (e) => setSelectedUtxoKey(e.target.value)
+                        },
+                          React.createElement('option', { value: '' }, availableUtxos.length > 0 ? 'Cached UTXO…' : 'No cached UTXOs'),
+                          availableUtxos.map(describeUtxo).map(utxo =>
+                            React.createElement('option', { key: utxo.key, value: utxo.key }, `${utxo.amount} KAS - ${utxo.key.slice(0, 16)}…`)
+                          )
+                        ),
+                        React.createElement('input', {
+                          type: 'text',
+                          className: 'form-control font-monospace',
+                          placeholder: 'or transactionId:index',
+                          value: manualOutpoint,
+                          disabled: !!selectedUtxoKey,
+                          onChange: (e) => setManualOutpoint(e.target.value)
+                        }),
+                        React.createElement('button', { className: 'btn btn-outline-primary', onClick: handleAddInput }, 'Add Input')
+                      ),
+                      React.createElement('label', { className: 'form-label small' }, 'Output'),
+                      React.createElement('div', { className: 'input-group input-group-sm mb-2' },
+                        React.createElement('input', {
+                          type: 'text',
+                          className: 'form-control',
+                          placeholder: 'Address',
+                          value: outputAddress,
+                          onChange: (e) => setOutputAddress(e.target.value)
+                        }),
+                        React.createElement('input', {
+                          type: 'text',
+                          className: 'form-control',
+                          placeholder: 'Amount (KAS)',
+                          style: { maxWidth: '140px' },
+                          value: outputAmount,
+                          onChange: (e) => setOutputAmount(e.target.value)
+                        }),
+                        React.createElement('button', { className: 'btn btn-outline-primary', onClick: handleAddOutput }, 'Add Output')
+                      ),
+                      React.createElement('button', { className: 'btn btn-outline-secondary btn-sm', onClick: handleLockConstruction },
+                        React.createElement('i', { className: 'bi bi-lock me-1' }),
+                        'Close Inputs and Outputs'
+                      )
+                    )
+                ),
+
+                renderRoleSection('UPDATER',
+                  React.createElement('div', { className: 'd-flex flex-wrap gap-2 mt-2 align-items-center' },
+                    React.createElement('button', {
+                      className: 'btn btn-outline-primary btn-sm',
+                      onClick: handleAttachUtxoEntries,
+                      disabled: !hasMissingEntries || availableUtxos.length === 0
+                    }, 'Attach UTXO Entries'),
+                    React.createElement('div', { className: 'input-group input-group-sm', style: { maxWidth: '320px' } },
+                      React.createElement('span', { className: 'input-group-text' }, 'Input'),
+                      React.createElement('input', {
+                        type: 'number',
+                        min: 0,
+                        className: 'form-control',
+                        style: { maxWidth: '70px' },
+                        value: sequenceIndex,
+                        onChange: (e) => setSequenceIndex(e.target.value)
+                      }),
+                      React.createElement('input', {
+                        type: 'text',
+                        className: 'form-control',
+                        placeholder: 'Sequence',
+                        value: sequenceValue,
+                        onChange: (e) => setSequenceValue(e.target.value)
+                      }),
+                      React.createElement('button', {
+                        className: 'btn btn-outline-primary',
+                        onClick: handleSetSequence,
+                        disabled: !activeSummary || activeSummary.signedInputs > 0
+                      }, 'Set')
+                    )
+                  )
+                ),
+
+                renderRoleSection('SIGNER',
+                  React.createElement('button', { className: 'btn btn-primary btn-sm mt-2', onClick: handleSign, disabled: !canSign || isWorking || walletState.isWatchOnly },
+                    React.createElement('i', { className: 'bi bi-pen me-1' }),
+                    'Sign with This Wallet'
+                  ),
+                  walletState.isWatchOnly ? React.createElement('div', { className: 'small text-muted mt-1' },
+                    'Watch-only wallet: export the PSKT and sign it on the device that holds the seed.') :
+                  !canSign && pskts.length > 0 && React.createElement('div', { className: 'small text-muted mt-1' },
+                    'Signing needs closed PSKTs with every UTXO entry attached.')
+                ),
+
+                renderRoleSection('COMBINER',
+                  React.createElement('p', { className: 'small text-muted mb-2' }, 'Load copies signed on other devices, then merge them.'),
+                  React.createElement('button', { className: 'btn btn-outline-primary btn-sm', onClick: handleCombine, disabled: pskts.length < 2 }, 'Combine')
+                ),
+
+                renderRoleSection('FINALIZER',
+                  React.createElement('button', { className: 'btn btn-outline-primary btn-sm mt-2', onClick: handleFinalize, disabled: !canFinalize }, 'Finalize')
+                ),
+
+                renderRoleSection('EXTRACTOR',
+                  React.createElement('button', { className: 'btn btn-success btn-sm mt-2', onClick: handleExtractAndSubmit, disabled: !canExtract || isWorking },
+                    isWorking ? React.createElement('span', { className: 'spinner-border spinner-border-sm me-1' }) : React.createElement('i', { className: 'bi bi-send me-1' }),
+                    'Extract and Submit'
+                  ),
+                  submittedIds.map(transactionId =>
+                    React.createElement('div', { key: transactionId, className: 'small font-monospace text-break mt-1' },
+                      React.createElement('i', { className: 'bi bi-check-circle-fill text-success me-1' }),
+                      transactionId
+                    )
+                  )
+                )
+              )
+            )
+          ),
+
+          // Bundle, transfer and history
+          React.createElement('div', { className: 'col-lg-5' },
+            React.createElement('div', { className: 'card mb-4' },
+              React.createElement('div', { className: 'card-header d-flex justify-content-between align-items-center' },
+                React.createElement('h5', { className: 'card-title mb-0' }, `Bundle (${pskts.length})`),
+                pskts.length > 0 && React.createElement('button', { className: 'btn btn-outline-danger btn-sm', onClick: handleClear },
+                  React.createElement('i', { className: 'bi bi-trash' })
+                )
+              ),
+              React.createElement('div', { className: 'card-body' },
+                pskts.length === 0 ?
+                  React.createElement('p', { className: 'text-muted small mb-0' }, 'No PSKTs yet. Create one or load a bundle.') :
+                  summaries.map(renderPsktSummary)
+              )
+            ),
+
+            React.createElement('div', { className: 'card mb-4' },
+              React.createElement('div', { className: 'card-header' },
+                React.createElement('h5', { className: 'card-title mb-0' }, 'Transfer')
+              ),
+              React.createElement('div', { className: 'card-body' },
+                React.createElement('div', { className: 'd-flex flex-wrap gap-2 mb-3' },
+                  React.createElement('button', { className: 'btn btn-outline-primary btn-sm', onClick: handleGenerateQR, disabled: pskts.length === 0 },
+                    React.createElement('i', { className: 'bi bi-qr-code me-1' }),
+                    'Show QR'
+                  ),
+                  React.createElement('button', { className: 'btn btn-outline-primary btn-sm', onClick: handleDownloadBundle, disabled: pskts.length === 0 },
+                    React.createElement('i', { className: 'bi bi-file-earmark-zip me-1' }),
+                    'Download Bundle'
+                  ),
+                  React.createElement('button', { className: 'btn btn-outline-secondary btn-sm', onClick: handleExportPskb, disabled: pskts.length === 0 },
+                    React.createElement('i', { className: 'bi bi-file-earmark-text me-1' }),
+                    'Export PSKB'
+                  )
+                ),
+
+                qrCodeData && !qrCodeData.isMultiPart && React.createElement('div', { className: 'text-center mb-3' },
+                  React.createElement('img', { src: qrCodeData.qrDataURL, alt: 'PSKT bundle QR code', className: 'img-fluid', style: { maxWidth: '280px' } })
+                ),
+                qrCodeData && qrCodeData.isMultiPart && React.createElement('div', { id: 'pskt-qr-display', className: 'mb-3' }),
+
+                React.createElement('div', { className: 'd-flex flex-wrap gap-2 mb-2' },
+                  React.createElement('button', { className: 'btn btn-outline-success btn-sm', onClick: () => fileInputRef.current && fileInputRef.current.click() },
+                    React.createElement('i', { className: 'bi bi-upload me-1' }),
+                    'Load File'
+                  ),
+                  React.createElement('button', { className: 'btn btn-outline-success btn-sm', onClick: () => qrInputRef.current && qrInputRef.current.click() },
+                    React.createElement('i', { className: 'bi bi-image me-1' }),
+                    'Load QR Images'
+                  ),
+                  React.createElement('button', { className: 'btn btn-outline-success btn-sm', onClick: handleCameraScan },
+                    React.createElement('i', { className: 'bi bi-camera me-1' }),
+                    'Scan QR'
+                  )
+                ),
+                React.createElement('input', {
+                  ref: fileInputRef,
+                  type: 'file',
+                  accept: `${BUNDLE_EXTENSION},.json,.pskb,.pskt,.txt`,
+                  className: 'd-none',
+                  onChange: handleFileUpload
+                }),
+                React.createElement('input', {
+                  ref: qrInputRef,
+                  type: 'file',
+                  accept: 'image/*',
+                  multiple: true,
+                  className: 'd-none',
+                  onChange: handleQRUpload
+                }),
+                React.createElement('textarea', {
+                  className: 'form-control form-control-sm font-monospace mb-2',
+                  rows: 3,
+                  placeholder: 'Or paste a PSKB string or PSKT JSON',
+                  value: pasteText,
+                  onChange: (e) => setPasteText(e.target.value)
+                }),
+                React.createElement('button', { className: 'btn btn-outline-secondary btn-sm', onClick: handlePasteLoad, disabled: !pasteText.trim() }, 'Load Pasted'),
+                React.createElement('div', { className: 'form-text' }, 'Loaded PSKTs are added to the current bundle.')
+              )
+            ),
+
+            history.length > 0 && React.createElement('div', { className: 'card' },
+              React.createElement('div', { className: 'card-header' },
+                React.createElement('h5', { className: 'card-title mb-0' }, 'History')
+              ),
+              React.createElement('ul', { className: 'list-group list-group-flush' },
+                history.map((entry, index) =>
+                  React.createElement('li', { key: `history-${index}`, className: 'list-group-item small' },
+                    React.createElement('span', { className: 'badge bg-secondary me-2' }, entry.role),
+                    entry.action,
+                    React.createElement('div', { className: 'text-muted' }, new Date(entry.timestamp).toLocaleString())
+                  )
+                )
+              )
+            )
+          )
+        )
+      )
+    )
+  );
+}
@@ -0,0 +1,233 @@
+import { MIN_SHARES, MAX_SHARES, createMnemonicShares, verifyMnemonicShares, formatShareForWriting } from '../../kaspa/js/shamir-backup.js';
+import { generateQRCode, downloadQRImage } from '../../kaspa/js/qr-manager.js';
+
+const { useState } = React;
+
+// Split a recovery phrase into M-of-N Shamir shares, show them as text and QR cards, and have the user
+// type back M of their copies so the backup is proven to rebuild the phrase before they move on
+export function ShamirBackup({ mnemonic, addNotification, onVerified }) {
+  const [threshold, setThreshold] = useState(2);
+  const [total, setTotal] = useState(3);
+  const [shareSet, setShareSet] = useState(null);
+  const [qrCodes, setQrCodes] = useState({});
+  const [isCreating, setIsCreating] = useState(false);
+  const [verificationInput, setVerificationInput] = useState('');
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [verificationError, setVerificationError] = useState('');
+  const [isVerified, setIsVerified] = useState(false);
+
+  const handleCreateShares = async () => {
+    setIsCreating(true);
+    setIsVerified(false);
+    setVerificationInput('');
+    setVerificationError('');
+
+    try {
+      const created = await createMnemonicShares(mnemonic, threshold, total);
+      if (!created.success) {
+        throw new Error(created.error);
+      }
+
+      // Every M-share combination must rebuild the phrase before the shares are shown
+      const check = await verifyMnemonicShares(created.shares.map(share => share.text), mnemonic);
+      if (!check.success) {
+        throw new Error(check.error);
+      }
+
+      const codes = {};
+      for (const share of created.shares) {
+        const qr = await generateQRCode(share.text);
+        if (qr.success) {
+          codes[share.index] = qr.qrDataURL;
+        }
+      }
+
+      setShareSet({ ...created, combinations: check.combinations });
+      setQrCodes(codes);
+      addNotification(`${created.total} shares created - any ${created.threshold} rebuild the recovery phrase`, 'success');
+    } catch (error) {
+      console.error('Shamir backup failed:', error);
+      addNotification('Failed to create shares: ' + error.message, 'error');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleVerifyCopies = async () => {
+    setIsVerifying(true);
+    setVerificationError('');
+
+    try {
+      const entered = verificationInput.split(/\n+/).filter(line => line.trim());
+      const result = await verifyMnemonicShares(entered, mnemonic);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      setIsVerified(true);
+      addNotification('Backup verified - your shares rebuild the recovery phrase', 'success');
+      if (onVerified) {
+        onVerified(shareSet);
+      }
+    } catch (error) {
+      setVerificationError(error.message);
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  // One card per share in a new window, laid out for printing and cutting apart
+  const handlePrintCards = () => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+      addNotification('Allow pop-ups to print the share cards', 'warning');
+      return;
+    }
+
+    const cards = shareSet.shares.map(share => `
+      <div class="card">
+        <h3>Kaspa recovery share ${share.index} of ${shareSet.total}</h3>
+        <p>Set ${shareSet.setId} &middot; any ${shareSet.threshold} shares recover the wallet</p>
+        ${qrCodes[share.index] ? `<img src="${qrCodes[share.index]}" alt="Share ${share.index}">` : ''}
+        <pre>${formatShareForWriting(share.text)}</pre>
+      </div>`).join('');
+    printWindow.document.write(`<!DOCTYPE html><html><head><title>Kaspa recovery shares ${shareSet.setId}</title><style>
+      body { font-family: sans-serif; }
+      .card { border: 1px dashed #000; padding: 16px; margin: 16px 0; page-break-inside: avoid; text-align: center; }
+      img { width: 220px; height: 220px; }
+      pre { white-space: pre-wrap; word-break: break-all; font-size: 14px; }
+    </style></head><body>${cards}</body></html>`);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+  };
+
+  const shareCountOptions = Array.from({ length: MAX_SHARES - MIN_SHARES + 1 }, (_, i) => i + MIN_SHARES);
+
+  return React.createElement('div', { className: 'border rounded p-3' },
+    React.createElement('h6', { className: 'mb-2' },
+      React.createElement('i', { className: 'bi bi-puzzle me-2' }),
+      'Shamir Backup (M-of-N Shares)'
+    ),
+    React.createElement('p', { className: 'small text-muted' },
+      'Split the recovery phrase into shares and store them in different places. Any M shares restore the wallet; fewer reveal nothing about it.'
+    ),
+
+    React.createElement('div', { className: 'row g-2 align-items-end mb-3' },
+      React.createElement('div', { className: 'col-sm-4' },
+        React.createElement('label', { className: 'form-label small' }, 'Shares needed (M)'),
+        React.createElement('select', {
+          className: 'form-select form-select-sm',
+          value: threshold,
+          onChange: (e) => setThreshold(Number(e.target.value)),
+          disabled: isCreating
+        }, shareCountOptions.filter(count => count <= total).map(count =>
+          React.createElement('option', { key: count, value: count }, count)
+        ))
+      ),
+      React.createElement('div', { className: 'col-sm-4' },
+        React.createElement('label', { className: 'form-label small' }, 'Shares created (N)'),
+        React.createElement('select', {
+          className: 'form-select form-select-sm',
+          value: total,
+          onChange: (e) => {
+            const count = Number(e.target.value);
+            setTotal(count);
+            setThreshold(Math.min(threshold, count));
+          },
+          disabled: isCreating
+        }, shareCountOptions.map(count =>
+          React.createElement('option', { key: count, value: count }, count)
+        ))
+      ),
+      React.createElement('div', { className: 'col-sm-4' },
+        React.createElement('button', {
+          type: 'button',
+          className: 'btn btn-sm btn-primary w-100',
+          onClick: handleCreateShares,
+          disabled: isCreating
+        },
+          isCreating ? React.createElement('span', null,
+            React.createElement('span', { className: 'spinner-border spinner-border-sm me-2' }),
+            'Creating...'
+          ) : React.createElement('span', null,
+            React.createElement('i', { className: 'bi bi-scissors me-2' }),
+            shareSet ? 'Create New Shares' : 'Create Shares'
+          )
+        )
+      )
+    ),
+
+    shareSet && React.createElement('div', null,
+      React.createElement('div', { className: 'alert alert-info small' },
+        React.createElement('i', { className: 'bi bi-info-circle me-2' }),
+        `Set ${shareSet.setId}: ${shareSet.total} shares, any ${shareSet.threshold} recover the wallet. `,
+        `All ${shareSet.combinations} combinations of ${shareSet.threshold} shares were checked. `,
+        'Creating new shares starts a new set - shares of different sets cannot be mixed.'
+      ),
+
+      React.createElement('div', { className: 'row g-2 mb-3' },
+        shareSet.shares.map(share => React.createElement('div', { key: share.index, className: 'col-md-6' },
+          React.createElement('div', { className: 'card h-100' },
+            React.createElement('div', { className: 'card-body text-center' },
+              React.createElement('h6', { className: 'card-title' }, `Share ${share.index} of ${shareSet.total}`),
+              qrCodes[share.index] && React.createElement('img', {
+                src: qrCodes[share.index],
+                alt: `Share ${share.index}`,
+                className: 'img-fluid mb-2',
+                style: { maxWidth: '180px' }
+              }),
+              React.createElement('code', { className: 'd-block small text-break' }, formatShareForWriting(share.text)),
+              qrCodes[share.index] && React.createElement('button', {
+                type: 'button',
+                className: 'btn btn-sm btn-outline-secondary mt-2',
+                onClick: () => downloadQRImage(qrCodes[share.index], `kaspa-share-${shareSet.setId}-${share.index}.png`)
+              },
+                React.createElement('i', { className: 'bi bi-download me-1' }),
+                'Download QR'
+              )
+            )
+          )
+        ))
+      ),
+
+      React.createElement('button', {
+        type: 'button',
+        className: 'btn btn-sm btn-outline-primary mb-3',
+        onClick: handlePrintCards
+      },
+        React.createElement('i', { className: 'bi bi-printer me-2' }),
+        'Print Share Cards'
+      ),
+
+      // Verification: the user types back M shares from their written or printed copies
+      isVerified ?
+        React.createElement('div', { className: 'alert alert-success mb-0' },
+          React.createElement('i', { className: 'bi bi-shield-check me-2' }),
+          'Backup verified: your copies rebuild the recovery phrase.'
+        ) :
+        React.createElement('div', null,
+          React.createElement('label', { className: 'form-label' },
+            `Verify your backup: enter ${shareSet.threshold} shares from your copies, one per line`
+          ),
+          React.createElement('textarea', {
+            className: `form-control font-monospace ${verificationError ? 'is-invalid' : ''}`,
+            rows: shareSet.threshold + 1,
+            value: verificationInput,
+            onChange: (e) => setVerificationInput(e.target.value),
+            placeholder: 'KSS1-...'
+          }),
+          verificationError && React.createElement('div', { className: 'invalid-feedback' }, verificationError),
+          React.createElement('button', {
+            type: 'button',
+            className: 'btn btn-sm btn-success mt-2',
+            onClick: handleVerifyCopies,
+            disabled: isVerifying || !verificationInput.trim()
+          },
+            React.createElement('i', { className: 'bi bi-check2-circle me-2' }),
+            isVerifying ? 'Verifying...' : 'Verify Shares'
+          )
+        )
+    )
+  );
+}
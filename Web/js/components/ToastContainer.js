@@ -38,7 +38,8 @@ export function ToastContainer({ notifications, onDismiss }) {
 
   const getToastClass = (type) => {
     switch (type) {
-      case 'success': return 'toast-success bg-success';
+      case 'success':
+      case 'incoming': return 'toast-success bg-success';
       case 'error': return 'toast-error bg-danger';
       case 'warning': return 'toast-warning bg-warning';
       default: return 'toast-info bg-info';
@@ -48,6 +49,7 @@ export function ToastContainer({ notifications, onDismiss }) {
   const getToastIcon = (type) => {
     switch (type) {
       case 'success': return 'bi bi-check-circle';
+      case 'incoming': return 'bi bi-arrow-down-circle';
       case 'error': return 'bi bi-exclamation-triangle';
       case 'warning': return 'bi bi-exclamation-circle';
       default: return 'bi bi-info-circle';
@@ -0,0 +1,338 @@
+const { useState, useEffect } = React;
+
+import {
+  getTransactionHistory,
+  filterTransactionHistory,
+  updateTransactionStatus,
+  setTransactionNote,
+  HISTORY_STATUSES
+} from '../../kaspa/js/transaction-history.js';
+
+// Statuses that can still change on the network
+const REFRESHABLE_STATUSES = ['submitted', 'pending', 'not_found', 'unknown'];
+
+// "Not found" only means the node did not see the transaction, not that the network rejected it
+const STATUS_LABELS = {
+  not_found: 'not seen (unverified)'
+};
+
+const getStatusLabel = (status) => STATUS_LABELS[status] || (status || '').replace('_', ' ');
+
+export function TransactionHistory({ walletState, onNavigate, addNotification }) {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [directionFilter, setDirectionFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [search, setSearch] = useState('');
+  const [editingNoteId, setEditingNoteId] = useState(null);
+  const [noteDraft, setNoteDraft] = useState('');
+
+  const walletId = walletState.currentWallet?.id;
+
+  const loadHistory = async () => {
+    try {
+      setEntries(await getTransactionHistory(walletId));
+    } catch (error) {
+      console.error('Failed to load transaction history:', error);
+      addNotification('Failed to load transaction history: ' + error.message, 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadHistory();
+  }, [walletId]);
+
+  // Query the node for every transaction that is not final yet
+  const handleRefreshStatuses = async () => {
+    const refreshable = entries.filter(entry => entry.txid && entry.direction === 'outgoing' && REFRESHABLE_STATUSES.includes(entry.status));
+    if (refreshable.length === 0) {
+      addNotification('No pending transactions to refresh', 'info');
+      return;
+    }
+
+    setIsRefreshing(true);
+    try {
+      const { getTransactionStatus } = await import('../../kaspa/js/transaction-submit.js');
+      let failed = 0;
+      let unknown = 0;
+
+      for (const entry of refreshable) {
+        const addresses = [...(entry.counterparty || []), entry.fromAddress];
+        const statusResult = await getTransactionStatus(entry.txid, entry.networkType || walletState.network, null, addresses);
+        const result = await updateTransactionStatus(walletId, entry.id, statusResult);
+        if (!result.success) {
+          failed++;
+        } else if (statusResult.status === 'unknown') {
+          unknown++;
+        }
+      }
+
+      await loadHistory();
+      if (failed > 0) {
+        addNotification(`Could not refresh ${failed} of ${refreshable.length} transaction(s)`, 'warning');
+      } else if (unknown > 0) {
+        addNotification(`Refreshed ${refreshable.length} transaction(s); the node could not tell the status of ${unknown}`, 'info');
+      } else {
+        addNotification(`Refreshed ${refreshable.length} transaction(s)`, 'success');
+      }
+    } catch (error) {
+      console.error('Status refresh failed:', error);
+      addNotification('Status refresh failed: ' + error.message, 'error');
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  const startEditingNote = (entry) => {
+    setEditingNoteId(entry.id);
+    setNoteDraft(entry.note || '');
+  };
+
+  const handleSaveNote = async (entryId) => {
+    const result = await setTransactionNote(walletId, entryId, noteDraft);
+    if (!result.success) {
+      addNotification('Failed to save note: ' + result.error, 'error');
+      return;
+    }
+    setEditingNoteId(null);
+    setNoteDraft('');
+    await loadHistory();
+  };
+
+  const copyToClipboard = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      addNotification('Transaction ID copied to clipboard', 'success');
+    } catch (error) {
+      addNotification('Failed to copy to clipboard', 'error');
+    }
+  };
+
+  const shortenAddress = (address) => {
+    if (!address || address.length <= 24) return address || '';
+    return `${address.substring(0, 16)}...${address.substring(address.length - 6)}`;
+  };
+
+  const getCounterpartyLabel = (entry) => {
+    if (entry.direction === 'incoming') {
+      if (entry.isCoinbase) return 'Coinbase reward';
+      return `To ${(entry.receivingAddresses || []).map(shortenAddress).join(', ')}`;
+    }
+    const recipients = entry.recipients || [];
+    if (recipients.length > 1) {
+      return `${recipients.length} recipients`;
+    }
+    const recipient = recipients[0];
+    return recipient ? (recipient.label || shortenAddress(recipient.address)) : '';
+  };
+
+  const getStatusBadgeClass = (status) => {
+    switch (status) {
+      case 'confirmed': return 'bg-success';
+      case 'submitted':
+      case 'pending': return 'bg-info';
+      case 'failed': return 'bg-danger';
+      case 'not_found':
+      case 'unknown': return 'bg-light text-dark border';
+      default: return 'bg-secondary';
+    }
+  };
+
+  const visibleEntries = filterTransactionHistory(entries, {
+    direction: directionFilter,
+    status: statusFilter,
+    search: search
+  });
+
+  return React.createElement('section', { className: 'py-4' },
+    React.createElement('div', { className: 'row justify-content-center' },
+      React.createElement('div', { className: 'col-lg-10' },
+        // Header with Back to Dashboard button
+        React.createElement('div', { className: 'd-flex justify-content-between align-items-center mb-4' },
+          React.createElement('h4', { className: 'mb-0' },
+            React.createElement('i', { className: 'bi bi-clock-history me-2' }),
+            'Transaction History'
+          ),
+          React.createElement('div', { className: 'd-flex gap-2' },
+            React.createElement('button', {
+              className: 'btn btn-outline-secondary btn-sm',
+              onClick: handleRefreshStatuses,
+              disabled: isRefreshing
+            },
+              isRefreshing ? React.createElement('span', null,
+                React.createElement('span', { className: 'spinner-border spinner-border-sm me-1' }),
+                'Refreshing...'
+              ) : React.createElement('span', null,
+                React.createElement('i', { className: 'bi bi-arrow-clockwise me-1' }),
+                'Refresh Status'
+              )
+            ),
+            React.createElement('button', {
+              className: 'btn btn-outline-primary btn-sm',
+              onClick: () => onNavigate('wallet-dashboard')
+            },
+              React.createElement('i', { className: 'bi bi-arrow-left me-1' }),
+              'Back to Dashboard'
+            )
+          )
+        ),
+
+        // Filters
+        React.createElement('div', { className: 'card mb-3' },
+          React.createElement('div', { className: 'card-body' },
+            React.createElement('div', { className: 'row g-2' },
+              React.createElement('div', { className: 'col-md-6' },
+                React.createElement('input', {
+                  type: 'search',
+                  className: 'form-control',
+                  placeholder: 'Search address, transaction ID, amount or note...',
+                  value: search,
+                  onChange: (e) => setSearch(e.target.value)
+                })
+              ),
+              React.createElement('div', { className: 'col-md-3' },
+                React.createElement('select', {
+                  className: 'form-select',
+                  value: directionFilter,
+                  onChange: (e) => setDirectionFilter(e.target.value)
+                },
+                  React.createElement('option', { value: 'all' }, 'All directions'),
+                  React.createElement('option', { value: 'outgoing' }, 'Sent'),
+                  React.createElement('option', { value: 'incoming' }, 'Received')
+                )
+              ),
+              React.createElement('div', { className: 'col-md-3' },
+                React.createElement('select', {
+                  className: 'form-select',
+                  value: statusFilter,
+                  onChange: (e) => setStatusFilter(e.target.value)
+                },
+                  React.createElement('option', { value: 'all' }, 'All statuses'),
+                  HISTORY_STATUSES.map(status =>
+                    React.createElement('option', { key: status, value: status }, getStatusLabel(status))
+                  )
+                )
+              )
+            )
+          )
+        ),
+
+        // Ledger
+        React.createElement('div', { className: 'card' },
+          React.createElement('div', { className: 'card-body p-0' },
+            isLoading ?
+              React.createElement('div', { className: 'text-center py-5' },
+                React.createElement('span', { className: 'spinner-border text-primary' })
+              ) :
+            visibleEntries.length === 0 ?
+              React.createElement('div', { className: 'text-center py-5' },
+                React.createElement('i', { className: 'bi bi-inbox display-4 text-muted mb-3' }),
+                React.createElement('h6', { className: 'text-muted' },
+                  entries.length === 0 ? 'No transactions yet' : 'No transactions match the filters'
+                ),
+                entries.length === 0 && React.createElement('p', { className: 'text-muted mb-0' },
+                  'Transactions you create and payments found when fetching UTXOs will appear here.'
+                )
+              ) :
+              React.createElement('div', { className: 'table-responsive' },
+                React.createElement('table', { className: 'table table-hover align-middle mb-0' },
+                  React.createElement('thead', null,
+                    React.createElement('tr', null,
+                      React.createElement('th', null, 'Date'),
+                      React.createElement('th', null, 'Counterparty'),
+                      React.createElement('th', { className: 'text-end' }, 'Amount (KAS)'),
+                      React.createElement('th', { className: 'text-end' }, 'Fee'),
+                      React.createElement('th', { className: 'text-center' }, 'Confirmations'),
+                      React.createElement('th', null, 'Status'),
+                      React.createElement('th', null, 'Note')
+                    )
+                  ),
+                  React.createElement('tbody', null,
+                    visibleEntries.map(entry =>
+                      React.createElement('tr', { key: entry.id },
+                        React.createElement('td', null,
+                          React.createElement('div', null, new Date(entry.createdAt).toLocaleString()),
+                          entry.txid && React.createElement('small', {
+                            className: 'text-muted font-monospace',
+                            style: { cursor: 'pointer' },
+                            title: entry.txid,
+                            onClick: () => copyToClipboard(entry.txid)
+                          },
+                            `${entry.txid.substring(0, 12)}...`,
+                            React.createElement('i', { className: 'bi bi-clipboard ms-1' })
+                          )
+                        ),
+                        React.createElement('td', null,
+                          React.createElement('i', {
+                            className: entry.direction === 'incoming' ?
+                              'bi bi-arrow-down-left text-success me-2' : 'bi bi-arrow-up-right text-danger me-2'
+                          }),
+                          React.createElement('span', {
+                            title: ((entry.direction === 'incoming' ? entry.receivingAddresses : entry.counterparty) || []).join('\n')
+                          }, getCounterpartyLabel(entry)),
+                          entry.sweep && React.createElement('span', { className: 'badge bg-secondary ms-2' }, 'Sweep'),
+                          entry.batch && React.createElement('span', { className: 'badge bg-secondary ms-2' },
+                            `Batch ${entry.batch.index}/${entry.batch.total}`
+                          )
+                        ),
+                        React.createElement('td', {
+                          className: `text-end font-monospace ${entry.direction === 'incoming' ? 'text-success' : ''}`
+                        }, `${entry.direction === 'incoming' ? '+' : '-'}${entry.amount}`),
+                        React.createElement('td', { className: 'text-end font-monospace' }, entry.fee || '—'),
+                        React.createElement('td', { className: 'text-center' },
+                          entry.confirmations !== null && entry.confirmations !== undefined ? entry.confirmations : '—'
+                        ),
+                        React.createElement('td', null,
+                          React.createElement('span', {
+                            className: `badge ${getStatusBadgeClass(entry.status)}`,
+                            title: (entry.statusHistory || []).map(item =>
+                              `${item.status} - ${new Date(item.at).toLocaleString()}${item.detail ? ` (${item.detail})` : ''}`
+                            ).join('\n')
+                          }, getStatusLabel(entry.status)),
+                          entry.unverifiedAt && React.createElement('span', {
+                            className: 'badge bg-light text-dark border ms-1',
+                            title: `Not in the mempool and no unspent outputs seen on ${new Date(entry.unverifiedAt).toLocaleString()} - the outputs may already be spent, so inclusion could not be checked`
+                          }, 'unverified')
+                        ),
+                        React.createElement('td', { style: { minWidth: '180px' } },
+                          editingNoteId === entry.id ?
+                            React.createElement('div', { className: 'input-group input-group-sm' },
+                              React.createElement('input', {
+                                type: 'text',
+                                className: 'form-control',
+                                value: noteDraft,
+                                autoFocus: true,
+                                onChange: (e) => setNoteDraft(e.target.value),
+                                onKeyDown: (e) => {
+                                  if (e.key === 'Enter') handleSaveNote(entry.id);
+                                  if (e.key === 'Escape') setEditingNoteId(null);
+                                }
+                              }),
+                              React.createElement('button', {
+                                className: 'btn btn-outline-success',
+                                onClick: () => handleSaveNote(entry.id)
+                              }, React.createElement('i', { className: 'bi bi-check' }))
+                            ) :
+                            React.createElement('span', {
+                              className: entry.note ? '' : 'text-muted',
+                              style: { cursor: 'pointer' },
+                              onClick: () => startEditingNote(entry)
+                            },
+                              entry.note || 'Add note',
+                              React.createElement('i', { className: 'bi bi-pencil ms-1 small' })
+                            )
+                        )
+                      )
+                    )
+                  )
+                )
+              )
+          )
+        )
+      )
+    )
+  );
+}
@@ -15,8 +15,37 @@ import { convertBigIntToString, convertStringToBigInt, serializeWasmObject } fro
 // Import offline transaction creation for offline compatibility
 import { createOfflineTransaction, validateCachedUTXOs } from '../../kaspa/js/transaction-create-offline.js';
 
+// Import fee estimation helpers (falls back to fixed rates when offline)
+import {
+  calculateFeeOptions,
+  getNetworkFeeRate,
+  createFallbackFeeEstimate,
+  formatFeeEta,
+  FEE_OPTIONS
+} from '../../kaspa/js/fee-calculator.js';
+
+// Import batch payment helpers (recipient CSV import)
+import { parseRecipientsCSV } from '../../kaspa/js/batch-payments.js';
+
+// Import coin control helpers (UTXO selection and locks)
+import { getUtxoKey, describeUtxo, getUtxosTotal, applyCoinControl } from '../../kaspa/js/coin-control.js';
+import { selectUTXOs, getSelectionStrategies } from '../../kaspa/js/utxo-selection.js';
+import { sompiToKas, kasNumberToSompi } from '../../kaspa/js/currency-utils.js';
+import { getUtxoSelectionStrategy, setUtxoSelectionStrategy } from '../utils/settings-utils.js';
+
+// Import payload helpers (memo / data carrier)
+import { encodePayload, decodePayload } from '../../kaspa/js/transaction-payload.js';
+
+// Import transaction history ledger
+import { recordTransaction } from '../../kaspa/js/transaction-history.js';
+
+// Import payload digests and .kaskold bundles for file transfers
+import { describeIntegrity } from '../../kaspa/js/payload-integrity.js';
+import { createTransferBundle, readTransferBundle, downloadTransferBundle, getWalletFingerprint, getBundleKindLabel, BUNDLE_KINDS, BUNDLE_EXTENSION } from '../../kaspa/js/transfer-bundle.js';
+
 // Import address lookup and validation for offline compatibility
 import { isKasDomain, resolveDomain } from '../../kaspa/js/address-lookup.js';
+import { parsePaymentUri, isPaymentUri } from '../../kaspa/js/payment-uri.js';
 import { getKaspa, isInitialized, setupTransactionEventHandlers } from '../../kaspa/js/init.js';
 
 export function TransactionManager({ walletState, onNavigate, addNotification, onGenerateChangeAddress, onGenerateNewAddress, onMarkAddressUsed, cachedUTXOs, onClearCachedUTXOs, navigationData }) {
@@ -32,6 +61,8 @@ export function TransactionManager({ walletState, onNavigate, addNotification, o
   const [submittedTransactionData, setSubmittedTransactionData] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [qrCodeData, setQrCodeData] = useState(null);
+  const [isQRAnimated, setIsQRAnimated] = useState(false);
+  const [animatedQRFrame, setAnimatedQRFrame] = useState(null);
   const [uploadedFile, setUploadedFile] = useState(null);
   const [uploadedQrData, setUploadedQrData] = useState(null);
   const [showUploadArea, setShowUploadArea] = useState(false);
@@ -39,10 +70,31 @@ export function TransactionManager({ walletState, onNavigate, addNotification, o
   const [multiPartQRs, setMultiPartQRs] = useState([]);
   const [useOfflineMode, setUseOfflineMode] = useState(false);
   const [isActuallyOffline, setIsActuallyOffline] = useState(!navigator.onLine);
+  const [feeOption, setFeeOption] = useState('normal');
+  const [feeEstimate, setFeeEstimate] = useState(null);
+  const [feeOptions, setFeeOptions] = useState(null);
+  const [isLoadingFeeEstimate, setIsLoadingFeeEstimate] = useState(false);
+  const [paymentMode, setPaymentMode] = useState('single');
+  const [recipients, setRecipients] = useState([{ address: '', amount: '', label: '' }]);
+  const [pendingBatches, setPendingBatches] = useState([]);
+  const [sendMax, setSendMax] = useState(false);
+  const [showCoinControl, setShowCoinControl] = useState(false);
+  const [selectedUtxoKeys, setSelectedUtxoKeys] = useState([]);
+  const [lockedUtxoKeys, setLockedUtxoKeys] = useState([]);
+  const [selectionStrategy, setSelectionStrategy] = useState(getUtxoSelectionStrategy());
+  const [selectionPreview, setSelectionPreview] = useState(null);
+  const [payloadData, setPayloadData] = useState('');
+  const [payloadFormat, setPayloadFormat] = useState('text');
+  const [paymentRequest, setPaymentRequest] = useState(null); // Label / message of a scanned payment URI
+  const [accountTransfer, setAccountTransfer] = useState(null); // Source and target account of a transfer between own accounts
   const transactionHandlersSetup = useRef(false);
+  const csvInputRef = useRef();
   const fileInputRef = useRef();
   const qrInputRef = useRef();
 
+  // Payload as entered, encoded to hex and validated on every render
+  const encodedPayload = encodePayload(payloadData, payloadFormat);
+
   // Loading messages for transaction operations
   const creatingMessage = useLoadingMessages(isCreating, 'Creating Transaction...');
   const signingMessage = useLoadingMessages(isSigning, 'Signing Transaction...');
@@ -94,6 +146,122 @@ export function TransactionManager({ walletState, onNavigate, addNotification, o
     };
   }, [addNotification]);
 
+  // Load coin control locks for the current wallet
+  useEffect(() => {
+    const walletId = walletState.currentWallet?.id;
+    if (!walletId) {
+      setLockedUtxoKeys([]);
+      return;
+    }
+
+    let cancelled = false;
+    (async () => {
+      const { getWalletStorage } = await import('../../kaspa/js/wallet-storage.js');
+      const lockedKeys = await getWalletStorage().getLockedUtxos(walletId);
+      if (!cancelled) {
+        setLockedUtxoKeys(lockedKeys);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [walletState.currentWallet?.id]);
+
+  // Drop selected UTXOs that are no longer in the cached set
+  useEffect(() => {
+    const availableKeys = new Set(cachedUTXOs && cachedUTXOs.utxos ? cachedUTXOs.utxos.map(getUtxoKey) : []);
+    setSelectedUtxoKeys(previous => previous.filter(key => availableKeys.has(key)));
+  }, [cachedUTXOs]);
+
+  // Preview the chosen selection strategy against the cached UTXOs
+  useEffect(() => {
+    const amountFloat = parseFloat(amount);
+    if (paymentMode !== 'single' || sendMax || selectedUtxoKeys.length > 0 || !feeOptions ||
+        !cachedUTXOs || !cachedUTXOs.utxos || cachedUTXOs.utxos.length === 0 || isNaN(amountFloat) || amountFloat <= 0) {
+      setSelectionPreview(null);
+      return;
+    }
+
+    try {
+      const available = applyCoinControl(cachedUTXOs.utxos, { lockedKeys: lockedUtxoKeys });
+      setSelectionPreview(available.success ?
+        selectUTXOs(available.utxos, kasNumberToSompi(amountFloat), {
+          strategy: selectionStrategy,
+          feeRate: feeOptions[feeOption].feeRate,
+          payloadBytes: encodedPayload.valid ? encodedPayload.byteLength : 0
+        }) :
+        null);
+    } catch (error) {
+      console.warn('Failed to preview UTXO selection:', error);
+      setSelectionPreview(null);
+    }
+  }, [cachedUTXOs, amount, paymentMode, sendMax, selectionStrategy, feeOption, feeOptions, lockedUtxoKeys, selectedUtxoKeys, payloadData, payloadFormat]);
+
+  const handleSelectionStrategyChange = (strategy) => {
+    setSelectionStrategy(strategy);
+    setUtxoSelectionStrategy(strategy);
+  };
+
+  // Load fee estimates whenever the network or connectivity changes
+  useEffect(() => {
+    refreshFeeEstimate();
+  }, [walletState.network, isActuallyOffline, useOfflineMode, cachedUTXOs]);
+
+  const refreshFeeEstimate = async (forceRefresh = false) => {
+    setIsLoadingFeeEstimate(true);
+    try {
+      let estimate;
+      if (isActuallyOffline || useOfflineMode) {
+        // No node to ask - use the snapshot fetched with the cached UTXOs, or the fixed fallback rates
+        estimate = (cachedUTXOs && cachedUTXOs.feeEstimate && cachedUTXOs.feeEstimate.networkType === walletState.network) ?
+          cachedUTXOs.feeEstimate :
+          createFallbackFeeEstimate(walletState.network);
+      } else {
+        estimate = await getNetworkFeeRate(walletState.network, { forceRefresh });
+      }
+
+      setFeeEstimate(estimate);
+      setFeeOptions(await calculateFeeOptions(1, 2, walletState.network, estimate));
+    } catch (error) {
+      console.error('Failed to load fee estimate:', error);
+      const fallback = createFallbackFeeEstimate(walletState.network);
+      setFeeEstimate(fallback);
+      setFeeOptions(await calculateFeeOptions(1, 2, walletState.network, fallback));
+    } finally {
+      setIsLoadingFeeEstimate(false);
+    }
+  };
+
+  // Cycle fountain-coded QR frames while animated mode is on
+  useEffect(() => {
+    if (!isQRAnimated || !qrCodeData || !qrCodeData.isMultiPart) {
+      setAnimatedQRFrame(null);
+      return;
+    }
+
+    let cancelled = false;
+    let stopAnimation = null;
+
+    import('../../kaspa/js/qr-manager.js').then(async ({ generateAnimatedQR, startAnimatedQR }) => {
+      const animatedQR = await generateAnimatedQR(qrCodeData.originalData, qrCodeData.baseType);
+      if (cancelled) return;
+      if (!animatedQR.success) {
+        addNotification('Failed to start animated QR: ' + animatedQR.error, 'warning');
+        setIsQRAnimated(false);
+        return;
+      }
+      stopAnimation = startAnimatedQR(animatedQR, (frame) => {
+        setAnimatedQRFrame({ ...frame, totalFragments: animatedQR.totalFragments });
+      });
+    });
+
+    return () => {
+      cancelled = true;
+      if (stopAnimation) stopAnimation();
+    };
+  }, [isQRAnimated, qrCodeData?.multiQRId]);
+
   // Handle pre-filled data from navigation
   useEffect(() => {
     if (navigationData && navigationData.type === 'compound-utxos') {
@@ -108,6 +276,27 @@ export function TransactionManager({ walletState, onNavigate, addNotification, o
         );
       }
     }
+
+    // Payment URI opened from a link (URL fragment)
+    if (navigationData && navigationData.type === 'payment-uri') {
+      applyPaymentUri(navigationData.uri, 'Payment request opened');
+    }
+
+    // Transfer to another account of this wallet, started from the dashboard's accounts card
+    if (navigationData && navigationData.type === 'account-transfer') {
+      setPaymentMode('single');
+      setToAddress(navigationData.toAddress);
+      setResolvedAddress('');
+      setDomainLookupStatus(null);
+      setPaymentRequest(null);
+      setAccountTransfer(navigationData);
+    }
+
+    // Bundle opened from the universal import; it was already decrypted and verified
+    if (navigationData && navigationData.type === 'import-bundle') {
+      loadTransactionTransfer(navigationData.bundle, navigationData.file)
+        .catch(error => addNotification('Failed to open transaction bundle: ' + error.message, 'error'));
+    }
   }, [navigationData]);
 
   const setupTransactionHandlers = async () => {
@@ -178,11 +367,57 @@ export function TransactionManager({ walletState, onNavigate, addNotification, o
     }
   };
 
+  // Prefill the send form from a payment URI; malformed or other-network URIs are rejected
+  const applyPaymentUri = (uri, successMessage) => {
+    const request = parsePaymentUri(uri, walletState.network);
+    if (!request.valid) {
+      addNotification(`Invalid payment request: ${request.error}`, 'error');
+      return false;
+    }
+
+    setPaymentMode('single');
+    setSendMax(false);
+    setToAddress(request.address);
+    setResolvedAddress('');
+    setDomainLookupStatus(null);
+    if (request.amount) {
+      setAmount(request.amount);
+    }
+
+    // The payload is the memo when given; otherwise the request message becomes the memo
+    if (request.payload) {
+      const decoded = decodePayload(request.payload);
+      setPayloadFormat(decoded.text !== null ? 'text' : 'hex');
+      setPayloadData(decoded.text !== null ? decoded.text : decoded.hex);
+    } else if (request.message) {
+      setPayloadFormat('text');
+      setPayloadData(request.message);
+    }
+
+    const hasDetails = request.amount || request.label || request.message || request.payload;
+    setPaymentRequest(hasDetails ? request : null);
+
+    addNotification(
+      request.amount ?
+        `${successMessage}: ${request.amount} KAS to ${request.label || request.address}` :
+        `${successMessage}: ${request.label || request.address}`,
+      'success'
+    );
+    return true;
+  };
+
   // Handle address input change
   const handleAddressChange = async (value) => {
+    // A pasted payment URI fills in the whole form
+    if (value.includes('?') && isPaymentUri(value)) {
+      applyPaymentUri(value, 'Payment request pasted');
+      return;
+    }
+
     setToAddress(value);
     setResolvedAddress('');
     setDomainLookupStatus(null);
+    setPaymentRequest(null);
 
     if (!value.trim()) {
       return;
@@ -236,25 +471,151 @@ export function TransactionManager({ walletState, onNavigate, addNotification, o
     }
   };
 
-  const handleCreateTransaction = async (e) => {
-    e.preventDefault();
-    
-    if (!amount || !toAddress) {
-      addNotification('Please fill in all required fields', 'warning');
-      return;
+  // Batch recipient table editing
+  const handleRecipientChange = (index, field, value) => {
+    setRecipients(prev => prev.map((recipient, i) => i === index ? { ...recipient, [field]: value } : recipient));
+  };
+
+  const handleAddRecipient = () => {
+    setRecipients(prev => [...prev, { address: '', amount: '', label: '' }]);
+  };
+
+  const handleRemoveRecipient = (index) => {
+    setRecipients(prev => prev.length > 1 ? prev.filter((_, i) => i !== index) : prev);
+  };
+
+  // Import recipients from a CSV file (address,amount[,label])
+  const handleImportRecipientsCSV = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const result = parseRecipientsCSV(text);
+
+      if (result.recipients.length === 0) {
+        throw new Error(result.errors.join('; '));
+      }
+
+      setRecipients(result.recipients.map(recipient => ({
+        address: recipient.address,
+        amount: recipient.amount,
+        label: recipient.label
+      })));
+
+      if (result.errors.length > 0) {
+        addNotification(`Imported ${result.recipients.length} recipients, skipped ${result.errors.length} invalid line(s): ${result.errors.slice(0, 3).join('; ')}`, 'warning');
+      } else {
+        addNotification(`Imported ${result.recipients.length} recipients from ${file.name}`, 'success');
+      }
+    } catch (error) {
+      console.error('CSV import failed:', error);
+      addNotification('CSV import failed: ' + error.message, 'error');
+    }
+  };
+
+  // Validate every row of the batch table against the current network
+  const validateBatchRecipients = async (network) => {
+    const rows = recipients.filter(recipient => recipient.address.trim() || recipient.amount);
+
+    if (rows.length === 0) {
+      return { isValid: false, error: 'Add at least one recipient' };
     }
 
-    // Validate transaction amount
-    const transactionAmount = parseFloat(amount);
-    if (isNaN(transactionAmount) || transactionAmount <= 0) {
-      addNotification('Please enter a valid amount', 'error');
-      return;
+    const validated = [];
+    for (let i = 0; i < rows.length; i++) {
+      const row = rows[i];
+      const addressValidation = await validateAddressForNetwork(row.address.trim(), network);
+      if (!addressValidation.isValid) {
+        return { isValid: false, error: `Recipient ${i + 1}: ${addressValidation.error}` };
+      }
+
+      const rowAmount = parseFloat(row.amount);
+      if (isNaN(rowAmount) || rowAmount < MIN_TRANSACTION_AMOUNT) {
+        return { isValid: false, error: `Recipient ${i + 1}: minimum amount is ${MIN_TRANSACTION_AMOUNT} KAS` };
+      }
+
+      validated.push({
+        address: addressValidation.address,
+        amount: row.amount,
+        label: row.label.trim()
+      });
     }
 
-    if (transactionAmount < MIN_TRANSACTION_AMOUNT) {
-      addNotification(`Minimum transaction amount is ${MIN_TRANSACTION_AMOUNT} KAS`, 'error');
+    return { isValid: true, recipients: validated };
+  };
+
+  // Record a stage of a transaction in the wallet's history ledger
+  const recordHistory = (txData, status, options = {}) => {
+    const walletId = walletState.currentWallet?.id;
+    if (!walletId || !txData) {
       return;
     }
+    recordTransaction(walletId, txData, status, options).then(result => {
+      if (!result.success) {
+        console.warn('Failed to record transaction history:', result.error);
+      }
+    });
+  };
+
+  const handleToggleUtxoSelected = (key) => {
+    setSelectedUtxoKeys(previous =>
+      previous.includes(key) ? previous.filter(selectedKey => selectedKey !== key) : [...previous, key]
+    );
+  };
+
+  const handleToggleUtxoLocked = async (key) => {
+    const isLocked = lockedUtxoKeys.includes(key);
+    const updatedKeys = isLocked ?
+      lockedUtxoKeys.filter(lockedKey => lockedKey !== key) :
+      [...lockedUtxoKeys, key];
+
+    setLockedUtxoKeys(updatedKeys);
+    if (!isLocked) {
+      // A locked UTXO can't stay selected
+      setSelectedUtxoKeys(previous => previous.filter(selectedKey => selectedKey !== key));
+    }
+
+    const walletId = walletState.currentWallet?.id;
+    if (walletId) {
+      const { getWalletStorage } = await import('../../kaspa/js/wallet-storage.js');
+      const saved = await getWalletStorage().saveLockedUtxos(walletId, updatedKeys);
+      if (!saved) {
+        addNotification('Failed to save UTXO lock - it will only apply to this session', 'warning');
+      }
+    }
+  };
+
+  const handleCreateTransaction = async (e) => {
+    e.preventDefault();
+    
+    const isBatchPayment = paymentMode === 'batch';
+    const isSendMax = !isBatchPayment && sendMax;
+
+    if (isSendMax) {
+      if (!toAddress) {
+        addNotification('Please fill in all required fields', 'warning');
+        return;
+      }
+    } else if (!isBatchPayment) {
+      if (!amount || !toAddress) {
+        addNotification('Please fill in all required fields', 'warning');
+        return;
+      }
+
+      // Validate transaction amount
+      const transactionAmount = parseFloat(amount);
+      if (isNaN(transactionAmount) || transactionAmount <= 0) {
+        addNotification('Please enter a valid amount', 'error');
+        return;
+      }
+
+      if (transactionAmount < MIN_TRANSACTION_AMOUNT) {
+        addNotification(`Minimum transaction amount is ${MIN_TRANSACTION_AMOUNT} KAS`, 'error');
+        return;
+      }
+    }
 
     // Removed arbitrary maximum transaction amount limit
     // Users should be able to send any amount they have available
@@ -264,16 +625,36 @@ export function TransactionManager({ walletState, onNavigate, addNotification, o
       return;
     }
 
-    // Determine final address to use (resolved domain or direct input)
-    const finalAddress = resolvedAddress || toAddress.trim();
-
     // Validate address for current network (use network from header dropdown)
     const currentNetwork = walletState.network;
 
-    const addressValidation = await validateAddressForNetwork(finalAddress, currentNetwork);
+    let addressValidation;
+    let batchRecipients = null;
+
+    if (isBatchPayment) {
+      const recipientValidation = await validateBatchRecipients(currentNetwork);
+      if (!recipientValidation.isValid) {
+        addNotification(recipientValidation.error, 'error');
+        return;
+      }
+      batchRecipients = recipientValidation.recipients;
+      addressValidation = { isValid: true, address: batchRecipients[0].address };
+    } else {
+      // Determine final address to use (resolved domain or direct input)
+      const finalAddress = resolvedAddress || toAddress.trim();
+
+      addressValidation = await validateAddressForNetwork(finalAddress, currentNetwork);
 
-    if (!addressValidation.isValid) {
-      addNotification(addressValidation.error, 'error');
+      if (!addressValidation.isValid) {
+        addNotification(addressValidation.error, 'error');
+        return;
+      }
+    }
+
+    const coinControl = { selectedKeys: selectedUtxoKeys, lockedKeys: lockedUtxoKeys };
+
+    if (!encodedPayload.valid) {
+      addNotification(encodedPayload.error, 'error');
       return;
     }
 
@@ -322,7 +703,11 @@ export function TransactionManager({ walletState, onNavigate, addNotification, o
         // Use offline transaction creation with cached UTXOs - using static import for offline compatibility
         
         // Validate cached UTXOs first
-        const validation = validateCachedUTXOs(cachedUTXOs, currentNetwork);
+        const validation = validateCachedUTXOs(cachedUTXOs, currentNetwork, {
+          walletAddresses: walletState.hdWallet ?
+            walletState.hdWallet.getAllAddresses().map(addressInfo => addressInfo.address) :
+            [walletState.address]
+        });
         if (!validation.valid) {
           throw new Error(validation.error);
         }
@@ -335,11 +720,18 @@ export function TransactionManager({ walletState, onNavigate, addNotification, o
         transaction = await createOfflineTransaction(
           walletState.address,
           addressValidation.address,
-          parseFloat(amount),
+          isBatchPayment || isSendMax ? null : parseFloat(amount),
           currentNetwork,
           cachedUTXOs,
           { 
-            changeAddress: changeAddress
+            changeAddress: changeAddress,
+            feeOption: feeOption,
+            feeEstimate: feeEstimate,
+            recipients: batchRecipients,
+            sendMax: isSendMax,
+            coinControl: coinControl,
+            selectionStrategy: selectionStrategy,
+            payload: encodedPayload.hex
           }
         );
         
@@ -432,11 +824,18 @@ export function TransactionManager({ walletState, onNavigate, addNotification, o
             transaction = await createTransaction(
               primaryFromAddress,
               addressValidation.address,
-              parseFloat(amount),
+              isBatchPayment || isSendMax ? null : parseFloat(amount),
               currentNetwork,
               {
                 changeAddress: changeAddress,
-                hdWallet: walletState.hdWallet
+                hdWallet: walletState.hdWallet,
+                feeOption: feeOption,
+                feeEstimate: feeEstimate,
+                recipients: batchRecipients,
+                sendMax: isSendMax,
+                coinControl: coinControl,
+                selectionStrategy: selectionStrategy,
+                payload: encodedPayload.hex
               }
             );
           } else {
@@ -444,11 +843,18 @@ export function TransactionManager({ walletState, onNavigate, addNotification, o
             transaction = await createTransaction(
               walletState.address,
               addressValidation.address,
-              parseFloat(amount),
+              isBatchPayment || isSendMax ? null : parseFloat(amount),
               currentNetwork,
               {
                 changeAddress: changeAddress,
-                hdWallet: walletState.hdWallet
+                hdWallet: walletState.hdWallet,
+                feeOption: feeOption,
+                feeEstimate: feeEstimate,
+                recipients: batchRecipients,
+                sendMax: isSendMax,
+                coinControl: coinControl,
+                selectionStrategy: selectionStrategy,
+                payload: encodedPayload.hex
               }
             );
           }
@@ -479,16 +885,34 @@ export function TransactionManager({ walletState, onNavigate, addNotification, o
 
 
       if (transaction && transaction.success) {
+        // Batch payments that exceed the mass limit come back split; queue the later batches
+        const { batches, ...firstTransaction } = transaction;
+        if (batches && batches.length > 1) {
+          setPendingBatches(batches.slice(1));
+          addNotification(transaction.sweep ?
+            `Balance will be swept in ${batches.length} transactions to stay under the UTXO and mass limits. Sign and submit them one at a time.` :
+            `Batch payment split into ${batches.length} transactions to stay under the mass limit. Sign and submit them one at a time.`, 'info');
+        } else {
+          setPendingBatches([]);
+        }
+        // Selected UTXOs are spent by this transaction
+        setSelectedUtxoKeys([]);
+        if (transaction.skippedUtxoCount > 0) {
+          addNotification(`${transaction.skippedUtxoCount} dust UTXO(s) are worth less than the fee to spend them and were left out of the sweep`, 'warning');
+        }
+
         // The transaction data is in the transaction object itself, not nested under 'data'
-        setTransactionData(transaction);
+        setTransactionData(firstTransaction);
         setSignedTransactionData(null); // Clear any previous signed transaction
-        await generateQRCode(transaction, 'unsigned');
+        recordHistory(firstTransaction, 'created');
+        await generateQRCode(firstTransaction, 'unsigned');
       } else if (transaction && transaction.error) {
         throw new Error(transaction.error);
       } else if (transaction && transaction.transactionId) {
         // Handle case where transaction is returned directly without success wrapper
         setTransactionData(transaction);
         setSignedTransactionData(null); // Clear any previous signed transaction
+        recordHistory(transaction, 'created');
         await generateQRCode(transaction, 'unsigned');
       } else {
         throw new Error('Transaction creation failed - no valid response received');
@@ -514,6 +938,11 @@ export function TransactionManager({ walletState, onNavigate, addNotification, o
       return;
     }
 
+    if (walletState.isWatchOnly) {
+      addNotification('Watch-only wallets cannot sign - export the transaction and sign it on the device that holds the seed', 'warning');
+      return;
+    }
+
     setIsSigning(true);
 
     try {
@@ -785,6 +1214,7 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
         };
         
         setSignedTransactionData(signedTxData);
+        recordHistory(signedTxData, 'signed');
         await generateQRCode(signedTxData, 'signed');
 
         // CRITICAL: After successful signing, refresh the HD wallet balance state
@@ -841,7 +1271,8 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
 
       const { submitTransaction } = await import('../../kaspa/js/transaction-submit.js');
       
-      const result = await submitTransaction(signedTransactionData, walletState.network);
+      // The node endpoint comes from the network's settings; fall back to the wallet network when uploads omit it
+      const result = await submitTransaction({ networkType: walletState.network, ...signedTransactionData });
 
 
 
@@ -855,6 +1286,11 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
         };
         
         setSubmittedTransactionData(submittedTxData);
+        walletState.hdWallet?.registerOwnTransaction?.(result.transactionId);
+        recordHistory(signedTransactionData, 'submitted', {
+          id: signedTransactionData.transactionId,
+          txid: result.transactionId
+        });
         
         // Safely generate QR code with defensive data handling
         try {
@@ -903,6 +1339,7 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
 
     } catch (error) {
       console.error('Transaction submission failed:', error);
+      recordHistory(signedTransactionData, 'failed', { error: error.message });
       addNotification('Transaction submission failed: ' + error.message, 'error');
     } finally {
       setIsSubmitting(false);
@@ -1055,7 +1492,7 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
 
   // Conversion functions now imported from centralized utilities
 
-  const handleDownloadJSON = () => {
+  const handleDownloadJSON = async () => {
     const currentTxData = submittedTransactionData || signedTransactionData || transactionData;
     if (!currentTxData) {
       addNotification('No transaction data available for download', 'error');
@@ -1067,22 +1504,20 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
       
       // Convert BigInt values to strings before JSON.stringify
       const serializedData = convertBigIntToString(currentTxData);
-      const jsonData = JSON.stringify(serializedData, null, 2);
-      const blob = new Blob([jsonData], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `kaspa-${transactionType}-transaction-${currentTxData.transactionId}.json`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      const bundle = await createTransferBundle(serializedData, {
+        kind: `${transactionType}-transaction`,
+        networkType: currentTxData.networkType || walletState.network,
+        walletFingerprint: await getWalletFingerprint(walletState)
+      });
+      if (!bundle.success) {
+        throw new Error(bundle.error);
+      }
       
-      URL.revokeObjectURL(url);
-      addNotification(`${transactionType} transaction JSON downloaded`, 'success');
+      downloadTransferBundle(bundle);
+      addNotification(`${transactionType} transaction bundle downloaded (${describeIntegrity(bundle)})`, 'success');
     } catch (error) {
-      console.error('JSON download failed:', error);
-      addNotification('Failed to download JSON: ' + error.message, 'error');
+      console.error('Bundle download failed:', error);
+      addNotification('Failed to download bundle: ' + error.message, 'error');
     }
   };
 
@@ -1092,39 +1527,11 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
 
     try {
       const text = await file.text();
-      const data = JSON.parse(text);
-      
-      // Detect transaction type BEFORE BigInt conversion (since detectTransactionType expects string values)
-      const transactionType = detectTransactionType(data);
-      
-      if (transactionType === 'unknown') {
-        throw new Error('Unrecognized transaction format. Please ensure this is a valid Kaspa transaction file.');
+      const verification = await readTransferBundle(text);
+      if (!verification.valid) {
+        throw new Error(verification.error);
       }
-      
-      // Convert string values back to BigInt where needed AFTER type detection
-      const processedData = convertStringToBigInt(data);
-      
-      // Reset transaction progress states based on uploaded transaction type
-      if (transactionType === 'unsigned') {
-        setTransactionData(processedData);
-        setSignedTransactionData(null);
-        setSubmittedTransactionData(null);
-        await generateQRCode(processedData, 'unsigned');
-      } else if (transactionType === 'signed') {
-        setTransactionData(null); // Clear unsigned data
-        setSignedTransactionData(processedData);
-        setSubmittedTransactionData(null);
-        await generateQRCode(processedData, 'signed');
-      } else if (transactionType === 'submitted') {
-        setTransactionData(null); // Clear unsigned data
-        setSignedTransactionData(null); // Clear signed data
-        setSubmittedTransactionData(processedData);
-        await generateQRCode(processedData, 'submitted');
-      }
-      
-      setUploadedFile({ file, data: processedData, type: transactionType });
-      setUploadedQrData(null); // Clear QR data if file was uploaded
-      addNotification(`${transactionType} transaction uploaded successfully`, 'success');
+      await loadTransactionTransfer(verification, file);
       
     } catch (error) {
       console.error('File upload failed:', error);
@@ -1134,6 +1541,47 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
     event.target.value = '';
   };
 
+  // Load a verified transaction file or bundle (result of readTransferBundle) into the matching step
+  const loadTransactionTransfer = async (verification, file) => {
+    if (verification.kind && BUNDLE_KINDS[verification.kind].view !== 'transaction') {
+      throw new Error(`This file holds a ${getBundleKindLabel(verification.kind).toLowerCase()} - open it with Import Bundle`);
+    }
+    const data = verification.data;
+    
+    // Detect transaction type BEFORE BigInt conversion (since detectTransactionType expects string values)
+    const transactionType = verification.isBundle ? verification.kind.replace('-transaction', '') : detectTransactionType(data);
+    
+    if (transactionType === 'unknown') {
+      throw new Error('Unrecognized transaction format. Please ensure this is a valid Kaspa transaction file.');
+    }
+    
+    // Convert string values back to BigInt where needed AFTER type detection
+    const processedData = convertStringToBigInt(data);
+    
+    // Reset transaction progress states based on uploaded transaction type
+    if (transactionType === 'unsigned') {
+      setTransactionData(processedData);
+      setSignedTransactionData(null);
+      setSubmittedTransactionData(null);
+      await generateQRCode(processedData, 'unsigned');
+    } else if (transactionType === 'signed') {
+      setTransactionData(null); // Clear unsigned data
+      setSignedTransactionData(processedData);
+      setSubmittedTransactionData(null);
+      await generateQRCode(processedData, 'signed');
+    } else if (transactionType === 'submitted') {
+      setTransactionData(null); // Clear unsigned data
+      setSignedTransactionData(null); // Clear signed data
+      setSubmittedTransactionData(processedData);
+      await generateQRCode(processedData, 'submitted');
+    }
+    
+    setUploadedFile({ file, data: processedData, type: transactionType, isBundle: verification.isBundle });
+    setUploadedQrData(null); // Clear QR data if file was uploaded
+    addNotification(`${transactionType} transaction ${verification.isBundle ? 'bundle opened' : 'uploaded successfully'} - ${describeIntegrity(verification)}`,
+      verification.legacy ? 'warning' : 'success');
+  };
+
   const handleQRUpload = async (event) => {
     const files = Array.from(event.target.files);
     if (files.length === 0) return;
@@ -1204,7 +1652,8 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
           });
           setUploadedFile(null);
           
-          addNotification(`${transactionType} transaction uploaded from ${files.length} multi-part QR images`, 'success');
+          addNotification(`${transactionType} transaction uploaded from ${files.length} multi-part QR images - ${describeIntegrity(result)}`,
+            result.legacy ? 'warning' : 'success');
           event.target.value = '';
           return;
         } else {
@@ -1365,11 +1814,14 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
             totalParts: qrResult.totalParts || 1
           });
 
-          const scanMessage = qrResult.isMultiPart ? 
+          const scanMessage = qrResult.isAnimated ?
+            `${transactionType} transaction decoded from animated QR (${qrResult.totalParts} frames)` :
+            qrResult.isMultiPart ? 
             `${transactionType} transaction QR scanned from camera (${qrResult.totalParts} parts combined)` :
             `${transactionType} transaction QR scanned from camera`;
           
-          addNotification(scanMessage, 'success');
+          addNotification(qrResult.fingerprint || qrResult.legacy ? `${scanMessage} - ${describeIntegrity(qrResult)}` : scanMessage,
+            qrResult.legacy ? 'warning' : 'success');
 
         } catch (error) {
           console.error('Error processing scanned QR:', error);
@@ -1397,11 +1849,10 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
         if (scanResult.success && scanResult.qrData) {
           const qrData = scanResult.qrData;
           
-          // Check if it's a simple address string or .kas domain
+          // Check if it's an address / payment URI or .kas domain
           if (typeof qrData === 'string') {
-            if (qrData.startsWith('kaspa:') || qrData.startsWith('kaspatest:')) {
-              setToAddress(qrData);
-              addNotification('Recipient address scanned successfully', 'success');
+            if (isPaymentUri(qrData)) {
+              applyPaymentUri(qrData, 'Payment request scanned');
               return;
             } else if (qrData.endsWith('.kas')) {
               await handleAddressChange(qrData);
@@ -1465,10 +1916,9 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
         if (qrResult.success && qrResult.qrData) {
           const qrData = qrResult.qrData;
           
-          // Check if it's a simple address string
-          if (typeof qrData === 'string' && (qrData.startsWith('kaspa:') || qrData.startsWith('kaspatest:'))) {
-            setToAddress(qrData);
-            addNotification('Recipient address loaded from QR image', 'success');
+          // Check if it's an address or payment URI
+          if (typeof qrData === 'string' && isPaymentUri(qrData)) {
+            applyPaymentUri(qrData, 'Payment request loaded from QR image');
             return;
           }
           
@@ -1507,6 +1957,19 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
     fileInput.click();
   };
 
+  // Load the next queued transaction of a split batch payment
+  const handleNextBatch = async () => {
+    if (pendingBatches.length === 0) return;
+
+    const [nextBatch, ...remainingBatches] = pendingBatches;
+    setPendingBatches(remainingBatches);
+    setTransactionData(nextBatch);
+    setSignedTransactionData(null);
+    setSubmittedTransactionData(null);
+    recordHistory(nextBatch, 'created');
+    await generateQRCode(nextBatch, 'unsigned');
+  };
+
   const handleResetTransaction = () => {
     // Reset all transaction states
     setTransactionData(null);
@@ -1520,6 +1983,12 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
     // Reset form
     setAmount('');
     setToAddress('');
+    setRecipients([{ address: '', amount: '', label: '' }]);
+    setPendingBatches([]);
+    setSendMax(false);
+    setPayloadData('');
+    setPaymentRequest(null);
+    setAccountTransfer(null);
     
     // Close upload area
     setShowUploadArea(false);
@@ -1563,7 +2032,18 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
   const validateForm = () => {
     const errors = [];
     
-    if (!amount || isNaN(amount) || parseFloat(amount) <= 0) {
+    if (!encodedPayload.valid) {
+      errors.push(encodedPayload.error);
+    }
+    
+    if (paymentMode === 'batch') {
+      if (!recipients.some(recipient => recipient.address.trim() && parseFloat(recipient.amount) > 0)) {
+        errors.push('At least one recipient with an address and amount is required');
+      }
+      return errors;
+    }
+    
+    if (!sendMax && (!amount || isNaN(amount) || parseFloat(amount) <= 0)) {
       errors.push('Valid amount is required');
     }
     
@@ -1576,6 +2056,15 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
 
   const formErrors = validateForm();
 
+  // Payload of the transaction awaiting signature, decoded for review
+  const transactionPayload = transactionData && transactionData.payload ? decodePayload(transactionData.payload) : null;
+
+  // Coin control rows are only built while the panel is open
+  const coinControlUtxos = showCoinControl && cachedUTXOs && cachedUTXOs.utxos ? cachedUTXOs.utxos.map(describeUtxo) : [];
+  const selectedUtxoTotal = coinControlUtxos.length > 0 ?
+    getUtxosTotal(coinControlUtxos.filter(utxo => selectedUtxoKeys.includes(utxo.key)).map(utxo => ({ amount: utxo.amountInSompi }))) :
+    0n;
+
   return React.createElement('section', { className: 'py-4' },
     React.createElement('div', { className: 'row' },
       React.createElement('div', { className: 'col-12' },
@@ -1633,12 +2122,12 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
               ),
               React.createElement('div', { className: 'row g-2' },
                 React.createElement('div', { className: 'col-md-6' },
-                  React.createElement('label', { className: 'form-label small' }, 'Upload JSON File'),
+                  React.createElement('label', { className: 'form-label small' }, 'Upload Bundle or JSON File'),
                   React.createElement('input', {
                     ref: fileInputRef,
                     type: 'file',
                     className: 'form-control form-control-sm',
-                    accept: '.json',
+                    accept: `${BUNDLE_EXTENSION},.json`,
                     onChange: handleFileUpload
                   })
                 ),
@@ -1709,7 +2198,13 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
                       React.createElement('small', { className: 'text-muted' },
                         `${cachedUTXOs.count} UTXOs cached | Last updated: ${new Date(cachedUTXOs.timestamp).toLocaleString()}`
                       ),
-                      cachedUTXOs.imported && React.createElement('span', { className: 'badge bg-info ms-2' }, 'Imported from QR')
+                      cachedUTXOs.imported && React.createElement('span', { className: 'badge bg-info ms-2' }, 'Imported from QR'),
+                      cachedUTXOs.snapshot && !cachedUTXOs.snapshot.legacy && React.createElement('small', { className: 'text-muted d-block mt-1' },
+                        cachedUTXOs.snapshot.daaScore ? `Snapshot at DAA score ${cachedUTXOs.snapshot.daaScore}` : 'Snapshot DAA score unknown',
+                        React.createElement('span', {
+                          className: `badge ms-2 ${cachedUTXOs.snapshot.verified ? 'bg-success' : 'bg-warning text-dark'}`
+                        }, cachedUTXOs.snapshot.verified ? 'Signed by paired device' : cachedUTXOs.snapshot.signed ? 'Signature not checked' : 'Unsigned')
+                      )
                     ) :
                     React.createElement('div', null,
                       React.createElement('span', { className: 'badge bg-warning me-2' },
@@ -1751,7 +2246,123 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
 
             // Transaction creation form
             React.createElement('form', { onSubmit: handleCreateTransaction },
-              React.createElement('div', { className: 'mb-3' },
+              // Single recipient / batch payment toggle
+              React.createElement('div', { className: 'btn-group w-100 mb-3', role: 'group' },
+                React.createElement('button', {
+                  type: 'button',
+                  className: `btn btn-sm ${paymentMode === 'single' ? 'btn-secondary' : 'btn-outline-secondary'}`,
+                  onClick: () => setPaymentMode('single')
+                },
+                  React.createElement('i', { className: 'bi bi-person me-1' }),
+                  'Single Recipient'
+                ),
+                React.createElement('button', {
+                  type: 'button',
+                  className: `btn btn-sm ${paymentMode === 'batch' ? 'btn-secondary' : 'btn-outline-secondary'}`,
+                  onClick: () => setPaymentMode('batch')
+                },
+                  React.createElement('i', { className: 'bi bi-people me-1' }),
+                  'Batch Payment'
+                )
+              ),
+
+              // Batch recipient table
+              paymentMode === 'batch' && React.createElement('div', { className: 'mb-3' },
+                React.createElement('div', { className: 'd-flex justify-content-between align-items-center mb-2' },
+                  React.createElement('label', { className: 'form-label mb-0' }, 'Recipients'),
+                  React.createElement('div', { className: 'btn-group btn-group-sm' },
+                    React.createElement('button', {
+                      type: 'button',
+                      className: 'btn btn-outline-secondary',
+                      onClick: () => csvInputRef.current && csvInputRef.current.click(),
+                      title: 'Import recipients from CSV (address,amount,label)'
+                    },
+                      React.createElement('i', { className: 'bi bi-filetype-csv me-1' }),
+                      'Import CSV'
+                    ),
+                    React.createElement('button', {
+                      type: 'button',
+                      className: 'btn btn-outline-primary',
+                      onClick: handleAddRecipient
+                    },
+                      React.createElement('i', { className: 'bi bi-plus-lg me-1' }),
+                      'Add'
+                    )
+                  ),
+                  React.createElement('input', {
+                    ref: csvInputRef,
+                    type: 'file',
+                    accept: '.csv,text/csv,text/plain',
+                    style: { display: 'none' },
+                    onChange: handleImportRecipientsCSV
+                  })
+                ),
+                React.createElement('div', { className: 'table-responsive' },
+                  React.createElement('table', { className: 'table table-sm align-middle mb-1' },
+                    React.createElement('thead', null,
+                      React.createElement('tr', null,
+                        React.createElement('th', { style: { width: '2rem' } }, '#'),
+                        React.createElement('th', null, 'Address'),
+                        React.createElement('th', { style: { width: '9rem' } }, 'Amount (KAS)'),
+                        React.createElement('th', { style: { width: '10rem' } }, 'Label'),
+                        React.createElement('th', { style: { width: '2.5rem' } })
+                      )
+                    ),
+                    React.createElement('tbody', null,
+                      recipients.map((recipient, index) =>
+                        React.createElement('tr', { key: index },
+                          React.createElement('td', { className: 'text-muted small' }, index + 1),
+                          React.createElement('td', null,
+                            React.createElement('input', {
+                              type: 'text',
+                              className: 'form-control form-control-sm font-monospace',
+                              value: recipient.address,
+                              onChange: (e) => handleRecipientChange(index, 'address', e.target.value),
+                              placeholder: `${walletState.network} address`
+                            })
+                          ),
+                          React.createElement('td', null,
+                            React.createElement('input', {
+                              type: 'number',
+                              className: 'form-control form-control-sm',
+                              value: recipient.amount,
+                              onChange: (e) => handleRecipientChange(index, 'amount', e.target.value),
+                              step: '0.00000001',
+                              min: MIN_TRANSACTION_AMOUNT.toString()
+                            })
+                          ),
+                          React.createElement('td', null,
+                            React.createElement('input', {
+                              type: 'text',
+                              className: 'form-control form-control-sm',
+                              value: recipient.label,
+                              onChange: (e) => handleRecipientChange(index, 'label', e.target.value),
+                              placeholder: 'Optional'
+                            })
+                          ),
+                          React.createElement('td', null,
+                            React.createElement('button', {
+                              type: 'button',
+                              className: 'btn btn-sm btn-outline-danger',
+                              onClick: () => handleRemoveRecipient(index),
+                              disabled: recipients.length === 1,
+                              title: 'Remove recipient'
+                            },
+                              React.createElement('i', { className: 'bi bi-x-lg' })
+                            )
+                          )
+                        )
+                      )
+                    )
+                  )
+                ),
+                React.createElement('div', { className: 'form-text' },
+                  `${recipients.filter(r => r.address.trim()).length} recipient(s) | Total: ${Number(recipients.reduce((sum, r) => sum + (parseFloat(r.amount) || 0), 0).toFixed(8))} KAS | Minimum ${MIN_TRANSACTION_AMOUNT} KAS each. `,
+                  'Large batches are split into several transactions if they exceed the mass limit.'
+                )
+              ),
+
+              paymentMode === 'single' && React.createElement('div', { className: 'mb-3' },
                 React.createElement('label', { className: 'form-label' }, 'Recipient Address'),
                 React.createElement('div', { className: 'input-group' },
                   React.createElement('input', {
@@ -1791,37 +2402,256 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
                   )
                 ),
                 React.createElement('div', { className: 'form-text' },
-                  `Enter a valid ${walletState.network} address or .kas domain. Current network: `,
+                  `Enter a valid ${walletState.network} address, payment URI or .kas domain. Current network: `,
                   React.createElement('span', { className: 'badge bg-primary' }, walletState.network)
                 ),
                 domainLookupStatus && React.createElement('div', {
                   className: `alert alert-${domainLookupStatus.type === 'success' ? 'success' : 'danger'} mt-2 mb-0 py-2`,
                   style: { fontSize: '0.875em' }
                 }, domainLookupStatus.message),
+                paymentRequest && paymentRequest.address === toAddress && React.createElement('div', {
+                  className: 'alert alert-info mt-2 mb-0 py-2',
+                  style: { fontSize: '0.875em' }
+                },
+                  React.createElement('i', { className: 'bi bi-receipt me-2' }),
+                  React.createElement('strong', null, paymentRequest.label ? `Payment request from ${paymentRequest.label}` : 'Payment request'),
+                  paymentRequest.amount && ` · ${paymentRequest.amount} KAS`,
+                  paymentRequest.message && React.createElement('div', { className: 'text-break' }, paymentRequest.message)
+                ),
+                accountTransfer && accountTransfer.toAddress === toAddress && React.createElement('div', {
+                  className: 'alert alert-info mt-2 mb-0 py-2',
+                  style: { fontSize: '0.875em' }
+                },
+                  React.createElement('i', { className: 'bi bi-arrow-left-right me-2' }),
+                  React.createElement('strong', null, 'Transfer between accounts'),
+                  ` · ${accountTransfer.fromAccount} → ${accountTransfer.toAccount}`
+                ),
                 formErrors.some(e => e.includes('address')) && React.createElement('div', {
                   className: 'invalid-feedback'
                 }, 'Please enter a valid Kaspa address for the selected network')
               ),
               
-              React.createElement('div', { className: 'mb-3' },
+              paymentMode === 'single' && React.createElement('div', { className: 'mb-3' },
                 React.createElement('label', { className: 'form-label' }, 'Amount (KAS)'),
-                React.createElement('input', {
-                  type: 'number',
-                  className: `form-control ${!amount && formErrors.some(e => e.includes('amount')) ? 'is-invalid' : ''}`,
-                  value: amount,
-                  onChange: (e) => setAmount(e.target.value),
-                  placeholder: DEFAULT_TRANSACTION_AMOUNT.toString(),
-                  step: '0.00000001',
-                  min: MIN_TRANSACTION_AMOUNT.toString(),
-                  required: true
-                }),
+                React.createElement('div', { className: 'input-group' },
+                  React.createElement('input', {
+                    type: 'number',
+                    className: `form-control ${!amount && formErrors.some(e => e.includes('amount')) ? 'is-invalid' : ''}`,
+                    value: sendMax ? '' : amount,
+                    onChange: (e) => setAmount(e.target.value),
+                    placeholder: sendMax ? 'Entire balance minus fee' : DEFAULT_TRANSACTION_AMOUNT.toString(),
+                    step: '0.00000001',
+                    min: MIN_TRANSACTION_AMOUNT.toString(),
+                    disabled: sendMax,
+                    required: !sendMax
+                  }),
+                  React.createElement('button', {
+                    type: 'button',
+                    className: `btn ${sendMax ? 'btn-warning' : 'btn-outline-warning'}`,
+                    onClick: () => setSendMax(!sendMax),
+                    title: 'Send the whole balance with no change output'
+                  }, 'Max')
+                ),
                 React.createElement('div', { className: 'form-text' },
-                  `Minimum: ${MIN_TRANSACTION_AMOUNT} KAS`
+                  sendMax ?
+                    'Every UTXO is spent and the fee is deducted from the amount sent. Large wallets may need several sweep transactions.' :
+                    `Minimum: ${MIN_TRANSACTION_AMOUNT} KAS`
                 ),
                 formErrors.some(e => e.includes('amount')) && React.createElement('div', {
                   className: 'invalid-feedback'
                 }, 'Please enter a valid amount')
               ),
+
+              // Fee priority selector
+              React.createElement('div', { className: 'mb-3' },
+                React.createElement('div', { className: 'd-flex justify-content-between align-items-center mb-2' },
+                  React.createElement('label', { className: 'form-label mb-0' }, 'Network Fee'),
+                  React.createElement('button', {
+                    type: 'button',
+                    className: 'btn btn-sm btn-outline-secondary',
+                    onClick: () => refreshFeeEstimate(true),
+                    disabled: isLoadingFeeEstimate || isActuallyOffline || useOfflineMode,
+                    title: 'Refresh fee estimate from the network'
+                  },
+                    isLoadingFeeEstimate ?
+                      React.createElement('span', { className: 'spinner-border spinner-border-sm' }) :
+                      React.createElement('i', { className: 'bi bi-arrow-clockwise' })
+                  )
+                ),
+                React.createElement('div', { className: 'btn-group w-100', role: 'group' },
+                  FEE_OPTIONS.map(option => {
+                    const tier = feeOptions ? feeOptions[option] : null;
+                    return React.createElement('button', {
+                      key: option,
+                      type: 'button',
+                      className: `btn ${feeOption === option ? 'btn-primary' : 'btn-outline-primary'}`,
+                      onClick: () => setFeeOption(option)
+                    },
+                      React.createElement('div', { className: 'fw-semibold text-capitalize' }, option),
+                      tier ?
+                        React.createElement('small', { className: 'd-block' },
+                          `${formatFeeEta(tier.estimatedSeconds)} · ${tier.feeRate} sompi/g`
+                        ) :
+                        React.createElement('small', { className: 'd-block' }, '...')
+                    );
+                  })
+                ),
+                feeOptions && React.createElement('div', { className: 'form-text' },
+                  `Typical fee: ~${feeOptions[feeOption].feeInKas} KAS. `,
+                  feeEstimate && feeEstimate.source === 'network' ?
+                    `${(isActuallyOffline || useOfflineMode) ? 'Cached' : 'Live'} estimate from ${new Date(feeEstimate.timestamp).toLocaleString()}` :
+                    React.createElement('span', { className: 'text-warning' },
+                      feeEstimate && feeEstimate.error ?
+                        'Fee estimate unavailable - using offline fallback rates' :
+                        'Offline - using fallback fee rates'
+                    ),
+                  feeOptions.isStale && feeEstimate && feeEstimate.source === 'network' &&
+                    React.createElement('span', { className: 'text-warning' }, ' (stale)')
+                )
+              ),
+              
+              // Optional payload (memo / anchoring data)
+              React.createElement('div', { className: 'mb-3' },
+                React.createElement('div', { className: 'd-flex justify-content-between align-items-center mb-2' },
+                  React.createElement('label', { className: 'form-label mb-0' }, 'Payload (optional)'),
+                  React.createElement('div', { className: 'btn-group btn-group-sm', role: 'group' },
+                    ['text', 'hex'].map(format =>
+                      React.createElement('button', {
+                        key: format,
+                        type: 'button',
+                        className: `btn ${payloadFormat === format ? 'btn-secondary' : 'btn-outline-secondary'}`,
+                        onClick: () => setPayloadFormat(format)
+                      }, format === 'text' ? 'Text' : 'Hex')
+                    )
+                  )
+                ),
+                React.createElement('textarea', {
+                  className: `form-control font-monospace ${!encodedPayload.valid ? 'is-invalid' : ''}`,
+                  rows: 2,
+                  value: payloadData,
+                  onChange: (e) => setPayloadData(e.target.value),
+                  placeholder: payloadFormat === 'text' ? 'Memo stored on-chain with the transaction' : 'Hex data, e.g. a document hash'
+                }),
+                !encodedPayload.valid ?
+                  React.createElement('div', { className: 'invalid-feedback' }, encodedPayload.error) :
+                  encodedPayload.byteLength > 0 && React.createElement('div', { className: 'form-text' },
+                    `${encodedPayload.byteLength} bytes, public on-chain`,
+                    feeOptions && ` · adds ~${sompiToKas(BigInt(Math.ceil(encodedPayload.byteLength * feeOptions[feeOption].feeRate)))} KAS to the fee`
+                  )
+              ),
+
+              // Input selection strategy (not for sweeps, which spend every UTXO)
+              !(paymentMode === 'single' && sendMax) && React.createElement('div', { className: 'mb-3' },
+                React.createElement('label', { className: 'form-label' }, 'Input Selection'),
+                React.createElement('select', {
+                  className: 'form-select',
+                  value: selectionStrategy,
+                  onChange: (e) => handleSelectionStrategyChange(e.target.value),
+                  disabled: selectedUtxoKeys.length > 0
+                },
+                  getSelectionStrategies().map(strategy =>
+                    React.createElement('option', { key: strategy.id, value: strategy.id }, strategy.label)
+                  )
+                ),
+                React.createElement('div', { className: 'form-text' },
+                  selectedUtxoKeys.length > 0 ?
+                    'Hand-picked UTXOs in coin control override the selection strategy.' :
+                    getSelectionStrategies().find(strategy => strategy.id === selectionStrategy)?.description,
+                  paymentMode !== 'single' && selectedUtxoKeys.length === 0 && React.createElement('span', { className: 'd-block' },
+                    'Applied to each transaction of the batch.'
+                  ),
+                  selectionPreview && (selectionPreview.sufficient ?
+                    React.createElement('span', { className: 'd-block' },
+                      `Expected: ${selectionPreview.selected.length} input(s) · ~${selectionPreview.mass} g mass · fee ~${sompiToKas(selectionPreview.fee)} KAS · ` +
+                      (selectionPreview.changeless ? 'no change output' : `change ${sompiToKas(selectionPreview.change)} KAS`)
+                    ) :
+                    React.createElement('span', { className: 'd-block text-warning' },
+                      selectionPreview.error || 'Cached UTXOs do not cover this amount'
+                    ))
+                )
+              ),
+
+              // Coin control: hand-pick inputs or lock UTXOs so they are never spent
+              React.createElement('div', { className: 'mb-3' },
+                React.createElement('button', {
+                  type: 'button',
+                  className: 'btn btn-sm btn-outline-secondary',
+                  onClick: () => setShowCoinControl(!showCoinControl)
+                },
+                  React.createElement('i', { className: `bi bi-${showCoinControl ? 'chevron-up' : 'sliders'} me-2` }),
+                  'Coin Control',
+                  selectedUtxoKeys.length > 0 && React.createElement('span', { className: 'badge bg-primary ms-2' }, `${selectedUtxoKeys.length} selected`),
+                  lockedUtxoKeys.length > 0 && React.createElement('span', { className: 'badge bg-secondary ms-2' }, `${lockedUtxoKeys.length} locked`)
+                ),
+                showCoinControl && React.createElement('div', { className: 'border rounded mt-2 p-2' },
+                  !cachedUTXOs || !cachedUTXOs.utxos || cachedUTXOs.utxos.length === 0 ?
+                    React.createElement('small', { className: 'text-muted' },
+                      'No cached UTXOs. Fetch UTXOs from the Dashboard to choose which ones to spend.'
+                    ) :
+                    React.createElement('div', null,
+                      React.createElement('div', { className: 'd-flex justify-content-between align-items-center mb-2' },
+                        React.createElement('small', { className: 'text-muted' },
+                          selectedUtxoKeys.length > 0 ?
+                            `Spending only the ${selectedUtxoKeys.length} selected UTXO(s): ${sompiToKas(selectedUtxoTotal)} KAS` :
+                            'No selection - inputs are chosen automatically from unlocked UTXOs'
+                        ),
+                        selectedUtxoKeys.length > 0 && React.createElement('button', {
+                          type: 'button',
+                          className: 'btn btn-sm btn-link p-0',
+                          onClick: () => setSelectedUtxoKeys([])
+                        }, 'Clear selection')
+                      ),
+                      React.createElement('div', { className: 'table-responsive', style: { maxHeight: '300px', overflowY: 'auto' } },
+                        React.createElement('table', { className: 'table table-sm align-middle mb-0 small' },
+                          React.createElement('thead', null,
+                            React.createElement('tr', null,
+                              React.createElement('th', null, ''),
+                              React.createElement('th', null, 'Address'),
+                              React.createElement('th', { className: 'text-end' }, 'Amount (KAS)'),
+                              React.createElement('th', null, 'Outpoint'),
+                              React.createElement('th', { className: 'text-end' }, 'DAA Score'),
+                              React.createElement('th', null, '')
+                            )
+                          ),
+                          React.createElement('tbody', null,
+                            coinControlUtxos.map(utxo => {
+                              const isLocked = lockedUtxoKeys.includes(utxo.key);
+                              return React.createElement('tr', { key: utxo.key, className: isLocked ? 'text-muted' : '' },
+                                React.createElement('td', null,
+                                  React.createElement('input', {
+                                    type: 'checkbox',
+                                    className: 'form-check-input',
+                                    checked: selectedUtxoKeys.includes(utxo.key),
+                                    disabled: isLocked,
+                                    onChange: () => handleToggleUtxoSelected(utxo.key)
+                                  })
+                                ),
+                                React.createElement('td', { className: 'text-truncate', style: { maxWidth: '160px' }, title: utxo.address },
+                                  React.createElement('code', null, utxo.address)
+                                ),
+                                React.createElement('td', { className: 'text-end text-nowrap' }, utxo.amount),
+                                React.createElement('td', { className: 'text-truncate', style: { maxWidth: '140px' }, title: utxo.key },
+                                  React.createElement('code', null, `${utxo.transactionId.substring(0, 12)}…:${utxo.index}`)
+                                ),
+                                React.createElement('td', { className: 'text-end' }, utxo.blockDaaScore),
+                                React.createElement('td', { className: 'text-end' },
+                                  React.createElement('button', {
+                                    type: 'button',
+                                    className: `btn btn-sm ${isLocked ? 'btn-secondary' : 'btn-outline-secondary'}`,
+                                    onClick: () => handleToggleUtxoLocked(utxo.key),
+                                    title: isLocked ? 'Unlock UTXO' : 'Lock UTXO so it is never spent'
+                                  },
+                                    React.createElement('i', { className: `bi bi-${isLocked ? 'lock-fill' : 'unlock'}` })
+                                  )
+                                )
+                              );
+                            })
+                          )
+                        )
+                      )
+                    )
+                )
+              ),
               
               React.createElement('div', { className: 'd-grid gap-2' },
                 React.createElement('button', {
@@ -1858,10 +2688,57 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
             React.createElement('p', { className: 'text-muted mb-3' },
               'Transaction created successfully. Sign it to enable submission to the network.'
             ),
+            transactionData.recipients && transactionData.recipients.length > 0 && React.createElement('div', { className: 'text-start mb-3' },
+              transactionData.sweep && React.createElement('span', { className: 'badge bg-warning text-dark mb-2 me-2' },
+                'Send max - no change output'
+              ),
+              transactionData.batch && React.createElement('span', { className: 'badge bg-info mb-2' },
+                `${transactionData.sweep ? 'Sweep' : 'Batch'} transaction ${transactionData.batch.index} of ${transactionData.batch.total}`
+              ),
+              React.createElement('ul', { className: 'list-group list-group-flush small' },
+                transactionData.recipients.map((recipient, index) =>
+                  React.createElement('li', { key: index, className: 'list-group-item d-flex justify-content-between px-0' },
+                    React.createElement('span', { className: 'text-truncate me-2' },
+                      recipient.label && React.createElement('strong', { className: 'me-2' }, recipient.label),
+                      React.createElement('code', null, recipient.address)
+                    ),
+                    React.createElement('span', { className: 'text-nowrap' }, `${recipient.amount} KAS`)
+                  )
+                )
+              )
+            ),
+            transactionPayload && transactionPayload.byteLength > 0 && React.createElement('div', { className: 'alert alert-secondary small text-start mb-3' },
+              React.createElement('i', { className: 'bi bi-chat-left-text me-2' }),
+              React.createElement('strong', null, `Payload (${transactionPayload.byteLength} bytes)`),
+              transactionPayload.text !== null && React.createElement('div', { className: 'mt-1', style: { whiteSpace: 'pre-wrap', wordBreak: 'break-word' } },
+                transactionPayload.text
+              ),
+              React.createElement('code', { className: 'd-block mt-1 text-break' }, transactionPayload.hex)
+            ),
+            transactionData.feeEstimate && React.createElement('div', { className: 'alert alert-light border small text-start mb-3' },
+              React.createElement('i', { className: 'bi bi-speedometer2 me-2' }),
+              `Fee: ${transactionData.fee?.feeInKas ?? '?'} KAS (${transactionData.feeOption || transactionData.feeMode}, ${formatFeeEta(transactionData.fee?.estimatedSeconds)})`,
+              React.createElement('br'),
+              React.createElement('small', { className: transactionData.feeEstimate.source === 'network' ? 'text-muted' : 'text-warning' },
+                transactionData.feeEstimate.source === 'network' ?
+                  `Network fee estimate taken ${new Date(transactionData.feeEstimate.timestamp).toLocaleString()}` :
+                  'Built with offline fallback fee rates'
+              ),
+              transactionData.selection && React.createElement('small', { className: 'd-block text-muted' },
+                `Inputs: ${transactionData.selection.inputCount} (${getSelectionStrategies().find(strategy => strategy.id === transactionData.selection.strategy)?.label || transactionData.selection.strategy}), ` +
+                (transactionData.selection.changeless ? 'no change output' : `expected change ${sompiToKas(transactionData.selection.change)} KAS`)
+              )
+            ),
+            // Watch-only wallets hand the unsigned transaction to the cold device that holds the keys
+            walletState.isWatchOnly && React.createElement('div', { className: 'alert alert-info small text-start mb-3' },
+              React.createElement('i', { className: 'bi bi-eye me-2' }),
+              'Watch-only wallet: export this unsigned transaction with the QR code or bundle below, sign it on the device that holds the seed, then import the signed transaction here to submit it.'
+            ),
             React.createElement('button', {
               className: `btn btn-success ${isSigning ? 'disabled' : ''}`,
               onClick: handleSignTransaction,
-              disabled: isSigning
+              disabled: isSigning || walletState.isWatchOnly,
+              title: walletState.isWatchOnly ? 'Watch-only wallets have no private keys' : undefined
             },
               isSigning ?
                 React.createElement('span', null,
@@ -1931,6 +2808,18 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
                 React.createElement('strong', null, 'Network Transaction ID: '),
                 React.createElement('code', { className: 'text-success' }, submittedTransactionData.txId)
               )
+            ),
+            pendingBatches.length > 0 && React.createElement('div', { className: 'text-center mt-3' },
+              React.createElement('p', { className: 'text-muted small mb-2' },
+                `${pendingBatches.length} more batch transaction(s) remaining`
+              ),
+              React.createElement('button', {
+                className: 'btn btn-primary',
+                onClick: handleNextBatch
+              },
+                React.createElement('i', { className: 'bi bi-arrow-right-circle me-2' }),
+                `Continue with Batch ${pendingBatches[0].batch ? pendingBatches[0].batch.index : ''}`
+              )
             )
           )
         ),
@@ -1951,12 +2840,17 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
               React.createElement('div', { className: 'col-md-6' },
                 React.createElement('div', { className: 'text-center' },
                   React.createElement('img', {
-                    src: qrCodeData.qrDataURL,
+                    src: animatedQRFrame ? animatedQRFrame.qrDataURL : qrCodeData.qrDataURL,
                     alt: 'Transaction QR Code',
                     className: 'img-fluid border rounded',
                     style: { maxWidth: '250px' }
                   }),
-                  qrCodeData?.isMultiPart && React.createElement('div', { className: 'mt-2' },
+                  qrCodeData?.isMultiPart && isQRAnimated && React.createElement('div', { className: 'mt-2 small text-muted' },
+                    animatedQRFrame ?
+                      `Animated frame ${animatedQRFrame.seq} (${animatedQRFrame.totalFragments} fragments)` :
+                      'Preparing animated QR...'
+                  ),
+                  qrCodeData?.isMultiPart && !isQRAnimated && React.createElement('div', { className: 'mt-2' },
                     React.createElement('div', { className: 'btn-group', role: 'group' },
                       React.createElement('button', {
                         className: 'btn btn-outline-primary btn-sm',
@@ -1999,9 +2893,18 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
                       )
                     )
                   ),
+                  qrCodeData?.isMultiPart && React.createElement('button', {
+                    className: `btn btn-sm mt-2 ${isQRAnimated ? 'btn-warning' : 'btn-outline-info'}`,
+                    onClick: () => setIsQRAnimated(!isQRAnimated)
+                  },
+                    React.createElement('i', { className: `bi ${isQRAnimated ? 'bi-pause-fill' : 'bi-play-fill'} me-1` }),
+                    isQRAnimated ? 'Stop Animation' : 'Animate QR'
+                  ),
                   React.createElement('p', { className: 'text-muted mt-2 small' },
                     qrCodeData.isMultiPart 
-                      ? `Scan all ${qrCodeData.totalParts} parts to import the complete transaction`
+                      ? (isQRAnimated
+                        ? 'Keep the camera scanner pointed at the animated code until it finishes decoding - missed frames are fine'
+                        : `Step through all ${qrCodeData.totalParts} parts in front of the camera scanner in any order, or animate the QR`)
                       : 'Scan this QR code to import the transaction'
                   )
                 )
@@ -2027,6 +2930,24 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
                     readOnly: true
                   })
                 ),
+                qrCodeData?.fingerprint && React.createElement('div', { className: 'mb-3' },
+                  React.createElement('label', { className: 'form-label small' },
+                    'Payload Fingerprint',
+                    qrCodeData.authenticated && React.createElement('span', { className: 'badge bg-success ms-2' },
+                      React.createElement('i', { className: 'bi bi-shield-lock me-1' }),
+                      'HMAC'
+                    )
+                  ),
+                  React.createElement('input', {
+                    type: 'text',
+                    className: 'form-control form-control-sm font-monospace',
+                    value: qrCodeData.fingerprint,
+                    readOnly: true
+                  }),
+                  React.createElement('div', { className: 'form-text' },
+                    'The receiving device shows this fingerprint after scanning - check that both match'
+                  )
+                ),
                 qrCodeData?.isMultiPart && React.createElement('div', { className: 'mb-3' },
                   React.createElement('label', { className: 'form-label small' }, 'Current Part Size'),
                   React.createElement('input', {
@@ -2057,8 +2978,8 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
                     className: 'btn btn-outline-secondary btn-sm',
                     onClick: handleDownloadJSON
                   },
-                    React.createElement('i', { className: 'bi bi-file-earmark-code me-1' }),
-                    `Download ${submittedTransactionData ? 'Submitted' : signedTransactionData ? 'Signed' : 'Unsigned'} JSON`
+                    React.createElement('i', { className: 'bi bi-file-earmark-zip me-1' }),
+                    `Download ${submittedTransactionData ? 'Submitted' : signedTransactionData ? 'Signed' : 'Unsigned'} Bundle`
                   )
                 )
               )
@@ -2125,7 +3046,7 @@ Please ensure both devices use the same mnemonic and try refreshing the balance
               }, uploadedFile?.type || uploadedQrData?.type || 'Unknown'),
               React.createElement('br'),
               React.createElement('strong', null, 'Source: '),
-              uploadedFile ? 'JSON file' : 
+              uploadedFile ? (uploadedFile.isBundle ? 'Transfer bundle' : 'JSON file') : 
               uploadedQrData?.source === 'camera' ? 'Camera scan' :
               uploadedQrData?.source === 'multipart-files' ? 'Multi-part upload' : 'QR code',
               React.createElement('br'),
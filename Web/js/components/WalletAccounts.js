@@ -0,0 +1,360 @@
+import { getAccountIndex, getWalletAccounts, createAccount, renameAccount, getAccountXPub, discoverAccountBalances, getAccountReceiveAddress } from '../../kaspa/js/wallet-accounts.js';
+
+const { useState, useEffect } = React;
+
+// BIP44 accounts of the open HD wallet: create, label and switch accounts, per-account xpubs and balances,
+// and transfers between accounts
+export function WalletAccounts({ walletState, addNotification, onSwitchAccount, onNavigate }) {
+  const [accounts, setAccounts] = useState([]);
+  const [balances, setBalances] = useState({});
+  const [totalBalance, setTotalBalance] = useState(null);
+  const [isCheckingBalances, setIsCheckingBalances] = useState(false);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [newAccountLabel, setNewAccountLabel] = useState('');
+  const [editingAccount, setEditingAccount] = useState(null);
+  const [editLabel, setEditLabel] = useState('');
+  const [busyAccount, setBusyAccount] = useState(null);
+  const [xpubView, setXpubView] = useState(null);
+
+  const walletId = walletState.currentWallet?.id;
+  const hdWallet = walletState.hdWallet;
+  const activeAccount = hdWallet ? getAccountIndex(hdWallet.derivationPath) : null;
+
+  const loadAccounts = async () => {
+    const result = await getWalletAccounts(walletId);
+    setAccounts(result.accounts);
+  };
+
+  useEffect(() => {
+    loadAccounts().catch(error => console.error('Failed to load accounts:', error));
+  }, [walletId]);
+
+  // Accounts only apply to seed-based HD wallets on the standard m/44'/111111'/<account>' path
+  if (!walletState.isHDWallet || walletState.isWatchOnly || !hdWallet || activeAccount === null) {
+    return null;
+  }
+
+  const getAccountLabel = (index) => {
+    const account = accounts.find(item => item.index === index);
+    return account ? account.label : `Account ${index}`;
+  };
+
+  const handleCreateAccount = async () => {
+    if (!walletId) {
+      addNotification('Accounts need a saved wallet', 'error');
+      return;
+    }
+    const result = await createAccount(walletId, newAccountLabel);
+    if (!result.success) {
+      addNotification('Failed to create account: ' + result.error, 'error');
+      return;
+    }
+    setNewAccountLabel('');
+    setShowCreateForm(false);
+    await loadAccounts();
+    addNotification(`Account "${result.account.label}" created (m/44'/111111'/${result.account.index}')`, 'success');
+  };
+
+  const handleRenameAccount = async (index) => {
+    const result = await renameAccount(walletId, index, editLabel);
+    if (!result.success) {
+      addNotification('Failed to rename account: ' + result.error, 'error');
+      return;
+    }
+    setEditingAccount(null);
+    await loadAccounts();
+  };
+
+  const handleSwitchAccount = async (index) => {
+    setBusyAccount(index);
+    try {
+      if (await onSwitchAccount(index)) {
+        addNotification(`Switched to ${getAccountLabel(index)}`, 'info');
+      }
+    } finally {
+      setBusyAccount(null);
+    }
+  };
+
+  const handleCheckBalances = async () => {
+    setIsCheckingBalances(true);
+    setTotalBalance(null);
+    try {
+      const result = await discoverAccountBalances(hdWallet, accounts, (account, accountResult) => {
+        setBalances(prev => ({ ...prev, [account.index]: accountResult }));
+      });
+      setTotalBalance(result.total);
+      if (!result.success) {
+        addNotification('Some account balances could not be checked', 'warning');
+      }
+    } catch (error) {
+      console.error('Account balance check error:', error);
+      addNotification('Failed to check account balances: ' + error.message, 'error');
+    } finally {
+      setIsCheckingBalances(false);
+    }
+  };
+
+  const handleShowXpub = async (account) => {
+    setBusyAccount(account.index);
+    try {
+      const result = await getAccountXPub(hdWallet, account.index);
+      if (!result.success) {
+        addNotification('Failed to get extended public key: ' + result.error, 'error');
+        return;
+      }
+
+      const { generateQRCode } = await import('../../kaspa/js/qr-manager.js');
+      const qrResult = await generateQRCode({
+        type: 'kaspa-xpub',
+        version: '1.0',
+        xpub: result.xpub,
+        derivationPath: result.derivationPath,
+        network: walletState.network,
+        timestamp: Date.now()
+      }, { width: 300, height: 300, margin: 2 });
+
+      setXpubView({
+        account: account,
+        xpub: result.xpub,
+        derivationPath: result.derivationPath,
+        qrDataURL: qrResult.success ? qrResult.qrDataURL : null
+      });
+    } catch (error) {
+      console.error('Account xpub error:', error);
+      addNotification('Failed to get extended public key: ' + error.message, 'error');
+    } finally {
+      setBusyAccount(null);
+    }
+  };
+
+  const copyXpub = async () => {
+    try {
+      await navigator.clipboard.writeText(xpubView.xpub);
+      addNotification('Extended public key copied to clipboard', 'success');
+    } catch (error) {
+      addNotification('Failed to copy extended public key: ' + error.message, 'error');
+    }
+  };
+
+  // Send from the open account to an unused receive address of another one
+  const handleTransferToAccount = async (account) => {
+    setBusyAccount(account.index);
+    try {
+      const result = await getAccountReceiveAddress(hdWallet, account.index);
+      if (!result.success) {
+        addNotification('Failed to get a receive address for the account: ' + result.error, 'error');
+        return;
+      }
+      onNavigate('transaction', {
+        type: 'account-transfer',
+        toAddress: result.address,
+        fromAccount: getAccountLabel(activeAccount),
+        toAccount: account.label
+      });
+    } finally {
+      setBusyAccount(null);
+    }
+  };
+
+  const formatAccountBalance = (index) => {
+    const result = balances[index];
+    if (!result) {
+      return React.createElement('span', { className: 'text-muted' }, '—');
+    }
+    if (!result.success) {
+      return React.createElement('span', { className: 'text-danger', title: result.error }, 'Error');
+    }
+    return `${result.balance} KAS`;
+  };
+
+  return React.createElement('div', { className: 'card mb-4' },
+    React.createElement('div', { className: 'card-header d-flex justify-content-between align-items-center' },
+      React.createElement('h5', { className: 'card-title mb-0' },
+        React.createElement('i', { className: 'bi bi-diagram-3 me-2' }),
+        'Accounts'
+      ),
+      React.createElement('div', { className: 'd-flex gap-2' },
+        React.createElement('button', {
+          className: 'btn btn-sm btn-outline-secondary',
+          onClick: handleCheckBalances,
+          disabled: isCheckingBalances || accounts.length === 0
+        },
+          isCheckingBalances ?
+            React.createElement('span', { className: 'spinner-border spinner-border-sm me-2' }) :
+            React.createElement('i', { className: 'bi bi-arrow-repeat me-2' }),
+          'Check Balances'
+        ),
+        React.createElement('button', {
+          className: `btn btn-sm ${showCreateForm ? 'btn-outline-primary' : 'btn-primary'}`,
+          onClick: () => setShowCreateForm(!showCreateForm),
+          disabled: !walletId
+        },
+          React.createElement('i', { className: `bi ${showCreateForm ? 'bi-x-lg' : 'bi-plus-lg'} me-2` }),
+          showCreateForm ? 'Cancel' : 'New Account'
+        )
+      )
+    ),
+    React.createElement('div', { className: 'card-body' },
+      showCreateForm && React.createElement('div', { className: 'border rounded p-3 mb-3' },
+        React.createElement('label', { className: 'form-label small' }, 'Account label'),
+        React.createElement('div', { className: 'input-group input-group-sm' },
+          React.createElement('input', {
+            type: 'text',
+            className: 'form-control',
+            placeholder: 'e.g. Payroll',
+            maxLength: 40,
+            value: newAccountLabel,
+            onChange: (e) => setNewAccountLabel(e.target.value),
+            onKeyDown: (e) => { if (e.key === 'Enter') handleCreateAccount(); }
+          }),
+          React.createElement('button', {
+            className: 'btn btn-primary',
+            onClick: handleCreateAccount,
+            disabled: !newAccountLabel.trim()
+          }, 'Create')
+        ),
+        React.createElement('small', { className: 'text-muted d-block mt-2' },
+          'Accounts are derived from the same recovery phrase, so restoring the phrase restores them all. Wallets that only scan account 0 will not see funds in other accounts.'
+        )
+      ),
+
+      React.createElement('div', { className: 'table-responsive' },
+        React.createElement('table', { className: 'table table-sm align-middle mb-0' },
+          React.createElement('thead', null,
+            React.createElement('tr', null,
+              React.createElement('th', null, 'Account'),
+              React.createElement('th', null, 'Path'),
+              React.createElement('th', { className: 'text-end' }, 'Balance'),
+              React.createElement('th', { className: 'text-end' }, '')
+            )
+          ),
+          React.createElement('tbody', null,
+            accounts.map(account => React.createElement('tr', { key: account.index },
+              React.createElement('td', null,
+                editingAccount === account.index ?
+                  React.createElement('div', { className: 'input-group input-group-sm' },
+                    React.createElement('input', {
+                      type: 'text',
+                      className: 'form-control',
+                      maxLength: 40,
+                      value: editLabel,
+                      onChange: (e) => setEditLabel(e.target.value),
+                      onKeyDown: (e) => { if (e.key === 'Enter') handleRenameAccount(account.index); }
+                    }),
+                    React.createElement('button', {
+                      className: 'btn btn-outline-success',
+                      onClick: () => handleRenameAccount(account.index),
+                      title: 'Save label'
+                    }, React.createElement('i', { className: 'bi bi-check-lg' })),
+                    React.createElement('button', {
+                      className: 'btn btn-outline-secondary',
+                      onClick: () => setEditingAccount(null),
+                      title: 'Cancel'
+                    }, React.createElement('i', { className: 'bi bi-x-lg' }))
+                  ) :
+                  React.createElement('span', null,
+                    account.label,
+                    account.index === activeAccount && React.createElement('span', { className: 'badge bg-success ms-2' }, 'Open'),
+                    walletId && React.createElement('button', {
+                      className: 'btn btn-link btn-sm p-0 ms-2',
+                      onClick: () => { setEditingAccount(account.index); setEditLabel(account.label); },
+                      title: 'Rename account'
+                    }, React.createElement('i', { className: 'bi bi-pencil' }))
+                  )
+              ),
+              React.createElement('td', null,
+                React.createElement('code', { className: 'small' }, `m/44'/111111'/${account.index}'`)
+              ),
+              React.createElement('td', { className: 'text-end' }, formatAccountBalance(account.index)),
+              React.createElement('td', { className: 'text-end text-nowrap' },
+                busyAccount === account.index && React.createElement('span', { className: 'spinner-border spinner-border-sm me-2' }),
+                account.index !== activeAccount && React.createElement('button', {
+                  className: 'btn btn-sm btn-outline-primary me-1',
+                  onClick: () => handleSwitchAccount(account.index),
+                  disabled: busyAccount !== null,
+                  title: 'Open this account'
+                }, React.createElement('i', { className: 'bi bi-box-arrow-in-right' })),
+                account.index !== activeAccount && React.createElement('button', {
+                  className: 'btn btn-sm btn-outline-success me-1',
+                  onClick: () => handleTransferToAccount(account),
+                  disabled: busyAccount !== null,
+                  title: `Transfer from ${getAccountLabel(activeAccount)} to this account`
+                }, React.createElement('i', { className: 'bi bi-arrow-left-right' })),
+                React.createElement('button', {
+                  className: 'btn btn-sm btn-outline-secondary',
+                  onClick: () => handleShowXpub(account),
+                  disabled: busyAccount !== null,
+                  title: 'Extended public key'
+                }, React.createElement('i', { className: 'bi bi-key' }))
+              )
+            ))
+          ),
+          totalBalance !== null && React.createElement('tfoot', null,
+            React.createElement('tr', { className: 'fw-bold' },
+              React.createElement('td', { colSpan: 2 }, 'All accounts'),
+              React.createElement('td', { className: 'text-end' }, `${totalBalance} KAS`),
+              React.createElement('td', null)
+            )
+          )
+        )
+      )
+    ),
+
+    // Account Extended Public Key Modal
+    xpubView && React.createElement('div', {
+      className: 'modal fade show',
+      style: { display: 'block', backgroundColor: 'rgba(0,0,0,0.5)' },
+      onClick: () => setXpubView(null)
+    },
+      React.createElement('div', {
+        className: 'modal-dialog modal-dialog-centered',
+        onClick: (e) => e.stopPropagation()
+      },
+        React.createElement('div', { className: 'modal-content' },
+          React.createElement('div', { className: 'modal-header' },
+            React.createElement('h5', { className: 'modal-title' },
+              React.createElement('i', { className: 'bi bi-key me-2' }),
+              `${xpubView.account.label}: Extended Public Key`
+            ),
+            React.createElement('button', {
+              type: 'button',
+              className: 'btn-close',
+              onClick: () => setXpubView(null)
+            })
+          ),
+          React.createElement('div', { className: 'modal-body text-center' },
+            xpubView.qrDataURL && React.createElement('img', {
+              src: xpubView.qrDataURL,
+              alt: 'Account Extended Public Key QR Code',
+              className: 'img-fluid border rounded mb-3',
+              style: { maxWidth: '300px' }
+            }),
+            React.createElement('code', {
+              className: 'text-primary d-block text-break',
+              style: { fontSize: '0.8em' }
+            }, xpubView.xpub),
+            React.createElement('small', { className: 'text-muted d-block mt-2' },
+              `Derivation path ${xpubView.derivationPath}. Anyone with this key can see every address and balance of the account, but cannot spend.`
+            )
+          ),
+          React.createElement('div', { className: 'modal-footer' },
+            React.createElement('button', {
+              type: 'button',
+              className: 'btn btn-outline-primary',
+              onClick: copyXpub
+            },
+              React.createElement('i', { className: 'bi bi-clipboard me-2' }),
+              'Copy'
+            ),
+            React.createElement('button', {
+              type: 'button',
+              className: 'btn btn-secondary',
+              onClick: () => setXpubView(null)
+            }, 'Close')
+          )
+        )
+      )
+    )
+  );
+}
@@ -8,12 +8,23 @@ import { WalletDashboard } from './WalletDashboard.js';
 import { TransactionManager } from './TransactionManager.js';
 import { MessageSigning } from './MessageSigning.js';
 import { ScriptBuilder } from './ScriptBuilder.js';
+import { PsktWorkflow } from './PsktWorkflow.js';
 import { WalletSettings } from './WalletSettings.js';
+import { TransactionHistory } from './TransactionHistory.js';
 import { ToastContainer } from './ToastContainer.js';
 import { DEFAULT_ACCOUNT_PATH } from '../../kaspa/js/constants.js';
 // Preload wallet manager for offline functionality
 import { getHDWallet, getSingleWallet } from '../../kaspa/js/wallet-manager.js';
+import { shutdownRpcPool } from '../../kaspa/js/rpc-pool.js';
 import { useLoadingMessages } from '../utils/loading-messages.js';
+import { getAutoDiscoveryEnabled } from '../utils/settings-utils.js';
+import { sompiToKas } from '../../kaspa/js/currency-utils.js';
+import { getUtxoKey, getUtxoAddress } from '../../kaspa/js/coin-control.js';
+import { importIncomingUtxos } from '../../kaspa/js/transaction-history.js';
+import { readTransferBundle, checkBundleContext, getBundleKindLabel } from '../../kaspa/js/transfer-bundle.js';
+import { getPaymentUriFromHash } from '../../kaspa/js/payment-uri.js';
+import { getAccountPath, getAccountIndex, setActiveAccount } from '../../kaspa/js/wallet-accounts.js';
+import { createWatchOnlyManager } from '../../kaspa/js/watch-only-wallet.js';
 
 const { useState, useEffect, useRef } = React;
 
@@ -29,6 +40,7 @@ export function WalletApp() {
     hdWallet: null, // HD wallet manager instance
     allAddresses: [], // All generated addresses
     isHDWallet: false, // Whether this is an HD wallet
+    isWatchOnly: false, // Imported from an xpub or address list; no private keys
     mnemonic: null,
     privateKey: null,
     derivationPath: null
@@ -40,6 +52,7 @@ export function WalletApp() {
   const [unreadNotificationCount, setUnreadNotificationCount] = useState(0); // For badge count
   const [isCheckingSession, setIsCheckingSession] = useState(true); // Session check state
   const [navigationData, setNavigationData] = useState(null); // Data to pass between views
+  const [pendingPaymentUri, setPendingPaymentUri] = useState(null); // Payment URI from the URL fragment, opened once a wallet is unlocked
   const [showSessionWarning, setShowSessionWarning] = useState(false);
   const [sessionWarningMinutes, setSessionWarningMinutes] = useState(0);
   const countdownIntervalRef = useRef(null);
@@ -74,12 +87,40 @@ export function WalletApp() {
   // Restore wallet session from saved data
   const restoreWalletSession = async (savedSession) => {
     try {
+      // The BIP39 passphrase is never persisted, so such wallets have to be unlocked again
+      if (savedSession.currentWallet?.passphraseRequired) {
+        sessionManager.current.clearSession();
+        setCurrentView('wallet-login');
+        addNotification('This wallet uses a BIP39 passphrase - log in again to enter it', 'info');
+        return;
+      }
+
+      // Watch-only wallets carry their public key or address list in the session
+      if (savedSession.currentWallet?.watchOnly) {
+        const hdWallet = await createWatchOnlyManager(savedSession.currentWallet);
+        setWalletState({
+          ...savedSession,
+          network: hdWallet.network,
+          hdWallet: hdWallet,
+          accountIndex: null,
+          allAddresses: hdWallet.getAllAddresses(),
+          address: await hdWallet.getCurrentReceiveAddress(),
+          balance: null,
+          isHDWallet: true,
+          isWatchOnly: true
+        });
+        setCurrentView('wallet-dashboard');
+        return;
+      }
+
       // Check if this is an HD wallet and restore HD wallet manager
-      const hasMnemonic = !!(savedSession.mnemonic || savedSession.currentWallet?.mnemonic);
+      // Wallets restored from an extended private key have it in place of a mnemonic
+      const extendedKey = savedSession.currentWallet?.extendedPrivateKey || null;
+      const hasMnemonic = !!(savedSession.mnemonic || savedSession.currentWallet?.mnemonic || extendedKey);
       const shouldBeHDWallet = hasMnemonic || savedSession.isHDWallet;
 
       if (shouldBeHDWallet && hasMnemonic) {
-        const mnemonic = savedSession.mnemonic || savedSession.currentWallet.mnemonic;
+        const mnemonic = savedSession.mnemonic || savedSession.currentWallet.mnemonic || null;
         let derivationPath = savedSession.derivationPath || savedSession.currentWallet?.derivationPath;
         
         // Ensure we use account-level path for HD wallet manager
@@ -90,10 +131,15 @@ export function WalletApp() {
           // Default to Kaspa account-level path
           derivationPath = DEFAULT_ACCOUNT_PATH;
         }
+
+        // Reopen the BIP44 account that was active when the session was saved
+        if (savedSession.accountIndex && derivationPath === DEFAULT_ACCOUNT_PATH) {
+          derivationPath = getAccountPath(savedSession.accountIndex);
+        }
         
         // CRITICAL: Use wallet's network, not session network
         const walletNetwork = savedSession.currentWallet?.network || savedSession.network;
-        const hdWallet = getHDWallet(mnemonic, walletNetwork, derivationPath);
+        const hdWallet = getHDWallet(mnemonic, walletNetwork, derivationPath, null, extendedKey);
         await hdWallet.initialize();
         
         // Restore addresses if available
@@ -125,6 +171,7 @@ export function WalletApp() {
           ...savedSession,
           network: walletNetwork, // CRITICAL: Use wallet's network, not session network
           hdWallet: hdWallet,
+          accountIndex: getAccountIndex(derivationPath),
           allAddresses: hdWallet.getAllAddresses(),
           address: currentReceiveAddress,
           balance: null, // Reset balance to null - it will be fetched fresh
@@ -307,6 +354,31 @@ export function WalletApp() {
     initializeApp();
   }, []);
 
+  // Payment links open the app as index.html#kaspa:<address>?amount=...
+  useEffect(() => {
+    const handleHashChange = () => {
+      const uri = getPaymentUriFromHash(window.location.hash);
+      if (uri) {
+        setPendingPaymentUri(uri);
+        // Drop the fragment so a reload does not open the same request again
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+      }
+    };
+
+    handleHashChange();
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  useEffect(() => {
+    if (pendingPaymentUri && walletState.isLoggedIn && !isAppLoading) {
+      navigateToView('transaction', { type: 'payment-uri', uri: pendingPaymentUri });
+      setPendingPaymentUri(null);
+    } else if (pendingPaymentUri && !walletState.isLoggedIn && !isAppLoading) {
+      addNotification('Unlock a wallet to pay the opened payment request', 'info');
+    }
+  }, [pendingPaymentUri, walletState.isLoggedIn, isAppLoading]);
+
   // Theme management
   useEffect(() => {
     document.body.className = theme === 'dark' ? 'dark-theme' : 'light-theme';
@@ -326,6 +398,87 @@ export function WalletApp() {
     }
   }, [walletState.isLoggedIn, walletState.currentWallet, walletState.address]);
 
+  // Record incoming payments from a UTXO scan in the wallet's history ledger.
+  // HD change addresses only ever receive our own change, so they are skipped.
+  const importIncomingHistory = (utxos, state = walletState) => {
+    const walletId = state.currentWallet?.id;
+    if (!walletId || !utxos || utxos.length === 0) {
+      return;
+    }
+    const changeAddresses = state.hdWallet ?
+      Array.from(state.hdWallet.addresses.change.values()).map(addressInfo => addressInfo.address) : [];
+
+    importIncomingUtxos(walletId, utxos, { networkType: state.network, excludeAddresses: changeAddresses }).then(result => {
+      if (!result.success) {
+        console.warn('Failed to import incoming transactions:', result.error);
+      }
+    });
+  };
+
+  // Live balance and UTXO updates through a utxos-changed subscription on every wallet address
+  useEffect(() => {
+    const hdWallet = walletState.hdWallet;
+    // Respect users who turned off automatic network checks
+    if (!walletState.isLoggedIn || !walletState.isHDWallet || !hdWallet || !getAutoDiscoveryEnabled()) {
+      return;
+    }
+
+    let active = true;
+    const removeListener = hdWallet.onUtxosChanged(async ({ added, removed, incoming }) => {
+      if (!active) {
+        return;
+      }
+
+      setWalletState(prev => prev.hdWallet === hdWallet ? {
+        ...prev,
+        balance: hdWallet.getTotalBalance(),
+        allAddresses: hdWallet.getAllAddresses()
+      } : prev);
+
+      // Keep the cached UTXO set used for transactions in step with the chain (imported sets are left alone)
+      const removedKeys = new Set(removed.map(getUtxoKey));
+      setCachedUTXOs(prev => {
+        if (!prev || !prev.utxos || prev.imported || prev.networkType !== hdWallet.network) {
+          return prev;
+        }
+        const utxos = prev.utxos.filter(utxo => !removedKeys.has(getUtxoKey(utxo))).concat(added);
+        const addresses = Array.from(new Set([...(prev.addresses || []), ...added.map(getUtxoAddress)]));
+        return { ...prev, utxos, addresses, count: utxos.length, timestamp: Date.now() };
+      });
+
+      for (const payment of incoming) {
+        addNotification(`Received ${sompiToKas(payment.amount)} KAS at ${payment.address}`, 'incoming');
+      }
+      if (incoming.length > 0) {
+        importIncomingHistory(incoming.flatMap(payment => payment.utxos), walletState);
+      }
+
+      // A payment to the displayed receive address makes it used - rotate to a fresh one
+      try {
+        if (incoming.length > 0 && await hdWallet.shouldGenerateNewReceiveAddress()) {
+          const newAddress = await hdWallet.generateNextReceiveAddress();
+          setWalletState(prev => prev.hdWallet === hdWallet ? {
+            ...prev,
+            address: newAddress.address,
+            allAddresses: hdWallet.getAllAddresses()
+          } : prev);
+        }
+      } catch (error) {
+        console.error('Failed to rotate receive address:', error);
+      }
+    });
+
+    hdWallet.startUtxoSubscription().catch(error => {
+      console.warn('Live UTXO updates unavailable:', error.message);
+    });
+
+    return () => {
+      active = false;
+      removeListener();
+      hdWallet.stopUtxoSubscription().catch(error => console.error('Failed to stop UTXO subscription:', error));
+    };
+  }, [walletState.isLoggedIn, walletState.hdWallet]);
+
   // Cleanup countdown interval on unmount
   useEffect(() => {
     return () => {
@@ -384,7 +537,10 @@ export function WalletApp() {
     try {
       // Initialize HD Wallet if needed
       let hdWallet = null;
-      if (wallet.mnemonic) {
+      if (wallet.watchOnly) {
+        hdWallet = await createWatchOnlyManager(wallet);
+        await ensureFreshReceiveAddress(hdWallet);
+      } else if (wallet.mnemonic || wallet.extendedPrivateKey) {
         
         // Convert address-level path to account-level path for HD wallet manager
         let derivationPath = wallet.derivationPath;
@@ -395,8 +551,13 @@ export function WalletApp() {
           // Default to Kaspa account-level path
           derivationPath = DEFAULT_ACCOUNT_PATH;          
         }
+
+        // Open the account the wallet was last used with
+        if (wallet.activeAccount && derivationPath === DEFAULT_ACCOUNT_PATH) {
+          derivationPath = getAccountPath(wallet.activeAccount);
+        }
         
-        hdWallet = getHDWallet(wallet.mnemonic, wallet.network, derivationPath);
+        hdWallet = getHDWallet(wallet.mnemonic || null, wallet.network, derivationPath, wallet.passphrase, wallet.extendedPrivateKey);
         
         // Initialize the HD wallet
         await hdWallet.initialize();
@@ -423,8 +584,10 @@ export function WalletApp() {
         mnemonic: wallet.mnemonic || null,
         privateKey: wallet.privateKey || null,
         derivationPath: wallet.derivationPath || null,
-        isHDWallet: !!wallet.mnemonic,
+        isHDWallet: !!(wallet.mnemonic || wallet.extendedPrivateKey || wallet.watchOnly),
+        isWatchOnly: !!wallet.watchOnly,
         hdWallet: hdWallet,
+        accountIndex: hdWallet ? getAccountIndex(hdWallet.derivationPath) : null,
         allAddresses: hdWallet ? hdWallet.getAllAddresses() : []
       });
 
@@ -441,8 +604,10 @@ export function WalletApp() {
           mnemonic: wallet.mnemonic || null,
           privateKey: wallet.privateKey || null,
           derivationPath: wallet.derivationPath || null,
-          isHDWallet: !!wallet.mnemonic,
+          isHDWallet: !!(wallet.mnemonic || wallet.extendedPrivateKey || wallet.watchOnly),
+          isWatchOnly: !!wallet.watchOnly,
           hdWallet: null, // Don't save instance
+          accountIndex: hdWallet ? getAccountIndex(hdWallet.derivationPath) : null,
           allAddresses: hdWallet ? hdWallet.getAllAddresses() : []
         };
         sessionManager.current.saveSession(correctedState);
@@ -542,6 +707,9 @@ export function WalletApp() {
     if (sessionManager.current) {
       sessionManager.current.clearSession();
     }
+
+    // Close the shared node connections so nothing keeps querying after logout
+    shutdownRpcPool().catch(error => console.error('Failed to shut down RPC connections:', error));
     
     // CRITICAL: Reset to default mainnet to prevent network confusion
     setWalletState({
@@ -551,8 +719,10 @@ export function WalletApp() {
       address: null,
       network: 'mainnet', // Always reset to mainnet on logout, don't preserve old network
       hdWallet: null,
+      accountIndex: null,
       allAddresses: [],
       isHDWallet: false,
+      isWatchOnly: false,
       mnemonic: null,
       privateKey: null,
       derivationPath: null
@@ -567,6 +737,30 @@ export function WalletApp() {
     setNavigationData(data);
   };
 
+  // Universal import: read any bundle (or legacy JSON export) and open the screen that handles it
+  const handleImportBundle = async (file) => {
+    try {
+      const bundle = await readTransferBundle(await file.text());
+      if (!bundle.valid) {
+        addNotification(`Import failed: ${bundle.error}`, 'error');
+        return;
+      }
+      if (!bundle.view) {
+        addNotification('File not recognized - expected a transaction, message or UTXO snapshot', 'error');
+        return;
+      }
+
+      const warnings = await checkBundleContext(bundle, walletState);
+      warnings.forEach(warning => addNotification(warning, 'warning'));
+
+      addNotification(`Opening ${getBundleKindLabel(bundle.kind).toLowerCase()} from ${file.name}`, 'info');
+      navigateToView(bundle.view, { type: 'import-bundle', bundle, file });
+    } catch (error) {
+      console.error('Error importing bundle:', error);
+      addNotification('Import failed: ' + error.message, 'error');
+    }
+  };
+
   const clearNotificationBadge = () => {
     // Clear the toast notifications and reset unread count
     setToastNotifications([]);
@@ -696,9 +890,53 @@ export function WalletApp() {
     }
   };
 
+  // Open another BIP44 account of the same seed; balances, addresses and cached UTXOs start over for it
+  const switchAccount = async (accountIndex) => {
+    const current = walletState.hdWallet;
+    if (!walletState.isHDWallet || !current) {
+      return false;
+    }
+    if (getAccountIndex(current.derivationPath) === accountIndex) {
+      return true;
+    }
+
+    try {
+      const hdWallet = getHDWallet(current.mnemonic, current.network, getAccountPath(accountIndex), current.passphrase, current.extendedKey);
+      await hdWallet.initialize();
+      await ensureFreshReceiveAddress(hdWallet);
+      const address = await hdWallet.getCurrentReceiveAddress();
+
+      setCachedUTXOs(null);
+      setWalletState(prev => ({
+        ...prev,
+        hdWallet: hdWallet,
+        accountIndex: accountIndex,
+        address: address,
+        balance: null,
+        allAddresses: hdWallet.getAllAddresses()
+      }));
+
+      if (walletState.currentWallet?.id) {
+        const saved = await setActiveAccount(walletState.currentWallet.id, accountIndex);
+        if (!saved.success) {
+          console.warn('Could not remember the active account:', saved.error);
+        }
+      }
+      return true;
+    } catch (error) {
+      console.error('Account switch error:', error);
+      addNotification('Failed to open account: ' + error.message, 'error');
+      return false;
+    }
+  };
+
   // Handle caching UTXOs from WalletDashboard
   const handleCacheUTXOs = (utxoData) => {
     setCachedUTXOs(utxoData);
+    // Imported UTXO files may belong to another device's view of the wallet - only scans feed the history
+    if (utxoData && !utxoData.imported) {
+      importIncomingHistory(utxoData.utxos);
+    }
   };
 
   // Clear cached UTXOs
@@ -720,6 +958,7 @@ export function WalletApp() {
       network: walletState.network,
       onNetworkChange: (network) => setWalletState(prev => ({ ...prev, network })),
       onNavigate: navigateToView,
+      onImportBundle: handleImportBundle,
       showNetworkSelector: false
     }),
 
@@ -781,6 +1020,8 @@ export function WalletApp() {
 
       // Wallet Dashboard
       currentView === 'wallet-dashboard' && React.createElement(WalletDashboard, {
+        // A different account gets a fresh dashboard (balance, scans and discovery)
+        key: `account-${walletState.accountIndex || 0}`,
         walletState,
         onNavigate: navigateToView,
         addNotification,
@@ -790,7 +1031,9 @@ export function WalletApp() {
         onEnsureCleanReceiveAddress: ensureCleanReceiveAddress,
         cachedUTXOs,
         onCacheUTXOs: handleCacheUTXOs,
-        onClearCachedUTXOs: clearCachedUTXOs
+        onClearCachedUTXOs: clearCachedUTXOs,
+        onSwitchAccount: switchAccount,
+        navigationData
       }),
 
       // Transaction Manager
@@ -806,11 +1049,28 @@ export function WalletApp() {
         navigationData
       }),
 
+      // Transaction History
+      currentView === 'transaction-history' && React.createElement(TransactionHistory, {
+        walletState,
+        onNavigate: navigateToView,
+        addNotification
+      }),
+
       // Message Signing
       currentView === 'message-signing' && React.createElement(MessageSigning, {
         walletState,
         onNavigate: navigateToView,
-        addNotification
+        addNotification,
+        navigationData
+      }),
+
+      // Partially Signed Transactions
+      currentView === 'pskt' && React.createElement(PsktWorkflow, {
+        walletState,
+        onNavigate: navigateToView,
+        addNotification,
+        cachedUTXOs,
+        navigationData
       }),
 
       // Script Builder
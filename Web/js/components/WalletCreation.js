@@ -1,3 +1,5 @@
+import { ShamirBackup } from './ShamirBackup.js';
+
 const { useState, useEffect } = React;
 
 export function WalletCreation({ onNavigate, onWalletCreated, addNotification, network = 'mainnet' }) {
@@ -12,8 +14,13 @@ export function WalletCreation({ onNavigate, onWalletCreated, addNotification, n
   const [isSaving, setIsSaving] = useState(false);
   const [mnemonicRevealed, setMnemonicRevealed] = useState(false);
   const [mnemonicConfirmed, setMnemonicConfirmed] = useState(false);
+  const [backupMethod, setBackupMethod] = useState('words'); // 'words' or 'shamir'
   const [securityAcknowledged, setSecurityAcknowledged] = useState(false);
   const [selectedNetwork, setSelectedNetwork] = useState(network);
+  const [usePassphrase, setUsePassphrase] = useState(false);
+  const [passphrase, setPassphrase] = useState(''); // Optional BIP39 passphrase ("25th word")
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [showPassphrase, setShowPassphrase] = useState(false);
 
 
 
@@ -22,16 +29,27 @@ export function WalletCreation({ onNavigate, onWalletCreated, addNotification, n
     setSelectedNetwork(network);
   }, [network]);
 
+  const isPassphraseValid = () => {
+    return !usePassphrase || (passphrase.length > 0 && passphrase === confirmPassphrase);
+  };
+
   const generateNewWallet = async () => {
+    if (!isPassphraseValid()) {
+      addNotification(passphrase ? 'Passphrases do not match' : 'Enter a passphrase or turn the passphrase option off', 'warning');
+      return;
+    }
+
     setIsGenerating(true);
     
     try {
       const { generateWallet } = await import('../../kaspa/js/wallet-generator.js');
       
-      const generatedWallet = generateWallet(selectedNetwork);
+      // The passphrase salts the seed, so it has to be known before the first address is derived
+      const generatedWallet = generateWallet(selectedNetwork, undefined, usePassphrase ? passphrase : null);
       
       setWalletData({
         ...generatedWallet,
+        passphraseRequired: usePassphrase,
         address: generatedWallet.publicAddress,
         network: generatedWallet.networkType,
         xpub: generatedWallet.xpub,
@@ -67,6 +85,7 @@ export function WalletCreation({ onNavigate, onWalletCreated, addNotification, n
         address: walletData.address,
         network: walletData.network,
         mnemonic: walletData.mnemonic,
+        passphraseRequired: walletData.passphraseRequired,
         derivationPath: walletData.derivationPath,
         xpub: walletData.xpub,
         accountPath: walletData.accountPath
@@ -86,6 +105,8 @@ export function WalletCreation({ onNavigate, onWalletCreated, addNotification, n
         network: walletData.network,
         privateKey: walletData.privateKey,
         mnemonic: walletData.mnemonic,
+        passphrase: walletData.passphraseRequired ? passphrase : null,
+        passphraseRequired: walletData.passphraseRequired,
         derivationPath: walletData.derivationPath,
         xpub: walletData.xpub,
         accountPath: walletData.accountPath,
@@ -123,7 +144,7 @@ export function WalletCreation({ onNavigate, onWalletCreated, addNotification, n
     }
     
     if (!mnemonicConfirmed) {
-      addNotification('Please confirm you have backed up your mnemonic phrase', 'warning');
+      addNotification(backupMethod === 'shamir' ? 'Please verify your recovery shares' : 'Please confirm you have backed up your mnemonic phrase', 'warning');
       return false;
     }
     
@@ -213,6 +234,54 @@ export function WalletCreation({ onNavigate, onWalletCreated, addNotification, n
                 )
               ),
               
+              // Optional BIP39 passphrase
+              React.createElement('div', { className: 'mb-4' },
+                React.createElement('div', { className: 'form-check form-switch' },
+                  React.createElement('input', {
+                    className: 'form-check-input',
+                    type: 'checkbox',
+                    id: 'usePassphrase',
+                    checked: usePassphrase,
+                    onChange: (e) => setUsePassphrase(e.target.checked)
+                  }),
+                  React.createElement('label', {
+                    className: 'form-check-label fw-bold',
+                    htmlFor: 'usePassphrase',
+                    style: { cursor: 'pointer' }
+                  }, 'Protect the recovery phrase with a BIP39 passphrase (advanced)')
+                ),
+                usePassphrase && React.createElement('div', { className: 'mt-2' },
+                  React.createElement('div', { className: 'input-group mb-2' },
+                    React.createElement('input', {
+                      type: showPassphrase ? 'text' : 'password',
+                      className: 'form-control',
+                      value: passphrase,
+                      onChange: (e) => setPassphrase(e.target.value),
+                      placeholder: 'Passphrase',
+                      autoComplete: 'off'
+                    }),
+                    React.createElement('button', {
+                      className: 'btn btn-outline-secondary',
+                      type: 'button',
+                      onClick: () => setShowPassphrase(!showPassphrase)
+                    },
+                      React.createElement('i', { className: showPassphrase ? 'bi bi-eye-slash' : 'bi bi-eye' })
+                    )
+                  ),
+                  React.createElement('input', {
+                    type: showPassphrase ? 'text' : 'password',
+                    className: `form-control ${confirmPassphrase && passphrase !== confirmPassphrase ? 'is-invalid' : ''}`,
+                    value: confirmPassphrase,
+                    onChange: (e) => setConfirmPassphrase(e.target.value),
+                    placeholder: 'Confirm passphrase',
+                    autoComplete: 'off'
+                  }),
+                  React.createElement('div', { className: 'form-text text-warning' },
+                    'The passphrase is never stored. You will enter it at every login, and you need both the recovery phrase and the passphrase to restore this wallet. A different passphrase opens a different, empty wallet.'
+                  )
+                )
+              ),
+              
               React.createElement('div', { className: 'form-check mb-4' },
                 React.createElement('input', {
                   className: 'form-check-input',
@@ -232,9 +301,9 @@ export function WalletCreation({ onNavigate, onWalletCreated, addNotification, n
               
               React.createElement('div', { className: 'd-grid gap-2' },
                 React.createElement('button', {
-                  className: `btn btn-primary btn-lg ${!securityAcknowledged || isGenerating ? 'disabled' : ''}`,
+                  className: `btn btn-primary btn-lg ${!securityAcknowledged || isGenerating || !isPassphraseValid() ? 'disabled' : ''}`,
                   onClick: generateNewWallet,
-                  disabled: !securityAcknowledged || isGenerating
+                  disabled: !securityAcknowledged || isGenerating || !isPassphraseValid()
                 },
                   isGenerating ? 
                     React.createElement('span', null,
@@ -268,6 +337,10 @@ export function WalletCreation({ onNavigate, onWalletCreated, addNotification, n
                   React.createElement('p', { className: 'mb-2' },
                     React.createElement('strong', null, 'CRITICAL: '),
                     'Write down these 24 words in order and store them safely. This is the only way to recover your wallet.'
+                  ),
+                  walletData.passphraseRequired && React.createElement('p', { className: 'mb-0' },
+                    React.createElement('strong', null, 'Passphrase: '),
+                    'this wallet also needs the BIP39 passphrase you chose. Keep it separately from the recovery phrase.'
                   )
                 ),
                 
@@ -290,22 +363,44 @@ export function WalletCreation({ onNavigate, onWalletCreated, addNotification, n
                       style: { fontFamily: 'monospace', fontSize: '16px', lineHeight: '1.6' }
                     }, walletData.mnemonic),
                     
-                    React.createElement('div', { className: 'form-check mt-3' },
-                      React.createElement('input', {
-                        className: 'form-check-input',
-                        type: 'checkbox',
-                        id: 'mnemonicConfirmed',
-                        checked: mnemonicConfirmed,
-                        onChange: (e) => setMnemonicConfirmed(e.target.checked)
-                      }),
-                      React.createElement('label', { 
-                        className: 'form-check-label',
-                        htmlFor: 'mnemonicConfirmed',
-                        style: { cursor: 'pointer' }
-                      },
-                        'I have safely written down my recovery phrase'
+                    // Backup method: the words themselves, or M-of-N shares that must be verified before saving
+                    React.createElement('div', { className: 'btn-group btn-group-sm mt-3', role: 'group' },
+                      React.createElement('button', {
+                        type: 'button',
+                        className: `btn ${backupMethod === 'words' ? 'btn-secondary' : 'btn-outline-secondary'}`,
+                        onClick: () => { setBackupMethod('words'); setMnemonicConfirmed(false); }
+                      }, 'Write Down Words'),
+                      React.createElement('button', {
+                        type: 'button',
+                        className: `btn ${backupMethod === 'shamir' ? 'btn-secondary' : 'btn-outline-secondary'}`,
+                        onClick: () => { setBackupMethod('shamir'); setMnemonicConfirmed(false); }
+                      }, 'Split Into Shares')
+                    ),
+
+                    backupMethod === 'words' ?
+                      React.createElement('div', { className: 'form-check mt-3' },
+                        React.createElement('input', {
+                          className: 'form-check-input',
+                          type: 'checkbox',
+                          id: 'mnemonicConfirmed',
+                          checked: mnemonicConfirmed,
+                          onChange: (e) => setMnemonicConfirmed(e.target.checked)
+                        }),
+                        React.createElement('label', { 
+                          className: 'form-check-label',
+                          htmlFor: 'mnemonicConfirmed',
+                          style: { cursor: 'pointer' }
+                        },
+                          'I have safely written down my recovery phrase'
+                        )
+                      ) :
+                      React.createElement('div', { className: 'mt-3' },
+                        React.createElement(ShamirBackup, {
+                          mnemonic: walletData.mnemonic,
+                          addNotification,
+                          onVerified: () => setMnemonicConfirmed(true)
+                        })
                       )
-                    )
                   )
               ),
               
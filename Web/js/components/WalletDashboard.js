@@ -1,10 +1,16 @@
 // Preload wallet manager for offline functionality
 import { getHDWallet, getSingleWallet } from '../../kaspa/js/wallet-manager.js';
 import { LoadingMessageManager } from '../utils/loading-messages.js';
+import { describeIntegrity } from '../../kaspa/js/payload-integrity.js';
+import { createTransferBundle, readTransferBundle, downloadTransferBundle, getWalletFingerprint, getBundleKindLabel, BUNDLE_EXTENSION } from '../../kaspa/js/transfer-bundle.js';
+import { getSnapshotDaaScore, createUtxoSnapshot, verifyUtxoSnapshot } from '../../kaspa/js/utxo-snapshot.js';
+import { createPaymentUri } from '../../kaspa/js/payment-uri.js';
+import { createPaymentRequest, matchPaymentRequests, deletePaymentRequest, getPaymentRequests, PAYMENT_REQUEST_EXPIRIES } from '../../kaspa/js/payment-requests.js';
+import { WalletAccounts } from './WalletAccounts.js';
 
 const { useState, useEffect } = React;
 
-export function WalletDashboard({ walletState, onNavigate, addNotification, onGenerateNewAddress, onUpdateBalance, onMarkAddressUsed, onEnsureCleanReceiveAddress, cachedUTXOs, onCacheUTXOs, onClearCachedUTXOs }) {
+export function WalletDashboard({ walletState, onNavigate, addNotification, onGenerateNewAddress, onUpdateBalance, onMarkAddressUsed, onEnsureCleanReceiveAddress, cachedUTXOs, onCacheUTXOs, onClearCachedUTXOs, onSwitchAccount, navigationData }) {
   const [balance, setBalance] = useState(null);
   const [lastBalanceCheck, setLastBalanceCheck] = useState(null);
   const [addressQRCode, setAddressQRCode] = useState(null);
@@ -13,6 +19,8 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
   const [xpubQRCode, setXpubQRCode] = useState(null);
   const [xpubString, setXpubString] = useState(null);
   const [qrMode, setQrMode] = useState('address');
+  const [paymentRequestForm, setPaymentRequestForm] = useState({ amount: '', label: '', message: '' });
+  const [paymentUri, setPaymentUri] = useState(null);
   const [utxoQRCodes, setUtxoQRCodes] = useState(null);
   const [showUTXOQR, setShowUTXOQR] = useState(false);
   const [showUTXOImport, setShowUTXOImport] = useState(false);
@@ -46,6 +54,12 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
   const [lastScanResult, setLastScanResult] = useState(null);
   const [currentScanBatch, setCurrentScanBatch] = useState(0);
   const [lastScannedXpubData, setLastScannedXpubData] = useState(null);
+  const [paymentRequests, setPaymentRequests] = useState([]);
+  const [showInvoiceForm, setShowInvoiceForm] = useState(false);
+  const [invoiceForm, setInvoiceForm] = useState({ amount: '', description: '', expiry: '24h' });
+  const [isIssuingRequest, setIsIssuingRequest] = useState(false);
+  const [isCheckingRequests, setIsCheckingRequests] = useState(false);
+  const [requestQR, setRequestQR] = useState(null); // { request, qrDataURL } shown in the request QR modal
 
   // Function to check balance
   const checkBalance = async () => {
@@ -66,7 +80,8 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
           const hdWallet = getHDWallet(
             walletState.mnemonic,
             walletState.network,
-            walletState.derivationPath || "m/44'/111111'/0'"
+            walletState.derivationPath || "m/44'/111111'/0'",
+            walletState.currentWallet?.passphrase
           );
           await hdWallet.initialize();
 
@@ -150,14 +165,20 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
     // Removed balance refresh notification - user doesn't need to see this
 
     try {
-      // Use the unified wallet manager with mnemonic-based scanning (NOT xpub)
-      const unifiedWallet = getHDWallet(
-        walletState.hdWallet.mnemonic,
-        walletState.network,
-        walletState.hdWallet.derivationPath
-      );
+      // Use the unified wallet manager with mnemonic-based scanning (NOT xpub); watch-only wallets
+      // have no mnemonic and discover through their own (already initialized) manager
+      let unifiedWallet = walletState.hdWallet;
+      if (!walletState.isWatchOnly) {
+        unifiedWallet = getHDWallet(
+          walletState.hdWallet.mnemonic,
+          walletState.network,
+          walletState.hdWallet.derivationPath,
+          walletState.hdWallet.passphrase,
+          walletState.hdWallet.extendedKey
+        );
 
-      await unifiedWallet.initialize();
+        await unifiedWallet.initialize();
+      }
 
       // Use optimized mnemonic-based balance checking
       const balanceResult = await unifiedWallet.checkHDWalletBalance();
@@ -384,6 +405,7 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
 
       if (qrResult.success) {
         setAddressQRCode(qrResult.qrDataURL);
+        setPaymentUri(null);
         setQrMode('address');
         setShowAddressQR(true);
       } else {
@@ -395,6 +417,44 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
     }
   };
 
+  // Turn the receive QR into a payment request URI with amount, label and message
+  const handleCreatePaymentRequest = async () => {
+    const request = createPaymentUri({ address: walletState.address, ...paymentRequestForm });
+    if (!request.success) {
+      addNotification('Invalid payment request: ' + request.error, 'error');
+      return;
+    }
+
+    try {
+      const { generateQRCode } = await import('../../kaspa/js/qr-manager.js');
+
+      const qrResult = await generateQRCode(request.uri, {
+        width: 300,
+        height: 300,
+        margin: 2
+      });
+
+      if (qrResult.success) {
+        setAddressQRCode(qrResult.qrDataURL);
+        setPaymentUri(request.uri === walletState.address ? null : request.uri);
+      } else {
+        addNotification('Failed to generate QR code: ' + qrResult.error, 'error');
+      }
+    } catch (error) {
+      console.error('Payment request QR generation error:', error);
+      addNotification('Failed to generate QR code: ' + error.message, 'error');
+    }
+  };
+
+  const copyPaymentUri = async () => {
+    try {
+      await navigator.clipboard.writeText(paymentUri);
+      addNotification('Payment request copied to clipboard', 'success');
+    } catch (error) {
+      addNotification('Failed to copy payment request: ' + error.message, 'error');
+    }
+  };
+
   // Generate and show QR code for extended public key
   const showXpubQRCode = async () => {
     if (!walletState.isHDWallet || !walletState.hdWallet) {
@@ -441,7 +501,7 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
 
       const { generateQRCode } = await import('../../kaspa/js/qr-manager.js');
       
-      const qrResult = await generateQRCode(JSON.stringify(xpubData), {
+      const qrResult = await generateQRCode(xpubData, {
         width: 300,
         height: 300,
         margin: 2
@@ -468,6 +528,10 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
     }
 
     try {
+      if (walletState.isWatchOnly) {
+        return await walletState.hdWallet.getXPub();
+      }
+
       const { addressScanner } = await import('../../kaspa/js/address-scanner.js');
       
       const xpub = await addressScanner.generateXpubFromHDWallet(walletState.hdWallet);
@@ -496,6 +560,8 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
     setXpubQRCode(null);
     setXpubString(null);
     setQrMode('address');
+    setPaymentRequestForm({ amount: '', label: '', message: '' });
+    setPaymentUri(null);
   };
 
   const handleDownloadAddressQR = async () => {
@@ -514,7 +580,7 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
       const date = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
       const filename = qrMode === 'xpub' ? 
         `kaspa_xpub_qr_${date}.png` : 
-        `kaspa_address_qr_${date}.png`;
+        paymentUri ? `kaspa_payment_request_qr_${date}.png` : `kaspa_address_qr_${date}.png`;
       
       // Download the QR code
       downloadQRImage(currentQRCode, filename);
@@ -526,6 +592,203 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
     }
   };
 
+  const walletId = walletState.currentWallet?.id;
+
+  const loadPaymentRequests = async () => {
+    setPaymentRequests(await getPaymentRequests(walletId));
+  };
+
+  // Record UTXOs at reserved addresses against their requests and announce the ones that became paid
+  const applyPaymentMatches = async (utxos) => {
+    const result = await matchPaymentRequests(walletId, utxos);
+    if (!result.success) {
+      console.warn('Failed to match payment requests:', result.error);
+      return;
+    }
+    result.paid.forEach(request => {
+      addNotification(`Payment request paid: ${request.amount} KAS${request.description ? ` for ${request.description}` : ''}`, 'success');
+    });
+    if (result.updated > 0) {
+      await loadPaymentRequests();
+    }
+  };
+
+  // Reserved addresses must never be handed out again, also after a reload restored fewer addresses
+  const ensureReservedAddresses = async (requests) => {
+    const hdWallet = walletState.hdWallet;
+    if (!walletState.isHDWallet || !hdWallet) {
+      return;
+    }
+    // Only the open account's requests; other accounts restore theirs when they are opened
+    const reserved = requests.filter(request => request.addressIndex !== null && request.addressIndex !== undefined &&
+      (!request.derivationPath || request.derivationPath.startsWith(`${hdWallet.derivationPath}/`)));
+    if (reserved.length === 0) {
+      return;
+    }
+
+    const highestIndex = Math.max(...reserved.map(request => request.addressIndex));
+    if (hdWallet.currentReceiveIndex > highestIndex) {
+      return;
+    }
+
+    while (hdWallet.currentReceiveIndex <= highestIndex) {
+      await hdWallet.generateNextReceiveAddress();
+    }
+    reserved.forEach(request => hdWallet.markAddressAsUsed(request.address));
+    await onMarkAddressUsed(reserved[reserved.length - 1].address);
+  };
+
+  useEffect(() => {
+    if (!walletId) {
+      setPaymentRequests([]);
+      return;
+    }
+    getPaymentRequests(walletId).then(requests => {
+      setPaymentRequests(requests);
+      ensureReservedAddresses(requests).catch(error => console.error('Failed to restore reserved addresses:', error));
+    });
+  }, [walletId, walletState.hdWallet]);
+
+  // UTXOs seen by live updates, balance checks and UTXO fetches settle the requests on their addresses
+  useEffect(() => {
+    if (!walletId || paymentRequests.length === 0) {
+      return;
+    }
+    const utxos = [
+      ...((cachedUTXOs && cachedUTXOs.utxos) || []),
+      ...(walletState.allAddresses || []).flatMap(addressInfo => addressInfo.utxos || [])
+    ];
+    if (utxos.length > 0) {
+      applyPaymentMatches(utxos);
+    }
+  }, [walletState.allAddresses, cachedUTXOs, paymentRequests.length]);
+
+  // Issue a payment request on a freshly derived receive address reserved for it
+  const handleIssuePaymentRequest = async () => {
+    if (!walletState.isHDWallet || !walletState.hdWallet) {
+      addNotification('Payment requests need an HD wallet so each request gets its own address', 'error');
+      return;
+    }
+    if (!walletId) {
+      addNotification('Payment requests need a saved wallet', 'error');
+      return;
+    }
+
+    const amountCheck = createPaymentUri({ address: walletState.address, amount: invoiceForm.amount });
+    if (!invoiceForm.amount.trim() || !amountCheck.success) {
+      addNotification(amountCheck.error || 'Amount is required', 'error');
+      return;
+    }
+
+    setIsIssuingRequest(true);
+    try {
+      const reserved = await walletState.hdWallet.generateNextReceiveAddress();
+      const expiry = PAYMENT_REQUEST_EXPIRIES.find(option => option.id === invoiceForm.expiry);
+
+      const result = await createPaymentRequest(walletId, {
+        address: reserved.address,
+        addressIndex: reserved.index,
+        derivationPath: reserved.derivationPath,
+        amount: invoiceForm.amount,
+        description: invoiceForm.description,
+        expiresIn: expiry ? expiry.duration : null,
+        networkType: walletState.network
+      });
+
+      // Taken out of rotation either way: an address that may have been shown should not be reused
+      await onMarkAddressUsed(reserved.address);
+
+      if (!result.success) {
+        addNotification('Failed to create payment request: ' + result.error, 'error');
+        return;
+      }
+
+      setInvoiceForm({ amount: '', description: '', expiry: invoiceForm.expiry });
+      setShowInvoiceForm(false);
+      await loadPaymentRequests();
+      await handleShowRequestQR(result.request);
+      addNotification(`Payment request for ${result.request.amount} KAS created`, 'success');
+    } catch (error) {
+      console.error('Payment request creation error:', error);
+      addNotification('Failed to create payment request: ' + error.message, 'error');
+    } finally {
+      setIsIssuingRequest(false);
+    }
+  };
+
+  // Look up the UTXOs of addresses with unpaid requests on the network
+  const handleCheckPaymentRequests = async () => {
+    const addresses = paymentRequests
+      .filter(request => request.status === 'open' || request.status === 'partially_paid')
+      .map(request => request.address);
+    if (addresses.length === 0) {
+      addNotification('No open payment requests to check', 'info');
+      return;
+    }
+
+    setIsCheckingRequests(true);
+    try {
+      const result = await walletState.hdWallet.fetchUTXOsForAddresses(addresses);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      await applyPaymentMatches(result.utxos);
+      await loadPaymentRequests();
+    } catch (error) {
+      console.error('Payment request check error:', error);
+      addNotification('Failed to check payments: ' + error.message, 'error');
+    } finally {
+      setIsCheckingRequests(false);
+    }
+  };
+
+  const handleShowRequestQR = async (request) => {
+    try {
+      const { generateQRCode } = await import('../../kaspa/js/qr-manager.js');
+      const qrResult = await generateQRCode(request.uri, { width: 300, height: 300, margin: 2 });
+      if (qrResult.success) {
+        setRequestQR({ request, qrDataURL: qrResult.qrDataURL });
+      } else {
+        addNotification('Failed to generate QR code: ' + qrResult.error, 'error');
+      }
+    } catch (error) {
+      console.error('Payment request QR generation error:', error);
+      addNotification('Failed to generate QR code: ' + error.message, 'error');
+    }
+  };
+
+  const handleCopyRequestUri = async (request) => {
+    try {
+      await navigator.clipboard.writeText(request.uri);
+      addNotification('Payment request copied to clipboard', 'success');
+    } catch (error) {
+      addNotification('Failed to copy payment request: ' + error.message, 'error');
+    }
+  };
+
+  const handleDeletePaymentRequest = async (request) => {
+    if (!confirm(`Delete the payment request for ${request.amount} KAS?`)) {
+      return;
+    }
+    const result = await deletePaymentRequest(walletId, request.id);
+    if (result.success) {
+      await loadPaymentRequests();
+    } else {
+      addNotification('Failed to delete payment request: ' + result.error, 'error');
+    }
+  };
+
+  const getRequestStatusBadge = (status) => {
+    const badges = {
+      'open': { className: 'bg-primary', label: 'Open' },
+      'partially_paid': { className: 'bg-warning text-dark', label: 'Partially paid' },
+      'paid': { className: 'bg-success', label: 'Paid' },
+      'expired': { className: 'bg-secondary', label: 'Expired' }
+    };
+    const badge = badges[status] || { className: 'bg-secondary', label: status };
+    return React.createElement('span', { className: `badge ${badge.className}` }, badge.label);
+  };
+
   // Fetch UTXOs and generate QR codes
   const fetchUTXOsForQR = async (customAddress = null) => {
     if (!walletState.address && !customAddress) {
@@ -582,6 +845,7 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
           addresses: allAddresses,
           networkType: walletState.network,
           timestamp: Date.now(),
+          daaScore: await getSnapshotDaaScore(walletState.network),
           count: 0
         };
         onCacheUTXOs(emptyUtxoData);
@@ -603,7 +867,9 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
         addresses: allAddresses,
         networkType: walletState.network,
         timestamp: Date.now(),
-        count: utxoResult.count || utxoResult.utxos.length
+        daaScore: await getSnapshotDaaScore(walletState.network),
+        count: utxoResult.count || utxoResult.utxos.length,
+        feeEstimate: await fetchFeeEstimateSnapshot()
       };
       
       onCacheUTXOs(utxoData);
@@ -671,6 +937,18 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
     return obj;
   };
 
+  // Snapshot the node's fee estimate so offline transactions built from these UTXOs use current rates
+  const fetchFeeEstimateSnapshot = async () => {
+    try {
+      const { getNetworkFeeRate } = await import('../../kaspa/js/fee-calculator.js');
+      const estimate = await getNetworkFeeRate(walletState.network);
+      return estimate.source === 'network' ? estimate : null;
+    } catch (error) {
+      console.warn('Could not fetch fee estimate for UTXO snapshot:', error);
+      return null;
+    }
+  };
+
   // Generate QR codes for UTXO data
   const generateUTXOQRCodes = async (utxoData) => {
 
@@ -710,26 +988,24 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
         }
       }
 
-      // Create UTXO QR data structure with properly serialized UTXOs
-      const qrData = {
-        type: 'kaspa-utxo-data',
-        version: '1.0',
+      // Build the snapshot from properly serialized UTXOs; BigInt values become strings before the digest is taken
+      const { snapshot, signed } = await createUtxoSnapshot(convertBigIntToString({
         addresses: utxoData.addresses,
         utxos: serializedUtxos,
         networkType: utxoData.networkType,
         timestamp: utxoData.timestamp,
-        count: serializedUtxos.length,
-        dataId: `utxo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-      };
-
-      // Convert BigInt values to strings for JSON serialization
-      const serializedQrData = convertBigIntToString(qrData);
+        daaScore: utxoData.daaScore,
+        feeEstimate: utxoData.feeEstimate || null
+      }));
       
       // Generate multi-part QR codes (UTXOs can be large) - use 'utxo-data' as baseType
-      const qrResult = await generateMultiPartQR(serializedQrData, 'utxo-data');
+      const qrResult = await generateMultiPartQR(snapshot, 'utxo-data');
       
       if (qrResult.success) {
         setUtxoQRCodes(qrResult);
+        if (!signed) {
+          addNotification('UTXO snapshot is unsigned - pair this device with the offline signer in Settings so it can verify the snapshot', 'info');
+        }
       } else {
         console.error('❌ Failed to generate UTXO QR codes:', qrResult.error);
         addNotification('Failed to generate UTXO QR codes: ' + qrResult.error, 'error');
@@ -935,7 +1211,7 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
       setShowUTXOImport(false);
       
       // Open camera scanner with callback
-      await openCameraQRScanner(handleUTXOImport);
+      await openCameraQRScanner((qrResult) => handleUTXOImport(qrResult.qrData, qrResult));
       
     } catch (error) {
       console.error('Error opening UTXO scanner:', error);
@@ -1095,6 +1371,7 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
           addresses: addresses,
           networkType: walletState.network,
           timestamp: Date.now(),
+          daaScore: await getSnapshotDaaScore(walletState.network),
           count: 0
         };
 
@@ -1122,7 +1399,9 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
         addresses: addresses,
         networkType: walletState.network,
         timestamp: Date.now(),
-        count: utxoResult.count || utxoResult.utxos.length
+        daaScore: await getSnapshotDaaScore(walletState.network),
+        count: utxoResult.count || utxoResult.utxos.length,
+        feeEstimate: await fetchFeeEstimateSnapshot()
       };
       
       onCacheUTXOs(utxoData);
@@ -1225,8 +1504,11 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
         
         const qrResult = await readMultiPartQRFromImages(files);
         
-        if (qrResult.success && qrResult.qrData) {
-          await handleUTXOImport(qrResult.qrData);
+        if (!qrResult.success) {
+          throw new Error(qrResult.error);
+        }
+        if (qrResult.qrData) {
+          await handleUTXOImport(qrResult.qrData, qrResult);
           setShowUTXOImport(false);
           return;
         }
@@ -1261,8 +1543,9 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
     event.target.value = '';
   };
 
-    // Handle UTXO QR scan result
-  const handleUTXOImport = async (qrData) => {
+    // Handle UTXO QR scan result; integrity is the scan result carrying the payload fingerprint, if any
+  const handleUTXOImport = async (qrData, integrity = null) => {
+    const integrityText = integrity && (integrity.fingerprint || integrity.legacy) ? ` - ${describeIntegrity(integrity)}` : '';
     try {
       // Validate the QR data
       if (!qrData || typeof qrData !== 'object') {
@@ -1277,6 +1560,12 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
         throw new Error('Invalid UTXO data structure');
       }
       
+      // Check the snapshot digest and signature before anything is converted
+      const snapshotVerification = await verifyUtxoSnapshot(qrData);
+      if (!snapshotVerification.valid) {
+        throw new Error(snapshotVerification.error);
+      }
+      
       // Convert string values back to BigInt where needed (UTXO-specific fields)
       const processedQrData = convertStringToBigInt(qrData, ['amount', 'fee', 'value', 'satoshis', 'balance', 'blockDaaScore']);
       
@@ -1287,6 +1576,10 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
         networkType: processedQrData.networkType || walletState.network,
         timestamp: processedQrData.timestamp || Date.now(),
         count: processedQrData.count || processedQrData.utxos.length,
+        feeEstimate: processedQrData.feeEstimate || null,
+        daaScore: processedQrData.daaScore || null,
+        outpoints: processedQrData.outpoints,
+        snapshot: snapshotVerification.snapshot,
         imported: true
       };
       
@@ -1331,13 +1624,13 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
             sompi: balanceResult.totalBalanceSompi
           });
           setLastBalanceCheck(new Date());
-          addNotification(`Successfully imported ${utxoData.count} UTXOs`, 'success');
+          addNotification(`Successfully imported ${utxoData.count} UTXOs${integrityText}`, integrity && integrity.legacy ? 'warning' : 'success');
         } else {
-          addNotification(`Successfully imported ${utxoData.count} UTXOs`, 'success');
+          addNotification(`Successfully imported ${utxoData.count} UTXOs${integrityText}`, integrity && integrity.legacy ? 'warning' : 'success');
         }
       } catch (balanceError) {
         console.error('Error calculating balance from imported UTXOs:', balanceError);
-        addNotification(`Successfully imported ${utxoData.count} UTXOs from QR code`, 'success');
+        addNotification(`Successfully imported ${utxoData.count} UTXOs from QR code${integrityText}`, integrity && integrity.legacy ? 'warning' : 'success');
       }
       
     } catch (error) {
@@ -1356,49 +1649,37 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
     setShowUTXOImport(false);
   };
 
-  // Download UTXOs as JSON file
-  const downloadUTXOsAsJSON = () => {
+  // Download UTXOs as a .kaskold bundle
+  const downloadUTXOsAsJSON = async () => {
     if (!cachedUTXOs || !cachedUTXOs.utxos) {
       addNotification('No UTXOs available to download', 'error');
       return;
     }
 
     try {
-      // Create downloadable data structure
-      const downloadData = {
-        type: 'kaspa-utxo-data',
-        version: '1.0',
+      // Create downloadable snapshot; BigInt values become strings before the digest is taken
+      const { snapshot } = await createUtxoSnapshot(convertBigIntToString({
         addresses: cachedUTXOs.addresses,
         utxos: cachedUTXOs.utxos,
         networkType: cachedUTXOs.networkType,
         timestamp: cachedUTXOs.timestamp,
-        count: cachedUTXOs.count,
-        exported: true,
-        exportTimestamp: Date.now()
-      };
-
-      // Convert BigInt values to strings for JSON serialization
-      const serializedData = convertBigIntToString(downloadData);
-      
-      // Create JSON string
-      const jsonString = JSON.stringify(serializedData, null, 2);
-      
-      // Create blob and download
-      const blob = new Blob([jsonString], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `kaspa-utxos-${cachedUTXOs.networkType}-${new Date().toISOString().split('T')[0]}.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+        daaScore: cachedUTXOs.daaScore,
+        feeEstimate: cachedUTXOs.feeEstimate || null
+      }));
+      const bundle = await createTransferBundle(snapshot, {
+        kind: 'utxo-snapshot',
+        networkType: snapshot.networkType,
+        walletFingerprint: await getWalletFingerprint(walletState)
+      });
+      if (!bundle.success) {
+        throw new Error(bundle.error);
+      }
       
-      addNotification(`Downloaded ${cachedUTXOs.count} UTXOs as JSON file`, 'success');
+      downloadTransferBundle(bundle);
+      addNotification(`Downloaded ${cachedUTXOs.count} UTXOs as a bundle (${describeIntegrity(bundle)})`, 'success');
       
     } catch (error) {
-      console.error('Error downloading UTXOs as JSON:', error);
+      console.error('Error downloading UTXO bundle:', error);
       addNotification('Error downloading UTXOs: ' + error.message, 'error');
     }
   };
@@ -1411,65 +1692,19 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
     try {
       const file = files[0];
       
-      // Check if it's a JSON file
-      if (!file.name.toLowerCase().endsWith('.json')) {
-        throw new Error('Please select a JSON file');
+      // Check if it's a bundle or JSON file
+      const fileName = file.name.toLowerCase();
+      if (!fileName.endsWith('.json') && !fileName.endsWith(BUNDLE_EXTENSION)) {
+        throw new Error(`Please select a ${BUNDLE_EXTENSION} bundle or JSON file`);
       }
       
-      // Read file content
+      // Read file content; encrypted files are decrypted before the digest is checked
       const text = await file.text();
-      const jsonData = JSON.parse(text);
-      
-      // Validate the JSON structure
-      if (!jsonData || typeof jsonData !== 'object') {
-        throw new Error('Invalid JSON file format');
-      }
-      
-      if (jsonData.type !== 'kaspa-utxo-data') {
-        throw new Error('JSON file is not UTXO data. Expected kaspa-utxo-data, got: ' + jsonData.type);
-      }
-      
-      if (!jsonData.utxos || !Array.isArray(jsonData.utxos)) {
-        throw new Error('Invalid UTXO data structure in JSON file');
-      }
-      
-      // Convert string values back to BigInt where needed
-      const processedData = convertStringToBigInt(jsonData, ['amount', 'fee', 'value', 'satoshis', 'balance', 'blockDaaScore']);
-      
-      // Cache the imported UTXOs
-      const utxoData = {
-        utxos: processedData.utxos,
-        addresses: processedData.addresses || [walletState.address],
-        networkType: processedData.networkType || walletState.network,
-        timestamp: processedData.timestamp || Date.now(),
-        count: processedData.count || processedData.utxos.length,
-        imported: true,
-        importedFromJSON: true
-      };
-      
-      onCacheUTXOs(utxoData);
-      setLastUTXOFetch(new Date(utxoData.timestamp));
-      setShowUTXOImport(false);
-
-      // Calculate and update balance from imported UTXOs
-      try {
-        const { calculateBalanceFromUTXOs } = await import('../../kaspa/js/balance-manager.js');
-        const balanceResult = calculateBalanceFromUTXOs(utxoData.utxos);
-
-        if (balanceResult.success) {
-          setBalance({
-            kas: balanceResult.totalBalanceKas,
-            sompi: balanceResult.totalBalanceSompi
-          });
-          setLastBalanceCheck(new Date());
-          addNotification(`Successfully imported ${utxoData.count} UTXOs. Balance: ${balanceResult.totalBalanceKas} KAS`, 'success');
-        } else {
-          addNotification(`Successfully imported ${utxoData.count} UTXOs from JSON file`, 'success');
-        }
-      } catch (balanceError) {
-        console.error('Error calculating balance from imported UTXOs:', balanceError);
-        addNotification(`Successfully imported ${utxoData.count} UTXOs from JSON file`, 'success');
+      const verification = await readTransferBundle(text);
+      if (!verification.valid) {
+        throw new Error(verification.error);
       }
+      await importUTXOTransfer(verification);
       
     } catch (error) {
       console.error('Error importing UTXOs from JSON:', error);
@@ -1480,6 +1715,80 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
     event.target.value = '';
   };
 
+  // Bundle opened from the universal import; it was already decrypted and verified
+  useEffect(() => {
+    if (navigationData && navigationData.type === 'import-bundle') {
+      importUTXOTransfer(navigationData.bundle)
+        .catch(error => addNotification('Error importing UTXO bundle: ' + error.message, 'error'));
+    }
+  }, [navigationData]);
+
+  // Cache UTXOs from a verified bundle or JSON file (result of readTransferBundle)
+  const importUTXOTransfer = async (verification) => {
+    if (verification.kind && verification.kind !== 'utxo-snapshot') {
+      throw new Error(`This file holds a ${getBundleKindLabel(verification.kind).toLowerCase()} - open it with Import Bundle`);
+    }
+    const jsonData = verification.data;
+    
+    if (jsonData.type !== 'kaspa-utxo-data') {
+      throw new Error('JSON file is not UTXO data. Expected kaspa-utxo-data, got: ' + jsonData.type);
+    }
+    
+    if (!jsonData.utxos || !Array.isArray(jsonData.utxos)) {
+      throw new Error('Invalid UTXO data structure in JSON file');
+    }
+    
+    const snapshotVerification = await verifyUtxoSnapshot(jsonData);
+    if (!snapshotVerification.valid) {
+      throw new Error(snapshotVerification.error);
+    }
+    
+    // Convert string values back to BigInt where needed
+    const processedData = convertStringToBigInt(jsonData, ['amount', 'fee', 'value', 'satoshis', 'balance', 'blockDaaScore']);
+    
+    // Cache the imported UTXOs
+    const utxoData = {
+      utxos: processedData.utxos,
+      addresses: processedData.addresses || [walletState.address],
+      networkType: processedData.networkType || walletState.network,
+      timestamp: processedData.timestamp || Date.now(),
+      count: processedData.count || processedData.utxos.length,
+      feeEstimate: processedData.feeEstimate || null,
+      daaScore: processedData.daaScore || null,
+      outpoints: processedData.outpoints,
+      snapshot: snapshotVerification.snapshot,
+      imported: true,
+      importedFromJSON: true,
+      importedFromBundle: !!verification.isBundle
+    };
+    
+    onCacheUTXOs(utxoData);
+    setLastUTXOFetch(new Date(utxoData.timestamp));
+    setShowUTXOImport(false);
+
+    // Calculate and update balance from imported UTXOs
+    try {
+      const { calculateBalanceFromUTXOs } = await import('../../kaspa/js/balance-manager.js');
+      const balanceResult = calculateBalanceFromUTXOs(utxoData.utxos);
+
+      if (balanceResult.success) {
+        setBalance({
+          kas: balanceResult.totalBalanceKas,
+          sompi: balanceResult.totalBalanceSompi
+        });
+        setLastBalanceCheck(new Date());
+        addNotification(`Successfully imported ${utxoData.count} UTXOs. Balance: ${balanceResult.totalBalanceKas} KAS - ${describeIntegrity(verification)}`,
+          verification.legacy ? 'warning' : 'success');
+      } else {
+        addNotification(`Successfully imported ${utxoData.count} UTXOs from ${verification.isBundle ? 'bundle' : 'JSON file'} - ${describeIntegrity(verification)}`,
+          verification.legacy ? 'warning' : 'success');
+      }
+    } catch (balanceError) {
+      console.error('Error calculating balance from imported UTXOs:', balanceError);
+      addNotification(`Successfully imported ${utxoData.count} UTXOs from ${verification.isBundle ? 'bundle' : 'JSON file'}`, 'success');
+    }
+  };
+
 
 
   // Format UTXO fetch time
@@ -1644,7 +1953,14 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
           React.createElement('div', { className: 'card-header' },
             React.createElement('h5', { className: 'card-title mb-0' },
               React.createElement('i', { className: 'bi bi-wallet2 me-2' }),
-              'Wallet Overview'
+              'Wallet Overview',
+              walletState.isWatchOnly && React.createElement('span', {
+                className: 'badge bg-secondary ms-2',
+                title: 'No private keys on this device - transactions are created unsigned for a cold device to sign'
+              },
+                React.createElement('i', { className: 'bi bi-eye me-1' }),
+                'Watch-only'
+              )
             )
           ),
           React.createElement('div', { className: 'card-body' },
@@ -1737,7 +2053,13 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
                      React.createElement('small', { className: 'text-muted' },
                        React.createElement('i', { className: 'bi bi-check-circle text-success me-1' }),
                        `Cached UTXOs: ${cachedUTXOs.count} | Fetched: ${formatUTXOFetchTime(lastUTXOFetch)}`,
-                       cachedUTXOs.imported && React.createElement('span', { className: 'badge bg-info ms-2' }, 'Imported')
+                       cachedUTXOs.imported && React.createElement('span', { className: 'badge bg-info ms-2' }, 'Imported'),
+                       cachedUTXOs.snapshot && React.createElement('span', {
+                         className: `badge ms-2 ${cachedUTXOs.snapshot.verified ? 'bg-success' : 'bg-warning text-dark'}`,
+                         title: cachedUTXOs.snapshot.daaScore ? `Snapshot taken at DAA score ${cachedUTXOs.snapshot.daaScore}` : 'Snapshot DAA score unknown'
+                       }, cachedUTXOs.snapshot.verified ? 'Signed snapshot' :
+                         cachedUTXOs.snapshot.signed ? 'Signature not checked' :
+                         cachedUTXOs.snapshot.legacy ? 'Legacy format' : 'Unsigned snapshot')
                      )
                    )
                  ),
@@ -1798,6 +2120,157 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
           )
         ),
 
+        // Accounts Card
+        React.createElement(WalletAccounts, {
+          walletState,
+          addNotification,
+          onSwitchAccount,
+          onNavigate
+        }),
+
+        // Payment Requests Card
+        React.createElement('div', { className: 'card mb-4' },
+          React.createElement('div', { className: 'card-header d-flex justify-content-between align-items-center' },
+            React.createElement('h5', { className: 'card-title mb-0' },
+              React.createElement('i', { className: 'bi bi-receipt me-2' }),
+              'Payment Requests'
+            ),
+            React.createElement('div', { className: 'd-flex gap-2' },
+              paymentRequests.length > 0 && walletState.hdWallet && React.createElement('button', {
+                className: 'btn btn-sm btn-outline-secondary',
+                onClick: handleCheckPaymentRequests,
+                disabled: isCheckingRequests
+              },
+                isCheckingRequests ?
+                  React.createElement('span', { className: 'spinner-border spinner-border-sm me-2' }) :
+                  React.createElement('i', { className: 'bi bi-arrow-repeat me-2' }),
+                'Check Payments'
+              ),
+              React.createElement('button', {
+                className: `btn btn-sm ${showInvoiceForm ? 'btn-outline-primary' : 'btn-primary'}`,
+                onClick: () => setShowInvoiceForm(!showInvoiceForm),
+                disabled: !walletState.isHDWallet
+              },
+                React.createElement('i', { className: `bi ${showInvoiceForm ? 'bi-x-lg' : 'bi-plus-lg'} me-2` }),
+                showInvoiceForm ? 'Cancel' : 'New Request'
+              )
+            )
+          ),
+          React.createElement('div', { className: 'card-body' },
+            !walletState.isHDWallet && React.createElement('p', { className: 'text-muted small mb-3' },
+              'Payment requests reserve a fresh receive address each, so they are only available for HD wallets.'
+            ),
+
+            showInvoiceForm && React.createElement('div', { className: 'border rounded p-3 mb-3' },
+              React.createElement('div', { className: 'row g-2' },
+                React.createElement('div', { className: 'col-md-3' },
+                  React.createElement('label', { className: 'form-label small' }, 'Amount'),
+                  React.createElement('div', { className: 'input-group input-group-sm' },
+                    React.createElement('input', {
+                      type: 'text',
+                      inputMode: 'decimal',
+                      className: 'form-control',
+                      placeholder: '0.00',
+                      value: invoiceForm.amount,
+                      onChange: (e) => setInvoiceForm({ ...invoiceForm, amount: e.target.value })
+                    }),
+                    React.createElement('span', { className: 'input-group-text' }, 'KAS')
+                  )
+                ),
+                React.createElement('div', { className: 'col-md-6' },
+                  React.createElement('label', { className: 'form-label small' }, 'Description'),
+                  React.createElement('input', {
+                    type: 'text',
+                    className: 'form-control form-control-sm',
+                    placeholder: 'e.g. Invoice 2024-017',
+                    value: invoiceForm.description,
+                    onChange: (e) => setInvoiceForm({ ...invoiceForm, description: e.target.value })
+                  })
+                ),
+                React.createElement('div', { className: 'col-md-3' },
+                  React.createElement('label', { className: 'form-label small' }, 'Expires after'),
+                  React.createElement('select', {
+                    className: 'form-select form-select-sm',
+                    value: invoiceForm.expiry,
+                    onChange: (e) => setInvoiceForm({ ...invoiceForm, expiry: e.target.value })
+                  },
+                    PAYMENT_REQUEST_EXPIRIES.map(option =>
+                      React.createElement('option', { key: option.id, value: option.id }, option.label)
+                    )
+                  )
+                )
+              ),
+              React.createElement('div', { className: 'd-flex justify-content-between align-items-center mt-3' },
+                React.createElement('small', { className: 'text-muted' },
+                  'A new receive address is reserved for this request and not reused for anything else.'
+                ),
+                React.createElement('button', {
+                  className: 'btn btn-sm btn-primary',
+                  onClick: handleIssuePaymentRequest,
+                  disabled: isIssuingRequest
+                },
+                  isIssuingRequest ?
+                    React.createElement('span', { className: 'spinner-border spinner-border-sm me-2' }) :
+                    React.createElement('i', { className: 'bi bi-qr-code me-2' }),
+                  'Create Request'
+                )
+              )
+            ),
+
+            paymentRequests.length === 0 ?
+              React.createElement('p', { className: 'text-muted small mb-0' }, 'No payment requests yet.') :
+              React.createElement('div', { className: 'table-responsive' },
+                React.createElement('table', { className: 'table table-sm align-middle mb-0' },
+                  React.createElement('thead', null,
+                    React.createElement('tr', null,
+                      React.createElement('th', null, 'Description'),
+                      React.createElement('th', { className: 'text-end' }, 'Amount'),
+                      React.createElement('th', { className: 'text-end' }, 'Received'),
+                      React.createElement('th', null, 'Status'),
+                      React.createElement('th', null, 'Expires'),
+                      React.createElement('th', null)
+                    )
+                  ),
+                  React.createElement('tbody', null,
+                    paymentRequests.map(request =>
+                      React.createElement('tr', { key: request.id },
+                        React.createElement('td', null,
+                          React.createElement('div', null, request.description || React.createElement('span', { className: 'text-muted' }, 'No description')),
+                          React.createElement('small', { className: 'text-muted font-monospace', title: request.address },
+                            `${request.address.substring(0, 16)}...${request.address.slice(-6)}`
+                          )
+                        ),
+                        React.createElement('td', { className: 'text-end' }, `${request.amount} KAS`),
+                        React.createElement('td', { className: 'text-end' }, `${request.received} KAS`),
+                        React.createElement('td', null, getRequestStatusBadge(request.status)),
+                        React.createElement('td', null,
+                          React.createElement('small', null, request.expiresAt ? new Date(request.expiresAt).toLocaleString() : 'Never')
+                        ),
+                        React.createElement('td', { className: 'text-end text-nowrap' },
+                          React.createElement('button', {
+                            className: 'btn btn-sm btn-outline-primary me-1',
+                            onClick: () => handleShowRequestQR(request),
+                            title: 'Show QR code'
+                          }, React.createElement('i', { className: 'bi bi-qr-code' })),
+                          React.createElement('button', {
+                            className: 'btn btn-sm btn-outline-secondary me-1',
+                            onClick: () => handleCopyRequestUri(request),
+                            title: 'Copy payment URI'
+                          }, React.createElement('i', { className: 'bi bi-copy' })),
+                          React.createElement('button', {
+                            className: 'btn btn-sm btn-outline-danger',
+                            onClick: () => handleDeletePaymentRequest(request),
+                            title: 'Delete request'
+                          }, React.createElement('i', { className: 'bi bi-trash' }))
+                        )
+                      )
+                    )
+                  )
+                )
+              )
+          )
+        ),
+
         // Quick Actions Card
         React.createElement('div', { className: 'card' },
           React.createElement('div', { className: 'card-header' },
@@ -1808,7 +2281,7 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
           ),
           React.createElement('div', { className: 'card-body' },
             React.createElement('div', { className: 'row g-3' },
-              React.createElement('div', { className: 'col-md-4' },
+              React.createElement('div', { className: 'col-6 col-md' },
                 React.createElement('button', {
                   className: 'btn btn-primary quick-action-btn w-100',
                   onClick: () => onNavigate('transaction')
@@ -1817,16 +2290,36 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
                   React.createElement('div', null, 'Send Transaction')
                 )
               ),
-              React.createElement('div', { className: 'col-md-4' },
+              React.createElement('div', { className: 'col-6 col-md' },
+                React.createElement('button', {
+                  className: 'btn btn-secondary quick-action-btn w-100',
+                  onClick: () => onNavigate('transaction-history')
+                },
+                  React.createElement('i', { className: 'bi bi-clock-history' }),
+                  React.createElement('div', null, 'History')
+                )
+              ),
+              React.createElement('div', { className: 'col-6 col-md' },
                 React.createElement('button', {
                   className: 'btn btn-success quick-action-btn w-100',
-                  onClick: () => onNavigate('message-signing')
+                  onClick: () => onNavigate('message-signing'),
+                  disabled: walletState.isWatchOnly,
+                  title: walletState.isWatchOnly ? 'Watch-only wallets have no private key to sign with' : undefined
                 },
                   React.createElement('i', { className: 'bi bi-pen' }),
                   React.createElement('div', null, 'Sign Message')
                 )
               ),
-              React.createElement('div', { className: 'col-md-4' },
+              React.createElement('div', { className: 'col-6 col-md' },
+                React.createElement('button', {
+                  className: 'btn btn-warning quick-action-btn w-100',
+                  onClick: () => onNavigate('pskt')
+                },
+                  React.createElement('i', { className: 'bi bi-diagram-3' }),
+                  React.createElement('div', null, 'PSKT')
+                )
+              ),
+              React.createElement('div', { className: 'col-6 col-md' },
                 React.createElement('button', {
                   className: 'btn btn-info quick-action-btn w-100',
                   onClick: () => onNavigate('wallet-settings')
@@ -1855,7 +2348,7 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
           React.createElement('div', { className: 'modal-header' },
             React.createElement('h5', { className: 'modal-title' },
               React.createElement('i', { className: 'bi bi-qr-code me-2' }),
-              qrMode === 'xpub' ? 'Extended Public Key QR Code' : 'Wallet Address QR Code'
+              qrMode === 'xpub' ? 'Extended Public Key QR Code' : (paymentUri ? 'Payment Request QR Code' : 'Wallet Address QR Code')
             ),
             React.createElement('button', {
               type: 'button',
@@ -1864,8 +2357,8 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
             })
           ),
           React.createElement('div', { className: 'modal-body text-center' },
-            // Mode switcher buttons (only show for HD wallets)
-            walletState.isHDWallet && React.createElement('div', { className: 'btn-group mb-3', role: 'group' },
+            // Mode switcher buttons (only show for HD wallets with an extended public key)
+            walletState.isHDWallet && !(walletState.isWatchOnly && !walletState.hdWallet?.xpub) && React.createElement('div', { className: 'btn-group mb-3', role: 'group' },
               React.createElement('button', {
                 type: 'button',
                 className: `btn btn-sm ${qrMode === 'address' ? 'btn-primary' : 'btn-outline-primary'}`,
@@ -1897,13 +2390,67 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
             // Information display
             React.createElement('div', { className: 'mt-3' },
               React.createElement('small', { className: 'text-muted d-block mb-2' }, 
-                qrMode === 'address' ? 'Wallet Address:' : 'Extended Public Key:'
+                qrMode === 'address' ? (paymentUri ? 'Payment Request:' : 'Wallet Address:') : 'Extended Public Key:'
               ),
               React.createElement('code', { 
                 className: 'text-primary fw-bold d-block text-break',
                 style: { fontSize: '0.8em' }
               }, 
-                qrMode === 'address' ? walletState.address : (xpubString || 'Loading...')
+                qrMode === 'address' ? (paymentUri || walletState.address) : (xpubString || 'Loading...')
+              )
+            ),
+
+            // Payment request form: amount, label and message are encoded into a kaspa: URI
+            qrMode === 'address' && React.createElement('div', { className: 'mt-3 text-start border-top pt-3' },
+              React.createElement('h6', { className: 'mb-2' },
+                React.createElement('i', { className: 'bi bi-receipt me-2' }),
+                'Request Payment'
+              ),
+              React.createElement('div', { className: 'input-group input-group-sm mb-2' },
+                React.createElement('input', {
+                  type: 'text',
+                  inputMode: 'decimal',
+                  className: 'form-control',
+                  placeholder: 'Amount (optional)',
+                  value: paymentRequestForm.amount,
+                  onChange: (e) => setPaymentRequestForm({ ...paymentRequestForm, amount: e.target.value })
+                }),
+                React.createElement('span', { className: 'input-group-text' }, 'KAS')
+              ),
+              React.createElement('input', {
+                type: 'text',
+                className: 'form-control form-control-sm mb-2',
+                placeholder: 'Label, e.g. your name or shop (optional)',
+                value: paymentRequestForm.label,
+                onChange: (e) => setPaymentRequestForm({ ...paymentRequestForm, label: e.target.value })
+              }),
+              React.createElement('input', {
+                type: 'text',
+                className: 'form-control form-control-sm mb-2',
+                placeholder: 'Message, e.g. invoice number (optional)',
+                value: paymentRequestForm.message,
+                onChange: (e) => setPaymentRequestForm({ ...paymentRequestForm, message: e.target.value })
+              }),
+              React.createElement('div', { className: 'd-flex gap-2' },
+                React.createElement('button', {
+                  type: 'button',
+                  className: 'btn btn-sm btn-primary',
+                  onClick: handleCreatePaymentRequest
+                },
+                  React.createElement('i', { className: 'bi bi-qr-code me-2' }),
+                  'Create Request QR'
+                ),
+                paymentUri && React.createElement('button', {
+                  type: 'button',
+                  className: 'btn btn-sm btn-outline-secondary',
+                  onClick: () => {
+                    setPaymentRequestForm({ amount: '', label: '', message: '' });
+                    showAddressQRCode();
+                  }
+                }, 'Clear')
+              ),
+              React.createElement('div', { className: 'form-text' },
+                'The message is shown to the payer and may be stored on-chain as the transaction memo.'
               )
             )
           ),
@@ -1919,10 +2466,10 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
             React.createElement('button', {
               type: 'button',
               className: 'btn btn-outline-primary',
-              onClick: copyAddress
+              onClick: paymentUri && qrMode === 'address' ? copyPaymentUri : copyAddress
             },
               React.createElement('i', { className: 'bi bi-copy me-2' }),
-              'Copy Address'
+              paymentUri && qrMode === 'address' ? 'Copy Request' : 'Copy Address'
             ),
             React.createElement('button', {
               type: 'button',
@@ -1934,6 +2481,74 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
       )
     ),
 
+    // Payment Request QR Code Modal
+    requestQR && React.createElement('div', {
+      className: 'modal fade show',
+      style: { display: 'block', backgroundColor: 'rgba(0,0,0,0.5)' },
+      onClick: () => setRequestQR(null)
+    },
+      React.createElement('div', {
+        className: 'modal-dialog modal-dialog-centered',
+        onClick: (e) => e.stopPropagation()
+      },
+        React.createElement('div', { className: 'modal-content' },
+          React.createElement('div', { className: 'modal-header' },
+            React.createElement('h5', { className: 'modal-title' },
+              React.createElement('i', { className: 'bi bi-receipt me-2' }),
+              `Payment Request: ${requestQR.request.amount} KAS`
+            ),
+            React.createElement('button', {
+              type: 'button',
+              className: 'btn-close',
+              onClick: () => setRequestQR(null)
+            })
+          ),
+          React.createElement('div', { className: 'modal-body text-center' },
+            React.createElement('img', {
+              src: requestQR.qrDataURL,
+              alt: 'Payment Request QR Code',
+              className: 'img-fluid border rounded mb-3',
+              style: { maxWidth: '300px' }
+            }),
+            requestQR.request.description && React.createElement('p', { className: 'mb-2' }, requestQR.request.description),
+            React.createElement('code', {
+              className: 'text-primary d-block text-break',
+              style: { fontSize: '0.8em' }
+            }, requestQR.request.uri),
+            React.createElement('small', { className: 'text-muted d-block mt-2' },
+              requestQR.request.expiresAt ? `Expires ${new Date(requestQR.request.expiresAt).toLocaleString()}` : 'Does not expire'
+            )
+          ),
+          React.createElement('div', { className: 'modal-footer' },
+            React.createElement('button', {
+              type: 'button',
+              className: 'btn btn-outline-success',
+              onClick: async () => {
+                const { downloadQRImage } = await import('../../kaspa/js/qr-manager.js');
+                downloadQRImage(requestQR.qrDataURL, `kaspa_payment_request_qr_${requestQR.request.createdAt.split('T')[0]}.png`);
+              }
+            },
+              React.createElement('i', { className: 'bi bi-download me-2' }),
+              'Download QR'
+            ),
+            React.createElement('button', {
+              type: 'button',
+              className: 'btn btn-outline-primary',
+              onClick: () => handleCopyRequestUri(requestQR.request)
+            },
+              React.createElement('i', { className: 'bi bi-copy me-2' }),
+              'Copy Request'
+            ),
+            React.createElement('button', {
+              type: 'button',
+              className: 'btn btn-secondary',
+              onClick: () => setRequestQR(null)
+            }, 'Close')
+          )
+        )
+      )
+    ),
+
     // UTXO QR Code Modal
     showUTXOQR && React.createElement('div', {
       className: 'modal fade show',
@@ -2071,8 +2686,8 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
                  className: 'btn btn-outline-info',
                  onClick: downloadUTXOsAsJSON
                },
-                 React.createElement('i', { className: 'bi bi-file-earmark-code me-2' }),
-                 'Download JSON'
+                 React.createElement('i', { className: 'bi bi-file-earmark-zip me-2' }),
+                 'Download Bundle'
                ),
                React.createElement('button', {
                  type: 'button',
@@ -2131,7 +2746,7 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
                     }),
                     React.createElement('h6', { className: 'card-title' }, 'Scan QR Code'),
                     React.createElement('p', { className: 'card-text small text-muted' },
-                      'Use your device camera to scan QR codes containing UTXO data'
+                      'Use your device camera to scan UTXO QR codes - multi-part snapshots are collected part by part'
                     ),
                     React.createElement('button', {
                       className: 'btn btn-primary btn-sm',
@@ -2179,21 +2794,21 @@ export function WalletDashboard({ walletState, onNavigate, addNotification, onGe
                       className: 'bi bi-file-earmark-code text-success mb-3',
                       style: { fontSize: '2rem' }
                     }),
-                    React.createElement('h6', { className: 'card-title' }, 'Import JSON File'),
+                    React.createElement('h6', { className: 'card-title' }, 'Import Bundle or JSON File'),
                     React.createElement('p', { className: 'card-text small text-muted' },
-                      'Upload a JSON file containing UTXO data'
+                      'Upload a .kaskold bundle or JSON file containing UTXO data'
                     ),
                     React.createElement('label', {
                       className: 'btn btn-success btn-sm',
                       htmlFor: 'utxo-json-input'
                     },
                       React.createElement('i', { className: 'bi bi-file-earmark-code me-2' }),
-                      'Choose JSON'
+                      'Choose File'
                     ),
                     React.createElement('input', {
                       id: 'utxo-json-input',
                       type: 'file',
-                      accept: '.json,application/json',
+                      accept: `${BUNDLE_EXTENSION},.json,application/json`,
                       style: { display: 'none' },
                       onChange: handleUTXOJSONUpload
                     })
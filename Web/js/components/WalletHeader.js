@@ -1,7 +1,8 @@
-const { useState } = React;
+const { useState, useRef } = React;
 
-export function WalletHeader({ theme, onThemeToggle, walletState, onLogout, notifications, toastNotifications, unreadNotificationCount, onClearBadge, network, onNetworkChange, onNavigate, showNetworkSelector = false }) {
+export function WalletHeader({ theme, onThemeToggle, walletState, onLogout, notifications, toastNotifications, unreadNotificationCount, onClearBadge, network, onNetworkChange, onNavigate, onImportBundle, showNetworkSelector = false }) {
   const [showNotificationModal, setShowNotificationModal] = useState(false);
+  const bundleInputRef = useRef(null);
   
   const handleNetworkChange = (e) => {
     onNetworkChange(e.target.value);
@@ -40,10 +41,20 @@ export function WalletHeader({ theme, onThemeToggle, walletState, onLogout, noti
       case 'error': return 'bi-exclamation-circle-fill text-danger';
       case 'warning': return 'bi-exclamation-triangle-fill text-warning';
       case 'info': return 'bi-info-circle-fill text-info';
+      case 'incoming': return 'bi-arrow-down-circle-fill text-success';
       default: return 'bi-bell-fill text-primary';
     }
   };
 
+  const handleBundleSelected = (e) => {
+    const file = e.target.files[0];
+    // Reset so the same file can be imported again
+    e.target.value = '';
+    if (file && onImportBundle) {
+      onImportBundle(file);
+    }
+  };
+
   const handleLogoClick = () => {
     if (walletState.isLoggedIn) {
       onNavigate('wallet-dashboard');
@@ -121,6 +132,23 @@ export function WalletHeader({ theme, onThemeToggle, walletState, onLogout, noti
             }, unreadNotificationCount > 99 ? '99+' : unreadNotificationCount)
           ),
           
+          // Import Bundle (only show when logged in)
+          walletState.isLoggedIn && onImportBundle && React.createElement('button', {
+            className: 'btn btn-outline-primary btn-sm me-2',
+            onClick: () => bundleInputRef.current && bundleInputRef.current.click(),
+            title: 'Import a .kaskold bundle or JSON file'
+          },
+            React.createElement('i', { className: 'bi bi-box-arrow-in-down me-1' }),
+            'Import Bundle'
+          ),
+          walletState.isLoggedIn && onImportBundle && React.createElement('input', {
+            ref: bundleInputRef,
+            type: 'file',
+            accept: '.kaskold,.json',
+            className: 'd-none',
+            onChange: handleBundleSelected
+          }),
+          
           // Logout Button (only show when logged in)
           walletState.isLoggedIn && React.createElement('button', {
             className: 'btn btn-outline-danger btn-sm',
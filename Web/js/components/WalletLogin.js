@@ -1,3 +1,5 @@
+import { DEFAULT_ADDRESS_PATH } from '../../kaspa/js/constants.js';
+
 const { useState, useEffect } = React;
 
 export function WalletLogin({ onNavigate, onWalletLogin, addNotification }) {
@@ -6,11 +8,22 @@ export function WalletLogin({ onNavigate, onWalletLogin, addNotification }) {
   const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
+  const [needsPassphrase, setNeedsPassphrase] = useState(false); // Set once the decrypted wallet says it has a BIP39 passphrase
+  const [passphrase, setPassphrase] = useState('');
+
+  // Watch-only wallets are stored without secrets and open without a password
+  const selectedIsWatchOnly = !!wallets.find(w => w.id === selectedWallet)?.watchOnly;
 
   useEffect(() => {
     loadWallets();
   }, []);
 
+  // Whether a wallet has a passphrase is only known after decryption, so ask again for another wallet
+  useEffect(() => {
+    setNeedsPassphrase(false);
+    setPassphrase('');
+  }, [selectedWallet]);
+
   const loadWallets = async () => {
     try {
       const { WalletStorage } = await import('../../kaspa/js/wallet-storage.js');
@@ -31,7 +44,7 @@ export function WalletLogin({ onNavigate, onWalletLogin, addNotification }) {
   const handleLogin = async (e) => {
     e.preventDefault();
     
-    if (!selectedWallet || !password) {
+    if (!selectedWallet || (!password && !selectedIsWatchOnly)) {
       addNotification('Please select a wallet and enter password', 'warning');
       return;
     }
@@ -47,10 +60,36 @@ export function WalletLogin({ onNavigate, onWalletLogin, addNotification }) {
         throw new Error('Wallet not found');
       }
 
+      if (wallet.watchOnly) {
+        onWalletLogin(await walletStorage.openWatchOnlyWallet(selectedWallet));
+        return;
+      }
+
       // Attempt to decrypt and login
       const decryptedWallet = await walletStorage.decryptWallet(selectedWallet, password);
 
-      if (decryptedWallet) {
+      if (decryptedWallet && decryptedWallet.passphraseRequired && decryptedWallet.mnemonic) {
+        if (!passphrase) {
+          setNeedsPassphrase(true);
+          addNotification('This wallet uses a BIP39 passphrase - enter it to continue', 'info');
+          return;
+        }
+
+        // A wrong passphrase is not an error in BIP39, it silently opens another wallet; catch it by the saved address
+        const { restoreWalletFromMnemonic } = await import('../../kaspa/js/wallet-restore.js');
+        const { getAccountPathFromAddressPath } = await import('../../kaspa/js/derivation-explorer.js');
+        // The saved address is the first receive address of the wallet's own path, which may not be the default one
+        const savedPath = decryptedWallet.derivationPath;
+        const addressPath = !savedPath ? DEFAULT_ADDRESS_PATH :
+          (getAccountPathFromAddressPath(savedPath) !== savedPath.trim() ? savedPath : `${savedPath}/0/0`);
+        const check = restoreWalletFromMnemonic(decryptedWallet.mnemonic, decryptedWallet.network, addressPath, passphrase);
+        if (check.success && check.publicAddress !== decryptedWallet.address &&
+            !confirm('This passphrase does not derive the address this wallet was saved with. A wrong passphrase opens a different, empty wallet. Continue anyway?')) {
+          return;
+        }
+
+        onWalletLogin({ ...decryptedWallet, passphrase: passphrase });
+      } else if (decryptedWallet) {
         onWalletLogin(decryptedWallet);
       } else {
         throw new Error('Invalid password');
@@ -135,12 +174,15 @@ export function WalletLogin({ onNavigate, onWalletLogin, addNotification }) {
                       return React.createElement('option', { 
                         key: wallet.id, 
                         value: wallet.id 
-                      }, displayName);
+                      }, wallet.watchOnly ? `${displayName} (watch-only)` : displayName);
                     })
                   )
                 ),
                 
-                React.createElement('div', { className: 'mb-3' },
+                selectedIsWatchOnly ? React.createElement('div', { className: 'alert alert-info small mb-3' },
+                  React.createElement('i', { className: 'bi bi-eye me-2' }),
+                  'Watch-only wallet - no password needed. It cannot sign transactions or messages.'
+                ) : React.createElement('div', { className: 'mb-3' },
                   React.createElement('label', { className: 'form-label' }, 'Password'),
                   React.createElement('div', { className: 'input-group' },
                     React.createElement('input', {
@@ -163,6 +205,23 @@ export function WalletLogin({ onNavigate, onWalletLogin, addNotification }) {
                   )
                 ),
 
+                needsPassphrase && React.createElement('div', { className: 'mb-3' },
+                  React.createElement('label', { className: 'form-label' }, 'BIP39 Passphrase'),
+                  React.createElement('input', {
+                    type: 'password',
+                    className: 'form-control',
+                    value: passphrase,
+                    onChange: (e) => setPassphrase(e.target.value),
+                    placeholder: 'Enter the passphrase of this wallet',
+                    autoComplete: 'off',
+                    autoFocus: true,
+                    required: true
+                  }),
+                  React.createElement('div', { className: 'form-text' },
+                    'The passphrase is not stored, so it is needed at every login.'
+                  )
+                ),
+
                 React.createElement('div', { className: 'd-grid gap-2' },
                   React.createElement('button', {
                     type: 'submit',
@@ -207,6 +266,10 @@ export function WalletLogin({ onNavigate, onWalletLogin, addNotification }) {
                     React.createElement('strong', null, 
                       wallet.label || `Wallet ${wallet.address ? wallet.address.substring(6, 14) : wallet.id.substring(0, 8)}...`
                     ),
+                    wallet.watchOnly && React.createElement('span', { className: 'badge bg-secondary ms-2' },
+                      React.createElement('i', { className: 'bi bi-eye me-1' }),
+                      'Watch-only'
+                    ),
                     React.createElement('br'),
                     React.createElement('small', { className: 'text-muted' }, 
                       `Created: ${wallet.createdAt ? new Date(wallet.createdAt).toLocaleDateString() : 'Unknown'}`
@@ -1,9 +1,16 @@
 const { useState, useEffect } = React;
 
 export function WalletRestore({ onNavigate, onWalletRestored, addNotification, network: propNetwork = 'mainnet' }) {
-  const [restoreMethod, setRestoreMethod] = useState('mnemonic'); // 'mnemonic' or 'privateKey'
+  const [restoreMethod, setRestoreMethod] = useState('mnemonic'); // 'mnemonic', 'privateKey', 'extendedKey' or 'watchOnly'
   const [mnemonicPhrase, setMnemonicPhrase] = useState('');
+  const [mnemonicSource, setMnemonicSource] = useState('words'); // 'words' or 'shares' (Shamir backup)
+  const [shareInput, setShareInput] = useState('');
+  const [isReadingShares, setIsReadingShares] = useState(false);
   const [privateKey, setPrivateKey] = useState('');
+  const [extendedKey, setExtendedKey] = useState('');
+  const [keyLevel, setKeyLevel] = useState('master'); // 'master' or 'account' for extended private keys
+  const [watchSource, setWatchSource] = useState('xpub'); // 'xpub' or 'addresses'
+  const [watchInput, setWatchInput] = useState('');
   const [passphrase, setPassphrase] = useState(''); // Optional BIP39 passphrase
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
@@ -15,12 +22,19 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
   const [validationErrors, setValidationErrors] = useState({});
   const [restoredWalletData, setRestoredWalletData] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
+  const [explorerResults, setExplorerResults] = useState(null);
+  const [isExploring, setIsExploring] = useState(false);
 
   // Sync network state with prop
   useEffect(() => {
     setNetwork(propNetwork);
   }, [propNetwork]);
 
+  // Explorer results belong to the seed or key and network they were scanned with
+  useEffect(() => {
+    setExplorerResults(null);
+  }, [restoreMethod, mnemonicSource, network]);
+
   // Password strength calculation
   const calculatePasswordStrength = (password) => {
     let score = 0;
@@ -44,7 +58,11 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
     const errors = {};
 
     // Validate restore method specific fields
-    if (restoreMethod === 'mnemonic') {
+    if (restoreMethod === 'mnemonic' && mnemonicSource === 'shares') {
+      if (!shareInput.trim()) {
+        errors.shareInput = 'Recovery shares are required';
+      }
+    } else if (restoreMethod === 'mnemonic') {
       if (!mnemonicPhrase.trim()) {
         errors.mnemonicPhrase = 'Mnemonic phrase is required';
       } else {
@@ -54,21 +72,27 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
           errors.mnemonicPhrase = `Invalid word count. Expected 12, 15, 18, 21, or 24 words, got ${words.length}.`;
         }
       }
-    } else {
+    } else if (restoreMethod === 'privateKey') {
       if (!privateKey.trim()) {
         errors.privateKey = 'Private key is required';
       }
+    } else if (restoreMethod === 'extendedKey') {
+      if (!extendedKey.trim()) {
+        errors.extendedKey = 'Extended private key is required';
+      }
     }
 
-    // Validate password
-    if (!password) {
-      errors.password = 'Password is required';
-    } else if (password.length < 8) {
-      errors.password = 'Password must be at least 8 characters long';
-    }
+    // Watch-only wallets hold no secrets, so they are stored without a password
+    if (restoreMethod !== 'watchOnly') {
+      if (!password) {
+        errors.password = 'Password is required';
+      } else if (password.length < 8) {
+        errors.password = 'Password must be at least 8 characters long';
+      }
 
-    if (password !== confirmPassword) {
-      errors.confirmPassword = 'Passwords do not match';
+      if (password !== confirmPassword) {
+        errors.confirmPassword = 'Passwords do not match';
+      }
     }
 
     if (!walletLabel.trim()) {
@@ -79,18 +103,75 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
     return Object.keys(errors).length === 0;
   };
 
+  // Recovery phrase typed in, or rebuilt from M Shamir shares (one per line)
+  const resolveMnemonicPhrase = async () => {
+    if (mnemonicSource === 'words') {
+      return mnemonicPhrase;
+    }
+
+    const { combineMnemonicShares } = await import('../../kaspa/js/shamir-backup.js');
+    const combined = await combineMnemonicShares(shareInput.split(/\n+/));
+    if (!combined.success) {
+      setValidationErrors(prev => ({ ...prev, shareInput: combined.error }));
+      throw new Error(combined.error);
+    }
+    setValidationErrors(prev => {
+      const newErrors = { ...prev };
+      delete newErrors.shareInput;
+      return newErrors;
+    });
+    return combined.mnemonic;
+  };
+
+  // Add the shares read from QR card images to the share list
+  const handleShareImages = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setIsReadingShares(true);
+    try {
+      const { readQRFromImage } = await import('../../kaspa/js/qr-manager.js');
+      const lines = [];
+      for (const file of files) {
+        const result = await readQRFromImage(file);
+        if (!result.success || typeof result.qrData !== 'string') {
+          throw new Error(`${file.name}: ${result.error || 'not a recovery share'}`);
+        }
+        lines.push(result.qrData);
+      }
+      setShareInput(prev => [prev.trim(), ...lines].filter(Boolean).join('\n'));
+      addNotification(`${lines.length} share(s) read from QR images`, 'success');
+    } catch (error) {
+      console.error('Reading share QR codes failed:', error);
+      addNotification('Failed to read share QR code: ' + error.message, 'error');
+    } finally {
+      setIsReadingShares(false);
+    }
+  };
+
   // Handle wallet restoration (first step - just restore, don't save)
   const handleRestoreWallet = async () => {
     // Basic validation for restoration inputs
     const errors = {};
-    if (restoreMethod === 'mnemonic') {
+    if (restoreMethod === 'mnemonic' && mnemonicSource === 'shares') {
+      if (!shareInput.trim()) {
+        errors.shareInput = 'Recovery shares are required';
+      }
+    } else if (restoreMethod === 'mnemonic') {
       if (!mnemonicPhrase.trim()) {
         errors.mnemonicPhrase = 'Mnemonic phrase is required';
       }
-    } else {
+    } else if (restoreMethod === 'privateKey') {
       if (!privateKey.trim()) {
         errors.privateKey = 'Private key is required';
       }
+    } else if (restoreMethod === 'extendedKey') {
+      if (!extendedKey.trim()) {
+        errors.extendedKey = 'Extended private key is required';
+      }
+    } else if (!watchInput.trim()) {
+      errors.watchInput = watchSource === 'xpub' ? 'Extended public key is required' : 'At least one address is required';
     }
 
     if (Object.keys(errors).length > 0) {
@@ -101,6 +182,12 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
 
     setIsRestoring(true);
 
+    if (restoreMethod === 'watchOnly') {
+      await handleImportWatchOnly();
+      setIsRestoring(false);
+      return;
+    }
+
     try {
       let restorationResult;
 
@@ -108,19 +195,36 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
         // Import restoration functions
         const { restoreWalletFromMnemonic, validateMnemonic } = await import('../../kaspa/js/wallet-restore.js');
         
+        const phrase = await resolveMnemonicPhrase();
+
         // Validate mnemonic first
-        const mnemonicValidation = validateMnemonic(mnemonicPhrase);
+        const mnemonicValidation = validateMnemonic(phrase);
         if (!mnemonicValidation.isValid) {
           throw new Error(mnemonicValidation.error);
         }
 
         // Restore from mnemonic
         restorationResult = restoreWalletFromMnemonic(
-          mnemonicPhrase,
+          phrase,
           network,
           derivationPath,
           passphrase || null
         );
+      } else if (restoreMethod === 'extendedKey') {
+        const { restoreWalletFromExtendedKey, validateExtendedPrivateKey } = await import('../../kaspa/js/wallet-restore.js');
+        const { getAccountPathFromAddressPath } = await import('../../kaspa/js/derivation-explorer.js');
+
+        const extendedKeyValidation = validateExtendedPrivateKey(extendedKey);
+        if (!extendedKeyValidation.isValid) {
+          throw new Error(extendedKeyValidation.error);
+        }
+
+        // Account-level keys derive addresses directly; master keys use the chosen account path
+        restorationResult = restoreWalletFromExtendedKey(
+          extendedKey,
+          network,
+          keyLevel === 'account' ? 'm' : getAccountPathFromAddressPath(derivationPath)
+        );
       } else {
         // Import restoration functions
         const { restoreWalletFromPrivateKey, validatePrivateKey } = await import('../../kaspa/js/wallet-restore.js');
@@ -139,13 +243,17 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
         throw new Error(restorationResult.error);
       }
 
+      const { getAccountPathFromAddressPath } = await import('../../kaspa/js/derivation-explorer.js');
+
       // Store restoration result for saving later
       setRestoredWalletData({
         privateKey: restorationResult.privateKey,
         address: restorationResult.publicAddress,
         network: restorationResult.networkType,
         mnemonic: restorationResult.mnemonic,
-        derivationPath: restorationResult.mnemonic ? "m/44'/111111'/0'" : restorationResult.derivationPath, // ✅ Use account-level path for mnemonic, keep original for private key
+        extendedPrivateKey: restorationResult.extendedPrivateKey || null,
+        passphraseRequired: restoreMethod === 'mnemonic' && !!passphrase,
+        derivationPath: restorationResult.mnemonic ? getAccountPathFromAddressPath(derivationPath) : restorationResult.derivationPath, // ✅ Use account-level path for mnemonic, keep original for private key
         restoredFrom: restoreMethod
       });
 
@@ -159,6 +267,44 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
     }
   };
 
+  // Watch-only import: parse the key or address list and derive the first address, which names the wallet
+  const handleImportWatchOnly = async () => {
+    try {
+      const { parseExtendedPublicKey, parseWatchAddresses, createWatchOnlyManager } = await import('../../kaspa/js/watch-only-wallet.js');
+
+      const parsed = watchSource === 'xpub' ?
+        parseExtendedPublicKey(watchInput, network) :
+        parseWatchAddresses(watchInput, network);
+      if (!parsed.valid) {
+        setValidationErrors({ watchInput: parsed.error });
+        throw new Error(parsed.error);
+      }
+
+      const watchData = {
+        network: network,
+        watchOnly: true,
+        xpub: parsed.xpub || null,
+        watchAddresses: parsed.addresses || null,
+        derivationPath: parsed.derivationPath || null
+      };
+      const manager = await createWatchOnlyManager(watchData);
+
+      setRestoredWalletData({
+        ...watchData,
+        address: manager.addresses.receive.get(0).address,
+        privateKey: null,
+        mnemonic: null,
+        passphraseRequired: false,
+        restoredFrom: 'watchOnly'
+      });
+
+      addNotification('Watch-only wallet imported - it can view balances and create unsigned transactions', 'success');
+    } catch (error) {
+      console.error('Watch-only import failed:', error);
+      addNotification('Failed to import watch-only wallet: ' + error.message, 'error');
+    }
+  };
+
   // Handle wallet saving (second step)
   const handleSaveWallet = async (e) => {
     e.preventDefault();
@@ -180,6 +326,18 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
       const { WalletStorage } = await import('../../kaspa/js/wallet-storage.js');
       const walletStorage = new WalletStorage();
 
+      if (restoredWalletData.watchOnly) {
+        const walletId = await walletStorage.saveWatchOnlyWallet({ ...restoredWalletData, label: walletLabel.trim() });
+        addNotification('Watch-only wallet saved', 'success');
+        onWalletRestored({
+          ...restoredWalletData,
+          id: walletId,
+          name: walletLabel.trim(),
+          createdAt: new Date()
+        });
+        return;
+      }
+
       const walletId = await walletStorage.saveWallet(restoredWalletData, password);
 
       // Update wallet label if provided
@@ -194,6 +352,10 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
         network: restoredWalletData.network,
         privateKey: restoredWalletData.privateKey,
         mnemonic: restoredWalletData.mnemonic,
+        extendedPrivateKey: restoredWalletData.extendedPrivateKey,
+        // Held in memory for this session only; storage keeps just the "passphrase required" marker
+        passphrase: restoredWalletData.passphraseRequired ? passphrase : null,
+        passphraseRequired: restoredWalletData.passphraseRequired,
         derivationPath: restoredWalletData.derivationPath,
         name: walletLabel.trim(),
         createdAt: new Date()
@@ -216,12 +378,21 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
   const handleSkipSaving = () => {
     if (window.confirm('Are you sure you want to skip saving? You will need to enter your mnemonic/private key again next time.')) {
       // Prepare temporary wallet object for login
-      const tempWallet = {
+      const tempWallet = restoredWalletData.watchOnly ? {
+        ...restoredWalletData,
+        id: 'temp_' + Date.now(),
+        name: 'Temporary Watch-Only Wallet',
+        createdAt: new Date(),
+        isTemporary: true
+      } : {
         id: 'temp_' + Date.now(),
         address: restoredWalletData.address,
         network: restoredWalletData.network,
         privateKey: restoredWalletData.privateKey,
         mnemonic: restoredWalletData.mnemonic,
+        extendedPrivateKey: restoredWalletData.extendedPrivateKey,
+        passphrase: restoredWalletData.passphraseRequired ? passphrase : null,
+        passphraseRequired: restoredWalletData.passphraseRequired,
         derivationPath: restoredWalletData.derivationPath,
         name: 'Temporary Wallet',
         createdAt: new Date(),
@@ -283,6 +454,86 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
     }
   };
 
+  // Validate the extended key on blur and preselect master or account level from its depth
+  const handleExtendedKeyBlur = async () => {
+    if (!extendedKey.trim()) return;
+
+    try {
+      const { validateExtendedPrivateKey } = await import('../../kaspa/js/wallet-restore.js');
+      const { getKeyLevel } = await import('../../kaspa/js/derivation-explorer.js');
+      const validation = validateExtendedPrivateKey(extendedKey);
+
+      if (!validation.isValid) {
+        setValidationErrors(prev => ({
+          ...prev,
+          extendedKey: validation.error
+        }));
+      } else {
+        setKeyLevel(getKeyLevel(validation.depth));
+        setValidationErrors(prev => {
+          const newErrors = { ...prev };
+          delete newErrors.extendedKey;
+          return newErrors;
+        });
+      }
+    } catch (error) {
+      console.error('Extended key validation error:', error);
+    }
+  };
+
+  // Scan the account paths of known wallet families for funds so the user can pick the one to restore
+  const handleExplorePaths = async () => {
+    const secretInput = restoreMethod === 'extendedKey' ? extendedKey : (mnemonicSource === 'shares' ? shareInput : mnemonicPhrase);
+    if (!secretInput.trim()) {
+      addNotification(restoreMethod === 'extendedKey' ? 'Enter the extended private key first' :
+        (mnemonicSource === 'shares' ? 'Enter the recovery shares first' : 'Enter the mnemonic phrase first'), 'error');
+      return;
+    }
+
+    setIsExploring(true);
+    setExplorerResults([]);
+
+    try {
+      const source = restoreMethod === 'extendedKey' ?
+        { extendedPrivateKey: extendedKey } :
+        { mnemonic: await resolveMnemonicPhrase(), passphrase: passphrase || null };
+      const { getDerivationCandidates, exploreDerivationPaths } = await import('../../kaspa/js/derivation-explorer.js');
+      const candidates = getDerivationCandidates(restoreMethod === 'extendedKey' && keyLevel === 'account', derivationPath);
+
+      const exploration = await exploreDerivationPaths(source, network, candidates, (candidate, result) => {
+        setExplorerResults(prev => [...(prev || []), result]);
+      });
+
+      if (!exploration.success) {
+        throw new Error(exploration.error || 'No derivation path could be scanned');
+      }
+
+      const funded = exploration.results.filter(result => result.success && result.totalBalanceSompi > 0n);
+      addNotification(funded.length > 0 ?
+        `Funds found on ${funded.length} derivation path(s)` :
+        'No funds found on the known derivation paths', funded.length > 0 ? 'success' : 'info');
+    } catch (error) {
+      console.error('Derivation path exploration failed:', error);
+      addNotification('Derivation path scan failed: ' + error.message, 'error');
+    } finally {
+      setIsExploring(false);
+    }
+  };
+
+  // Restore on the account path picked in the explorer
+  const handleUseExploredPath = (result) => {
+    if (result.accountPath === 'm') {
+      setKeyLevel('account');
+    } else {
+      setKeyLevel('master');
+      setDerivationPath(`${result.accountPath}/0/0`);
+    }
+  };
+
+  const isExplorerPathSelected = (result) => result.accountPath === 'm' ?
+    keyLevel === 'account' :
+    (restoreMethod !== 'extendedKey' || keyLevel === 'master') && derivationPath === `${result.accountPath}/0/0`;
+
   return React.createElement('section', { className: 'py-4' },
     React.createElement('div', { className: 'row justify-content-center' },
       React.createElement('div', { className: 'col-lg-8' },
@@ -345,12 +596,50 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
                   },
                     React.createElement('i', { className: 'bi bi-key me-2' }),
                     'Private Key'
+                  ),
+                  React.createElement('input', {
+                    type: 'radio',
+                    className: 'btn-check',
+                    name: 'restoreMethod',
+                    id: 'extendedKey',
+                    checked: restoreMethod === 'extendedKey',
+                    onChange: () => setRestoreMethod('extendedKey')
+                  }),
+                  React.createElement('label', {
+                    className: 'btn btn-outline-primary',
+                    htmlFor: 'extendedKey'
+                  },
+                    React.createElement('i', { className: 'bi bi-diagram-3 me-2' }),
+                    'Extended Key'
+                  ),
+                  React.createElement('input', {
+                    type: 'radio',
+                    className: 'btn-check',
+                    name: 'restoreMethod',
+                    id: 'watchOnly',
+                    checked: restoreMethod === 'watchOnly',
+                    onChange: () => setRestoreMethod('watchOnly')
+                  }),
+                  React.createElement('label', {
+                    className: 'btn btn-outline-primary',
+                    htmlFor: 'watchOnly'
+                  },
+                    React.createElement('i', { className: 'bi bi-eye me-2' }),
+                    'Watch-Only'
                   )
                 )
               ),
 
               // Security Notice (moved above inputs)
-              React.createElement('div', { className: 'alert alert-warning mb-4' },
+              restoreMethod === 'watchOnly' ? React.createElement('div', { className: 'alert alert-info mb-4' },
+                React.createElement('h6', { className: 'alert-heading' },
+                  React.createElement('i', { className: 'bi bi-eye me-2' }),
+                  'Watch-Only Wallet'
+                ),
+                React.createElement('p', { className: 'mb-0' },
+                  'Tracks balances and history without any private key. Transactions are created unsigned so you can sign them on the cold device that holds the seed.'
+                )
+              ) : React.createElement('div', { className: 'alert alert-warning mb-4' },
                 React.createElement('h6', { className: 'alert-heading' },
                   React.createElement('i', { className: 'bi bi-exclamation-triangle me-2' }),
                   'Security Notice'
@@ -361,7 +650,54 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
               ),
 
               // Mnemonic Phrase Input
-              restoreMethod === 'mnemonic' && React.createElement('div', { className: 'mb-3' },
+              restoreMethod === 'mnemonic' && React.createElement('div', { className: 'btn-group btn-group-sm mb-2', role: 'group' },
+                React.createElement('button', {
+                  type: 'button',
+                  className: `btn ${mnemonicSource === 'words' ? 'btn-secondary' : 'btn-outline-secondary'}`,
+                  onClick: () => setMnemonicSource('words'),
+                  disabled: !!restoredWalletData
+                }, 'Recovery Words'),
+                React.createElement('button', {
+                  type: 'button',
+                  className: `btn ${mnemonicSource === 'shares' ? 'btn-secondary' : 'btn-outline-secondary'}`,
+                  onClick: () => setMnemonicSource('shares'),
+                  disabled: !!restoredWalletData
+                }, 'Shamir Shares')
+              ),
+
+              // Shamir Shares Input
+              restoreMethod === 'mnemonic' && mnemonicSource === 'shares' && React.createElement('div', { className: 'mb-3' },
+                React.createElement('label', { className: 'form-label' }, 'Recovery Shares'),
+                React.createElement('textarea', {
+                  className: `form-control font-monospace ${validationErrors.shareInput ? 'is-invalid' : ''}`,
+                  rows: 4,
+                  value: shareInput,
+                  onChange: (e) => setShareInput(e.target.value),
+                  placeholder: 'KSS1-... (one share per line)',
+                  readOnly: !!restoredWalletData
+                }),
+                validationErrors.shareInput && React.createElement('div', {
+                  className: 'invalid-feedback'
+                }, validationErrors.shareInput),
+                !restoredWalletData && React.createElement('div', { className: 'mt-2' },
+                  React.createElement('label', { className: `btn btn-sm btn-outline-secondary ${isReadingShares ? 'disabled' : ''}` },
+                    React.createElement('i', { className: 'bi bi-qr-code-scan me-2' }),
+                    isReadingShares ? 'Reading...' : 'Load Share QR Images',
+                    React.createElement('input', {
+                      type: 'file',
+                      accept: 'image/*',
+                      multiple: true,
+                      className: 'd-none',
+                      onChange: handleShareImages
+                    })
+                  )
+                ),
+                React.createElement('div', { className: 'form-text' },
+                  'Enter the shares of a Shamir backup, one per line - as many as the backup needs (the M in M-of-N). Each share is checked against its checksum.'
+                )
+              ),
+
+              restoreMethod === 'mnemonic' && mnemonicSource === 'words' && React.createElement('div', { className: 'mb-3' },
                 React.createElement('label', { className: 'form-label' }, 'Mnemonic Phrase'),
                 React.createElement('textarea', {
                   className: `form-control ${validationErrors.mnemonicPhrase ? 'is-invalid' : ''}`,
@@ -400,6 +736,148 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
                 )
               ),
 
+              // Extended Private Key Input
+              restoreMethod === 'extendedKey' && React.createElement('div', { className: 'mb-3' },
+                React.createElement('label', { className: 'form-label' }, 'Extended Private Key'),
+                React.createElement('textarea', {
+                  className: `form-control font-monospace ${validationErrors.extendedKey ? 'is-invalid' : ''}`,
+                  rows: 3,
+                  value: extendedKey,
+                  onChange: (e) => setExtendedKey(e.target.value),
+                  onBlur: handleExtendedKeyBlur,
+                  placeholder: 'kprv... or xprv...',
+                  readOnly: !!restoredWalletData,
+                  required: restoreMethod === 'extendedKey'
+                }),
+                validationErrors.extendedKey && React.createElement('div', {
+                  className: 'invalid-feedback'
+                }, validationErrors.extendedKey),
+                React.createElement('label', { className: 'form-label mt-3' }, 'Key Level'),
+                React.createElement('select', {
+                  className: 'form-select',
+                  value: keyLevel,
+                  onChange: (e) => setKeyLevel(e.target.value),
+                  disabled: !!restoredWalletData
+                },
+                  React.createElement('option', { value: 'master' }, 'Master key - derive the account path below it'),
+                  React.createElement('option', { value: 'account' }, 'Account key - derive addresses directly')
+                ),
+                React.createElement('div', { className: 'form-text' },
+                  'Detected from the key when you leave the field. Master keys use the derivation path under Advanced Options.'
+                )
+              ),
+
+              // Derivation Path Explorer (seed and extended key restores)
+              !restoredWalletData && (restoreMethod === 'mnemonic' || restoreMethod === 'extendedKey') && React.createElement('div', { className: 'border rounded p-3 mb-3' },
+                React.createElement('div', { className: 'd-flex justify-content-between align-items-center mb-2' },
+                  React.createElement('h6', { className: 'mb-0' },
+                    React.createElement('i', { className: 'bi bi-signpost-split me-2' }),
+                    'Derivation Path Explorer'
+                  ),
+                  React.createElement('button', {
+                    type: 'button',
+                    className: 'btn btn-sm btn-outline-primary',
+                    onClick: handleExplorePaths,
+                    disabled: isExploring
+                  },
+                    isExploring ? React.createElement('span', null,
+                      React.createElement('span', { className: 'spinner-border spinner-border-sm me-2' }),
+                      'Scanning...'
+                    ) : React.createElement('span', null,
+                      React.createElement('i', { className: 'bi bi-search me-2' }),
+                      'Scan Paths'
+                    )
+                  )
+                ),
+                React.createElement('p', { className: 'small text-muted mb-2' },
+                  'Wallets such as KDX or the legacy web wallet keep funds on other derivation paths. Scan the known paths for balances and restore on the one that holds your coins.'
+                ),
+                React.createElement('p', { className: 'small mb-0' },
+                  'Restoring on: ',
+                  React.createElement('code', null,
+                    restoreMethod === 'extendedKey' && keyLevel === 'account' ? 'm/0/0 (relative to the account key)' : derivationPath
+                  )
+                ),
+                explorerResults && explorerResults.length > 0 && React.createElement('div', { className: 'table-responsive mt-2' },
+                  React.createElement('table', { className: 'table table-sm align-middle mb-0' },
+                    React.createElement('thead', null,
+                      React.createElement('tr', null,
+                        React.createElement('th', null, 'Path'),
+                        React.createElement('th', null, 'First Address'),
+                        React.createElement('th', { className: 'text-end' }, 'Balance'),
+                        React.createElement('th', null)
+                      )
+                    ),
+                    React.createElement('tbody', null,
+                      explorerResults.map(result => React.createElement('tr', {
+                        key: result.id,
+                        className: isExplorerPathSelected(result) ? 'table-primary' : ''
+                      },
+                        React.createElement('td', null,
+                          React.createElement('div', null, React.createElement('code', null, result.accountPath)),
+                          React.createElement('small', { className: 'text-muted' }, `${result.label} - ${result.wallets}`)
+                        ),
+                        React.createElement('td', null,
+                          result.success ?
+                            React.createElement('code', { className: 'small' }, `${result.firstAddress.substring(0, 20)}...`) :
+                            React.createElement('small', { className: 'text-danger' }, result.error)
+                        ),
+                        React.createElement('td', { className: 'text-end' },
+                          result.success && React.createElement('div', null, `${result.totalBalance} KAS`),
+                          result.success && React.createElement('small', { className: 'text-muted' },
+                            `${result.addressesFound} funded address(es)`,
+                            result.networkErrors > 0 ? `, ${result.networkErrors} lookup error(s)` : ''
+                          )
+                        ),
+                        React.createElement('td', { className: 'text-end' },
+                          React.createElement('button', {
+                            type: 'button',
+                            className: `btn btn-sm ${result.success && result.totalBalanceSompi > 0n ? 'btn-success' : 'btn-outline-secondary'}`,
+                            onClick: () => handleUseExploredPath(result),
+                            disabled: !result.success || isExplorerPathSelected(result)
+                          }, isExplorerPathSelected(result) ? 'Selected' : 'Use')
+                        )
+                      ))
+                    )
+                  )
+                )
+              ),
+
+              // Watch-Only Input
+              restoreMethod === 'watchOnly' && React.createElement('div', { className: 'mb-3' },
+                React.createElement('div', { className: 'btn-group btn-group-sm mb-2', role: 'group' },
+                  React.createElement('button', {
+                    type: 'button',
+                    className: `btn ${watchSource === 'xpub' ? 'btn-secondary' : 'btn-outline-secondary'}`,
+                    onClick: () => setWatchSource('xpub'),
+                    disabled: !!restoredWalletData
+                  }, 'Extended Public Key'),
+                  React.createElement('button', {
+                    type: 'button',
+                    className: `btn ${watchSource === 'addresses' ? 'btn-secondary' : 'btn-outline-secondary'}`,
+                    onClick: () => setWatchSource('addresses'),
+                    disabled: !!restoredWalletData
+                  }, 'Address List')
+                ),
+                React.createElement('textarea', {
+                  className: `form-control font-monospace ${validationErrors.watchInput ? 'is-invalid' : ''}`,
+                  rows: watchSource === 'xpub' ? 3 : 5,
+                  value: watchInput,
+                  onChange: (e) => setWatchInput(e.target.value),
+                  placeholder: watchSource === 'xpub' ? 'kpub... or the JSON from an extended public key QR code' : 'One address per line',
+                  readOnly: !!restoredWalletData,
+                  required: restoreMethod === 'watchOnly'
+                }),
+                validationErrors.watchInput && React.createElement('div', {
+                  className: 'invalid-feedback'
+                }, validationErrors.watchInput),
+                React.createElement('div', { className: 'form-text' },
+                  watchSource === 'xpub' ?
+                    'Account-level key exported from Wallet Dashboard → Extended Public Key, or from another Kaspa wallet. Receive and change addresses are derived from it.' :
+                    'The wallet tracks exactly these addresses; no new addresses are derived.'
+                )
+              ),
+
               // Restore Wallet Button (after inputs)
               !restoredWalletData && React.createElement('div', { className: 'text-center mb-4' },
                 React.createElement('button', {
@@ -412,8 +890,8 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
                     React.createElement('span', { className: 'spinner-border spinner-border-sm me-2' }),
                     'Restoring Wallet...'
                   ) : React.createElement('span', null,
-                    React.createElement('i', { className: 'bi bi-arrow-clockwise me-2' }),
-                    'Restore Wallet'
+                    React.createElement('i', { className: `bi ${restoreMethod === 'watchOnly' ? 'bi-eye' : 'bi-arrow-clockwise'} me-2` }),
+                    restoreMethod === 'watchOnly' ? 'Import Watch-Only Wallet' : 'Restore Wallet'
                   )
                 )
               ),
@@ -422,7 +900,7 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
               restoredWalletData && React.createElement('div', { className: 'alert alert-success mb-4' },
                 React.createElement('h6', { className: 'alert-heading' },
                   React.createElement('i', { className: 'bi bi-check-circle me-2' }),
-                  'Wallet Restored Successfully!'
+                  restoredWalletData.watchOnly ? 'Watch-Only Wallet Imported!' : 'Wallet Restored Successfully!'
                 ),
                 React.createElement('p', { className: 'mb-2' },
                   React.createElement('strong', null, 'Address: '),
@@ -435,11 +913,15 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
                 restoredWalletData.derivationPath && React.createElement('p', { className: 'mb-0' },
                   React.createElement('strong', null, 'Derivation Path: '),
                   React.createElement('code', null, restoredWalletData.derivationPath)
+                ),
+                restoredWalletData.watchAddresses && React.createElement('p', { className: 'mb-0' },
+                  React.createElement('strong', null, 'Watched Addresses: '),
+                  restoredWalletData.watchAddresses.length
                 )
               ),
 
               // Info Notice about encryption (only show after restoration)
-              restoredWalletData && React.createElement('div', { className: 'alert alert-info mb-4' },
+              restoredWalletData && !restoredWalletData.watchOnly && React.createElement('div', { className: 'alert alert-info mb-4' },
                 React.createElement('h6', { className: 'alert-heading' },
                   React.createElement('i', { className: 'bi bi-info-circle me-2' }),
                   'Wallet Encryption'
@@ -450,7 +932,7 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
               ),
 
               // Advanced Options Toggle (only show before restoration)
-              !restoredWalletData && React.createElement('div', { className: 'mb-3' },
+              !restoredWalletData && restoreMethod !== 'watchOnly' && React.createElement('div', { className: 'mb-3' },
                 React.createElement('button', {
                   type: 'button',
                   className: 'btn btn-link p-0 text-decoration-none',
@@ -464,7 +946,7 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
               ),
 
               // Advanced Options (only show before restoration)
-              !restoredWalletData && showAdvanced && React.createElement('div', { className: 'border rounded p-3 mb-3 bg-light' },
+              !restoredWalletData && restoreMethod !== 'watchOnly' && showAdvanced && React.createElement('div', { className: 'border rounded p-3 mb-3 bg-light' },
                 // BIP39 Passphrase (only for mnemonic)
                 restoreMethod === 'mnemonic' && React.createElement('div', { className: 'mb-3' },
                   React.createElement('label', { className: 'form-label' }, 'BIP39 Passphrase (Optional)'),
@@ -476,12 +958,12 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
                     placeholder: 'Enter BIP39 passphrase if used...'
                   }),
                   React.createElement('div', { className: 'form-text' },
-                    'Only enter if you used a passphrase when creating the wallet'
+                    'Only enter if you used a passphrase when creating the wallet. It is not stored - you will be asked for it at each login.'
                   )
                 ),
 
-                // Derivation Path (only for mnemonic)
-                restoreMethod === 'mnemonic' && React.createElement('div', { className: 'mb-0' },
+                // Derivation Path (mnemonics and master extended keys)
+                (restoreMethod === 'mnemonic' || (restoreMethod === 'extendedKey' && keyLevel === 'master')) && React.createElement('div', { className: 'mb-0' },
                   React.createElement('label', { className: 'form-label' }, 'Derivation Path'),
                   React.createElement('input', {
                     type: 'text',
@@ -491,7 +973,7 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
                     placeholder: "m/44'/111111'/0'/0/0"
                   }),
                   React.createElement('div', { className: 'form-text' },
-                    'Standard Kaspa derivation path. Only change if you know what you\'re doing.'
+                    'Standard Kaspa derivation path. Use the Derivation Path Explorer to find the path another wallet used.'
                   )
                 )
               ),
@@ -513,7 +995,7 @@ export function WalletRestore({ onNavigate, onWalletRestored, addNotification, n
               ),
 
               // Password Section (only show after restoration)
-              restoredWalletData && React.createElement('div', { className: 'row' },
+              restoredWalletData && !restoredWalletData.watchOnly && React.createElement('div', { className: 'row' },
                 React.createElement('div', { className: 'col-md-6 mb-3' },
                   React.createElement('label', { className: 'form-label' }, 'Wallet Password'),
                   React.createElement('input', {
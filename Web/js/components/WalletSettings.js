@@ -1,5 +1,12 @@
 const { useState, useEffect } = React;
 
+import { getNodeEndpoint, saveNodeEndpoint, removeNodeEndpoint, testNodeEndpoint } from '../../kaspa/js/node-endpoints.js';
+import { resetRpcConnection } from '../../kaspa/js/rpc-pool.js';
+import { getQRWireFormat, setQRWireFormat } from '../../kaspa/js/qr-wire-format.js';
+import { generatePairingKey, savePairingKey, removePairingKey, getPairingKeyFingerprint } from '../../kaspa/js/payload-integrity.js';
+import { ShamirBackup } from './ShamirBackup.js';
+import { getTransportEncryptionMode, setTransportEncryptionMode, setTransportPassphrase, hasTransportPassphrase } from '../../kaspa/js/transport-encryption.js';
+
 export function WalletSettings({ walletState, onNavigate, addNotification, onGenerateNewAddress, sessionManager }) {
   const [walletLabel, setWalletLabel] = useState(walletState.currentWallet?.name || '');
   const [currentPassword, setCurrentPassword] = useState('');
@@ -18,21 +25,45 @@ export function WalletSettings({ walletState, onNavigate, addNotification, onGen
   const [mnemonicPassword, setMnemonicPassword] = useState('');
   const [isRevealingMnemonic, setIsRevealingMnemonic] = useState(false);
   const [revealedMnemonic, setRevealedMnemonic] = useState('');
+  const [showShamirBackup, setShowShamirBackup] = useState(false);
   const [walletHasMnemonic, setWalletHasMnemonic] = useState(null); // null = checking, true/false = result
   const [sessionSettings, setSessionSettings] = useState({ timeoutMinutes: 0, autoSave: true });
   const [isUpdatingSession, setIsUpdatingSession] = useState(false);
   const [autoDiscoveryEnabled, setAutoDiscoveryEnabled] = useState(true);
+  const [qrWireFormat, setQrWireFormat] = useState(getQRWireFormat());
+  const [pairingFingerprint, setPairingFingerprint] = useState(null);
+  const [pairingKeyInput, setPairingKeyInput] = useState('');
+  const [generatedPairingKey, setGeneratedPairingKey] = useState('');
+  const [transportEncryption, setTransportEncryption] = useState(getTransportEncryptionMode());
+  const [transportPassphraseInput, setTransportPassphraseInput] = useState('');
+  const [transportPassphraseSet, setTransportPassphraseSet] = useState(hasTransportPassphrase());
   const [isCompoundingUTXOs, setIsCompoundingUTXOs] = useState(false);
 
   // Network settings
   const [selectedNetwork, setSelectedNetwork] = useState(walletState.network);
   const [isChangingNetwork, setIsChangingNetwork] = useState(false);
 
+  // Node endpoint settings
+  const [endpointNetwork, setEndpointNetwork] = useState(walletState.network);
+  const [endpointForm, setEndpointForm] = useState({ url: '', encoding: 'borsh', useResolverFallback: false });
+  const [hasSavedEndpoint, setHasSavedEndpoint] = useState(false);
+  const [isTestingEndpoint, setIsTestingEndpoint] = useState(false);
+  const [endpointTestResult, setEndpointTestResult] = useState(null);
+
   // Sync selected network with wallet state
   useEffect(() => {
     setSelectedNetwork(walletState.network);
+    setEndpointNetwork(walletState.network);
   }, [walletState.network]);
 
+  // Load the saved node endpoint for the network being edited
+  useEffect(() => {
+    const endpoint = getNodeEndpoint(endpointNetwork);
+    setEndpointForm(endpoint || { url: '', encoding: 'borsh', useResolverFallback: false });
+    setHasSavedEndpoint(!!endpoint);
+    setEndpointTestResult(null);
+  }, [endpointNetwork]);
+
   // Password strength calculation
   const calculatePasswordStrength = (password) => {
     let score = 0;
@@ -89,6 +120,9 @@ export function WalletSettings({ walletState, onNavigate, addNotification, onGen
     
     loadSessionSettings();
     loadAutoDiscoverySetting();
+    getPairingKeyFingerprint().then(setPairingFingerprint).catch(error => {
+      console.error('Failed to load QR pairing key:', error);
+    });
   }, [sessionManager]);
 
   // Update wallet label
@@ -171,7 +205,11 @@ export function WalletSettings({ walletState, onNavigate, addNotification, onGen
         address: currentWalletData.address,
         network: currentWalletData.network,
         mnemonic: currentWalletData.mnemonic,
-        derivationPath: currentWalletData.derivationPath
+        extendedPrivateKey: currentWalletData.extendedPrivateKey,
+        passphraseRequired: currentWalletData.passphraseRequired,
+        derivationPath: currentWalletData.derivationPath,
+        accounts: currentWalletData.accounts,
+        activeAccount: currentWalletData.activeAccount
       };
       
       const newWalletId = await walletStorage.saveWallet(walletData, newPassword);
@@ -235,6 +273,36 @@ export function WalletSettings({ walletState, onNavigate, addNotification, onGen
 
   // Scan for addresses in a range
   const handleScanAddresses = async () => {
+    // Watch-only and extended-key wallets derive through their HD manager instead of a seed
+    if (walletState.isWatchOnly || walletState.hdWallet?.extendedKey) {
+      if (walletState.isWatchOnly && !walletState.hdWallet?.xpub) {
+        addNotification('This watch-only wallet tracks a fixed list of addresses and cannot derive new ones.', 'warning');
+        return;
+      }
+
+      setIsScanningAddresses(true);
+      try {
+        const addresses = [];
+        for (let i = scanRange.start; i <= scanRange.end; i++) {
+          const addressInfo = await walletState.hdWallet.generateAddress(addressType, i);
+          addresses.push({
+            index: i,
+            address: addressInfo.address,
+            type: addressType,
+            derivationPath: addressInfo.derivationPath || `.../${addressType === 'receive' ? '0' : '1'}/${i}`
+          });
+        }
+        setScannedAddresses(addresses);
+        addNotification(`Scanned ${addresses.length} ${addressType} addresses`, 'success');
+      } catch (error) {
+        console.error('Address scanning error:', error);
+        addNotification('Failed to scan addresses: ' + error.message, 'error');
+      } finally {
+        setIsScanningAddresses(false);
+      }
+      return;
+    }
+
     const mnemonic = await getMnemonic();
     if (!mnemonic) {
       addNotification('This wallet was created from a private key and does not have a mnemonic phrase. Only HD wallets created from mnemonic phrases support address scanning.', 'warning');
@@ -254,7 +322,8 @@ export function WalletSettings({ walletState, onNavigate, addNotification, onGen
 
       // Recreate wallet from mnemonic
       const mnemonicObj = new Mnemonic(mnemonic);
-      const seed = mnemonicObj.toSeed();
+      const passphrase = walletState.hdWallet?.passphrase || walletState.currentWallet?.passphrase;
+      const seed = passphrase ? mnemonicObj.toSeed(passphrase) : mnemonicObj.toSeed();
       const xPrv = new XPrv(seed);
 
       const addresses = [];
@@ -353,6 +422,11 @@ export function WalletSettings({ walletState, onNavigate, addNotification, onGen
         setRevealedMnemonic(decryptedWallet.mnemonic);
         setShowMnemonic(true);
         addNotification('Mnemonic revealed successfully', 'success');
+      } else if (decryptedWallet && decryptedWallet.extendedPrivateKey) {
+        // Wallets restored from an xprv/kprv are backed up by that key
+        setRevealedMnemonic(decryptedWallet.extendedPrivateKey);
+        setShowMnemonic(true);
+        addNotification('Extended private key revealed successfully', 'success');
       } else {
         addNotification('This wallet was created from a private key and does not have a mnemonic phrase. Only HD wallets created from mnemonic phrases support address scanning and generation.', 'warning');
       }
@@ -373,6 +447,7 @@ export function WalletSettings({ walletState, onNavigate, addNotification, onGen
     setShowMnemonic(false);
     setRevealedMnemonic('');
     setMnemonicPassword('');
+    setShowShamirBackup(false);
   };
 
   // Handle network change
@@ -484,6 +559,135 @@ export function WalletSettings({ walletState, onNavigate, addNotification, onGen
     }
   };
 
+  // Handle QR transfer format change; scanning accepts both formats either way
+  const handleQRWireFormatChange = (useLegacyJson) => {
+    const format = useLegacyJson ? 'json' : 'compact';
+    if (!setQRWireFormat(format)) {
+      addNotification('Failed to save QR transfer format', 'error');
+      return;
+    }
+    setQrWireFormat(format);
+    addNotification(`QR codes will use the ${useLegacyJson ? 'legacy JSON' : 'compact'} format`, 'success');
+  };
+
+  // Generate a new pairing key; it is shown once so it can be typed into the other device
+  const handleGeneratePairingKey = async () => {
+    try {
+      const key = generatePairingKey();
+      const result = savePairingKey(key);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      setGeneratedPairingKey(key.match(/.{8}/g).join(' '));
+      setPairingFingerprint(await getPairingKeyFingerprint());
+      addNotification('Pairing key generated - enter it on the other device', 'success');
+    } catch (error) {
+      addNotification('Failed to generate pairing key: ' + error.message, 'error');
+    }
+  };
+
+  const handleSavePairingKey = async () => {
+    const result = savePairingKey(pairingKeyInput);
+    if (!result.success) {
+      addNotification(result.error, 'error');
+      return;
+    }
+    setPairingKeyInput('');
+    setGeneratedPairingKey('');
+    const fingerprint = await getPairingKeyFingerprint();
+    setPairingFingerprint(fingerprint);
+    addNotification(`Device paired - key fingerprint ${fingerprint}`, 'success');
+  };
+
+  const handleRemovePairingKey = () => {
+    const result = removePairingKey();
+    if (!result.success) {
+      addNotification('Failed to remove pairing key: ' + result.error, 'error');
+      return;
+    }
+    setPairingFingerprint(null);
+    setGeneratedPairingKey('');
+    addNotification('Pairing key removed - QR transfers are no longer authenticated', 'info');
+    if (transportEncryption === 'pairing') {
+      handleTransportEncryptionChange('off');
+    }
+  };
+
+  // Transport encryption covers QR codes and JSON files; the receiving side decrypts whatever arrives
+  const handleTransportEncryptionChange = (mode) => {
+    if (mode === 'pairing' && !pairingFingerprint) {
+      addNotification('Pair this device first to encrypt transfers with the pairing key', 'error');
+      return;
+    }
+    if (!setTransportEncryptionMode(mode)) {
+      addNotification('Failed to save transport encryption setting', 'error');
+      return;
+    }
+    setTransportEncryption(mode);
+    addNotification(mode === 'off' ? 'Transfers are no longer encrypted' :
+      `Transfers will be encrypted with the ${mode === 'pairing' ? 'pairing key' : 'transfer passphrase'}`, 'success');
+  };
+
+  const handleSetTransportPassphrase = () => {
+    setTransportPassphrase(transportPassphraseInput);
+    setTransportPassphraseInput('');
+    setTransportPassphraseSet(true);
+    addNotification('Transfer passphrase set for this session', 'success');
+  };
+
+  const handleForgetTransportPassphrase = () => {
+    setTransportPassphrase(null);
+    setTransportPassphraseSet(false);
+    addNotification('Transfer passphrase forgotten - you will be asked for it on the next transfer', 'info');
+  };
+
+  // Test the node endpoint in the form without saving it
+  const handleTestEndpoint = async () => {
+    setIsTestingEndpoint(true);
+    setEndpointTestResult(null);
+
+    try {
+      const result = await testNodeEndpoint(endpointNetwork, endpointForm);
+      setEndpointTestResult(result);
+      if (!result.success) {
+        addNotification('Node connection failed: ' + result.error, 'error');
+      }
+    } finally {
+      setIsTestingEndpoint(false);
+    }
+  };
+
+  // Save the node endpoint for the selected network
+  const handleSaveEndpoint = (e) => {
+    e.preventDefault();
+
+    const result = saveNodeEndpoint(endpointNetwork, endpointForm);
+    if (!result.success) {
+      addNotification('Failed to save node endpoint: ' + result.error, 'error');
+      return;
+    }
+
+    setEndpointForm(result.endpoint);
+    setHasSavedEndpoint(true);
+    resetRpcConnection(endpointNetwork);
+    addNotification(`Node endpoint saved for ${endpointNetwork}. Connecting to ${result.endpoint.url}`, 'success');
+  };
+
+  // Remove the node endpoint so the network uses the public resolver again
+  const handleRemoveEndpoint = () => {
+    const result = removeNodeEndpoint(endpointNetwork);
+    if (!result.success) {
+      addNotification('Failed to remove node endpoint: ' + result.error, 'error');
+      return;
+    }
+
+    setEndpointForm({ url: '', encoding: 'borsh', useResolverFallback: false });
+    setHasSavedEndpoint(false);
+    setEndpointTestResult(null);
+    resetRpcConnection(endpointNetwork);
+    addNotification(`Node endpoint removed for ${endpointNetwork}. Public nodes will be used.`, 'info');
+  };
+
   // Handle compound UTXOs
   const handleCompoundUTXOs = async () => {
     if (!walletState.isHDWallet) {
@@ -550,6 +754,9 @@ export function WalletSettings({ walletState, onNavigate, addNotification, onGen
               React.createElement('div', { className: 'col-md-6' },
                 React.createElement('p', { className: 'mb-1' },
                   React.createElement('strong', null, 'Wallet Type: '),
+                  walletState.isWatchOnly ?
+                    React.createElement('span', { className: 'badge bg-secondary' },
+                      walletState.hdWallet?.xpub ? 'Watch-Only (Extended Public Key)' : 'Watch-Only (Address List)') :
                   walletState.isHDWallet ? 
                     React.createElement('span', { className: 'badge bg-success' }, 'HD Wallet (Mnemonic)') :
                     React.createElement('span', { className: 'badge bg-warning' }, 'Private Key Wallet')
@@ -654,8 +861,139 @@ export function WalletSettings({ walletState, onNavigate, addNotification, onGen
               )
             ),
 
-            // Change Password
+            // Node Endpoints
             React.createElement('div', { className: 'card mb-4' },
+              React.createElement('div', { className: 'card-header' },
+                React.createElement('h6', { className: 'card-title mb-0' },
+                  React.createElement('i', { className: 'bi bi-hdd-network me-2' }),
+                  'Node Endpoints'
+                )
+              ),
+              React.createElement('div', { className: 'card-body' },
+                React.createElement('p', { className: 'text-muted small' },
+                  'Connect to your own kaspad node instead of public nodes found through the resolver. Balance checks, address scans, fee estimates and submissions all use this node.'
+                ),
+                React.createElement('form', { onSubmit: handleSaveEndpoint },
+                  React.createElement('div', { className: 'row' },
+                    React.createElement('div', { className: 'col-md-4 mb-3' },
+                      React.createElement('label', { className: 'form-label' }, 'Network'),
+                      React.createElement('select', {
+                        className: 'form-select',
+                        value: endpointNetwork,
+                        onChange: (e) => setEndpointNetwork(e.target.value)
+                      },
+                        React.createElement('option', { value: 'mainnet' }, 'Mainnet'),
+                        React.createElement('option', { value: 'testnet-10' }, 'Testnet-10'),
+                        React.createElement('option', { value: 'testnet-11' }, 'Testnet-11'),
+                        React.createElement('option', { value: 'devnet' }, 'Devnet'),
+                        React.createElement('option', { value: 'simnet' }, 'Simnet')
+                      )
+                    ),
+                    React.createElement('div', { className: 'col-md-4 mb-3' },
+                      React.createElement('label', { className: 'form-label' }, 'wRPC Encoding'),
+                      React.createElement('select', {
+                        className: 'form-select',
+                        value: endpointForm.encoding,
+                        onChange: (e) => setEndpointForm({ ...endpointForm, encoding: e.target.value })
+                      },
+                        React.createElement('option', { value: 'borsh' }, 'Borsh'),
+                        React.createElement('option', { value: 'json' }, 'JSON')
+                      )
+                    ),
+                    React.createElement('div', { className: 'col-md-4 mb-3' },
+                      React.createElement('label', { className: 'form-label' }, 'Status'),
+                      React.createElement('div', { className: 'form-control-plaintext' },
+                        hasSavedEndpoint ?
+                          React.createElement('span', { className: 'badge bg-success' }, 'Custom node') :
+                          React.createElement('span', { className: 'badge bg-secondary' }, 'Public resolver')
+                      )
+                    )
+                  ),
+                  React.createElement('div', { className: 'mb-3' },
+                    React.createElement('label', { className: 'form-label' }, 'wRPC URL'),
+                    React.createElement('input', {
+                      type: 'text',
+                      className: 'form-control font-monospace',
+                      value: endpointForm.url,
+                      onChange: (e) => setEndpointForm({ ...endpointForm, url: e.target.value }),
+                      placeholder: endpointForm.encoding === 'json' ? 'ws://127.0.0.1:18110' : 'ws://127.0.0.1:17110'
+                    }),
+                    React.createElement('div', { className: 'form-text' },
+                      'Default kaspad ports: Borsh 17110 (mainnet) / 17210 (testnet), JSON 18110 (mainnet) / 18210 (testnet).'
+                    )
+                  ),
+                  React.createElement('div', { className: 'form-check mb-3' },
+                    React.createElement('input', {
+                      className: 'form-check-input',
+                      type: 'checkbox',
+                      id: 'useResolverFallback',
+                      checked: endpointForm.useResolverFallback,
+                      onChange: (e) => setEndpointForm({ ...endpointForm, useResolverFallback: e.target.checked })
+                    }),
+                    React.createElement('label', { className: 'form-check-label', htmlFor: 'useResolverFallback' },
+                      'Fall back to public nodes when this node is unreachable'
+                    ),
+                    endpointForm.useResolverFallback && React.createElement('div', { className: 'form-text text-warning' },
+                      'Public nodes will see the addresses this wallet queries while your node is down.'
+                    )
+                  ),
+                  endpointTestResult && endpointTestResult.success && React.createElement('div', {
+                    className: `alert ${endpointTestResult.isSynced ? 'alert-success' : 'alert-warning'} mb-3`
+                  },
+                    React.createElement('div', null,
+                      React.createElement('i', { className: 'bi bi-check-circle me-2' }),
+                      React.createElement('strong', null, 'Connected: '),
+                      `kaspad ${endpointTestResult.serverVersion} on ${endpointTestResult.networkId}`
+                    ),
+                    React.createElement('div', { className: 'small mt-1' },
+                      `Sync state: ${endpointTestResult.isSynced ? 'synced' : 'not synced'} | UTXO index: ${endpointTestResult.hasUtxoIndex ? 'enabled' : 'disabled'}`
+                    ),
+                    !endpointTestResult.hasUtxoIndex && React.createElement('div', { className: 'small mt-1' },
+                      'Balances and UTXO fetching require kaspad to run with --utxoindex.'
+                    )
+                  ),
+                  endpointTestResult && !endpointTestResult.success && React.createElement('div', { className: 'alert alert-danger mb-3' },
+                    React.createElement('i', { className: 'bi bi-x-circle me-2' }),
+                    endpointTestResult.error
+                  ),
+                  React.createElement('div', { className: 'd-flex gap-2' },
+                    React.createElement('button', {
+                      type: 'button',
+                      className: 'btn btn-outline-primary',
+                      onClick: handleTestEndpoint,
+                      disabled: !endpointForm.url || isTestingEndpoint
+                    },
+                      isTestingEndpoint ? React.createElement('span', null,
+                        React.createElement('span', { className: 'spinner-border spinner-border-sm me-2' }),
+                        'Testing...'
+                      ) : React.createElement('span', null,
+                        React.createElement('i', { className: 'bi bi-plug me-2' }),
+                        'Test Connection'
+                      )
+                    ),
+                    React.createElement('button', {
+                      type: 'submit',
+                      className: 'btn btn-primary',
+                      disabled: !endpointForm.url
+                    },
+                      React.createElement('i', { className: 'bi bi-save me-2' }),
+                      'Save Endpoint'
+                    ),
+                    hasSavedEndpoint && React.createElement('button', {
+                      type: 'button',
+                      className: 'btn btn-outline-danger',
+                      onClick: handleRemoveEndpoint
+                    },
+                      React.createElement('i', { className: 'bi bi-trash me-2' }),
+                      'Use Public Nodes'
+                    )
+                  )
+                )
+              )
+            ),
+
+            // Change Password (watch-only wallets are stored without a password)
+            !walletState.isWatchOnly && React.createElement('div', { className: 'card mb-4' },
               React.createElement('div', { className: 'card-header' },
                 React.createElement('h6', { className: 'card-title mb-0' },
                   React.createElement('i', { className: 'bi bi-shield-lock me-2' }),
@@ -825,6 +1163,155 @@ export function WalletSettings({ walletState, onNavigate, addNotification, onGen
               )
             ),
 
+            // QR Transfer Format
+            React.createElement('div', { className: 'card mb-4' },
+              React.createElement('div', { className: 'card-header' },
+                React.createElement('h6', { className: 'card-title mb-0' },
+                  React.createElement('i', { className: 'bi bi-qr-code me-2' }),
+                  'QR Transfer Format'
+                )
+              ),
+              React.createElement('div', { className: 'card-body' },
+                React.createElement('div', { className: 'form-check form-switch' },
+                  React.createElement('input', {
+                    type: 'checkbox',
+                    className: 'form-check-input',
+                    id: 'legacyJsonQR',
+                    checked: qrWireFormat === 'json',
+                    onChange: (e) => handleQRWireFormatChange(e.target.checked)
+                  }),
+                  React.createElement('label', { className: 'form-check-label', htmlFor: 'legacyJsonQR' },
+                    'Generate legacy JSON QR codes'
+                  )
+                ),
+                React.createElement('div', { className: 'form-text mt-2' },
+                  qrWireFormat === 'json' ?
+                    'QR codes contain plain JSON. Use this only when the other device runs an older wallet version.' :
+                    'QR codes use the compact binary format, which needs far fewer QR parts. Both formats are always accepted when scanning.'
+                )
+              )
+            ),
+
+            // QR Pairing (HMAC authentication of air-gapped transfers)
+            React.createElement('div', { className: 'card mb-4' },
+              React.createElement('div', { className: 'card-header' },
+                React.createElement('h6', { className: 'card-title mb-0' },
+                  React.createElement('i', { className: 'bi bi-shield-lock me-2' }),
+                  'Device Pairing'
+                )
+              ),
+              React.createElement('div', { className: 'card-body' },
+                React.createElement('p', { className: 'card-text small text-muted' },
+                  'Pair the online and offline device with a shared key. Multi-part QR codes and JSON files are then authenticated with an HMAC, and unauthenticated transfers are rejected.'
+                ),
+                pairingFingerprint ?
+                  React.createElement('div', { className: 'alert alert-success py-2' },
+                    React.createElement('i', { className: 'bi bi-check-circle me-2' }),
+                    'Paired. Key fingerprint: ',
+                    React.createElement('code', null, pairingFingerprint)
+                  ) :
+                  React.createElement('div', { className: 'alert alert-secondary py-2' },
+                    'Not paired. Transfers are still checked with SHA-256 digests.'
+                  ),
+                generatedPairingKey && React.createElement('div', { className: 'alert alert-warning' },
+                  React.createElement('div', { className: 'fw-semibold mb-1' }, 'Enter this key on the other device:'),
+                  React.createElement('code', { className: 'd-block user-select-all' }, generatedPairingKey),
+                  React.createElement('small', { className: 'd-block mt-1' },
+                    'Anyone with this key can authenticate transfers. It is not shown again.'
+                  )
+                ),
+                React.createElement('div', { className: 'input-group mb-2' },
+                  React.createElement('input', {
+                    type: 'text',
+                    className: 'form-control font-monospace',
+                    placeholder: 'Pairing key from the other device (64 hex characters)',
+                    value: pairingKeyInput,
+                    onChange: (e) => setPairingKeyInput(e.target.value)
+                  }),
+                  React.createElement('button', {
+                    className: 'btn btn-outline-primary',
+                    onClick: handleSavePairingKey,
+                    disabled: !pairingKeyInput.trim()
+                  }, 'Pair')
+                ),
+                React.createElement('div', { className: 'd-flex gap-2' },
+                  React.createElement('button', {
+                    className: 'btn btn-outline-secondary btn-sm',
+                    onClick: handleGeneratePairingKey
+                  },
+                    React.createElement('i', { className: 'bi bi-key me-1' }),
+                    'Generate New Key'
+                  ),
+                  pairingFingerprint && React.createElement('button', {
+                    className: 'btn btn-outline-danger btn-sm',
+                    onClick: handleRemovePairingKey
+                  },
+                    React.createElement('i', { className: 'bi bi-x-circle me-1' }),
+                    'Remove Pairing'
+                  )
+                )
+              )
+            ),
+
+            // Transport Encryption (AES-256-GCM for QR codes and JSON files)
+            React.createElement('div', { className: 'card mb-4' },
+              React.createElement('div', { className: 'card-header' },
+                React.createElement('h6', { className: 'card-title mb-0' },
+                  React.createElement('i', { className: 'bi bi-lock me-2' }),
+                  'Transfer Encryption'
+                )
+              ),
+              React.createElement('div', { className: 'card-body' },
+                React.createElement('p', { className: 'card-text small text-muted' },
+                  'Encrypt transactions, UTXO snapshots, extended public keys and messages before they are shown as QR codes or downloaded, so saved images and files do not reveal addresses or amounts. Encrypted transfers are always decrypted on import, whatever this setting is.'
+                ),
+                [
+                  { value: 'off', label: 'Off', description: 'QR codes and files are readable by anyone who sees them.' },
+                  { value: 'pairing', label: 'Pairing key', description: pairingFingerprint ? 'Encrypted with the key shared by the paired devices; decrypted automatically.' : 'Requires a paired device (see Device Pairing).' },
+                  { value: 'passphrase', label: 'Passphrase', description: 'Encrypted with a passphrase you type on both devices. It is only kept for this session.' }
+                ].map(option => React.createElement('div', { key: option.value, className: 'form-check' },
+                  React.createElement('input', {
+                    type: 'radio',
+                    className: 'form-check-input',
+                    name: 'transportEncryption',
+                    id: `transportEncryption-${option.value}`,
+                    checked: transportEncryption === option.value,
+                    disabled: option.value === 'pairing' && !pairingFingerprint,
+                    onChange: () => handleTransportEncryptionChange(option.value)
+                  }),
+                  React.createElement('label', { className: 'form-check-label', htmlFor: `transportEncryption-${option.value}` },
+                    option.label,
+                    React.createElement('small', { className: 'd-block text-muted' }, option.description)
+                  )
+                )),
+                transportEncryption === 'passphrase' && React.createElement('div', { className: 'mt-3' },
+                  transportPassphraseSet ?
+                    React.createElement('div', { className: 'd-flex align-items-center gap-2' },
+                      React.createElement('span', { className: 'badge bg-success' }, 'Passphrase set for this session'),
+                      React.createElement('button', {
+                        className: 'btn btn-outline-secondary btn-sm',
+                        onClick: handleForgetTransportPassphrase
+                      }, 'Forget')
+                    ) :
+                    React.createElement('div', { className: 'input-group' },
+                      React.createElement('input', {
+                        type: 'password',
+                        className: 'form-control',
+                        placeholder: 'Transfer passphrase (asked on first use if left empty)',
+                        autoComplete: 'off',
+                        value: transportPassphraseInput,
+                        onChange: (e) => setTransportPassphraseInput(e.target.value)
+                      }),
+                      React.createElement('button', {
+                        className: 'btn btn-outline-primary',
+                        onClick: handleSetTransportPassphrase,
+                        disabled: !transportPassphraseInput
+                      }, 'Set')
+                    )
+                )
+              )
+            ),
+
             // Compound UTXOs
             walletState.isHDWallet && React.createElement('div', { className: 'card mb-4' },
               React.createElement('div', { className: 'card-header' },
@@ -857,8 +1344,8 @@ export function WalletSettings({ walletState, onNavigate, addNotification, onGen
               )
             ),
 
-            // Show Mnemonic (only for HD wallets)
-            walletState.isHDWallet && React.createElement('div', { className: 'card mb-4' },
+            // Show Mnemonic (only for seed-based HD wallets)
+            walletState.isHDWallet && !walletState.isWatchOnly && React.createElement('div', { className: 'card mb-4' },
               React.createElement('div', { className: 'card-header' },
                 React.createElement('h6', { className: 'card-title mb-0' },
                   React.createElement('i', { className: 'bi bi-eye me-2' }),
@@ -905,8 +1392,18 @@ export function WalletSettings({ walletState, onNavigate, addNotification, onGen
                       React.createElement('i', { className: 'bi bi-shield-check me-2' }),
                       React.createElement('strong', null, 'Recovery Phrase Revealed')
                     ),
+                    walletState.currentWallet?.passphraseRequired && React.createElement('div', { className: 'alert alert-warning mb-3' },
+                      React.createElement('i', { className: 'bi bi-key me-2' }),
+                      'This wallet also uses a BIP39 passphrase. Restoring it needs both the recovery phrase and the passphrase, which is not stored by this wallet.'
+                    ),
                     React.createElement('div', { className: 'card bg-dark text-light mb-3' },
                       React.createElement('div', { className: 'card-body' },
+                        !revealedMnemonic.includes(' ') ?
+                          React.createElement('div', null,
+                            React.createElement('small', { className: 'text-muted d-block mb-1' },
+                              `Extended private key (account path ${walletState.hdWallet?.derivationPath || 'unknown'})`),
+                            React.createElement('code', { className: 'text-light text-break' }, revealedMnemonic)
+                          ) :
                         React.createElement('div', { className: 'row' },
                           ...revealedMnemonic.split(' ').map((word, index) =>
                             React.createElement('div', { key: index, className: 'col-md-3 col-sm-4 col-6 mb-2' },
@@ -927,6 +1424,13 @@ export function WalletSettings({ walletState, onNavigate, addNotification, onGen
                         React.createElement('i', { className: 'bi bi-copy me-2' }),
                         'Copy to Clipboard'
                       ),
+                      revealedMnemonic.includes(' ') && React.createElement('button', {
+                        className: 'btn btn-outline-primary',
+                        onClick: () => setShowShamirBackup(!showShamirBackup)
+                      },
+                        React.createElement('i', { className: 'bi bi-puzzle me-2' }),
+                        showShamirBackup ? 'Close Shamir Backup' : 'Shamir Backup'
+                      ),
                       React.createElement('button', {
                         className: 'btn btn-secondary',
                         onClick: hideMnemonic
@@ -934,6 +1438,9 @@ export function WalletSettings({ walletState, onNavigate, addNotification, onGen
                         React.createElement('i', { className: 'bi bi-eye-slash me-2' }),
                         'Hide Recovery Phrase'
                       )
+                    ),
+                    showShamirBackup && React.createElement('div', { className: 'mt-3' },
+                      React.createElement(ShamirBackup, { mnemonic: revealedMnemonic, addNotification })
                     )
                   )
               )
@@ -63,8 +63,15 @@ export class SessionManager {
                 address: walletState.currentWallet.address,
                 network: walletState.currentWallet.network,
                 mnemonic: walletState.currentWallet.mnemonic,
+                extendedPrivateKey: walletState.currentWallet.extendedPrivateKey || null,
+                // Only whether a BIP39 passphrase is needed; the passphrase itself stays in memory
+                passphraseRequired: Boolean(walletState.currentWallet.passphraseRequired),
                 derivationPath: walletState.currentWallet.derivationPath,
-                privateKey: walletState.currentWallet.privateKey
+                privateKey: walletState.currentWallet.privateKey,
+                // Watch-only wallets are rebuilt from their public key or address list
+                watchOnly: Boolean(walletState.currentWallet.watchOnly),
+                xpub: walletState.currentWallet.xpub || null,
+                watchAddresses: walletState.currentWallet.watchAddresses || null
             } : null;
 
             // Create safe copy of addresses array with only essential serializable data
@@ -84,9 +91,11 @@ export class SessionManager {
                     network: walletState.network,
                     allAddresses: safeAllAddresses,
                     isHDWallet: walletState.isHDWallet,
+                    isWatchOnly: Boolean(walletState.isWatchOnly),
                     mnemonic: walletState.mnemonic,
                     privateKey: walletState.privateKey,
                     derivationPath: walletState.derivationPath,
+                    accountIndex: walletState.accountIndex || 0,
                     balance: walletState.balance, // Preserve original type (BigInt, number, or null)
                     // Explicitly exclude hdWallet instance - it will be recreated on restore
                     hdWallet: null
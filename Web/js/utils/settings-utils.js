@@ -2,6 +2,8 @@
  * Utility functions for managing application settings
  */
 
+import { getSelectionStrategies, DEFAULT_SELECTION_STRATEGY } from '../../kaspa/js/utxo-selection.js';
+
 /**
  * Get auto-discovery setting
  * @returns {boolean} True if auto-discovery is enabled
@@ -28,4 +30,34 @@ export function setAutoDiscoveryEnabled(enabled) {
     console.error('Failed to save auto-discovery setting:', error);
     return false;
   }
-} 
\ No newline at end of file
+} 
+
+/**
+ * Get the UTXO selection strategy used for new transactions
+ * @returns {string} Strategy id from the utxo-selection registry
+ */
+export function getUtxoSelectionStrategy() {
+  try {
+    const saved = localStorage.getItem('kaspa_utxo_selection_strategy');
+    const strategy = saved !== null ? JSON.parse(saved) : DEFAULT_SELECTION_STRATEGY;
+    // Ignore strategies that no longer exist
+    return getSelectionStrategies().some(option => option.id === strategy) ? strategy : DEFAULT_SELECTION_STRATEGY;
+  } catch (error) {
+    console.error('Failed to load UTXO selection strategy:', error);
+    return DEFAULT_SELECTION_STRATEGY;
+  }
+}
+
+/**
+ * Set the UTXO selection strategy used for new transactions
+ * @param {string} strategy - Strategy id from the utxo-selection registry
+ */
+export function setUtxoSelectionStrategy(strategy) {
+  try {
+    localStorage.setItem('kaspa_utxo_selection_strategy', JSON.stringify(strategy));
+    return true;
+  } catch (error) {
+    console.error('Failed to save UTXO selection strategy:', error);
+    return false;
+  }
+}
@@ -5,6 +5,7 @@
  */
 
 import { getKaspa, isInitialized } from './init.js';
+import { getRpcConnection, getRpcClient } from './rpc-pool.js';
 
 export class AddressScanner {
     constructor() {
@@ -20,17 +21,10 @@ export class AddressScanner {
             throw new Error('Kaspa WASM not initialized');
         }
 
-        const kaspa = getKaspa();
-        const { Resolver, RpcClient } = kaspa;
-
-        const resolver = new Resolver();
-        this.rpc = new RpcClient({
-            networkId: networkType,
-            resolver: resolver
-        });
-
         try {
-            await this.rpc.connect();
+            // Connect up front so failures surface here; requests then go through the shared pool
+            await getRpcConnection(networkType).connect();
+            this.rpc = getRpcClient(networkType);
             return this.rpc;
         } catch (error) {
             throw new Error(`Network connection failed for ${networkType}: ${error.message}`);
@@ -38,13 +32,10 @@ export class AddressScanner {
     }
 
     /**
-     * Clean up RPC connection
+     * Release the RPC handle; the pooled connection stays open for other modules
      */
     async cleanup() {
-        if (this.rpc) {
-            await this.rpc.disconnect();
-            this.rpc = null;
-        }
+        this.rpc = null;
     }
 
     /**
@@ -61,7 +52,9 @@ export class AddressScanner {
             const unifiedWallet = getHDWallet(
                 hdWallet.mnemonic,
                 hdWallet.network || 'mainnet',
-                hdWallet.derivationPath
+                hdWallet.derivationPath,
+                hdWallet.passphrase,
+                hdWallet.extendedKey
             );
             
             await unifiedWallet.initialize();
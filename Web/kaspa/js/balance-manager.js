@@ -5,7 +5,8 @@
  * 2. Calculate balance using Kaspa WASM SDK RPC (online)
  */
 
-import { getKaspa, isInitialized } from './init.js';
+import { isInitialized } from './init.js';
+import { getRpcConnection, getRpcClient } from './rpc-pool.js';
 import { sompiToKas, kasToSompi } from './currency-utils.js';
 
 export class BalanceManager {
@@ -22,17 +23,10 @@ export class BalanceManager {
             throw new Error('Kaspa WASM not initialized');
         }
 
-        const kaspa = getKaspa();
-        const { Resolver, RpcClient } = kaspa;
-
-        const resolver = new Resolver();
-        this.rpc = new RpcClient({
-            networkId: networkType,
-            resolver: resolver
-        });
-
         try {
-            await this.rpc.connect();
+            // Connect up front so failures surface here; requests then go through the shared pool
+            await getRpcConnection(networkType).connect();
+            this.rpc = getRpcClient(networkType);
             return this.rpc;
         } catch (error) {
             throw new Error(`Network connection failed for ${networkType}: ${error.message}`);
@@ -40,13 +34,10 @@ export class BalanceManager {
     }
 
     /**
-     * Clean up RPC connection
+     * Release the RPC handle; the pooled connection stays open for other modules
      */
     async cleanup() {
-        if (this.rpc) {
-            await this.rpc.disconnect();
-            this.rpc = null;
-        }
+        this.rpc = null;
     }
 
     /**
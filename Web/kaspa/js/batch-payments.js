@@ -0,0 +1,430 @@
+// Kaspa Batch Payments Module
+// Pays several recipients from one set of UTXOs, splitting into several transactions when the mass limit is hit
+import { getKaspa, isInitialized } from './init.js';
+import { kasNumberToSompi, sompiToKas } from './currency-utils.js';
+import { MIN_TRANSACTION_AMOUNT, MAX_UTXOS_PER_TRANSACTION } from './constants.js';
+import { getUtxoKey } from './coin-control.js';
+import { selectUTXOs, describeSelection, canWidenSelection } from './utxo-selection.js';
+
+/**
+ * Validate and normalize a recipient list
+ * @param {Array} recipients - Array of { address, amount (KAS), label? }
+ * @returns {Object} - { valid, recipients, totalInSompi, error }
+ */
+function normalizeRecipients(recipients) {
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+        return { valid: false, error: 'At least one recipient is required' };
+    }
+
+    const { Address } = isInitialized() ? getKaspa() : {};
+    const normalized = [];
+    let totalInSompi = 0n;
+
+    for (let i = 0; i < recipients.length; i++) {
+        const recipient = recipients[i] || {};
+        const address = typeof recipient.address === 'string' ? recipient.address.trim() : '';
+        const label = recipient.label ? String(recipient.label).trim() : '';
+        const row = i + 1;
+
+        if (!address) {
+            return { valid: false, error: `Recipient ${row}: address is required` };
+        }
+
+        if (Address) {
+            try {
+                new Address(address);
+            } catch (error) {
+                return { valid: false, error: `Recipient ${row}: invalid address ${address}` };
+            }
+        }
+
+        let amountInSompi;
+        if (recipient.amountInSompi !== undefined && recipient.amountInSompi !== null && recipient.amountInSompi !== '') {
+            amountInSompi = BigInt(recipient.amountInSompi);
+        } else {
+            const amountFloat = parseFloat(recipient.amount);
+            if (isNaN(amountFloat) || amountFloat <= 0) {
+                return { valid: false, error: `Recipient ${row}: amount must be a positive number` };
+            }
+            amountInSompi = kasNumberToSompi(amountFloat);
+        }
+
+        if (amountInSompi < kasNumberToSompi(MIN_TRANSACTION_AMOUNT)) {
+            return { valid: false, error: `Recipient ${row}: minimum amount is ${MIN_TRANSACTION_AMOUNT} KAS (anti-dust protection)` };
+        }
+
+        normalized.push({
+            address: address,
+            amount: sompiToKas(amountInSompi),
+            amountInSompi: amountInSompi.toString(),
+            label: label
+        });
+        totalInSompi += amountInSompi;
+    }
+
+    return {
+        valid: true,
+        recipients: normalized,
+        totalInSompi: totalInSompi
+    };
+}
+
+/**
+ * Build createTransactions outputs from a normalized recipient list
+ * @param {Array} recipients - Normalized recipients
+ * @returns {Array} - Payment outputs
+ */
+function buildPaymentOutputs(recipients) {
+    return recipients.map(recipient => ({
+        address: recipient.address,
+        amount: BigInt(recipient.amountInSompi)
+    }));
+}
+
+/**
+ * Sum the amounts of a normalized recipient list
+ * @param {Array} recipients - Normalized recipients
+ * @returns {bigint} - Total in sompi
+ */
+function getRecipientsTotal(recipients) {
+    return recipients.reduce((sum, recipient) => sum + BigInt(recipient.amountInSompi), 0n);
+}
+
+/**
+ * Check whether an SDK error was caused by the transaction mass limit
+ * @param {Error} error - Error thrown by createTransactions
+ * @returns {boolean}
+ */
+function isMassLimitError(error) {
+    const message = (error && (error.message || String(error))) || '';
+    return /mass/i.test(message) && /(exceed|maximum|too large|limit)/i.test(message);
+}
+
+// Outpoint keys of every UTXO spent by a set of pending transactions
+function collectSpentOutpoints(transactions) {
+    const spent = new Set();
+    for (const transaction of transactions) {
+        try {
+            const utxoEntries = typeof transaction.getUtxoEntries === 'function' ? transaction.getUtxoEntries() : [];
+            for (const entry of utxoEntries) {
+                const key = getUtxoKey(entry);
+                if (key) {
+                    spent.add(key);
+                }
+            }
+        } catch (error) {
+            console.warn('Could not read UTXO entries from pending transaction:', error);
+        }
+    }
+    return spent;
+}
+
+/**
+ * Build one or more transactions paying a recipient list.
+ * Recipients are kept in a single transaction when possible; if the SDK rejects it for mass,
+ * the list is halved until every group fits. Each group spends UTXOs not used by earlier groups,
+ * picked with the selection strategy when one is given.
+ * @param {Object} params - { entries, recipients, changeAddress, networkType, priorityFee, feeRate, payload, selectionStrategy }
+ * @returns {Promise<Array>} - Array of { recipients, transactions, summary, entries, selection }
+ */
+async function buildBatchTransactions({ entries, recipients, changeAddress, networkType, priorityFee = 0n, feeRate, payload, selectionStrategy = null }) {
+    if (!isInitialized()) {
+        throw new Error('Kaspa WASM not initialized');
+    }
+
+    const { createTransactions } = getKaspa();
+    const batches = [];
+    const queue = [recipients];
+    let remainingEntries = [...entries];
+
+    while (queue.length > 0) {
+        const group = queue.shift();
+
+        if (remainingEntries.length === 0) {
+            throw new Error(`Insufficient funds for batch ${batches.length + 1}: all available UTXOs are spent by earlier batches`);
+        }
+
+        // Inputs for this group from the chosen strategy; without one the SDK picks from everything left
+        let selection = null;
+        let inputs = remainingEntries;
+        if (selectionStrategy) {
+            selection = selectUTXOs(remainingEntries, getRecipientsTotal(group), {
+                strategy: selectionStrategy,
+                feeRate: feeRate,
+                ...(feeRate ? {} : { fixedFee: priorityFee }),
+                outputCount: group.length,
+                payloadBytes: payload ? payload.length / 2 : 0
+            });
+            if (selection.sufficient) {
+                inputs = selection.selected;
+            } else if (selection.error) {
+                throw new Error(selection.error);
+            }
+        }
+
+        const buildGroup = (groupInputs) => createTransactions({
+            entries: groupInputs,
+            outputs: buildPaymentOutputs(group),
+            priorityFee: priorityFee,
+            ...(feeRate ? { feeRate: feeRate } : {}),
+            ...(payload ? { payload: payload } : {}),
+            changeAddress: changeAddress,
+            networkId: networkType
+        });
+
+        let result;
+        try {
+            try {
+                result = await buildGroup(inputs);
+            } catch (error) {
+                // The strategy's fee estimate fell short of the SDK's; widen to every remaining UTXO,
+                // unless the strategy forbids mixing in other inputs
+                if (inputs === remainingEntries || !canWidenSelection(selectionStrategy) || !/insufficient/i.test(error.message || String(error))) {
+                    throw error;
+                }
+                inputs = remainingEntries;
+                selection = null;
+                result = await buildGroup(inputs);
+            }
+        } catch (error) {
+            if (isMassLimitError(error) && group.length > 1) {
+                const middle = Math.ceil(group.length / 2);
+                queue.unshift(group.slice(0, middle), group.slice(middle));
+                continue;
+            }
+            if (batches.length > 0 && /insufficient/i.test(error.message || String(error))) {
+                throw new Error(`Insufficient funds for batch ${batches.length + 1}: change from earlier batches is not spendable until they confirm`);
+            }
+            throw error;
+        }
+
+        if (!result.transactions || result.transactions.length === 0) {
+            throw new Error('Failed to create transactions - insufficient funds or invalid parameters');
+        }
+
+        const spent = collectSpentOutpoints(result.transactions);
+        const batchEntries = inputs.filter(entry => spent.has(getUtxoKey(entry)));
+        remainingEntries = remainingEntries.filter(entry => !spent.has(getUtxoKey(entry)));
+
+        batches.push({
+            recipients: group,
+            transactions: result.transactions,
+            summary: result.summary,
+            entries: batchEntries.length > 0 ? batchEntries : inputs,
+            selection: describeSelection(selection)
+        });
+    }
+
+    return batches;
+}
+
+/**
+ * Build "send max" sweeps that spend every UTXO to one address with no change output.
+ * UTXOs are taken largest-first in chunks of at most maxUtxos; a chunk the SDK cannot fit in a
+ * single transaction is halved, so every sweep stands alone and can be signed independently.
+ * The fee of each sweep comes from its mass at the given fee rate and is deducted from its output.
+ * @param {Object} params - { entries, toAddress, networkType, feeRate, payload, maxUtxos }
+ * @returns {Promise<Object>} - { batches, skippedEntries } where batches match buildBatchTransactions
+ */
+async function buildSweepTransactions({ entries, toAddress, networkType, feeRate, payload, maxUtxos = MAX_UTXOS_PER_TRANSACTION }) {
+    if (!isInitialized()) {
+        throw new Error('Kaspa WASM not initialized');
+    }
+
+    const { createTransactions } = getKaspa();
+    const sorted = [...entries].sort((a, b) => {
+        const valueA = BigInt(a.amount || a.value || 0);
+        const valueB = BigInt(b.amount || b.value || 0);
+        return valueA > valueB ? -1 : valueA < valueB ? 1 : 0;
+    });
+
+    const queue = [];
+    for (let i = 0; i < sorted.length; i += maxUtxos) {
+        queue.push(sorted.slice(i, i + maxUtxos));
+    }
+
+    const batches = [];
+    const skippedEntries = [];
+
+    while (queue.length > 0) {
+        const chunk = queue.shift();
+
+        let result;
+        try {
+            // No outputs and no priority fee: the SDK sends everything, minus the mass fee, to changeAddress
+            result = await createTransactions({
+                entries: chunk,
+                outputs: [],
+                ...(feeRate ? { feeRate: feeRate } : {}),
+                ...(payload ? { payload: payload } : {}),
+                changeAddress: toAddress,
+                networkId: networkType
+            });
+        } catch (error) {
+            if (isMassLimitError(error) && chunk.length > 1) {
+                const middle = Math.ceil(chunk.length / 2);
+                queue.unshift(chunk.slice(0, middle), chunk.slice(middle));
+                continue;
+            }
+            // Trailing dust that cannot pay for its own sweep is left behind
+            if (batches.length > 0 && /insufficient/i.test(error.message || String(error))) {
+                skippedEntries.push(...chunk);
+                continue;
+            }
+            throw error;
+        }
+
+        if (!result.transactions || result.transactions.length === 0) {
+            throw new Error('Failed to create sweep transaction - insufficient funds or invalid parameters');
+        }
+
+        // The SDK chains transactions when a chunk is too heavy; split it instead so sweeps stay independent
+        if (result.transactions.length > 1 && chunk.length > 1) {
+            const middle = Math.ceil(chunk.length / 2);
+            queue.unshift(chunk.slice(0, middle), chunk.slice(middle));
+            continue;
+        }
+
+        const inputTotal = chunk.reduce((sum, entry) => sum + BigInt(entry.amount || entry.value || 0), 0n);
+        const finalAmount = result.summary.finalAmount !== undefined ?
+            BigInt(result.summary.finalAmount) :
+            inputTotal - BigInt(result.summary.fees);
+
+        batches.push({
+            recipients: [{
+                address: toAddress,
+                amount: sompiToKas(finalAmount),
+                amountInSompi: finalAmount.toString(),
+                label: ''
+            }],
+            transactions: result.transactions,
+            summary: result.summary,
+            entries: chunk
+        });
+    }
+
+    return {
+        batches: batches,
+        skippedEntries: skippedEntries
+    };
+}
+
+/**
+ * Expand batch builder output into one transaction result per batch.
+ * The first batch is returned at the top level (with a `batches` list when split),
+ * so callers that handle a single transaction keep working unchanged.
+ * @param {Array} batches - Output of buildBatchTransactions
+ * @param {Object} baseResult - Fields shared by every batch result
+ * @param {Function} buildBatchFields - (batch, index) => batch-specific fields such as fee and utxoEntries
+ * @returns {Object} - Transaction result
+ */
+function expandBatchResults(batches, baseResult, buildBatchFields) {
+    const batchId = 'batch_' + Date.now() + '_' + Math.random().toString(36).substring(7);
+
+    const results = batches.map((batch, index) => {
+        const totalInSompi = getRecipientsTotal(batch.recipients);
+        return {
+            ...baseResult,
+            success: true,
+            pendingTransaction: batch.transactions[0],
+            transactions: batch.transactions,
+            transactionId: batches.length > 1 ? `${baseResult.transactionId}_${index + 1}` : baseResult.transactionId,
+            toAddress: batch.recipients[0].address,
+            amount: sompiToKas(totalInSompi),
+            amountInSompi: totalInSompi.toString(),
+            recipients: batch.recipients,
+            batch: batches.length > 1 ? { batchId: batchId, index: index + 1, total: batches.length } : null,
+            summary: batch.summary,
+            ...buildBatchFields(batch, index)
+        };
+    });
+
+    return results.length === 1 ? results[0] : { ...results[0], batches: results };
+}
+
+/**
+ * Parse a recipient list from CSV text (address,amount[,label]). A header row is skipped.
+ * @param {string} text - CSV content
+ * @returns {Object} - { success, recipients, errors }
+ */
+function parseRecipientsCSV(text) {
+    if (!text || typeof text !== 'string') {
+        return { success: false, recipients: [], errors: ['CSV file is empty'] };
+    }
+
+    const recipients = [];
+    const errors = [];
+    const lines = text.split(/\r?\n/);
+
+    lines.forEach((line, index) => {
+        if (!line.trim() || line.trim().startsWith('#')) {
+            return;
+        }
+
+        const columns = splitCSVLine(line);
+        const [address = '', amount = '', ...labelParts] = columns;
+        const label = labelParts.join(',');
+
+        // Skip a header row such as "address,amount,label"
+        if (recipients.length === 0 && errors.length === 0 && isNaN(parseFloat(amount))) {
+            if (/address/i.test(address)) {
+                return;
+            }
+        }
+
+        if (!address.trim() || isNaN(parseFloat(amount))) {
+            errors.push(`Line ${index + 1}: expected "address,amount[,label]"`);
+            return;
+        }
+
+        recipients.push({
+            address: address.trim(),
+            amount: amount.trim(),
+            label: label.trim()
+        });
+    });
+
+    return {
+        success: recipients.length > 0 && errors.length === 0,
+        recipients: recipients,
+        errors: recipients.length === 0 && errors.length === 0 ? ['No recipients found in CSV'] : errors
+    };
+}
+
+// Split one CSV line, honoring double-quoted fields
+function splitCSVLine(line) {
+    const columns = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (inQuotes && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else {
+                inQuotes = !inQuotes;
+            }
+        } else if ((char === ',' || char === ';') && !inQuotes) {
+            columns.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    columns.push(current);
+
+    return columns;
+}
+
+export {
+    normalizeRecipients,
+    buildPaymentOutputs,
+    getRecipientsTotal,
+    isMassLimitError,
+    buildBatchTransactions,
+    buildSweepTransactions,
+    expandBatchResults,
+    parseRecipientsCSV
+};
@@ -0,0 +1,106 @@
+// Kaspa Coin Control Module
+// Lets the user hand-pick or lock UTXOs; transaction builders only spend the resulting input set
+import { sompiToKas } from './currency-utils.js';
+
+// Stable key for a UTXO ("transactionId:index"), used for selections and persisted locks
+function getUtxoKey(utxo) {
+    const outpoint = utxo && utxo.outpoint;
+    if (!outpoint) {
+        return null;
+    }
+    return `${outpoint.transactionId || outpoint.txId || outpoint.id}:${outpoint.index}`;
+}
+
+// ID of the transaction that created a UTXO
+function getUtxoTransactionId(utxo) {
+    const outpoint = utxo && utxo.outpoint;
+    return outpoint ? (outpoint.transactionId || outpoint.txId || outpoint.id || null) : null;
+}
+
+// Address string of a UTXO, whether stored as a string, a prefix/payload object or a WASM Address
+function getUtxoAddress(utxo) {
+    if (!utxo || !utxo.address) {
+        return '';
+    }
+    if (typeof utxo.address === 'object' && utxo.address.prefix && utxo.address.payload) {
+        return `${utxo.address.prefix}:${utxo.address.payload}`;
+    }
+    return utxo.address.toString();
+}
+
+/**
+ * Plain description of a UTXO for display in the coin control panel
+ * @param {Object} utxo - UTXO entry (plain object or WASM reference)
+ * @returns {Object} - { key, address, amount, amountInSompi, transactionId, index, blockDaaScore, isCoinbase }
+ */
+function describeUtxo(utxo) {
+    const outpoint = utxo.outpoint || {};
+    const amountInSompi = BigInt(utxo.amount || utxo.value || 0);
+
+    return {
+        key: getUtxoKey(utxo),
+        address: getUtxoAddress(utxo),
+        amount: sompiToKas(amountInSompi),
+        amountInSompi: amountInSompi.toString(),
+        transactionId: outpoint.transactionId || outpoint.txId || outpoint.id || '',
+        index: outpoint.index,
+        blockDaaScore: utxo.blockDaaScore !== undefined && utxo.blockDaaScore !== null ? utxo.blockDaaScore.toString() : '',
+        isCoinbase: !!utxo.isCoinbase
+    };
+}
+
+/**
+ * Apply coin control to a UTXO set. With a selection only the selected UTXOs are returned;
+ * otherwise every UTXO except the locked ones is available for automatic selection.
+ * @param {Array} utxos - Available UTXO entries
+ * @param {Object} coinControl - { selectedKeys, lockedKeys } arrays of UTXO keys
+ * @returns {Object} - { success, utxos, manual, error }
+ */
+function applyCoinControl(utxos, coinControl) {
+    const selectedKeys = coinControl && Array.isArray(coinControl.selectedKeys) ? coinControl.selectedKeys : [];
+    const lockedKeys = new Set(coinControl && Array.isArray(coinControl.lockedKeys) ? coinControl.lockedKeys : []);
+
+    if (selectedKeys.length > 0) {
+        const lockedSelection = selectedKeys.filter(key => lockedKeys.has(key));
+        if (lockedSelection.length > 0) {
+            return { success: false, error: `${lockedSelection.length} selected UTXO(s) are locked. Unlock them or change the selection.` };
+        }
+
+        const byKey = new Map(utxos.map(utxo => [getUtxoKey(utxo), utxo]));
+        const missing = selectedKeys.filter(key => !byKey.has(key));
+        if (missing.length > 0) {
+            return { success: false, error: `${missing.length} selected UTXO(s) are no longer available. Refresh the UTXOs and select again.` };
+        }
+
+        return {
+            success: true,
+            utxos: selectedKeys.map(key => byKey.get(key)),
+            manual: true
+        };
+    }
+
+    const available = utxos.filter(utxo => !lockedKeys.has(getUtxoKey(utxo)));
+    if (available.length === 0 && utxos.length > 0) {
+        return { success: false, error: 'All UTXOs are locked. Unlock at least one UTXO in coin control.' };
+    }
+
+    return {
+        success: true,
+        utxos: available,
+        manual: false
+    };
+}
+
+// Total value of a UTXO set in sompi
+function getUtxosTotal(utxos) {
+    return utxos.reduce((sum, utxo) => sum + BigInt(utxo.amount || utxo.value || 0), 0n);
+}
+
+export {
+    getUtxoKey,
+    getUtxoTransactionId,
+    getUtxoAddress,
+    describeUtxo,
+    applyCoinControl,
+    getUtxosTotal
+};
@@ -16,6 +16,15 @@ export const NETWORKS = {
     SIMNET: 'simnet'
 };
 
+// Address prefix per network; payment URIs use it as their scheme
+export const NETWORK_PREFIXES = {
+    [NETWORKS.MAINNET]: 'kaspa',
+    [NETWORKS.TESTNET_10]: 'kaspatest',
+    [NETWORKS.TESTNET_11]: 'kaspatest',
+    [NETWORKS.DEVNET]: 'kaspadev',
+    [NETWORKS.SIMNET]: 'kaspasim'
+};
+
 // Address types
 export const ADDRESS_TYPES = {
     RECEIVE: 0,
@@ -28,6 +37,15 @@ export const DEFAULT_NETWORK = NETWORKS.TESTNET_10;
 // Max data to fit in a qr img; too high and scanning doesn't work, too low then several qr images
 export const QR_DATA_SIZE_LIMIT = 400;
 
+// Envelope bytes per compact multi-part QR; base45 text in alphanumeric mode packs denser than JSON bytes
+export const COMPACT_QR_CHUNK_SIZE = 360;
+
+// Payload bytes per animated (fountain-coded) QR frame; base64 plus frame metadata stays near QR_DATA_SIZE_LIMIT
+export const ANIMATED_QR_FRAGMENT_SIZE = 180;
+
+// Milliseconds each animated QR frame stays on screen
+export const ANIMATED_QR_FRAME_INTERVAL = 300;
+
 // Default transaction amount in KAS
 export const DEFAULT_TRANSACTION_AMOUNT = 0.2;
 
@@ -43,9 +61,16 @@ export const MAX_UTXOS_PER_TRANSACTION = 100;
 // Transaction storage mass limits
 export const MAX_TRANSACTION_STORAGE_MASS = 100000;
 
+// Maximum transaction payload (memo / data carrier) size in bytes; each byte adds one gram of mass
+export const MAX_TRANSACTION_PAYLOAD_BYTES = 10000;
+
 // Recommended UTXO consolidation threshold
 export const UTXO_CONSOLIDATION_THRESHOLD = 50;
 
+// Imported UTXO snapshots older than this trigger a warning; past the max age they are rejected as stale
+export const UTXO_SNAPSHOT_WARN_AGE = 30 * 60 * 1000;
+export const UTXO_SNAPSHOT_MAX_AGE = 24 * 60 * 60 * 1000;
+
 // Kaspa coin type for BIP44
 export const KASPA_COIN_TYPE = "111111'";
 
@@ -76,4 +101,12 @@ export const SCANNING_DEFAULTS = {
     GAP_LIMIT: 20,
     BATCH_SIZE: 10,
     MAX_ADDRESSES: 200
-}; 
\ No newline at end of file
+};
+
+// Account paths used by Kaspa wallet families, tried by the derivation path explorer when restoring
+export const DERIVATION_PATH_FAMILIES = [
+    { id: 'kaspa-bip44', label: 'Kaspa standard (BIP44)', wallets: 'Kaspa NG, Kaspium, KasWare, Ledger, kaspawallet CLI', accountPath: "m/44'/111111'/0'" },
+    { id: 'kaspa-bip44-account-1', label: 'Kaspa standard, account 1', wallets: 'Second account in multi-account wallets', accountPath: "m/44'/111111'/1'" },
+    { id: 'kaspa-bip44-account-2', label: 'Kaspa standard, account 2', wallets: 'Third account in multi-account wallets', accountPath: "m/44'/111111'/2'" },
+    { id: 'legacy-972', label: 'Legacy coin type 972', wallets: 'KDX and the legacy web wallet', accountPath: "m/44'/972/0'" }
+];
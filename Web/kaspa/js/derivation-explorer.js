@@ -0,0 +1,130 @@
+// Kaspa Derivation Path Explorer Module
+// Seeds and extended keys from other wallets may keep their funds on another coin type or account.
+// The explorer scans the account paths of known wallet families with the AddressScanner so the user
+// can restore on the path that actually holds the coins
+import { getKaspa, isInitialized } from './init.js';
+import { addressScanner } from './address-scanner.js';
+import { DERIVATION_PATH_FAMILIES, SCANNING_DEFAULTS } from './constants.js';
+
+// m followed by numeric levels, each optionally hardened
+const PATH_PATTERN = /^m(\/\d+'?)*$/;
+
+// Extended keys at this depth or deeper are account-level exports; addresses are derived directly below them
+const ACCOUNT_KEY_DEPTH = 3;
+
+function validateDerivationPath(path) {
+    const trimmed = typeof path === 'string' ? path.trim() : '';
+    if (!PATH_PATTERN.test(trimmed)) {
+        return { valid: false, error: `"${trimmed}" is not a derivation path like m/44'/111111'/0'` };
+    }
+    return { valid: true, path: trimmed };
+}
+
+// Account path of an address path (m/44'/111111'/0'/0/5 -> m/44'/111111'/0'); account paths are returned unchanged
+function getAccountPathFromAddressPath(path) {
+    const match = /^(m(?:\/\d+')*)\/\d+\/\d+$/.exec((path || '').trim());
+    return match ? match[1] : (path || '').trim();
+}
+
+// Extended private keys are either master keys (seed level) or account keys exported below m/44'/coin'/account'
+function getKeyLevel(depth) {
+    return depth >= ACCOUNT_KEY_DEPTH ? 'account' : 'master';
+}
+
+/**
+ * Account paths worth scanning for a seed or extended key
+ * @param {boolean} isAccountKey - True for account-level extended keys, which only have one path
+ * @param {string} customPath - Optional extra account path entered by the user
+ * @returns {Array} - Candidates { id, label, wallets, accountPath }
+ */
+function getDerivationCandidates(isAccountKey = false, customPath = '') {
+    if (isAccountKey) {
+        return [{ id: 'account-key', label: 'Account-level key', wallets: 'Addresses derived directly from the key', accountPath: 'm' }];
+    }
+
+    const candidates = [...DERIVATION_PATH_FAMILIES];
+    const custom = customPath ? getAccountPathFromAddressPath(customPath) : '';
+    if (custom && !candidates.some(candidate => candidate.accountPath === custom)) {
+        candidates.push({ id: 'custom', label: 'Custom path', wallets: 'Entered by you', accountPath: custom });
+    }
+    return candidates;
+}
+
+function getRootXPrv(source) {
+    const { Mnemonic, XPrv } = getKaspa();
+    if (source.extendedPrivateKey) {
+        return XPrv.fromXPrv(source.extendedPrivateKey.trim());
+    }
+    const mnemonic = new Mnemonic(source.mnemonic.trim());
+    return new XPrv(source.passphrase ? mnemonic.toSeed(source.passphrase) : mnemonic.toSeed());
+}
+
+/**
+ * Scan each candidate account path for funds
+ * @param {Object} source - { mnemonic, passphrase } or { extendedPrivateKey }
+ * @param {string} networkType - Network type
+ * @param {Array} candidates - From getDerivationCandidates
+ * @param {Function} onProgress - Called with (candidate, result, position) after each path
+ * @returns {Promise<Object>} - { success, results, error }; results hold the first address, balance and funded address count per path
+ */
+async function exploreDerivationPaths(source, networkType, candidates, onProgress = null) {
+    if (!isInitialized()) {
+        return { success: false, error: 'Kaspa WASM not initialized', results: [] };
+    }
+
+    let rootXPrv;
+    try {
+        rootXPrv = getRootXPrv(source);
+    } catch (error) {
+        return { success: false, error: 'Could not read the seed or key: ' + (error.message || error), results: [] };
+    }
+
+    const results = [];
+    for (let position = 0; position < candidates.length; position++) {
+        const candidate = candidates[position];
+        let result;
+        try {
+            const pathCheck = validateDerivationPath(candidate.accountPath);
+            if (!pathCheck.valid) {
+                throw new Error(pathCheck.error);
+            }
+
+            const accountXPrv = candidate.accountPath === 'm' ? rootXPrv : rootXPrv.derivePath(candidate.accountPath);
+            const firstAddress = accountXPrv.derivePath('m/0/0').toPrivateKey().toPublicKey().toAddress(networkType).toString();
+            const xpub = accountXPrv.toXPub();
+            const xpubString = xpub.xpub || xpub.toString();
+
+            const scan = await addressScanner.scanXpubRange(xpubString, networkType, SCANNING_DEFAULTS.GAP_LIMIT * 2);
+            if (!scan.success) {
+                throw new Error(scan.error);
+            }
+
+            result = {
+                ...candidate,
+                success: true,
+                firstAddress: firstAddress,
+                totalBalance: scan.totalBalance,
+                totalBalanceSompi: scan.totalBalanceSompi,
+                addressesFound: scan.addressesFound,
+                networkErrors: scan.networkErrors || 0
+            };
+        } catch (error) {
+            result = { ...candidate, success: false, error: error.message || String(error) };
+        }
+
+        results.push(result);
+        if (onProgress) {
+            onProgress(candidate, result, position + 1);
+        }
+    }
+
+    return { success: results.some(result => result.success), results: results };
+}
+
+export {
+    validateDerivationPath,
+    getAccountPathFromAddressPath,
+    getKeyLevel,
+    getDerivationCandidates,
+    exploreDerivationPaths
+};
@@ -0,0 +1,28 @@
+// Kaspa Encoding Utilities
+// Byte/hex conversion and the Web Crypto check shared by the payload, QR transfer and backup modules
+
+// Lowercase hex, as the SDK and rusty-kaspa print hashes and scripts
+function bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+// crypto.subtle only exists in secure contexts; feature names what needs it in the error
+function ensureSubtleCrypto(feature) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+        throw new Error(`Web Crypto API not available - ${feature} requires HTTPS or localhost`);
+    }
+}
+
+export {
+    bytesToHex,
+    hexToBytes,
+    ensureSubtleCrypto
+};
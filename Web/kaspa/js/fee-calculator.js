@@ -2,6 +2,7 @@
 import { getKaspa, isInitialized } from './init.js';
 import { fetchUTXOsForAddress } from './address-scanner.js';
 import { sompiToKas, kasNumberToSompi } from './currency-utils.js';
+import { getRpcConnection, getRpcClient } from './rpc-pool.js';
 
 // Fee calculation constants (kept for backward compatibility)
 const FEE_CONSTANTS = {
@@ -9,9 +10,36 @@ const FEE_CONSTANTS = {
     MINIMUM_FEE: BigInt(1000),    // Minimum transaction fee
     INPUT_SIZE: 181,              // Bytes per input (approx)
     OUTPUT_SIZE: 34,              // Bytes per output (approx)
-    BASE_SIZE: 10                 // Base transaction size
+    BASE_SIZE: 10,                // Base transaction size
+    MASS_PER_SIG_OP: 1000         // Compute mass charged per signature operation
 };
 
+// Fee priority tiers, ordered from cheapest to fastest
+const FEE_OPTIONS = ['slow', 'normal', 'fast'];
+
+// Offline fallback fee rates in sompi per gram, only used when no node estimate is available
+const FALLBACK_FEE_RATES = {
+    fast: 1500,
+    normal: 1000,
+    slow: 500
+};
+
+// Inclusion time targets (seconds) reported alongside the fallback rates
+const FALLBACK_FEE_ETAS = {
+    fast: 1,
+    normal: 60,
+    slow: 3600
+};
+
+// Live estimates are reused for this long before the node is queried again
+const FEE_ESTIMATE_CACHE_TTL = 30 * 1000;
+
+// Estimate snapshots older than this are flagged as stale
+const FEE_ESTIMATE_MAX_AGE = 10 * 60 * 1000;
+
+// Most recent live estimate per network
+const feeEstimateCache = new Map();
+
 // Calculate transaction size in grams (Kaspa's fee unit) - legacy method
 function calculateTransactionSize(inputCount, outputCount) {
     const inputBytes = inputCount * FEE_CONSTANTS.INPUT_SIZE;
@@ -52,149 +80,133 @@ async function calculateAccurateTransactionFee(fromAddress, toAddress, amount, n
 
     try {
         const kaspa = getKaspa();
-        const { RpcClient, Resolver, Address, createTransactions } = kaspa;
+        const { Address, createTransactions } = kaspa;
 
         if (!createTransactions) {
             throw new Error('createTransactions function not available in Kaspa WASM SDK');
         }
 
-        // Create RPC client using the SDK's resolver for public nodes
-        const rpc = new RpcClient({
-            networkId: networkType,
-            resolver: new Resolver()
-        });
+        // Fail fast with a network error when no node is reachable
+        await getRpcConnection(networkType).connect();
 
-        const connectPromise = rpc.connect();
-        const connectTimeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => reject(new Error('RPC connection timeout after 15 seconds')), 15000);
-        });
+        // Use centralized UTXO fetcher
+        const utxoResult = await fetchUTXOsForAddress(fromAddress, networkType);
+        
+        if (!utxoResult.success) {
+            throw new Error(utxoResult.error);
+        }
+        
+        const entries = utxoResult.utxos;
         
-        await Promise.race([connectPromise, connectTimeoutPromise]);
+        if (!entries || entries.length === 0) {
+            // Return a specific response for no UTXOs - this is not a network error
+            return {
+                success: false,
+                error: 'No UTXOs found for this address. The address has no available balance to spend.',
+                isNoUTXOsError: true // Flag to indicate this is not a network issue
+            };
+        }
 
-        try {
-            // Use centralized UTXO fetcher
-            const utxoResult = await fetchUTXOsForAddress(fromAddress, networkType);
-            
-            if (!utxoResult.success) {
-                throw new Error(utxoResult.error);
-            }
-            
-            const entries = utxoResult.utxos;
-            
-            if (!entries || entries.length === 0) {
-                // Return a specific response for no UTXOs - this is not a network error
-                return {
-                    success: false,
-                    error: 'No UTXOs found for this address. The address has no available balance to spend.',
-                    isNoUTXOsError: true // Flag to indicate this is not a network issue
-                };
+        // Validate UTXO entries format
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            if (!entry.amount) {
+                throw new Error(`UTXO entry ${i} is missing amount field`);
             }
+        }
 
-            // Validate UTXO entries format
-            for (let i = 0; i < entries.length; i++) {
-                const entry = entries[i];
-                if (!entry.amount) {
-                    throw new Error(`UTXO entry ${i} is missing amount field`);
-                }
-            }
+        // Validate addresses
+        try {
+            new Address(fromAddress);
+            new Address(toAddress);
+        } catch (error) {
+            throw new Error(`Invalid address: ${error.message}`);
+        }
 
-            // Validate addresses
+        // Convert amount to sompi
+        const amountFloat = parseFloat(amount);
+        if (isNaN(amountFloat) || amountFloat <= 0) {
+            return {
+                success: false,
+                error: 'Invalid amount: must be a positive number',
+                isInvalidAmountError: true
+            };
+        }
+        
+        // Check for minimum amount (dust limit - KIP anti-dust fix)
+        const MINIMUM_AMOUNT = 0.2; // 0.2 KAS minimum due to dust attack prevention
+        if (amountFloat < MINIMUM_AMOUNT) {
+            return {
+                success: false,
+                error: `Amount too low: minimum transaction amount is ${MINIMUM_AMOUNT} KAS (anti-dust protection)`,
+                isLowAmountError: true
+            };
+        }
+        
+        const amountInSompi = kasNumberToSompi(amountFloat);
+        
+        // Fee rates come from the node's mempool estimate
+        const feeEstimate = await getNetworkFeeRate(networkType);
+        
+        // Use createTransactions to get fee estimate
+        const { summary } = await createTransactions({
+            entries,
+            outputs: [{
+                address: toAddress,
+                amount: amountInSompi
+            }],
+            priorityFee: 0n,
+            feeRate: getFeeRateForOption(feeEstimate, feeOption),
+            changeAddress: fromAddress,
+            networkId: networkType
+        });
+        
+        // Calculate fees for all options
+        const feeEstimates = {};
+        
+        for (const option of FEE_OPTIONS) {
             try {
-                new Address(fromAddress);
-                new Address(toAddress);
+                const { summary: tempSummary } = await createTransactions({
+                    entries,
+                    outputs: [{
+                        address: toAddress,
+                        amount: amountInSompi
+                    }],
+                    priorityFee: 0n,
+                    feeRate: getFeeRateForOption(feeEstimate, option),
+                    changeAddress: fromAddress,
+                    networkId: networkType
+                });
+                feeEstimates[option] = sompiToKas(tempSummary.fees);
             } catch (error) {
-                throw new Error(`Invalid address: ${error.message}`);
-            }
-
-            // Convert amount to sompi
-            const amountFloat = parseFloat(amount);
-            if (isNaN(amountFloat) || amountFloat <= 0) {
-                return {
-                    success: false,
-                    error: 'Invalid amount: must be a positive number',
-                    isInvalidAmountError: true
-                };
-            }
-            
-            // Check for minimum amount (dust limit - KIP anti-dust fix)
-            const MINIMUM_AMOUNT = 0.2; // 0.2 KAS minimum due to dust attack prevention
-            if (amountFloat < MINIMUM_AMOUNT) {
-                return {
-                    success: false,
-                    error: `Amount too low: minimum transaction amount is ${MINIMUM_AMOUNT} KAS (anti-dust protection)`,
-                    isLowAmountError: true
-                };
+                // If individual fee calculation fails, use the main estimate
+                feeEstimates[option] = sompiToKas(summary.fees);
             }
-            
-            const amountInSompi = kasNumberToSompi(amountFloat);
-            
-            // Priority fee rates in sompi
-            const priorityFeeRates = {
-                'slow': 0n,
-                'normal': 1000n, 
-                'fast': 5000n
-            };
-            const priorityFee = priorityFeeRates[feeOption] || priorityFeeRates['normal'];
-            
-            // Use createTransactions to get fee estimate
-            const { summary } = await createTransactions({
-                entries,
-                outputs: [{
-                    address: toAddress,
-                    amount: amountInSompi
-                }],
-                priorityFee: priorityFee,
-                changeAddress: fromAddress,
-                networkId: networkType
-            });
-            
-            // Calculate fees for all options
-            const feeEstimates = {};
-            
-            for (const [option, fee] of Object.entries(priorityFeeRates)) {
-                try {
-                    const { summary: tempSummary } = await createTransactions({
-                        entries,
-                        outputs: [{
-                            address: toAddress,
-                            amount: amountInSompi
-                        }],
-                        priorityFee: fee,
-                        changeAddress: fromAddress,
-                        networkId: networkType
-                    });
-                    feeEstimates[option] = sompiToKas(tempSummary.fees);
-                } catch (error) {
-                    // If individual fee calculation fails, use the main estimate
-                    feeEstimates[option] = sompiToKas(summary.fees);
+        }
+        
+        const selectedFee = sompiToKas(summary.fees); // Convert to KAS
+        
+        return {
+            success: true,
+            fee: {
+                slow: feeEstimates.slow,
+                normal: feeEstimates.normal,
+                fast: feeEstimates.fast,
+                selected: selectedFee,
+                option: feeOption,
+                estimatedSeconds: feeEstimate.rates[feeOption]?.estimatedSeconds ?? null,
+                feeEstimate: feeEstimate,
+                // Include raw estimate data
+                estimate: {
+                    fees: summary.fees.toString(),
+                    transactions: summary.transactions || 1,
+                    finalTransactionId: 'estimated'
                 }
-            }
-            
-            const selectedFee = sompiToKas(summary.fees); // Convert to KAS
-            
-            return {
-                success: true,
-                fee: {
-                    slow: feeEstimates.slow,
-                    normal: feeEstimates.normal,
-                    fast: feeEstimates.fast,
-                    selected: selectedFee,
-                    option: feeOption,
-                    // Include raw estimate data
-                    estimate: {
-                        fees: summary.fees.toString(),
-                        transactions: summary.transactions || 1,
-                        finalTransactionId: 'estimated'
-                    }
-                },
-                totalCost: amountFloat + selectedFee,
-                networkType: networkType
-            };
+            },
+            totalCost: amountFloat + selectedFee,
+            networkType: networkType
+        };
 
-        } finally {
-            // Always disconnect RPC client
-            await rpc.disconnect();
-        }
 
     } catch (error) {
         return {
@@ -204,24 +216,165 @@ async function calculateAccurateTransactionFee(fromAddress, toAddress, amount, n
     }
 }
 
-// Get recommended fee rate from network (mock for now)
-async function getNetworkFeeRate() {
-    // In real implementation, this would query the network
+// Build a fee estimate snapshot that can travel with a transaction (QR, JSON, cached UTXOs)
+function createFeeEstimateSnapshot(rates, networkType, source) {
     return {
-        fast: BigInt(1500),    // Higher fee for faster confirmation
-        normal: BigInt(1000),  // Standard fee
-        slow: BigInt(500)      // Lower fee for slower confirmation
+        networkType: networkType,
+        source: source,
+        timestamp: Date.now(),
+        rates: FEE_OPTIONS.reduce((snapshot, option) => {
+            snapshot[option] = {
+                feerate: rates[option].feerate,
+                estimatedSeconds: rates[option].estimatedSeconds
+            };
+            return snapshot;
+        }, {})
     };
 }
 
-// Calculate fees for different priorities
-async function calculateFeeOptions(inputCount, outputCount) {
-    const feeRates = await getNetworkFeeRate();
-    
+// Snapshot built from the hard-coded offline fallback rates
+function createFallbackFeeEstimate(networkType) {
+    const rates = {};
+    for (const option of FEE_OPTIONS) {
+        rates[option] = {
+            feerate: FALLBACK_FEE_RATES[option],
+            estimatedSeconds: FALLBACK_FEE_ETAS[option]
+        };
+    }
+    return createFeeEstimateSnapshot(rates, networkType, 'fallback');
+}
+
+// Map the node's priority/normal/low buckets onto our fast/normal/slow tiers
+function mapFeeEstimateBuckets(estimate) {
+    if (!estimate || !estimate.priorityBucket) {
+        throw new Error('Fee estimate response is missing the priority bucket');
+    }
+
+    const priorityBucket = estimate.priorityBucket;
+    const normalBucket = (estimate.normalBuckets && estimate.normalBuckets[0]) || priorityBucket;
+    const lowBucket = (estimate.lowBuckets && estimate.lowBuckets[0]) || normalBucket;
+
+    return {
+        fast: priorityBucket,
+        normal: normalBucket,
+        slow: lowBucket
+    };
+}
+
+// Query the node's fee estimate RPC for the given network
+async function fetchNetworkFeeEstimate(networkType) {
+    if (!isInitialized()) {
+        throw new Error('Kaspa WASM not initialized');
+    }
+
+    const { estimate } = await getRpcClient(networkType).getFeeEstimate({});
+    return createFeeEstimateSnapshot(mapFeeEstimateBuckets(estimate), networkType, 'network');
+}
+
+// Get recommended fee rates from the network, falling back to fixed rates when offline
+async function getNetworkFeeRate(networkType, options = {}) {
+    const { forceRefresh = false } = options;
+
+    const cached = feeEstimateCache.get(networkType);
+    if (!forceRefresh && cached && Date.now() - cached.timestamp < FEE_ESTIMATE_CACHE_TTL) {
+        return cached;
+    }
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+        return createFallbackFeeEstimate(networkType);
+    }
+
+    try {
+        const snapshot = await fetchNetworkFeeEstimate(networkType);
+        feeEstimateCache.set(networkType, snapshot);
+        return snapshot;
+    } catch (error) {
+        console.warn('Fee estimate unavailable, using offline fallback rates:', error.message || error);
+        return {
+            ...createFallbackFeeEstimate(networkType),
+            error: error.message || String(error)
+        };
+    }
+}
+
+// Resolve the fee rate (sompi per gram) for a tier from an estimate snapshot
+function getFeeRateForOption(feeEstimate, feeOption = 'normal') {
+    const option = FEE_OPTIONS.includes(feeOption) ? feeOption : 'normal';
+    const rate = feeEstimate?.rates?.[option]?.feerate;
+
+    if (typeof rate === 'number' && isFinite(rate) && rate > 0) {
+        return rate;
+    }
+
+    return FALLBACK_FEE_RATES[option];
+}
+
+// Check whether an estimate snapshot is too old to reflect the current mempool
+function isFeeEstimateStale(feeEstimate, maxAge = FEE_ESTIMATE_MAX_AGE) {
+    if (!feeEstimate || !feeEstimate.timestamp) {
+        return true;
+    }
+    return Date.now() - feeEstimate.timestamp > maxAge;
+}
+
+// Human readable confirmation time for a tier
+function formatFeeEta(estimatedSeconds) {
+    if (estimatedSeconds === null || estimatedSeconds === undefined || isNaN(estimatedSeconds)) {
+        return 'unknown';
+    }
+    if (estimatedSeconds < 1) {
+        return '< 1 second';
+    }
+    if (estimatedSeconds < 60) {
+        const seconds = Math.round(estimatedSeconds);
+        return `~${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+    if (estimatedSeconds < 3600) {
+        const minutes = Math.round(estimatedSeconds / 60);
+        return `~${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    const hours = Math.round(estimatedSeconds / 3600);
+    return `~${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+// Approximate transaction mass (grams) from input and output counts; payload bytes add to the size mass
+function estimateTransactionMass(inputCount, outputCount, payloadBytes = 0) {
+    const sizeMass = FEE_CONSTANTS.BASE_SIZE +
+        inputCount * FEE_CONSTANTS.INPUT_SIZE +
+        outputCount * FEE_CONSTANTS.OUTPUT_SIZE +
+        payloadBytes;
+    return sizeMass + inputCount * FEE_CONSTANTS.MASS_PER_SIG_OP;
+}
+
+// Approximate fee in sompi for a transaction shape at a given fee rate
+function estimateFeeInSompi(inputCount, outputCount, feeRate, payloadBytes = 0) {
+    return BigInt(Math.ceil(estimateTransactionMass(inputCount, outputCount, payloadBytes) * feeRate));
+}
+
+// Calculate fees for different priorities from a live (or supplied) fee estimate
+async function calculateFeeOptions(inputCount, outputCount, networkType, feeEstimate = null, payloadBytes = 0) {
+    const estimate = feeEstimate || await getNetworkFeeRate(networkType);
+    const mass = estimateTransactionMass(inputCount, outputCount, payloadBytes);
+
+    const options = {};
+    for (const option of FEE_OPTIONS) {
+        const feeRate = getFeeRateForOption(estimate, option);
+        const feeInSompi = estimateFeeInSompi(inputCount, outputCount, feeRate, payloadBytes);
+        options[option] = {
+            feeInSompi: feeInSompi,
+            feeInKas: sompiToKas(feeInSompi),
+            mass: mass,
+            feeRate: feeRate,
+            estimatedSeconds: estimate.rates?.[option]?.estimatedSeconds ?? FALLBACK_FEE_ETAS[option]
+        };
+    }
+
     return {
-        fast: calculateTransactionFee(inputCount, outputCount, feeRates.fast),
-        normal: calculateTransactionFee(inputCount, outputCount, feeRates.normal),
-        slow: calculateTransactionFee(inputCount, outputCount, feeRates.slow)
+        ...options,
+        source: estimate.source,
+        timestamp: estimate.timestamp,
+        isStale: isFeeEstimateStale(estimate),
+        feeEstimate: estimate
     };
 }
 
@@ -230,5 +383,13 @@ export {
     calculateAccurateTransactionFee,
     calculateFeeOptions,
     getNetworkFeeRate,
-    FEE_CONSTANTS
+    getFeeRateForOption,
+    createFallbackFeeEstimate,
+    isFeeEstimateStale,
+    formatFeeEta,
+    estimateTransactionMass,
+    estimateFeeInSompi,
+    FEE_CONSTANTS,
+    FEE_OPTIONS,
+    FALLBACK_FEE_RATES
 }; 
\ No newline at end of file
@@ -0,0 +1,347 @@
+// Kaspa Fountain QR Module
+// Rateless (LT) fountain coding for animated QR codes: the sender can emit an endless stream of
+// frames and the receiver rebuilds the payload from any sufficiently large subset of them
+import { ANIMATED_QR_FRAGMENT_SIZE } from './constants.js';
+import { verifyPayloadSeal } from './payload-integrity.js';
+
+const FOUNTAIN_QR_VERSION = '1.1';
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Small deterministic PRNG (mulberry32); sender and receiver must derive identical fragment sets
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Ideal soliton distribution: P(1) = 1/K, P(d) = 1/(d(d-1))
+function sampleDegree(random, totalFragments) {
+    const u = random();
+    let cumulative = 1 / totalFragments;
+    let degree = 1;
+    while (cumulative < u && degree < totalFragments) {
+        degree++;
+        cumulative += 1 / (degree * (degree - 1));
+    }
+    return degree;
+}
+
+/**
+ * Fragment indices XOR-ed into a frame. The first K frames carry one fragment each
+ * (so a clean pass is enough); later frames mix a pseudo-random subset.
+ * @param {string} fountainId - Animated QR set ID
+ * @param {number} seq - Frame sequence number (1-based)
+ * @param {number} totalFragments - Number of source fragments (K)
+ * @returns {Array<number>} - Zero-based fragment indices
+ */
+function chooseFragments(fountainId, seq, totalFragments) {
+    if (seq <= totalFragments) {
+        return [seq - 1];
+    }
+
+    const random = createRandom(crc32(new TextEncoder().encode(`${fountainId}:${seq}`)));
+    const degree = sampleDegree(random, totalFragments);
+
+    // Partial Fisher-Yates shuffle picks `degree` distinct fragments
+    const indices = Array.from({ length: totalFragments }, (_, i) => i);
+    for (let i = 0; i < degree; i++) {
+        const j = i + Math.floor(random() * (totalFragments - i));
+        [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+    return indices.slice(0, degree).sort((a, b) => a - b);
+}
+
+function xorInto(target, source) {
+    for (let i = 0; i < target.length; i++) {
+        target[i] ^= source[i];
+    }
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Animated QR frames carry a type ending in -fountain-qr (e.g. kaspa-signed-transaction-fountain-qr)
+function isFountainFrame(qrData) {
+    return !!(qrData && typeof qrData.type === 'string' && qrData.type.endsWith('-fountain-qr'));
+}
+
+class FountainEncoder {
+    /**
+     * @param {string|Uint8Array} message - Payload to transmit (JSON string or compact QR bytes)
+     * @param {Object} options - { baseType, fountainId, fragmentSize, binary, digest, mac } where binary frames carry
+     *   raw bytes instead of base64, and digest/mac come from sealPayload(message)
+     */
+    constructor(message, options = {}) {
+        if (!options.digest) {
+            throw new Error('Animated QR requires the payload SHA-256 digest');
+        }
+        const bytes = message instanceof Uint8Array ? message : new TextEncoder().encode(message);
+
+        this.baseType = options.baseType || 'data';
+        this.fountainId = options.fountainId || `fqr_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.fragmentSize = options.fragmentSize || ANIMATED_QR_FRAGMENT_SIZE;
+        this.binary = !!options.binary;
+        this.length = bytes.length;
+        this.digest = options.digest;
+        this.mac = options.mac || null;
+        this.totalFragments = Math.max(1, Math.ceil(bytes.length / this.fragmentSize));
+
+        // Last fragment is zero-padded so every frame XORs equal-length blocks
+        this.fragments = [];
+        for (let i = 0; i < this.totalFragments; i++) {
+            const fragment = new Uint8Array(this.fragmentSize);
+            fragment.set(bytes.subarray(i * this.fragmentSize, (i + 1) * this.fragmentSize));
+            this.fragments.push(fragment);
+        }
+    }
+
+    /**
+     * Build frame number `seq`. Any seq is valid, so the stream never runs out.
+     * @param {number} seq - Frame sequence number (1-based)
+     * @returns {Object} - Frame data to encode as a QR code
+     */
+    frame(seq) {
+        const indices = chooseFragments(this.fountainId, seq, this.totalFragments);
+        const block = new Uint8Array(this.fragmentSize);
+        indices.forEach(index => xorInto(block, this.fragments[index]));
+
+        return {
+            type: `kaspa-${this.baseType}-fountain-qr`,
+            version: FOUNTAIN_QR_VERSION,
+            fountainId: this.fountainId,
+            seq: seq,
+            fragments: this.totalFragments,
+            length: this.length,
+            digest: this.digest,
+            ...(this.mac ? { mac: this.mac } : {}),
+            data: this.binary ? block : bytesToBase64(block)
+        };
+    }
+}
+
+class FountainDecoder {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.fountainId = null;
+        this.baseType = null;
+        this.totalFragments = 0;
+        this.length = 0;
+        this.digest = null;
+        this.mac = null;
+        this.fragmentSize = 0;
+        this.decoded = [];
+        this.decodedCount = 0;
+        this.mixed = [];
+        this.seenFrames = new Set();
+        this.result = null;
+        this.error = null;
+    }
+
+    /**
+     * Feed one scanned frame, in any order. Duplicates are ignored.
+     * @param {Object} frame - Parsed fountain frame
+     * @returns {Object} - { accepted, duplicate, complete, error } plus the current progress
+     */
+    receive(frame) {
+        const validation = this.validateFrame(frame);
+        if (!validation.valid) {
+            return { accepted: false, error: validation.error, ...this.getProgress() };
+        }
+
+        if (this.result) {
+            return { accepted: false, duplicate: true, ...this.getProgress() };
+        }
+        if (this.seenFrames.has(frame.seq)) {
+            return { accepted: true, duplicate: true, ...this.getProgress() };
+        }
+
+        let block;
+        try {
+            // Copy binary frames too - peeling XORs blocks in place
+            block = frame.data instanceof Uint8Array ? frame.data.slice() : base64ToBytes(frame.data);
+        } catch (error) {
+            return { accepted: false, error: 'Frame data is not valid base64', ...this.getProgress() };
+        }
+
+        if (!this.fountainId) {
+            this.fountainId = frame.fountainId;
+            this.baseType = frame.type.replace(/^kaspa-/, '').replace(/-fountain-qr$/, '');
+            this.totalFragments = frame.fragments;
+            this.length = frame.length;
+            this.digest = frame.digest;
+            this.mac = frame.mac || null;
+            this.fragmentSize = block.length;
+            this.decoded = new Array(frame.fragments).fill(null);
+        }
+        if (block.length !== this.fragmentSize) {
+            return { accepted: false, error: 'Frame size does not match the animated QR set', ...this.getProgress() };
+        }
+
+        this.seenFrames.add(frame.seq);
+        this.addBlock(chooseFragments(this.fountainId, frame.seq, this.totalFragments), block);
+
+        if (this.decodedCount === this.totalFragments) {
+            this.assemble();
+        }
+
+        return {
+            accepted: true,
+            duplicate: false,
+            complete: !!this.result,
+            error: this.error,
+            ...this.getProgress()
+        };
+    }
+
+    validateFrame(frame) {
+        if (!isFountainFrame(frame)) {
+            return { valid: false, error: 'Not an animated QR frame' };
+        }
+        if (!frame.fountainId || !Number.isInteger(frame.seq) || frame.seq < 1 ||
+            !Number.isInteger(frame.fragments) || frame.fragments < 1 ||
+            !Number.isInteger(frame.length) || !frame.digest ||
+            (typeof frame.data !== 'string' && !(frame.data instanceof Uint8Array))) {
+            return { valid: false, error: 'Invalid animated QR frame structure' };
+        }
+        if (this.fountainId && frame.fountainId !== this.fountainId) {
+            return { valid: false, error: 'Frame belongs to a different animated QR' };
+        }
+        if (this.fountainId && (frame.fragments !== this.totalFragments || frame.length !== this.length ||
+            frame.digest !== this.digest || (frame.mac || null) !== this.mac)) {
+            return { valid: false, error: 'Inconsistent animated QR frame metadata' };
+        }
+        return { valid: true };
+    }
+
+    // Peeling decoder: strip known fragments from each block; a block left with one fragment reveals it
+    addBlock(indices, block) {
+        const pending = [{ indices: new Set(indices), data: block }];
+
+        while (pending.length > 0) {
+            const part = pending.pop();
+            for (const index of Array.from(part.indices)) {
+                if (this.decoded[index]) {
+                    xorInto(part.data, this.decoded[index]);
+                    part.indices.delete(index);
+                }
+            }
+
+            if (part.indices.size === 0) {
+                continue;
+            }
+            if (part.indices.size > 1) {
+                this.mixed.push(part);
+                continue;
+            }
+
+            const [index] = part.indices;
+            this.decoded[index] = part.data;
+            this.decodedCount++;
+
+            // Newly known fragment may reduce previously stored mixed blocks
+            const remaining = [];
+            for (const mixedPart of this.mixed) {
+                if (mixedPart.indices.has(index)) {
+                    pending.push(mixedPart);
+                } else {
+                    remaining.push(mixedPart);
+                }
+            }
+            this.mixed = remaining;
+        }
+    }
+
+    // The payload digest is checked separately by verify(), since Web Crypto is asynchronous
+    assemble() {
+        const bytes = new Uint8Array(this.totalFragments * this.fragmentSize);
+        this.decoded.forEach((fragment, index) => bytes.set(fragment, index * this.fragmentSize));
+        this.result = bytes.slice(0, this.length);
+    }
+
+    /**
+     * Check the assembled payload against the SHA-256 digest (and HMAC, when paired) carried by the frames
+     * @returns {Promise<Object>} - { valid, error, fingerprint, authenticated }
+     */
+    async verify() {
+        if (!this.result) {
+            return { valid: false, error: 'Animated QR is not fully decoded yet' };
+        }
+        const verification = await verifyPayloadSeal(this.result, { digest: this.digest, mac: this.mac });
+        if (!verification.valid) {
+            this.error = verification.error;
+        }
+        return verification;
+    }
+
+    isComplete() {
+        return !!this.result;
+    }
+
+    // Decoded payload as text (JSON frames)
+    getResult() {
+        return this.result ? new TextDecoder().decode(this.result) : null;
+    }
+
+    // Decoded payload as bytes (compact frames)
+    getResultBytes() {
+        return this.result;
+    }
+
+    getProgress() {
+        return {
+            fountainId: this.fountainId,
+            framesReceived: this.seenFrames.size,
+            decodedFragments: this.decodedCount,
+            totalFragments: this.totalFragments,
+            progress: this.totalFragments > 0 ? this.decodedCount / this.totalFragments : 0
+        };
+    }
+}
+
+export {
+    FountainEncoder,
+    FountainDecoder,
+    isFountainFrame
+};
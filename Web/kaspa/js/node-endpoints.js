@@ -0,0 +1,244 @@
+// Kaspa Node Endpoints Module
+// Per-network wRPC endpoint configuration; every RPC consumer connects through connectRpcClient
+import { getKaspa, isInitialized } from './init.js';
+
+const NODE_ENDPOINTS_KEY = 'kaspa_node_endpoints';
+const NODE_ENCODINGS = ['borsh', 'json'];
+const DEFAULT_CONNECT_TIMEOUT = 15000;
+
+function loadNodeEndpoints() {
+    try {
+        const saved = localStorage.getItem(NODE_ENDPOINTS_KEY);
+        const parsed = saved ? JSON.parse(saved) : {};
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+        console.error('Failed to load node endpoints:', error);
+        return {};
+    }
+}
+
+function storeNodeEndpoints(endpoints) {
+    localStorage.setItem(NODE_ENDPOINTS_KEY, JSON.stringify(endpoints));
+}
+
+/**
+ * Validate a node endpoint configuration
+ * @param {Object} config - { url, encoding, useResolverFallback }
+ * @returns {Object} - { valid, endpoint, error }
+ */
+function validateNodeEndpoint(config) {
+    const url = config && typeof config.url === 'string' ? config.url.trim() : '';
+    if (!url) {
+        return { valid: false, error: 'Node URL is required' };
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return { valid: false, error: 'Node URL is not a valid URL' };
+    }
+    if (parsed.protocol !== 'ws:' && parsed.protocol !== 'wss:') {
+        return { valid: false, error: 'Node URL must start with ws:// or wss://' };
+    }
+
+    const encoding = config.encoding || 'borsh';
+    if (!NODE_ENCODINGS.includes(encoding)) {
+        return { valid: false, error: `Unknown wRPC encoding: ${encoding}` };
+    }
+
+    return {
+        valid: true,
+        endpoint: {
+            url: url,
+            encoding: encoding,
+            useResolverFallback: !!config.useResolverFallback
+        }
+    };
+}
+
+// Configured endpoint for a network, or null to use the public Resolver
+function getNodeEndpoint(networkType) {
+    const endpoint = loadNodeEndpoints()[networkType];
+    if (!endpoint) {
+        return null;
+    }
+    const validation = validateNodeEndpoint(endpoint);
+    return validation.valid ? validation.endpoint : null;
+}
+
+// All configured endpoints keyed by network
+function getNodeEndpoints() {
+    const endpoints = {};
+    for (const networkType of Object.keys(loadNodeEndpoints())) {
+        const endpoint = getNodeEndpoint(networkType);
+        if (endpoint) {
+            endpoints[networkType] = endpoint;
+        }
+    }
+    return endpoints;
+}
+
+function saveNodeEndpoint(networkType, config) {
+    const validation = validateNodeEndpoint(config);
+    if (!validation.valid) {
+        return { success: false, error: validation.error };
+    }
+
+    try {
+        const endpoints = loadNodeEndpoints();
+        endpoints[networkType] = validation.endpoint;
+        storeNodeEndpoints(endpoints);
+        return { success: true, endpoint: validation.endpoint };
+    } catch (error) {
+        console.error('Failed to save node endpoint:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+function removeNodeEndpoint(networkType) {
+    try {
+        const endpoints = loadNodeEndpoints();
+        delete endpoints[networkType];
+        storeNodeEndpoints(endpoints);
+        return { success: true };
+    } catch (error) {
+        console.error('Failed to remove node endpoint:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// A string endpoint override is a bare URL with the default encoding
+function resolveEndpoint(networkType, endpoint) {
+    if (endpoint === undefined || endpoint === null || endpoint === '') {
+        return getNodeEndpoint(networkType);
+    }
+    const validation = validateNodeEndpoint(typeof endpoint === 'string' ? { url: endpoint } : endpoint);
+    if (!validation.valid) {
+        throw new Error(`Invalid node endpoint: ${validation.error}`);
+    }
+    return validation.endpoint;
+}
+
+function createRpcClient(networkType, endpoint) {
+    const { RpcClient, Resolver, Encoding } = getKaspa();
+
+    if (!endpoint) {
+        // Public nodes via the SDK's resolver
+        return new RpcClient({
+            networkId: networkType,
+            resolver: new Resolver()
+        });
+    }
+
+    return new RpcClient({
+        url: endpoint.url,
+        encoding: endpoint.encoding === 'json' ? Encoding.SerdeJson : Encoding.Borsh,
+        networkId: networkType
+    });
+}
+
+async function connectWithTimeout(rpc, timeout) {
+    let timer;
+    const connectTimeoutPromise = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`RPC connection timeout after ${Math.round(timeout / 1000)} seconds`)), timeout);
+    });
+
+    try {
+        await Promise.race([rpc.connect(), connectTimeoutPromise]);
+    } catch (error) {
+        try {
+            await rpc.disconnect();
+        } catch (disconnectError) {
+            // Nothing to clean up if the connection never opened
+        }
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Create and connect an RPC client for a network, honoring the configured node endpoint.
+ * Without a configured endpoint the public Resolver is used. With one, the Resolver is only
+ * used when the endpoint is unreachable and the user has enabled the fallback.
+ * @param {string} networkType - Network type (mainnet, testnet-10, etc.)
+ * @param {Object} options - { endpoint, timeout } where endpoint overrides the configured one (URL string or config)
+ * @returns {Promise<RpcClient>} - Connected RPC client; the caller disconnects it
+ */
+async function connectRpcClient(networkType, options = {}) {
+    if (!isInitialized()) {
+        throw new Error('Kaspa WASM not initialized');
+    }
+
+    const timeout = options.timeout || DEFAULT_CONNECT_TIMEOUT;
+    const endpoint = resolveEndpoint(networkType, options.endpoint);
+
+    const rpc = createRpcClient(networkType, endpoint);
+    try {
+        await connectWithTimeout(rpc, timeout);
+        return rpc;
+    } catch (error) {
+        if (!endpoint) {
+            throw error;
+        }
+        if (!endpoint.useResolverFallback) {
+            throw new Error(`Configured node ${endpoint.url} is unreachable: ${error.message}`);
+        }
+        console.warn(`Configured node ${endpoint.url} is unreachable, falling back to public resolver:`, error.message);
+    }
+
+    const fallbackRpc = createRpcClient(networkType, null);
+    await connectWithTimeout(fallbackRpc, timeout);
+    return fallbackRpc;
+}
+
+/**
+ * Connect to a node endpoint without fallback and report its server info
+ * @param {string} networkType - Network type the node is expected to serve
+ * @param {Object} config - { url, encoding }
+ * @returns {Promise<Object>} - { success, serverVersion, isSynced, hasUtxoIndex, networkId, error }
+ */
+async function testNodeEndpoint(networkType, config) {
+    const validation = validateNodeEndpoint(config);
+    if (!validation.valid) {
+        return { success: false, error: validation.error };
+    }
+
+    let rpc = null;
+    try {
+        rpc = await connectRpcClient(networkType, {
+            endpoint: { ...validation.endpoint, useResolverFallback: false }
+        });
+        const serverInfo = await rpc.getServerInfo();
+
+        return {
+            success: true,
+            serverVersion: serverInfo.serverVersion,
+            isSynced: !!serverInfo.isSynced,
+            hasUtxoIndex: !!serverInfo.hasUtxoIndex,
+            networkId: serverInfo.networkId ? serverInfo.networkId.toString() : networkType
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    } finally {
+        if (rpc) {
+            try {
+                await rpc.disconnect();
+            } catch (disconnectError) {
+                console.warn('Failed to disconnect test RPC client:', disconnectError);
+            }
+        }
+    }
+}
+
+export {
+    getNodeEndpoint,
+    getNodeEndpoints,
+    validateNodeEndpoint,
+    saveNodeEndpoint,
+    removeNodeEndpoint,
+    connectRpcClient,
+    testNodeEndpoint,
+    NODE_ENCODINGS
+};
@@ -0,0 +1,231 @@
+// Kaspa Payload Integrity Module
+// SHA-256 digests for air-gapped transfers (multi-part QR, animated QR and JSON files), short
+// fingerprints the operator compares on both screens, and optional HMAC authentication with a paired key
+import { bytesToHex, hexToBytes, ensureSubtleCrypto } from './encoding-utils.js';
+
+const PAIRING_KEY_STORAGE_KEY = 'kaspa_qr_pairing_key';
+const PAIRING_KEY_BYTES = 32;
+const INTEGRITY_ALGORITHM = 'SHA-256';
+
+function toBytes(data) {
+    return data instanceof Uint8Array ? data : new TextEncoder().encode(data);
+}
+
+function isDigestHex(value) {
+    return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+}
+
+/**
+ * SHA-256 digest of a payload
+ * @param {string|Uint8Array} data - Payload (strings are hashed as UTF-8)
+ * @returns {Promise<string>} - Lowercase hex digest
+ */
+async function sha256Hex(data) {
+    ensureSubtleCrypto('payload integrity');
+    const digest = await crypto.subtle.digest(INTEGRITY_ALGORITHM, toBytes(data));
+    return bytesToHex(new Uint8Array(digest));
+}
+
+// First 64 bits of a digest in groups of four, e.g. "3F2A 91C0 7D44 E813"
+function formatFingerprint(digest) {
+    if (!isDigestHex(digest)) {
+        return '';
+    }
+    return digest.substring(0, 16).toUpperCase().match(/.{4}/g).join(' ');
+}
+
+// Hex pairing key shared by the online and offline device, or null when not paired
+function getPairingKey() {
+    try {
+        const saved = localStorage.getItem(PAIRING_KEY_STORAGE_KEY);
+        return saved && /^[0-9a-f]{64}$/.test(saved) ? saved : null;
+    } catch (error) {
+        console.error('Failed to load QR pairing key:', error);
+        return null;
+    }
+}
+
+function generatePairingKey() {
+    ensureSubtleCrypto('payload integrity');
+    return bytesToHex(crypto.getRandomValues(new Uint8Array(PAIRING_KEY_BYTES)));
+}
+
+/**
+ * Store the pairing key on this device
+ * @param {string} key - 64 hex characters; spaces are ignored so the key can be typed in groups
+ * @returns {Object} - { success, error }
+ */
+function savePairingKey(key) {
+    const normalized = (key || '').replace(/\s+/g, '').toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(normalized)) {
+        return { success: false, error: 'Pairing key must be 64 hexadecimal characters' };
+    }
+    try {
+        localStorage.setItem(PAIRING_KEY_STORAGE_KEY, normalized);
+        return { success: true };
+    } catch (error) {
+        console.error('Failed to save QR pairing key:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+function removePairingKey() {
+    try {
+        localStorage.removeItem(PAIRING_KEY_STORAGE_KEY);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Fingerprint of the key itself, so both devices can confirm they hold the same key without showing it
+async function getPairingKeyFingerprint(key = getPairingKey()) {
+    return key ? formatFingerprint(await sha256Hex(hexToBytes(key))) : null;
+}
+
+async function importHmacKey(key) {
+    ensureSubtleCrypto('payload integrity');
+    return crypto.subtle.importKey('raw', hexToBytes(key), { name: 'HMAC', hash: INTEGRITY_ALGORITHM }, false, ['sign', 'verify']);
+}
+
+/**
+ * Digest, fingerprint and (when paired) HMAC for a payload about to be transferred
+ * @param {string|Uint8Array} data - Payload exactly as transmitted
+ * @returns {Promise<Object>} - { digest, mac, fingerprint } where mac is null without a pairing key
+ */
+async function sealPayload(data) {
+    const bytes = toBytes(data);
+    const digest = await sha256Hex(bytes);
+    const key = getPairingKey();
+
+    let mac = null;
+    if (key) {
+        const signature = await crypto.subtle.sign('HMAC', await importHmacKey(key), bytes);
+        mac = bytesToHex(new Uint8Array(signature));
+    }
+
+    return { digest: digest, mac: mac, fingerprint: formatFingerprint(digest) };
+}
+
+/**
+ * Check a received payload against its digest and, when this device is paired, its HMAC
+ * @param {string|Uint8Array} data - Reassembled payload
+ * @param {Object} seal - { digest, mac } as sent with the payload
+ * @returns {Promise<Object>} - { valid, error, fingerprint, authenticated }
+ */
+async function verifyPayloadSeal(data, seal = {}) {
+    if (!isDigestHex(seal.digest)) {
+        return { valid: false, error: 'Payload has no SHA-256 digest and cannot be verified' };
+    }
+
+    const bytes = toBytes(data);
+    const digest = await sha256Hex(bytes);
+    if (digest !== seal.digest) {
+        return { valid: false, error: 'Payload digest mismatch - data was corrupted or a part was swapped' };
+    }
+
+    const fingerprint = formatFingerprint(digest);
+    const key = getPairingKey();
+    if (!key) {
+        return { valid: true, fingerprint: fingerprint, authenticated: false };
+    }
+
+    if (!isDigestHex(seal.mac)) {
+        return { valid: false, error: 'Payload is not authenticated - the sending device is not paired with this one', fingerprint: fingerprint };
+    }
+    const authentic = await crypto.subtle.verify('HMAC', await importHmacKey(key), hexToBytes(seal.mac), bytes);
+    if (!authentic) {
+        return { valid: false, error: 'Payload authentication failed - HMAC does not match the paired key', fingerprint: fingerprint };
+    }
+
+    return { valid: true, fingerprint: fingerprint, authenticated: true };
+}
+
+/**
+ * Check an HMAC made with the pairing key, without requiring one to be present
+ * @param {string|Uint8Array} data - Payload the HMAC covers
+ * @param {string} mac - Hex HMAC, if any
+ * @returns {Promise<Object>} - { paired, verified } where verified is false when unpaired or the HMAC is missing
+ */
+async function verifyPayloadMac(data, mac) {
+    const key = getPairingKey();
+    if (!key || !isDigestHex(mac)) {
+        return { paired: !!key, verified: false };
+    }
+    const verified = await crypto.subtle.verify('HMAC', await importHmacKey(key), hexToBytes(mac), toBytes(data));
+    return { paired: true, verified: verified };
+}
+
+/**
+ * Attach an integrity block to data exported as a JSON file. The digest covers JSON.stringify of
+ * the data without the block, which survives a pretty-printed file round trip unchanged.
+ * @param {Object} data - JSON-safe transfer data
+ * @returns {Promise<Object>} - { data, fingerprint } where data carries the integrity block
+ */
+async function sealTransferData(data) {
+    const { integrity, ...content } = data;
+    const seal = await sealPayload(JSON.stringify(content));
+
+    return {
+        data: {
+            ...content,
+            integrity: {
+                algorithm: INTEGRITY_ALGORITHM,
+                digest: seal.digest,
+                ...(seal.mac ? { mac: seal.mac } : {})
+            }
+        },
+        fingerprint: seal.fingerprint
+    };
+}
+
+/**
+ * Verify an imported JSON transfer file. Files exported before digests existed have no integrity
+ * block; they are accepted as legacy unless this device is paired.
+ * @param {Object} data - Parsed file content
+ * @returns {Promise<Object>} - { valid, error, data, fingerprint, authenticated, legacy }
+ */
+async function verifyTransferData(data) {
+    if (!data || typeof data !== 'object') {
+        return { valid: false, error: 'Invalid transfer data' };
+    }
+
+    const { integrity, ...content } = data;
+    if (!integrity) {
+        if (getPairingKey()) {
+            return { valid: false, error: 'File has no integrity digest and this device requires authenticated transfers' };
+        }
+        return { valid: true, data: content, fingerprint: null, authenticated: false, legacy: true };
+    }
+    if (integrity.algorithm !== INTEGRITY_ALGORITHM) {
+        return { valid: false, error: `Unsupported integrity algorithm: ${integrity.algorithm}` };
+    }
+
+    const verification = await verifyPayloadSeal(JSON.stringify(content), integrity);
+    return { ...verification, data: verification.valid ? content : null, legacy: false };
+}
+
+// Short suffix for notifications, e.g. "fingerprint 3F2A 91C0 7D44 E813, HMAC verified, encrypted"
+function describeIntegrity(result) {
+    const encrypted = result && result.encrypted ? ', encrypted' : '';
+    if (!result || !result.fingerprint) {
+        return result && result.legacy ? `legacy, unverified - no integrity digest${encrypted}` : encrypted.substring(2);
+    }
+    return `fingerprint ${result.fingerprint}${result.authenticated ? ', HMAC verified' : ''}${encrypted}`;
+}
+
+export {
+    sha256Hex,
+    formatFingerprint,
+    sealPayload,
+    verifyPayloadSeal,
+    verifyPayloadMac,
+    sealTransferData,
+    verifyTransferData,
+    describeIntegrity,
+    getPairingKey,
+    generatePairingKey,
+    savePairingKey,
+    removePairingKey,
+    getPairingKeyFingerprint
+};
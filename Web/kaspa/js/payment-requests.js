@@ -0,0 +1,194 @@
+// Kaspa Payment Requests Module
+// Per-wallet invoices: an amount, description and expiry on a reserved receive address, tracked against the
+// UTXOs that arrive at that address
+import { getWalletStorage, serializeWalletUpdate } from './wallet-storage.js';
+import { sompiToKas } from './currency-utils.js';
+import { getUtxoKey, getUtxoAddress } from './coin-control.js';
+import { createPaymentUri } from './payment-uri.js';
+
+const PAYMENT_REQUEST_STATUSES = ['open', 'partially_paid', 'paid', 'expired'];
+
+// Expiry choices offered when creating a request, in milliseconds (null never expires)
+const PAYMENT_REQUEST_EXPIRIES = [
+    { id: '1h', label: '1 hour', duration: 60 * 60 * 1000 },
+    { id: '24h', label: '24 hours', duration: 24 * 60 * 60 * 1000 },
+    { id: '7d', label: '7 days', duration: 7 * 24 * 60 * 60 * 1000 },
+    { id: '30d', label: '30 days', duration: 30 * 24 * 60 * 60 * 1000 },
+    { id: 'never', label: 'Never', duration: null }
+];
+
+function updateRequests(walletId, mutate) {
+    const storage = getWalletStorage();
+    return serializeWalletUpdate(walletId, 'payment requests',
+        () => storage.getPaymentRequests(walletId),
+        (requests) => storage.savePaymentRequests(walletId, requests),
+        mutate);
+}
+
+// Exact decimal KAS string to sompi, without going through floating point
+function kasStringToSompi(amount) {
+    const [whole, fraction = ''] = amount.split('.');
+    return BigInt(whole) * 100000000n + BigInt(fraction.padEnd(8, '0'));
+}
+
+/**
+ * Status of a request at a given time; paid wins over expired so late full payments still show as paid
+ * @param {Object} request - Stored payment request
+ * @param {number} now - Timestamp in milliseconds
+ * @returns {string} - 'open', 'partially_paid', 'paid' or 'expired'
+ */
+function getPaymentRequestStatus(request, now = Date.now()) {
+    const received = BigInt(request.receivedInSompi || '0');
+    if (received >= BigInt(request.amountInSompi)) {
+        return 'paid';
+    }
+    if (request.expiresAt && new Date(request.expiresAt).getTime() <= now) {
+        return 'expired';
+    }
+    return received > 0n ? 'partially_paid' : 'open';
+}
+
+/**
+ * Create a payment request on a receive address reserved for it
+ * @param {string} walletId - Wallet ID
+ * @param {Object} details - { address, addressIndex, derivationPath, amount (KAS string), description, expiresIn (ms or null), networkType }
+ * @returns {Promise<Object>} - { success, request, error }
+ */
+async function createPaymentRequest(walletId, details = {}) {
+    if (!walletId) {
+        return { success: false, error: 'Payment requests need a saved wallet' };
+    }
+
+    const amount = details.amount !== undefined && details.amount !== null ? String(details.amount).trim() : '';
+    if (!amount) {
+        return { success: false, error: 'Amount is required' };
+    }
+    const description = (details.description || '').trim();
+
+    const paymentUri = createPaymentUri({ address: details.address, amount: amount, message: description });
+    if (!paymentUri.success) {
+        return { success: false, error: paymentUri.error };
+    }
+
+    const timestamp = new Date();
+    const request = {
+        id: `request_${timestamp.getTime()}_${Math.random().toString(36).substring(2, 8)}`,
+        address: details.address,
+        addressIndex: details.addressIndex !== undefined ? details.addressIndex : null,
+        derivationPath: details.derivationPath || null,
+        networkType: details.networkType || null,
+        amount: amount,
+        amountInSompi: kasStringToSompi(amount).toString(),
+        description: description,
+        uri: paymentUri.uri,
+        payments: [],
+        receivedInSompi: '0',
+        paidAt: null,
+        createdAt: timestamp.toISOString(),
+        expiresAt: details.expiresIn ? new Date(timestamp.getTime() + details.expiresIn).toISOString() : null
+    };
+
+    try {
+        await updateRequests(walletId, (requests) => {
+            if (requests.some(item => item.address === request.address)) {
+                throw new Error('This address is already reserved for another payment request');
+            }
+            requests.push(request);
+        });
+        return { success: true, request: { ...request, status: getPaymentRequestStatus(request) } };
+    } catch (error) {
+        console.error('Failed to create payment request:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Record UTXOs that arrived at reserved addresses. Each UTXO is counted once, and stays counted
+ * after it is spent, so a request remains paid when the funds are moved on.
+ * @param {string} walletId - Wallet ID
+ * @param {Array} utxos - UTXO entries (plain objects or WASM references)
+ * @returns {Promise<Object>} - { success, paid, updated, error } where paid lists requests that just became paid
+ */
+async function matchPaymentRequests(walletId, utxos) {
+    if (!walletId || !Array.isArray(utxos) || utxos.length === 0) {
+        return { success: true, paid: [], updated: 0 };
+    }
+
+    try {
+        return await updateRequests(walletId, (requests) => {
+            const byAddress = new Map(requests.map(request => [request.address, request]));
+            const paid = [];
+            let updated = 0;
+
+            for (const utxo of utxos) {
+                const request = byAddress.get(getUtxoAddress(utxo));
+                const key = getUtxoKey(utxo);
+                if (!request || !key || request.payments.some(payment => payment.key === key)) {
+                    continue;
+                }
+
+                const wasPaid = getPaymentRequestStatus(request) === 'paid';
+                const amountInSompi = BigInt(utxo.amount || utxo.value || 0);
+                request.payments.push({
+                    key: key,
+                    amountInSompi: amountInSompi.toString(),
+                    blockDaaScore: utxo.blockDaaScore !== undefined && utxo.blockDaaScore !== null ? utxo.blockDaaScore.toString() : null,
+                    seenAt: new Date().toISOString()
+                });
+                request.receivedInSompi = (BigInt(request.receivedInSompi) + amountInSompi).toString();
+                updated++;
+
+                if (!wasPaid && getPaymentRequestStatus(request) === 'paid') {
+                    request.paidAt = new Date().toISOString();
+                    paid.push(request);
+                }
+            }
+
+            return { success: true, paid: paid, updated: updated };
+        });
+    } catch (error) {
+        console.error('Failed to match payment requests:', error);
+        return { success: false, paid: [], updated: 0, error: error.message };
+    }
+}
+
+async function deletePaymentRequest(walletId, requestId) {
+    try {
+        await updateRequests(walletId, (requests) => {
+            const index = requests.findIndex(request => request.id === requestId);
+            if (index === -1) {
+                throw new Error('Payment request not found');
+            }
+            requests.splice(index, 1);
+        });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Requests with their current status and received amount, newest first
+async function getPaymentRequests(walletId) {
+    if (!walletId) {
+        return [];
+    }
+    const now = Date.now();
+    const requests = (await getWalletStorage().getPaymentRequests(walletId)) || [];
+    return requests
+        .map(request => ({
+            ...request,
+            status: getPaymentRequestStatus(request, now),
+            received: sompiToKas(BigInt(request.receivedInSompi || '0'))
+        }))
+        .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+export {
+    createPaymentRequest,
+    matchPaymentRequests,
+    deletePaymentRequest,
+    getPaymentRequests,
+    getPaymentRequestStatus,
+    PAYMENT_REQUEST_STATUSES,
+    PAYMENT_REQUEST_EXPIRIES
+};
@@ -0,0 +1,203 @@
+// Kaspa Payment URI Module
+// Builds and reads payment request URIs (kaspa:<address>?amount=&label=&message=&payload=), the
+// BIP21-style format other Kaspa wallets use for receive QR codes and links
+import { getKaspa, isInitialized } from './init.js';
+import { normalizePayload } from './transaction-payload.js';
+import { NETWORK_PREFIXES } from './constants.js';
+
+const KNOWN_PARAMETERS = ['amount', 'label', 'message', 'payload'];
+
+// Amounts are decimal KAS with at most 8 places (1 sompi)
+const AMOUNT_PATTERN = /^\d+(\.\d{1,8})?$/;
+
+function getNetworkForPrefix(prefix) {
+    return Object.keys(NETWORK_PREFIXES).find(network => NETWORK_PREFIXES[network] === prefix) || null;
+}
+
+// Whether text looks like a payment URI (or bare address) rather than a domain or other input
+function isPaymentUri(text) {
+    if (typeof text !== 'string') {
+        return false;
+    }
+    const prefix = text.trim().split(':')[0].toLowerCase();
+    return text.includes(':') && Object.values(NETWORK_PREFIXES).includes(prefix);
+}
+
+function decodeParameter(value) {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+}
+
+/**
+ * Parse a payment URI or bare address
+ * @param {string} text - URI such as kaspa:qr...?amount=1.5&message=Invoice%2042
+ * @param {string} networkType - Network the wallet is on; URIs for another network are rejected
+ * @returns {Object} - { valid, error, address, amount, label, message, payload, networkType }
+ */
+function parsePaymentUri(text, networkType) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return { valid: false, error: 'Payment URI is empty' };
+    }
+
+    const trimmed = text.trim();
+    const queryStart = trimmed.indexOf('?');
+    const addressPart = queryStart === -1 ? trimmed : trimmed.substring(0, queryStart);
+    const query = queryStart === -1 ? '' : trimmed.substring(queryStart + 1);
+
+    const separator = addressPart.indexOf(':');
+    if (separator === -1) {
+        return { valid: false, error: 'Payment URI must start with a Kaspa address prefix such as kaspa:' };
+    }
+
+    const prefix = addressPart.substring(0, separator).toLowerCase();
+    const uriNetwork = getNetworkForPrefix(prefix);
+    if (!uriNetwork) {
+        return { valid: false, error: `Unknown payment URI scheme "${prefix}:"` };
+    }
+
+    const expectedPrefix = NETWORK_PREFIXES[networkType];
+    if (networkType && expectedPrefix && expectedPrefix !== prefix) {
+        return { valid: false, error: `Payment request is for a ${prefix}: address, but the wallet is on ${networkType}` };
+    }
+
+    // Bech32 addresses are case-insensitive but must not mix case
+    const addressBody = addressPart.substring(separator + 1).replace(/^\/\//, '');
+    const address = `${prefix}:${addressBody.toLowerCase()}`;
+    if (addressBody !== addressBody.toLowerCase() && addressBody !== addressBody.toUpperCase()) {
+        return { valid: false, error: 'Payment URI address mixes upper and lower case' };
+    }
+    if (!/^[a-z]+:[02-9ac-hj-np-z]+$/.test(address)) {
+        return { valid: false, error: 'Payment URI does not contain a valid Kaspa address' };
+    }
+    if (isInitialized()) {
+        const { Address } = getKaspa();
+        if (!Address.validate(address)) {
+            return { valid: false, error: 'Payment URI does not contain a valid Kaspa address' };
+        }
+    }
+
+    const result = {
+        valid: true,
+        address: address,
+        amount: null,
+        label: null,
+        message: null,
+        payload: null,
+        networkType: networkType && expectedPrefix === prefix ? networkType : uriNetwork
+    };
+
+    const seen = new Set();
+    for (const pair of query ? query.split('&') : []) {
+        if (!pair) {
+            continue;
+        }
+
+        const equals = pair.indexOf('=');
+        const key = (equals === -1 ? pair : pair.substring(0, equals)).toLowerCase();
+        let value;
+        try {
+            value = decodeParameter(equals === -1 ? '' : pair.substring(equals + 1));
+        } catch (error) {
+            return { valid: false, error: `Payment URI parameter "${key}" is not correctly encoded` };
+        }
+
+        if (seen.has(key)) {
+            return { valid: false, error: `Payment URI repeats the "${key}" parameter` };
+        }
+        seen.add(key);
+
+        if (!KNOWN_PARAMETERS.includes(key)) {
+            // Required parameters this wallet does not understand make the request unusable
+            if (key.startsWith('req-')) {
+                return { valid: false, error: `Payment URI requires unsupported parameter "${key.substring(4)}"` };
+            }
+            continue;
+        }
+
+        if (key === 'amount') {
+            if (!AMOUNT_PATTERN.test(value) || /^0+(\.0+)?$/.test(value)) {
+                return { valid: false, error: `Payment URI amount "${value}" is not a valid KAS amount` };
+            }
+            result.amount = value;
+        } else if (key === 'payload') {
+            const payload = normalizePayload(value);
+            if (!payload.valid) {
+                return { valid: false, error: `Payment URI payload is invalid: ${payload.error}` };
+            }
+            result.payload = payload.hex || null;
+        } else {
+            result[key] = value || null;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Build a payment URI for a receive address
+ * @param {Object} request - { address, amount (KAS string), label, message, payload (hex) }
+ * @returns {Object} - { success, uri, error }
+ */
+function createPaymentUri(request = {}) {
+    const address = typeof request.address === 'string' ? request.address.trim() : '';
+    const prefix = address.split(':')[0];
+    if (!address.includes(':') || !getNetworkForPrefix(prefix)) {
+        return { success: false, error: 'A Kaspa address is required' };
+    }
+
+    const parameters = [];
+
+    const amount = request.amount !== undefined && request.amount !== null ? String(request.amount).trim() : '';
+    if (amount) {
+        if (!AMOUNT_PATTERN.test(amount) || /^0+(\.0+)?$/.test(amount)) {
+            return { success: false, error: 'Amount must be a positive KAS amount with at most 8 decimal places' };
+        }
+        parameters.push(`amount=${amount}`);
+    }
+
+    ['label', 'message'].forEach(key => {
+        const value = request[key] ? String(request[key]).trim() : '';
+        if (value) {
+            parameters.push(`${key}=${encodeURIComponent(value)}`);
+        }
+    });
+
+    if (request.payload) {
+        const payload = normalizePayload(request.payload);
+        if (!payload.valid) {
+            return { success: false, error: payload.error };
+        }
+        if (payload.hex) {
+            parameters.push(`payload=${payload.hex}`);
+        }
+    }
+
+    return {
+        success: true,
+        uri: parameters.length > 0 ? `${address}?${parameters.join('&')}` : address
+    };
+}
+
+// Payment URI carried in a URL fragment (index.html#kaspa:...), or null
+function getPaymentUriFromHash(hash) {
+    if (!hash || hash.length < 2) {
+        return null;
+    }
+
+    let text = hash.startsWith('#') ? hash.substring(1) : hash;
+    // Links may percent-encode the whole URI
+    if (!text.includes(':')) {
+        try {
+            text = decodeURIComponent(text);
+        } catch (error) {
+            return null;
+        }
+    }
+    return isPaymentUri(text) ? text : null;
+}
+
+export {
+    parsePaymentUri,
+    createPaymentUri,
+    isPaymentUri,
+    getPaymentUriFromHash
+};
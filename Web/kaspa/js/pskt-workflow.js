@@ -0,0 +1,637 @@
+// Kaspa PSKT Workflow Module
+// Partially signed transactions (PSKT) and bundles of them (PSKB) for the React app. PSKTs use the
+// rusty-kaspa JSON layout so they can be exchanged with other Kaspa tools. The SDK's PSKT class only
+// switches roles, so the work each role does (signing, combining, finalizing, extracting) is done here.
+import { getKaspa, isInitialized } from './init.js';
+import { serializeWasmObject, convertBigIntToString } from './serialization-utils.js';
+import { getUtxoKey, getUtxoAddress } from './coin-control.js';
+import { bytesToHex, hexToBytes } from './encoding-utils.js';
+
+const PSKT_ROLES = ['CREATOR', 'CONSTRUCTOR', 'UPDATER', 'SIGNER', 'COMBINER', 'FINALIZER', 'EXTRACTOR'];
+const PSKB_PREFIX = 'PSKB';
+const PSKB_TRANSFER_TYPE = 'kaspa-pskb';
+const PSKB_TRANSFER_VERSION = '1.0';
+const SIGHASH_ALL = 1;
+const SUBNETWORK_ID_NATIVE = '0000000000000000000000000000000000000000';
+
+// Fields the Rust serializer writes as 64-bit integers; kept as decimal strings here
+const U64_FIELDS = ['amount', 'blockDaaScore', 'sequence', 'minTime', 'fallbackLockTime'];
+const U64_MARKER = '__u64:';
+
+// Pay-to-pubkey (Schnorr) script: OP_DATA_32 <x-only key> OP_CHECKSIG
+const P2PK_SCRIPT_PATTERN = /^20([0-9a-f]{64})ac$/;
+
+function ensureKaspa() {
+    if (!isInitialized()) {
+        throw new Error('Kaspa WASM not initialized');
+    }
+    return getKaspa();
+}
+
+function clonePskt(pskt) {
+    return JSON.parse(JSON.stringify(pskt));
+}
+
+function toU64String(value) {
+    return value === null || value === undefined ? null : BigInt(value).toString();
+}
+
+// Script public keys are stored as hex with a two-byte big-endian version prefix, as rusty-kaspa serializes them
+function toScriptPublicKeyHex(scriptPublicKey) {
+    if (typeof scriptPublicKey === 'string') {
+        return scriptPublicKey.toLowerCase();
+    }
+    if (scriptPublicKey && scriptPublicKey.script !== undefined) {
+        const version = parseInt(scriptPublicKey.version || 0, 10);
+        return version.toString(16).padStart(4, '0') + String(scriptPublicKey.script).toLowerCase();
+    }
+    throw new Error('Invalid script public key');
+}
+
+function parseScriptPublicKey(hex) {
+    return { version: parseInt(hex.slice(0, 4), 16), script: hex.slice(4) };
+}
+
+// Wallet UTXOs keep the script without its version; WASM references expose version and script getters
+function getUtxoScriptPublicKeyHex(utxo) {
+    const scriptPublicKey = utxo.scriptPublicKey;
+    if (typeof scriptPublicKey === 'string') {
+        return '0000' + scriptPublicKey.toLowerCase();
+    }
+    if (scriptPublicKey && scriptPublicKey.script) {
+        return toScriptPublicKeyHex({ version: Number(scriptPublicKey.version || 0), script: scriptPublicKey.script });
+    }
+    const address = getUtxoAddress(utxo);
+    if (address) {
+        return getAddressScriptPublicKeyHex(address);
+    }
+    throw new Error(`UTXO ${getUtxoKey(utxo)} has no script public key`);
+}
+
+function getAddressScriptPublicKeyHex(address) {
+    const { payToAddressScript } = ensureKaspa();
+    const scriptPublicKey = payToAddressScript(address);
+    return toScriptPublicKeyHex({ version: scriptPublicKey.version, script: scriptPublicKey.script });
+}
+
+function getScriptAddress(scriptPublicKeyHex, networkType) {
+    try {
+        const { addressFromScriptPublicKey } = ensureKaspa();
+        const address = addressFromScriptPublicKey(parseScriptPublicKey(scriptPublicKeyHex), networkType);
+        return address ? address.toString() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// JSON with the 64-bit fields written as bare numbers, as the Rust serializer does
+function toStandardJson(value) {
+    const json = JSON.stringify(value, (key, fieldValue) =>
+        U64_FIELDS.includes(key) && fieldValue !== null && fieldValue !== undefined ? `${U64_MARKER}${fieldValue}` : fieldValue);
+    return json.replace(new RegExp(`"${U64_MARKER}(\\d+)"`, 'g'), '$1');
+}
+
+// Integers too large for a JS number are quoted before parsing so amounts keep their precision
+function parseStandardJson(text) {
+    return JSON.parse(text.replace(/([:[,]\s*)(\d{16,})(?=\s*[,\]}])/g, '$1"$2"'));
+}
+
+/**
+ * Create an empty PSKT whose inputs and outputs can still be added (creator role)
+ * @returns {Object} - PSKT in the rusty-kaspa layout
+ */
+function createPskt() {
+    return {
+        global: {
+            version: 0,
+            txVersion: 0,
+            fallbackLockTime: null,
+            inputsModifiable: true,
+            outputsModifiable: true,
+            inputCount: 0,
+            outputCount: 0,
+            xpubs: {},
+            id: null,
+            proprietaries: {},
+            unknowns: {}
+        },
+        inputs: [],
+        outputs: []
+    };
+}
+
+// Check the parts of a PSKT this module relies on and bring 64-bit values and scripts to one form
+function normalizePskt(pskt) {
+    if (!pskt || typeof pskt !== 'object' || !pskt.global || !Array.isArray(pskt.inputs) || !Array.isArray(pskt.outputs)) {
+        throw new Error('Not a PSKT - expected global, inputs and outputs');
+    }
+
+    const normalized = clonePskt(pskt);
+    normalized.global.fallbackLockTime = toU64String(normalized.global.fallbackLockTime);
+    normalized.inputs = normalized.inputs.map((input, index) => {
+        if (!input.previousOutpoint || !input.previousOutpoint.transactionId) {
+            throw new Error(`PSKT input ${index} has no previous outpoint`);
+        }
+        return {
+            ...input,
+            utxoEntry: input.utxoEntry ? {
+                ...input.utxoEntry,
+                amount: toU64String(input.utxoEntry.amount),
+                blockDaaScore: toU64String(input.utxoEntry.blockDaaScore),
+                scriptPublicKey: toScriptPublicKeyHex(input.utxoEntry.scriptPublicKey)
+            } : null,
+            sequence: toU64String(input.sequence),
+            minTime: toU64String(input.minTime),
+            partialSigs: input.partialSigs || {},
+            sighashType: input.sighashType || SIGHASH_ALL,
+            sigOpCount: input.sigOpCount || 1,
+            finalScriptSig: input.finalScriptSig || null
+        };
+    });
+    normalized.outputs = normalized.outputs.map(output => ({
+        ...output,
+        amount: toU64String(output.amount),
+        scriptPublicKey: toScriptPublicKeyHex(output.scriptPublicKey)
+    }));
+    return normalized;
+}
+
+function hasSignatures(pskt) {
+    return pskt.inputs.some(input => Object.keys(input.partialSigs || {}).length > 0 || input.finalScriptSig);
+}
+
+/**
+ * Add an input spending a wallet UTXO (constructor role)
+ * @param {Object} pskt - PSKT
+ * @param {Object} utxo - Wallet UTXO ({ outpoint, amount, scriptPublicKey, blockDaaScore, isCoinbase, address }),
+ *                        or just { outpoint } when the updater attaches the UTXO entry later
+ * @returns {Object} - New PSKT
+ */
+function addPsktInput(pskt, utxo) {
+    if (!pskt.global.inputsModifiable) {
+        throw new Error('This PSKT no longer accepts inputs');
+    }
+    if (hasSignatures(pskt)) {
+        throw new Error('Inputs cannot be added after signing');
+    }
+
+    const key = getUtxoKey(utxo);
+    if (!key) {
+        throw new Error('UTXO has no outpoint');
+    }
+    const [transactionId, index] = key.split(':');
+    if (pskt.inputs.some(input => `${input.previousOutpoint.transactionId}:${input.previousOutpoint.index}` === key)) {
+        throw new Error(`UTXO ${key} is already an input`);
+    }
+
+    const updated = clonePskt(pskt);
+    updated.inputs.push({
+        utxoEntry: utxo.amount !== undefined ? createUtxoEntry(utxo) : null,
+        previousOutpoint: { transactionId: transactionId, index: parseInt(index, 10) },
+        sequence: null,
+        minTime: null,
+        partialSigs: {},
+        sighashType: SIGHASH_ALL,
+        redeemScript: null,
+        sigOpCount: 1,
+        bip32Derivations: {},
+        finalScriptSig: null,
+        proprietaries: {},
+        unknowns: {}
+    });
+    updated.global.inputCount = updated.inputs.length;
+    return updated;
+}
+
+function createUtxoEntry(utxo) {
+    return {
+        amount: toU64String(utxo.amount),
+        scriptPublicKey: getUtxoScriptPublicKeyHex(utxo),
+        blockDaaScore: toU64String(utxo.blockDaaScore || 0),
+        isCoinbase: !!utxo.isCoinbase
+    };
+}
+
+/**
+ * Add an output paying an address (constructor role)
+ * @param {Object} pskt - PSKT
+ * @param {string} address - Recipient address
+ * @param {bigint|string} amountInSompi - Amount in sompi
+ * @returns {Object} - New PSKT
+ */
+function addPsktOutput(pskt, address, amountInSompi) {
+    if (!pskt.global.outputsModifiable) {
+        throw new Error('This PSKT no longer accepts outputs');
+    }
+    if (hasSignatures(pskt)) {
+        throw new Error('Outputs cannot be added after signing');
+    }
+    if (BigInt(amountInSompi) <= 0n) {
+        throw new Error('Output amount must be greater than zero');
+    }
+
+    const updated = clonePskt(pskt);
+    updated.outputs.push({
+        amount: toU64String(amountInSompi),
+        scriptPublicKey: getAddressScriptPublicKeyHex(address),
+        redeemScript: null,
+        bip32Derivations: {},
+        proprietaries: {},
+        unknowns: {}
+    });
+    updated.global.outputCount = updated.outputs.length;
+    return updated;
+}
+
+// Close the PSKT to further inputs and outputs so signers know the transaction is complete
+function lockPsktConstruction(pskt) {
+    if (pskt.inputs.length === 0 || pskt.outputs.length === 0) {
+        throw new Error('A PSKT needs at least one input and one output');
+    }
+    const updated = clonePskt(pskt);
+    updated.global.inputsModifiable = false;
+    updated.global.outputsModifiable = false;
+    return updated;
+}
+
+/**
+ * Attach missing UTXO entries from a UTXO set (updater role). Signers need them to compute signature hashes.
+ * @param {Object} pskt - PSKT
+ * @param {Array} utxos - Wallet UTXOs
+ * @returns {Object} - { pskt, attached, missing }
+ */
+function attachPsktUtxoEntries(pskt, utxos) {
+    const byKey = new Map((utxos || []).map(utxo => [getUtxoKey(utxo), utxo]));
+    const updated = clonePskt(pskt);
+    let attached = 0;
+    let missing = 0;
+
+    updated.inputs.forEach(input => {
+        if (input.utxoEntry) {
+            return;
+        }
+        const utxo = byKey.get(`${input.previousOutpoint.transactionId}:${input.previousOutpoint.index}`);
+        if (utxo) {
+            input.utxoEntry = createUtxoEntry(utxo);
+            attached++;
+        } else {
+            missing++;
+        }
+    });
+
+    return { pskt: updated, attached: attached, missing: missing };
+}
+
+// Set an input's sequence number (updater role)
+function setPsktSequence(pskt, inputIndex, sequence) {
+    if (hasSignatures(pskt)) {
+        throw new Error('Sequence numbers cannot change after signing');
+    }
+    if (!pskt.inputs[inputIndex]) {
+        throw new Error(`PSKT has no input ${inputIndex}`);
+    }
+    const updated = clonePskt(pskt);
+    updated.inputs[inputIndex].sequence = toU64String(sequence);
+    return updated;
+}
+
+// Unsigned transaction as an SDK Transaction; signature scripts are included once inputs are finalized
+function buildPsktTransaction(pskt, withSignatureScripts = false) {
+    const { Transaction } = ensureKaspa();
+
+    return new Transaction({
+        version: pskt.global.txVersion || 0,
+        inputs: pskt.inputs.map((input, index) => {
+            if (!input.utxoEntry) {
+                throw new Error(`PSKT input ${index} has no UTXO entry - run the updater first`);
+            }
+            const previousOutpoint = { transactionId: input.previousOutpoint.transactionId, index: input.previousOutpoint.index };
+            return {
+                previousOutpoint: previousOutpoint,
+                signatureScript: withSignatureScripts ? (input.finalScriptSig || '') : '',
+                sequence: BigInt(input.sequence || 0),
+                sigOpCount: input.sigOpCount || 1,
+                utxo: {
+                    outpoint: previousOutpoint,
+                    amount: BigInt(input.utxoEntry.amount),
+                    scriptPublicKey: parseScriptPublicKey(input.utxoEntry.scriptPublicKey),
+                    blockDaaScore: BigInt(input.utxoEntry.blockDaaScore || 0),
+                    isCoinbase: !!input.utxoEntry.isCoinbase
+                }
+            };
+        }),
+        outputs: pskt.outputs.map(output => ({
+            value: BigInt(output.amount),
+            scriptPublicKey: parseScriptPublicKey(output.scriptPublicKey)
+        })),
+        lockTime: BigInt(pskt.global.fallbackLockTime || 0),
+        subnetworkId: SUBNETWORK_ID_NATIVE,
+        gas: 0n,
+        payload: ''
+    });
+}
+
+/**
+ * Sign every input whose UTXO belongs to one of the given keys (signer role)
+ * @param {Object} pskt - PSKT
+ * @param {Object} privateKeys - Address -> private key hex
+ * @param {string} networkType - Network the input addresses are encoded for
+ * @returns {Object} - { pskt, signed } where signed is the number of inputs signed
+ */
+function signPskt(pskt, privateKeys, networkType) {
+    const { PrivateKey, createInputSignature, SighashType } = ensureKaspa();
+    const transaction = buildPsktTransaction(pskt);
+    const updated = clonePskt(pskt);
+    let signed = 0;
+
+    updated.inputs.forEach((input, index) => {
+        if (input.finalScriptSig) {
+            return;
+        }
+        const address = getScriptAddress(input.utxoEntry.scriptPublicKey, networkType);
+        const keyHex = address && privateKeys[address];
+        if (!keyHex) {
+            return;
+        }
+        if ((input.sighashType || SIGHASH_ALL) !== SIGHASH_ALL) {
+            throw new Error(`PSKT input ${index} asks for a sighash type this wallet does not sign`);
+        }
+
+        const privateKey = new PrivateKey(keyHex);
+        // The SDK returns a signature script: push of the 64-byte Schnorr signature plus the sighash byte
+        const signatureScript = createInputSignature(transaction, index, privateKey, SighashType.All);
+        if (signatureScript.length !== 132) {
+            throw new Error(`Unexpected signature length for input ${index}`);
+        }
+        input.partialSigs[privateKey.toPublicKey().toString()] = { schnorr: signatureScript.slice(2, 130) };
+        signed++;
+    });
+
+    return { pskt: updated, signed: signed };
+}
+
+// Identity of the transaction a PSKT builds, without signatures; PSKTs with the same key can be combined
+function getUnsignedTransactionKey(pskt) {
+    return JSON.stringify({
+        txVersion: pskt.global.txVersion || 0,
+        lockTime: pskt.global.fallbackLockTime || '0',
+        inputs: pskt.inputs.map(input => [input.previousOutpoint.transactionId, input.previousOutpoint.index, input.sequence || '0']),
+        outputs: pskt.outputs.map(output => [output.amount, output.scriptPublicKey])
+    });
+}
+
+/**
+ * Merge PSKTs of the same transaction, such as copies signed by different wallets (combiner role).
+ * PSKTs of different transactions stay separate entries of the bundle.
+ * @param {Array} pskts - PSKTs
+ * @returns {Object} - { pskts, combined } where combined is the number of PSKTs merged into another
+ */
+function combinePskts(pskts) {
+    const groups = new Map();
+    let combined = 0;
+
+    pskts.forEach(pskt => {
+        const key = getUnsignedTransactionKey(pskt);
+        const existing = groups.get(key);
+        if (!existing) {
+            groups.set(key, clonePskt(pskt));
+            return;
+        }
+
+        combined++;
+        existing.inputs.forEach((input, index) => {
+            const other = pskt.inputs[index];
+            input.utxoEntry = input.utxoEntry || other.utxoEntry;
+            input.partialSigs = { ...other.partialSigs, ...input.partialSigs };
+            input.finalScriptSig = input.finalScriptSig || other.finalScriptSig;
+        });
+    });
+
+    return { pskts: Array.from(groups.values()), combined: combined };
+}
+
+/**
+ * Build the final signature script of every input from its partial signature (finalizer role).
+ * Single-key (pay-to-pubkey) inputs are supported.
+ * @param {Object} pskt - PSKT
+ * @returns {Object} - New PSKT
+ */
+function finalizePskt(pskt) {
+    const updated = clonePskt(pskt);
+
+    updated.inputs.forEach((input, index) => {
+        if (input.finalScriptSig) {
+            return;
+        }
+        if (!input.utxoEntry) {
+            throw new Error(`PSKT input ${index} has no UTXO entry`);
+        }
+
+        const match = parseScriptPublicKey(input.utxoEntry.scriptPublicKey).script.match(P2PK_SCRIPT_PATTERN);
+        if (!match) {
+            throw new Error(`PSKT input ${index} is not a single-key input and cannot be finalized here`);
+        }
+        // Partial signatures are keyed by compressed public key; its x coordinate is the script's key
+        const signerKey = Object.keys(input.partialSigs || {}).find(publicKey => publicKey.slice(-64).toLowerCase() === match[1]);
+        const signature = signerKey && input.partialSigs[signerKey].schnorr;
+        if (!signature) {
+            throw new Error(`PSKT input ${index} is not signed yet`);
+        }
+
+        const sighashType = (input.sighashType || SIGHASH_ALL).toString(16).padStart(2, '0');
+        input.finalScriptSig = '41' + signature + sighashType;
+    });
+
+    return updated;
+}
+
+/**
+ * Extract the signed transaction from a finalized PSKT (extractor role). The result is in the
+ * uploaded-transaction form submitTransaction accepts.
+ * @param {Object} pskt - Finalized PSKT
+ * @param {string} networkType - Network to submit to
+ * @returns {Object} - { transactionId, signedTransactionData }
+ */
+function extractPsktTransaction(pskt, networkType) {
+    const unfinalized = pskt.inputs.findIndex(input => !input.finalScriptSig);
+    if (unfinalized !== -1) {
+        throw new Error(`PSKT input ${unfinalized} is not finalized`);
+    }
+    const summary = describePskt(pskt, networkType);
+    if (BigInt(summary.fee) < 0n) {
+        throw new Error('PSKT outputs exceed its inputs');
+    }
+
+    const transaction = buildPsktTransaction(pskt, true);
+    return {
+        transactionId: transaction.id,
+        signedTransactionData: {
+            transactionId: transaction.id,
+            networkType: networkType,
+            status: 'signed',
+            isUploaded: true,
+            serializedTransaction: convertBigIntToString(serializeWasmObject(transaction))
+        }
+    };
+}
+
+/**
+ * Summary of a PSKT for display
+ * @param {Object} pskt - PSKT
+ * @param {string} networkType - Network used to show addresses
+ * @returns {Object} - { inputCount, outputCount, inputTotal, outputTotal, fee, signedInputs, finalizedInputs,
+ *                       missingUtxoEntries, modifiable, inputs, outputs } with amounts as sompi strings
+ */
+function describePskt(pskt, networkType) {
+    const inputTotal = pskt.inputs.reduce((sum, input) => sum + BigInt(input.utxoEntry ? input.utxoEntry.amount : 0), 0n);
+    const outputTotal = pskt.outputs.reduce((sum, output) => sum + BigInt(output.amount), 0n);
+    const missingUtxoEntries = pskt.inputs.filter(input => !input.utxoEntry).length;
+
+    return {
+        inputCount: pskt.inputs.length,
+        outputCount: pskt.outputs.length,
+        inputTotal: inputTotal.toString(),
+        outputTotal: outputTotal.toString(),
+        // Unknown until every input's amount is known
+        fee: missingUtxoEntries === 0 ? (inputTotal - outputTotal).toString() : null,
+        signedInputs: pskt.inputs.filter(input => Object.keys(input.partialSigs || {}).length > 0 || input.finalScriptSig).length,
+        finalizedInputs: pskt.inputs.filter(input => input.finalScriptSig).length,
+        missingUtxoEntries: missingUtxoEntries,
+        modifiable: !!(pskt.global.inputsModifiable || pskt.global.outputsModifiable),
+        inputs: pskt.inputs.map(input => ({
+            outpoint: `${input.previousOutpoint.transactionId}:${input.previousOutpoint.index}`,
+            address: input.utxoEntry ? getScriptAddress(input.utxoEntry.scriptPublicKey, networkType) : null,
+            amount: input.utxoEntry ? input.utxoEntry.amount : null,
+            signatures: Object.keys(input.partialSigs || {}).length,
+            finalized: !!input.finalScriptSig
+        })),
+        outputs: pskt.outputs.map(output => ({
+            address: getScriptAddress(output.scriptPublicKey, networkType) || output.scriptPublicKey,
+            amount: output.amount
+        }))
+    };
+}
+
+// Furthest role a set of PSKTs has reached, for bundles loaded without one
+function inferPsktRole(pskts) {
+    if (pskts.length === 0) {
+        return 'CREATOR';
+    }
+    if (pskts.every(pskt => pskt.inputs.length > 0 && pskt.inputs.every(input => input.finalScriptSig))) {
+        return 'FINALIZER';
+    }
+    if (pskts.some(hasSignatures)) {
+        return 'SIGNER';
+    }
+    if (pskts.every(pskt => !pskt.global.inputsModifiable && !pskt.global.outputsModifiable)) {
+        return 'UPDATER';
+    }
+    return 'CONSTRUCTOR';
+}
+
+/**
+ * Serialize PSKTs as a standard PSKB string ("PSKB" followed by the hex of the JSON array)
+ * @param {Array} pskts - PSKTs
+ * @returns {string} - PSKB string
+ */
+function serializePskb(pskts) {
+    return PSKB_PREFIX + bytesToHex(new TextEncoder().encode(toStandardJson(pskts)));
+}
+
+/**
+ * Read PSKTs from text: a PSKB string, a PSKT or array of PSKTs as JSON, or this wallet's transfer data
+ * @param {string} text - Text from a file or pasted by the user
+ * @returns {Object} - { valid, error, pskts, role, history, networkType }
+ */
+function parsePsktText(text) {
+    try {
+        const trimmed = (text || '').trim();
+        if (trimmed.startsWith(PSKB_PREFIX)) {
+            const hex = trimmed.slice(PSKB_PREFIX.length);
+            if (!/^([0-9a-fA-F]{2})+$/.test(hex)) {
+                throw new Error('PSKB string is not valid hex');
+            }
+            return readPsktList(parseStandardJson(new TextDecoder().decode(hexToBytes(hex))));
+        }
+
+        const data = parseStandardJson(trimmed);
+        if (data && data.type === PSKB_TRANSFER_TYPE) {
+            return readPskbTransferData(data);
+        }
+        return readPsktList(Array.isArray(data) ? data : [data]);
+    } catch (error) {
+        return { valid: false, error: `Not a PSKT or PSKB: ${error.message}` };
+    }
+}
+
+function readPsktList(list) {
+    if (!Array.isArray(list) || list.length === 0) {
+        return { valid: false, error: 'PSKB holds no PSKTs' };
+    }
+    const pskts = list.map(normalizePskt);
+    return { valid: true, pskts: pskts, role: inferPsktRole(pskts), history: [], networkType: null };
+}
+
+/**
+ * Transfer data for QR codes and bundles: the PSKTs plus the role reached and its history
+ * @param {Object} session - { pskts, role, history }
+ * @param {string} networkType - Network the PSKTs are for
+ * @returns {Object} - JSON-safe transfer data
+ */
+function createPskbTransferData(session, networkType) {
+    return {
+        type: PSKB_TRANSFER_TYPE,
+        version: PSKB_TRANSFER_VERSION,
+        networkType: networkType,
+        role: session.role,
+        pskts: session.pskts,
+        history: session.history || []
+    };
+}
+
+/**
+ * Read transfer data made by createPskbTransferData
+ * @param {Object} data - Transfer data
+ * @returns {Object} - { valid, error, pskts, role, history, networkType }
+ */
+function readPskbTransferData(data) {
+    if (!data || data.type !== PSKB_TRANSFER_TYPE) {
+        return { valid: false, error: 'Not a PSKT bundle' };
+    }
+    try {
+        const result = readPsktList(data.pskts);
+        if (!result.valid) {
+            return result;
+        }
+        return {
+            ...result,
+            role: PSKT_ROLES.includes(data.role) ? data.role : result.role,
+            history: Array.isArray(data.history) ? data.history : [],
+            networkType: data.networkType || null
+        };
+    } catch (error) {
+        return { valid: false, error: error.message };
+    }
+}
+
+export {
+    createPskt,
+    normalizePskt,
+    addPsktInput,
+    addPsktOutput,
+    lockPsktConstruction,
+    attachPsktUtxoEntries,
+    setPsktSequence,
+    signPskt,
+    combinePskts,
+    finalizePskt,
+    extractPsktTransaction,
+    describePskt,
+    inferPsktRole,
+    serializePskb,
+    parsePsktText,
+    createPskbTransferData,
+    readPskbTransferData,
+    PSKT_ROLES,
+    PSKB_TRANSFER_TYPE
+};
@@ -1,7 +1,21 @@
 // Kaspa QR Code Manager Module
 import { getKaspa, isInitialized } from './init.js';
 import { serializeWasmObject, convertBigIntToString, createQRTransactionData } from './serialization-utils.js';
-import { QR_DATA_SIZE_LIMIT } from '../../kaspa/js/constants.js';
+import { QR_DATA_SIZE_LIMIT, COMPACT_QR_CHUNK_SIZE, ANIMATED_QR_FRAME_INTERVAL } from '../../kaspa/js/constants.js';
+import { FountainEncoder, FountainDecoder, isFountainFrame } from './fountain-qr.js';
+import { sha256Hex, sealPayload, verifyPayloadSeal, getPairingKey } from './payload-integrity.js';
+import { encryptForTransport, openTransportPayload, isEncryptedPayload } from './transport-encryption.js';
+import {
+    encodeCompactBytes,
+    decodeCompactBytes,
+    encodeCompactQR,
+    decodeCompactQR,
+    isCompactQRText,
+    isCompactEnvelope,
+    base45Encode,
+    getQRWireFormat,
+    COMPACT_QR_PREFIX
+} from './qr-wire-format.js';
 
 // QR Code generation using qrcode-generator library (will be loaded dynamically)
 let qrCodeLib = null;
@@ -152,7 +166,8 @@ function generateQRCodeDataURL(text) {
     try {
         // Create QR code using qrcode-generator library
         const qr = qrCodeLib(0, 'H'); // Type 0 (auto), High error correction
-        qr.addData(text);
+        // Compact payloads stay within the alphanumeric set, which packs ~1.5x denser than byte mode
+        qr.addData(text, /^[0-9A-Z $%*+\-./:]+$/.test(text) ? 'Alphanumeric' : 'Byte');
         qr.make();
         
         // Generate as data URL
@@ -195,6 +210,59 @@ function generateQRCodeDataURL(text) {
     }
 }
 
+// Text for a structured QR payload in the configured wire format (compact by default)
+function encodeQRPayload(qrData) {
+    return getQRWireFormat() === 'json' ? JSON.stringify(qrData) : encodeCompactQR(qrData);
+}
+
+// Parse scanned QR text: compact payloads are detected by their prefix, anything else is legacy JSON
+function parseQRText(text) {
+    if (isCompactQRText(text)) {
+        try {
+            return decodeCompactQR(text);
+        } catch (error) {
+            throw new Error(`Compact QR code could not be decoded: ${error.message}`);
+        }
+    }
+    return JSON.parse(text);
+}
+
+/**
+ * Parse a payload rebuilt from multi-part or animated QR codes, or passed in directly.
+ * Compact envelopes (bytes or text) and legacy JSON (string or UTF-8 bytes) are auto-detected.
+ * @param {string|Uint8Array|Object} data - Reassembled payload
+ * @returns {Object} - { qrData, format } where format is 'compact' or 'json'
+ */
+function parseQRPayload(data) {
+    if (data instanceof Uint8Array) {
+        if (isCompactEnvelope(data)) {
+            return { qrData: decodeCompactBytes(data), format: 'compact' };
+        }
+        return { qrData: JSON.parse(new TextDecoder().decode(data)), format: 'json' };
+    }
+    if (typeof data === 'string') {
+        return { qrData: parseQRText(data), format: isCompactQRText(data) ? 'compact' : 'json' };
+    }
+    return { qrData: data, format: 'json' };
+}
+
+// Decrypt a read or scanned result when it carries an encrypted transport envelope
+async function openScannedPayload(result) {
+    if (!result || !result.success || !isEncryptedPayload(result.qrData)) {
+        return result;
+    }
+    const opened = await openTransportPayload(result.qrData);
+    if (!opened.success) {
+        throw new Error(opened.error);
+    }
+    return {
+        ...result,
+        qrData: opened.data,
+        data: typeof opened.data === 'string' ? opened.data : JSON.stringify(opened.data),
+        encrypted: true
+    };
+}
+
 /**
  * Generate QR code for unsigned message data
  * @param {Object} messageData - Unsigned message data
@@ -220,8 +288,9 @@ async function generateUnsignedMessageQR(messageData) {
             messageId: messageData.messageId || `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
         };   
         
-        // Convert to JSON string
-        const qrString = JSON.stringify(qrData);
+        // Encode in the configured wire format, encrypted when transport encryption is on
+        const transport = await encryptForTransport(qrData);
+        const qrString = encodeQRPayload(transport.data);
         
         if (!qrCodeLib) {
             throw new Error('QR code generation library not loaded');
@@ -235,7 +304,8 @@ async function generateUnsignedMessageQR(messageData) {
             qrDataURL: qrDataURL,
             qrData: qrData,
             qrString: qrString,
-            size: qrString.length
+            size: qrString.length,
+            encrypted: transport.encrypted
         };
         
     } catch (error) {
@@ -274,8 +344,9 @@ async function generateSignedMessageQR(signedData) {
         };
         
        
-        // Convert to JSON string
-        const qrString = JSON.stringify(qrData);
+        // Encode in the configured wire format, encrypted when transport encryption is on
+        const transport = await encryptForTransport(qrData);
+        const qrString = encodeQRPayload(transport.data);
        
         if (!qrCodeLib) {
             throw new Error('QR code generation library not loaded');
@@ -289,7 +360,8 @@ async function generateSignedMessageQR(signedData) {
             qrDataURL: qrDataURL,
             qrData: qrData,
             qrString: qrString,
-            size: qrString.length
+            size: qrString.length,
+            encrypted: transport.encrypted
         };
         
     } catch (error) {
@@ -321,7 +393,7 @@ async function readQRFromImage(imageFile) {
         // Create image element
         const img = new Image();
         
-        return new Promise((resolve, reject) => {
+        const decoded = new Promise((resolve, reject) => {
             img.onload = () => {
                 try {
                     // Set canvas size to image size
@@ -353,39 +425,50 @@ async function readQRFromImage(imageFile) {
                     // Parse QR data - handle both JSON and plain text
                     let qrData;
                     
-                    // First, try to parse as JSON (for structured Kaspa QR codes)
-                    try {
-                        qrData = JSON.parse(qrResult.data);
-                        
-                        // Validate QR data structure for JSON QR codes
-                        if (!qrData.type || !qrData.type.startsWith('kaspa-')) {
+                    // Compact wire format QR codes are recognized by their prefix
+                    if (isCompactQRText(qrResult.data)) {
+                        qrData = parseQRText(qrResult.data);
+                        if (!qrData || !qrData.type || !qrData.type.startsWith('kaspa-')) {
                             throw new Error('QR code is not a valid Kaspa QR code');
                         }
-                        
-                    } catch (parseError) {
-                        // If JSON parsing fails, try to parse as generic JSON that might contain xpub
-                        const rawData = qrResult.data.trim();
-                        
-                        // Try to parse as JSON one more time to check for xpub field
+                    } else {
+                        // First, try to parse as JSON (for structured Kaspa QR codes)
                         try {
-                            const jsonData = JSON.parse(rawData);
-                            if (jsonData.xpub && (jsonData.xpub.startsWith('xpub') || jsonData.xpub.startsWith('tpub') || jsonData.xpub.startsWith('kpub') || jsonData.xpub.startsWith('ktpub'))) {
-                                // It's a JSON object with xpub field - extract the xpub string
-                                qrData = jsonData.xpub;
-                            } else {
-                                throw new Error('JSON does not contain valid xpub field');
+                            qrData = JSON.parse(qrResult.data);
+                        
+                            // Validate QR data structure for JSON QR codes
+                            if (!qrData.type || !qrData.type.startsWith('kaspa-')) {
+                                throw new Error('QR code is not a valid Kaspa QR code');
                             }
-                        } catch (secondParseError) {
-                            // Not valid JSON, check if it's a plain string
-                            if (rawData.startsWith('kaspa:') || rawData.startsWith('kaspatest:')) {
-                                // It's a plain address string
-                                qrData = rawData;
-                            } else if (rawData.startsWith('xpub') || rawData.startsWith('tpub') || rawData.startsWith('kpub') || rawData.startsWith('ktpub')) {
-                                // It's a plain extended public key string (including Kaspa kpub format)
-                                qrData = rawData;
-                            } else {
-                                // Not JSON, not a Kaspa address, and not an extended public key
-                                throw new Error('QR code does not contain valid Kaspa data (expected JSON format, Kaspa address, or extended public key)');
+                        
+                        } catch (parseError) {
+                            // If JSON parsing fails, try to parse as generic JSON that might contain xpub
+                            const rawData = qrResult.data.trim();
+                        
+                            // Try to parse as JSON one more time to check for xpub field
+                            try {
+                                const jsonData = JSON.parse(rawData);
+                                if (jsonData.xpub && (jsonData.xpub.startsWith('xpub') || jsonData.xpub.startsWith('tpub') || jsonData.xpub.startsWith('kpub') || jsonData.xpub.startsWith('ktpub'))) {
+                                    // It's a JSON object with xpub field - extract the xpub string
+                                    qrData = jsonData.xpub;
+                                } else {
+                                    throw new Error('JSON does not contain valid xpub field');
+                                }
+                            } catch (secondParseError) {
+                                // Not valid JSON, check if it's a plain string
+                                if (rawData.startsWith('kaspa:') || rawData.startsWith('kaspatest:')) {
+                                    // It's a plain address string
+                                    qrData = rawData;
+                                } else if (rawData.startsWith('xpub') || rawData.startsWith('tpub') || rawData.startsWith('kpub') || rawData.startsWith('ktpub')) {
+                                    // It's a plain extended public key string (including Kaspa kpub format)
+                                    qrData = rawData;
+                                } else if (rawData.startsWith('KSS1-')) {
+                                    // Shamir recovery share card; checked by the shamir backup module
+                                    qrData = rawData;
+                                } else {
+                                    // Not JSON, not a Kaspa address, and not an extended public key
+                                    throw new Error('QR code does not contain valid Kaspa data (expected JSON format, Kaspa address, extended public key, or recovery share)');
+                                }
                             }
                         }
                     }
@@ -393,7 +476,8 @@ async function readQRFromImage(imageFile) {
                     resolve({
                         success: true,
                         qrData: qrData,
-                        data: qrResult.data, // Keep the raw data for backward compatibility
+                        // JSON text for backward compatibility, also for compact QR codes
+                        data: isCompactQRText(qrResult.data) ? JSON.stringify(qrData) : qrResult.data,
                         rawData: qrResult.data,
                         location: qrResult.location
                     });
@@ -418,6 +502,8 @@ async function readQRFromImage(imageFile) {
             reader.readAsDataURL(imageFile);
         });
         
+        return decoded.then(openScannedPayload);
+        
     } catch (error) {
         console.error('Error reading QR from image:', error);
         return {
@@ -448,12 +534,17 @@ function downloadQRImage(qrDataURL, filename) {
 
 /**
  * Validate QR data structure
- * @param {Object} qrData - QR data to validate
+ * @param {Object|string|Uint8Array} qrData - QR data to validate, or an undecoded compact/JSON payload
  * @param {string} expectedType - Expected QR type
  * @returns {Object} - Validation result
  */
 function validateQRData(qrData, expectedType) {
     try {
+        let format = 'json';
+        if (typeof qrData === 'string' || qrData instanceof Uint8Array) {
+            ({ qrData, format } = parseQRPayload(qrData));
+        }
+        
         if (!qrData || typeof qrData !== 'object') {
             throw new Error('Invalid QR data structure');
         }
@@ -491,7 +582,8 @@ function validateQRData(qrData, expectedType) {
         
         return {
             isValid: true,
-            data: qrData
+            data: qrData,
+            format: format
         };
         
     } catch (error) {
@@ -869,8 +961,9 @@ async function generateSubmittedTransactionQR(submittedTransactionData) {
         // Convert BigInt values to strings before JSON serialization
         const serializedQrData = convertBigIntToString(qrData);
         
-        // Convert to JSON string
-        const qrString = JSON.stringify(serializedQrData);
+        // Encode in the configured wire format, encrypted when transport encryption is on
+        const transport = await encryptForTransport(serializedQrData);
+        const qrString = encodeQRPayload(transport.data);
         if (!qrCodeLib) {
             throw new Error('QR code generation library not loaded');
         }
@@ -882,7 +975,8 @@ async function generateSubmittedTransactionQR(submittedTransactionData) {
             qrDataURL: qrDataURL,
             qrData: serializedQrData,
             qrString: qrString,
-            size: qrString.length
+            size: qrString.length,
+            encrypted: transport.encrypted
         };
         
     } catch (error) {
@@ -895,13 +989,19 @@ async function generateSubmittedTransactionQR(submittedTransactionData) {
 }
 
 /**
- * Validate transaction QR data structure
- * @param {Object} qrData - QR data to validate
+ * Validate transaction QR data structure. Accepts decoded data or the raw payload in either
+ * wire format (compact QR text/bytes or legacy JSON), so older saved QR images still import.
+ * @param {Object|string|Uint8Array} qrData - QR data to validate
  * @param {string} expectedType - Expected QR type (unsigned-transaction, signed-transaction, submitted-transaction)
- * @returns {Object} - Validation result
+ * @returns {Object} - Validation result with the decoded data and its wire format
  */
 function validateTransactionQRData(qrData, expectedType) {
     try {
+        let format = 'json';
+        if (typeof qrData === 'string' || qrData instanceof Uint8Array) {
+            ({ qrData, format } = parseQRPayload(qrData));
+        }
+        
         if (!qrData || typeof qrData !== 'object') {
             throw new Error('Invalid QR data structure');
         }
@@ -952,7 +1052,8 @@ function validateTransactionQRData(qrData, expectedType) {
         
         return {
             isValid: true,
-            data: qrData
+            data: qrData,
+            format: format
         };
         
     } catch (error) {
@@ -964,27 +1065,32 @@ function validateTransactionQRData(qrData, expectedType) {
 }
 
 /**
- * Split large data into multiple parts for QR codes
- * @param {string} jsonString - JSON string to split
+ * Split large data into multiple parts for QR codes. Every part carries the SHA-256 digest of
+ * its own chunk and of the whole payload, plus the payload HMAC when this device is paired.
+ * @param {string|Uint8Array} jsonString - JSON string (or compact envelope bytes) to split
  * @param {number} maxChunkSize - Maximum size per chunk (default: 400 chars)
- * @returns {Array} - Array of data chunks with metadata
+ * @returns {Promise<Array>} - Array of data chunks with metadata
  */
-function splitDataForMultiQR(jsonString, maxChunkSize = 400) {
+async function splitDataForMultiQR(jsonString, maxChunkSize = 400) {
     const chunks = [];
     const totalParts = Math.ceil(jsonString.length / maxChunkSize);
     const multiQRId = `mqr_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const seal = await sealPayload(jsonString);
     
     for (let i = 0; i < totalParts; i++) {
         const start = i * maxChunkSize;
         const end = Math.min(start + maxChunkSize, jsonString.length);
-        const chunk = jsonString.substring(start, end);
+        const chunk = typeof jsonString === 'string' ? jsonString.substring(start, end) : jsonString.slice(start, end);
         
         chunks.push({
             multiQRId: multiQRId,
             part: i + 1,
             totalParts: totalParts,
             data: chunk,
-            checksum: generateSimpleChecksum(jsonString) // For validation
+            partDigest: await sha256Hex(chunk),
+            digest: seal.digest,
+            ...(seal.mac ? { mac: seal.mac } : {}),
+            fingerprint: seal.fingerprint
         });
     }
     
@@ -992,8 +1098,8 @@ function splitDataForMultiQR(jsonString, maxChunkSize = 400) {
 }
 
 /**
- * Generate a simple checksum for data validation
- * @param {string} data - Data to checksum
+ * Checksum carried by multi-part sets made before SHA-256 digests; it only catches accidental corruption
+ * @param {string} data - Recombined JSON string
  * @returns {string} - Simple checksum
  */
 function generateSimpleChecksum(data) {
@@ -1007,11 +1113,13 @@ function generateSimpleChecksum(data) {
 }
 
 /**
- * Recombine multi-part QR data
+ * Recombine multi-part QR data, checking each part's digest and then the payload digest and HMAC.
+ * Sets made before digests carry only the old checksum; they are accepted as legacy and unverified
+ * unless this device is paired.
  * @param {Array} parts - Array of QR part data
- * @returns {Object} - Recombined data result
+ * @returns {Promise<Object>} - Recombined data result with the payload fingerprint, or legacy: true
  */
-function recombineMultiQRData(parts) {
+async function recombineMultiQRData(parts) {
     try {
         if (!parts || parts.length === 0) {
             throw new Error('No parts provided');
@@ -1021,6 +1129,11 @@ function recombineMultiQRData(parts) {
         const firstPart = parts[0];
         const multiQRId = firstPart.multiQRId;
         const totalParts = firstPart.totalParts;
+        const legacy = !firstPart.digest && !!firstPart.checksum;
+        
+        if (legacy && getPairingKey()) {
+            throw new Error('Multi-part QR has only a legacy checksum and this device requires authenticated transfers');
+        }
         
         if (parts.length !== totalParts) {
             throw new Error(`Missing parts: expected ${totalParts}, got ${parts.length}`);
@@ -1034,6 +1147,21 @@ function recombineMultiQRData(parts) {
             if (part.totalParts !== totalParts) {
                 throw new Error('Inconsistent total parts count');
             }
+            if (legacy) {
+                if (part.digest || part.checksum !== firstPart.checksum || typeof part.data !== 'string') {
+                    throw new Error('Parts disagree on the payload checksum - a part from another transfer was mixed in');
+                }
+                continue;
+            }
+            if (!part.digest || !part.partDigest) {
+                throw new Error('Multi-part QR has no SHA-256 digests - regenerate it with an updated wallet');
+            }
+            if (part.digest !== firstPart.digest || part.mac !== firstPart.mac) {
+                throw new Error('Parts disagree on the payload digest - a part from another transfer was mixed in');
+            }
+            if (await sha256Hex(part.data) !== part.partDigest) {
+                throw new Error(`Part ${part.part} failed its SHA-256 check`);
+            }
         }
         
         // Sort parts by part number
@@ -1046,22 +1174,47 @@ function recombineMultiQRData(parts) {
             }
         }
         
-        // Recombine data
-        const combinedData = parts.map(part => part.data).join('');
+        // Recombine data; compact parts carry byte chunks of the envelope
+        let combinedData;
+        if (parts.every(part => part.data instanceof Uint8Array)) {
+            combinedData = new Uint8Array(parts.reduce((total, part) => total + part.data.length, 0));
+            let offset = 0;
+            for (const part of parts) {
+                combinedData.set(part.data, offset);
+                offset += part.data.length;
+            }
+        } else {
+            combinedData = parts.map(part => part.data).join('');
+        }
         
-        // Validate checksum
-        const expectedChecksum = firstPart.checksum;
-        const actualChecksum = generateSimpleChecksum(combinedData);
+        if (legacy) {
+            if (generateSimpleChecksum(combinedData) !== firstPart.checksum) {
+                throw new Error('Data corruption detected - checksum mismatch');
+            }
+            return {
+                success: true,
+                data: combinedData,
+                multiQRId: multiQRId,
+                totalParts: totalParts,
+                fingerprint: null,
+                authenticated: false,
+                legacy: true
+            };
+        }
         
-        if (expectedChecksum !== actualChecksum) {
-            throw new Error('Data corruption detected - checksum mismatch');
+        // Validate the payload digest and, when paired, its HMAC
+        const verification = await verifyPayloadSeal(combinedData, firstPart);
+        if (!verification.valid) {
+            throw new Error(verification.error);
         }
         
         return {
             success: true,
             data: combinedData,
             multiQRId: multiQRId,
-            totalParts: totalParts
+            totalParts: totalParts,
+            fingerprint: verification.fingerprint,
+            authenticated: verification.authenticated
         };
         
     } catch (error) {
@@ -1083,8 +1236,17 @@ async function generateMultiPartQR(qrData, baseType) {
     try {
         await loadQRLibraries();
         
+        // With transport encryption on, the envelope is what gets split; parts are named after it
+        // so they do not reveal what kind of data they carry
+        const transport = await encryptForTransport(qrData);
+        
+        if (getQRWireFormat() === 'compact') {
+            return generateCompactMultiPartQR(qrData, baseType, transport);
+        }
+        
         // Convert to JSON string
-        const jsonString = JSON.stringify(qrData);
+        const jsonString = JSON.stringify(transport.data);
+        const partType = transport.encrypted ? 'encrypted-payload' : baseType;
         
         // For transaction QRs, prefer multi-part for comprehensive offline data
         const isTransactionQR = baseType.includes('transaction');
@@ -1098,27 +1260,30 @@ async function generateMultiPartQR(qrData, baseType) {
                 success: true,
                 isMultiPart: false,
                 qrDataURL: qrDataURL,
-                qrData: qrData,
+                qrData: transport.data,
                 qrString: jsonString,
                 size: jsonString.length,
-                totalParts: 1
+                totalParts: 1,
+                encrypted: transport.encrypted
             };
         }
         
         // Multi-part QR needed
-        const chunks = splitDataForMultiQR(jsonString, QR_DATA_SIZE_LIMIT); // Smaller chunks for QR reliability
+        const chunks = await splitDataForMultiQR(jsonString, QR_DATA_SIZE_LIMIT); // Smaller chunks for QR reliability
         const qrParts = [];
         
         for (const chunk of chunks) {
             // Create multi-part QR data structure
             const multiPartQRData = {
-                type: `kaspa-${baseType}-multipart-qr`,
-                version: '1.0',
+                type: `kaspa-${partType}-multipart-qr`,
+                version: '1.1',
                 multiQRId: chunk.multiQRId,
                 part: chunk.part,
                 totalParts: chunk.totalParts,
                 data: chunk.data,
-                checksum: chunk.checksum,
+                partDigest: chunk.partDigest,
+                digest: chunk.digest,
+                ...(chunk.mac ? { mac: chunk.mac } : {}),
                 timestamp: new Date().toISOString()
             };
             
@@ -1142,7 +1307,12 @@ async function generateMultiPartQR(qrData, baseType) {
             totalParts: chunks.length,
             originalData: qrData,
             originalSize: jsonString.length,
-            multiQRId: chunks[0].multiQRId
+            multiQRId: chunks[0].multiQRId,
+            baseType: baseType,
+            wireFormat: 'json',
+            fingerprint: chunks[0].fingerprint,
+            authenticated: !!chunks[0].mac,
+            encrypted: transport.encrypted
         };
         
     } catch (error) {
@@ -1154,6 +1324,153 @@ async function generateMultiPartQR(qrData, baseType) {
     }
 }
 
+// Compact wire format: the envelope bytes are split, and each part is itself a compact QR
+async function generateCompactMultiPartQR(qrData, baseType, transport) {
+    const envelope = encodeCompactBytes(transport.data);
+    const partType = transport.encrypted ? 'encrypted-payload' : baseType;
+    const qrString = COMPACT_QR_PREFIX + base45Encode(envelope);
+    const isTransactionQR = baseType.includes('transaction');
+    
+    if (envelope.length <= COMPACT_QR_CHUNK_SIZE && !isTransactionQR) {
+        return {
+            success: true,
+            isMultiPart: false,
+            qrDataURL: generateQRCodeDataURL(qrString),
+            qrData: transport.data,
+            qrString: qrString,
+            size: qrString.length,
+            totalParts: 1,
+            wireFormat: 'compact',
+            encrypted: transport.encrypted
+        };
+    }
+    
+    const chunks = await splitDataForMultiQR(envelope, COMPACT_QR_CHUNK_SIZE);
+    const qrParts = chunks.map(chunk => {
+        const multiPartQRData = {
+            type: `kaspa-${partType}-multipart-qr`,
+            version: '2.0',
+            multiQRId: chunk.multiQRId,
+            part: chunk.part,
+            totalParts: chunk.totalParts,
+            data: chunk.data,
+            partDigest: chunk.partDigest,
+            digest: chunk.digest,
+            ...(chunk.mac ? { mac: chunk.mac } : {})
+        };
+        
+        // Chunks are already compressed
+        const partString = encodeCompactQR(multiPartQRData, { compress: false });
+        return {
+            part: chunk.part,
+            totalParts: chunk.totalParts,
+            qrDataURL: generateQRCodeDataURL(partString),
+            qrData: multiPartQRData,
+            qrString: partString,
+            size: partString.length
+        };
+    });
+    
+    return {
+        success: true,
+        isMultiPart: true,
+        qrParts: qrParts,
+        totalParts: chunks.length,
+        originalData: qrData,
+        originalSize: qrString.length,
+        multiQRId: chunks[0].multiQRId,
+        baseType: baseType,
+        wireFormat: 'compact',
+        fingerprint: chunks[0].fingerprint,
+        authenticated: !!chunks[0].mac,
+        encrypted: transport.encrypted
+    };
+}
+
+/**
+ * Generate an animated (fountain-coded) QR for large data. Frames are rendered on demand,
+ * and the receiver can rebuild the payload from any sufficiently large subset of them.
+ * @param {Object} qrData - QR data object
+ * @param {string} baseType - Base type for the QR (e.g., 'signed-transaction')
+ * @returns {Promise<Object>} - { success, isAnimated, renderFrame(seq), totalFragments, ... }
+ */
+async function generateAnimatedQR(qrData, baseType) {
+    try {
+        await loadQRLibraries();
+
+        // Compact mode sends the envelope bytes in binary frames; legacy mode sends JSON text
+        const isCompact = getQRWireFormat() === 'compact';
+        const transport = await encryptForTransport(qrData);
+        const payload = isCompact ? encodeCompactBytes(transport.data) : JSON.stringify(transport.data);
+        const seal = await sealPayload(payload);
+        const encoder = new FountainEncoder(payload, {
+            baseType: transport.encrypted ? 'encrypted-payload' : baseType,
+            binary: isCompact,
+            digest: seal.digest,
+            mac: seal.mac
+        });
+
+        const renderFrame = (seq) => {
+            const frameData = encoder.frame(seq);
+            const frameString = isCompact ? encodeCompactQR(frameData, { compress: false }) : JSON.stringify(frameData);
+            return {
+                seq: seq,
+                qrDataURL: generateQRCodeDataURL(frameString),
+                qrData: frameData,
+                qrString: frameString,
+                size: frameString.length
+            };
+        };
+
+        return {
+            success: true,
+            isAnimated: true,
+            fountainId: encoder.fountainId,
+            totalFragments: encoder.totalFragments,
+            originalData: qrData,
+            originalSize: payload.length,
+            baseType: baseType,
+            wireFormat: isCompact ? 'compact' : 'json',
+            fingerprint: seal.fingerprint,
+            authenticated: !!seal.mac,
+            encrypted: transport.encrypted,
+            renderFrame: renderFrame
+        };
+
+    } catch (error) {
+        console.error('QR DEBUG: Error in generateAnimatedQR:', error);
+        return {
+            success: false,
+            error: error.message || 'Failed to generate animated QR'
+        };
+    }
+}
+
+/**
+ * Cycle through animated QR frames. Sequence numbers keep increasing past the fragment
+ * count, so every loop shows fresh fountain frames instead of repeating the same ones.
+ * @param {Object} animatedQR - Result of generateAnimatedQR
+ * @param {Function} onFrame - Called with each rendered frame
+ * @param {Object} options - { interval } in milliseconds
+ * @returns {Function} - Stops the animation
+ */
+function startAnimatedQR(animatedQR, onFrame, options = {}) {
+    const interval = options.interval || ANIMATED_QR_FRAME_INTERVAL;
+    let seq = 1;
+
+    const showNextFrame = () => {
+        try {
+            onFrame(animatedQR.renderFrame(seq++));
+        } catch (error) {
+            console.error('QR DEBUG: Error rendering animated QR frame:', error);
+        }
+    };
+
+    showNextFrame();
+    const timer = setInterval(showNextFrame, interval);
+    return () => clearInterval(timer);
+}
+
 /**
  * Create display for multi-part QR codes
  * @param {Object} multiQRResult - Multi-part QR generation result
@@ -1171,6 +1488,8 @@ function createMultiPartQRDisplay(multiQRResult, title) {
     const qrContainerId = `currentQRContainer_${uniqueId}`;
     const prevBtnId = `prevPartBtn_${uniqueId}`;
     const nextBtnId = `nextPartBtn_${uniqueId}`;
+    const animateBtnId = `animateBtn_${uniqueId}`;
+    const partLabelId = `currentPartLabel_${uniqueId}`;
     
     // Header
     const header = document.createElement('div');
@@ -1181,6 +1500,10 @@ function createMultiPartQRDisplay(multiQRResult, title) {
             <strong>Multi-Part QR:</strong> ${multiQRResult.totalParts} parts | 
             <strong>Total Size:</strong> ${multiQRResult.originalSize} chars
         </p>
+        ${multiQRResult.fingerprint ? `
+        <p style="margin: 5px 0 0 0; font-size: 0.9em;">
+            <strong>Fingerprint:</strong> <code>${multiQRResult.fingerprint}</code>${multiQRResult.authenticated ? ' 🔒 HMAC' : ''}
+        </p>` : ''}
     `;
     container.appendChild(header);
     
@@ -1188,7 +1511,7 @@ function createMultiPartQRDisplay(multiQRResult, title) {
     const currentPartDiv = document.createElement('div');
     currentPartDiv.style.cssText = 'text-align: center; margin-bottom: 15px;';
     currentPartDiv.innerHTML = `
-        <div style="font-weight: bold; margin-bottom: 10px;">
+        <div id="${partLabelId}" style="font-weight: bold; margin-bottom: 10px;">
             Part <span id="${partNumId}">1</span> of ${multiQRResult.totalParts}
         </div>
         <div id="${qrContainerId}" style="margin-bottom: 10px;"></div>
@@ -1213,6 +1536,7 @@ function createMultiPartQRDisplay(multiQRResult, title) {
         navDiv.innerHTML = `
             <button id="${prevBtnId}" style="margin: 0 10px; padding: 5px 15px;" disabled>← Previous</button>
             <button id="${nextBtnId}" style="margin: 0 10px; padding: 5px 15px;">Next →</button>
+            ${multiQRResult.originalData ? `<button id="${animateBtnId}" style="margin: 0 10px; padding: 5px 15px;">▶ Animate</button>` : ''}
         `;
         container.appendChild(navDiv);
         
@@ -1264,6 +1588,74 @@ function createMultiPartQRDisplay(multiQRResult, title) {
                     }
                 };
             }
+
+            // Animated mode: cycle fountain-coded frames so the camera scanner can pick up any subset
+            const animateBtn = container.querySelector(`#${animateBtnId}`);
+            let stopAnimation = null;
+            let animatedQR = null;
+
+            const stopAnimated = () => {
+                if (stopAnimation) {
+                    stopAnimation();
+                    stopAnimation = null;
+                }
+                if (animateBtn) animateBtn.textContent = '▶ Animate';
+                const partLabel = container.querySelector(`#${partLabelId}`);
+                if (partLabel) {
+                    partLabel.innerHTML = `Part <span id="${partNumId}">1</span> of ${multiQRResult.totalParts}`;
+                }
+                updateDisplay();
+            };
+
+            if (animateBtn) {
+                animateBtn.onclick = async () => {
+                    if (stopAnimation) {
+                        stopAnimated();
+                        return;
+                    }
+
+                    if (!animatedQR) {
+                        const result = await generateAnimatedQR(multiQRResult.originalData, multiQRResult.baseType || 'data');
+                        if (!result.success) {
+                            const partLabel = container.querySelector(`#${partLabelId}`);
+                            if (partLabel) partLabel.textContent = `Failed to start animated QR: ${result.error}`;
+                            return;
+                        }
+                        animatedQR = result;
+                    }
+
+                    animateBtn.textContent = '⏸ Stop Animation';
+                    if (prevBtn) prevBtn.disabled = true;
+                    if (nextBtn) nextBtn.disabled = true;
+
+                    stopAnimation = startAnimatedQR(animatedQR, (frame) => {
+                        // Stop once the display has been removed from the page
+                        if (!container.isConnected) {
+                            stopAnimation();
+                            stopAnimation = null;
+                            return;
+                        }
+
+                        const partLabel = container.querySelector(`#${partLabelId}`);
+                        const partSizeSpan = container.querySelector(`#${partSizeId}`);
+                        const qrContainerDiv = container.querySelector(`#${qrContainerId}`);
+
+                        if (partLabel) {
+                            partLabel.textContent = `Animated frame ${frame.seq} (${animatedQR.totalFragments} fragments) - keep the scanner pointed at the code`;
+                        }
+                        if (partSizeSpan) partSizeSpan.textContent = frame.size;
+
+                        if (qrContainerDiv) {
+                            qrContainerDiv.innerHTML = '';
+                            const img = document.createElement('img');
+                            img.src = frame.qrDataURL;
+                            img.style.cssText = 'max-width: 300px; height: auto; border: 1px solid #ddd;';
+                            img.alt = `Animated QR Frame ${frame.seq}`;
+                            qrContainerDiv.appendChild(img);
+                        }
+                    });
+                };
+            }
         }, 10); // Small delay to ensure DOM is ready
     }
     
@@ -1279,6 +1671,7 @@ async function readMultiPartQRFromImages(imageFiles) {
     
     try {
         const qrParts = [];
+        const fountainFrames = [];
         
         // Read each QR image
         for (let i = 0; i < imageFiles.length; i++) {
@@ -1294,42 +1687,91 @@ async function readMultiPartQRFromImages(imageFiles) {
             if (qrResult.qrData && typeof qrResult.qrData === 'object') {
                 qrData = qrResult.qrData;
             } else if (qrResult.data && typeof qrResult.data === 'string') {
-                qrData = JSON.parse(qrResult.data);
+                qrData = parseQRText(qrResult.data);
             } else {
                 throw new Error(`Invalid QR data format in ${file.name}`);
             }
             
+            // Frames saved from an animated QR are decoded below
+            if (isFountainFrame(qrData)) {
+                fountainFrames.push(qrData);
+                continue;
+            }
+            
             // Check if this is a multi-part QR
             if (!qrData.type || !qrData.type.includes('-multipart-qr')) {
                 throw new Error(`File ${file.name} does not contain a multi-part QR code`);
             }
             
             // Validate multi-part structure
-            if (!qrData.multiQRId || !qrData.part || !qrData.totalParts || !qrData.data || !qrData.checksum) {
+            if (!qrData.multiQRId || !qrData.part || !qrData.totalParts || !qrData.data) {
                 throw new Error(`Invalid multi-part QR structure in ${file.name}`);
             }
             
             qrParts.push(qrData);
         }
+        
+        if (fountainFrames.length > 0) {
+            if (qrParts.length > 0) {
+                throw new Error('Cannot mix animated QR frames with numbered multi-part QR codes');
+            }
+            
+            const decoder = new FountainDecoder();
+            for (const frame of fountainFrames) {
+                const frameResult = decoder.receive(frame);
+                if (!frameResult.accepted) {
+                    throw new Error(frameResult.error);
+                }
+            }
+            
+            if (!decoder.isComplete()) {
+                const progress = decoder.getProgress();
+                throw new Error(decoder.error ||
+                    `Not enough animated QR frames: decoded ${progress.decodedFragments} of ${progress.totalFragments} fragments`);
+            }
+            
+            const verification = await decoder.verify();
+            if (!verification.valid) {
+                throw new Error(verification.error);
+            }
+            
+            const decoded = parseQRPayload(decoder.getResultBytes());
+            return await openScannedPayload({
+                success: true,
+                qrData: decoded.qrData,
+                data: JSON.stringify(decoded.qrData),
+                wireFormat: decoded.format,
+                fingerprint: verification.fingerprint,
+                authenticated: verification.authenticated,
+                fountainId: decoder.fountainId,
+                totalParts: fountainFrames.length,
+                isMultiPart: true,
+                isAnimated: true
+            });
+        }
                 
         // Recombine the parts
-        const recombineResult = recombineMultiQRData(qrParts);
+        const recombineResult = await recombineMultiQRData(qrParts);
         
         if (!recombineResult.success) {
             throw new Error(`Failed to recombine QR parts: ${recombineResult.error}`);
         }
 
-        // Parse the recombined data
-        const combinedQRData = JSON.parse(recombineResult.data);
+        // Parse the recombined data (JSON text or compact envelope bytes)
+        const combined = parseQRPayload(recombineResult.data);
         
-        return {
+        return await openScannedPayload({
             success: true,
-            qrData: combinedQRData,
-            data: recombineResult.data,
+            qrData: combined.qrData,
+            data: JSON.stringify(combined.qrData),
+            wireFormat: combined.format,
+            fingerprint: recombineResult.fingerprint,
+            authenticated: recombineResult.authenticated,
+            legacy: !!recombineResult.legacy,
             multiQRId: recombineResult.multiQRId,
             totalParts: recombineResult.totalParts,
             isMultiPart: true
-        };
+        });
         
     } catch (error) {
         console.error('QR DEBUG: Error in readMultiPartQRFromImages:', error);
@@ -1340,6 +1782,10 @@ async function readMultiPartQRFromImages(imageFiles) {
     }
 }
 
+// Animated QR frames change every few hundred milliseconds, so scan faster once one is seen
+const SCAN_INTERVAL = 500;
+const ANIMATED_SCAN_INTERVAL = 150;
+
 /**
  * Camera QR Scanner Class
  */
@@ -1353,6 +1799,9 @@ class CameraQRScanner {
         this.scannedParts = [];
         this.onScanCallback = null;
         this.scanInterval = null;
+        this.scanIntervalMs = SCAN_INTERVAL;
+        this.fountainDecoder = null;
+        this.verifiedPayload = null;
     }
 
     /**
@@ -1475,7 +1924,7 @@ class CameraQRScanner {
         header.style.cssText = 'text-align: center; margin-bottom: 15px;';
         header.innerHTML = `
             <h3 style="margin: 0 0 10px 0;">📱 QR Code Scanner</h3>
-            <p style="margin: 0; color: #666;">Position QR code in camera view</p>
+            <p style="margin: 0; color: #666;">Position QR code in camera view. For multi-part codes, show each part in turn - the scanner keeps going and closes once every part is in. Animated QR codes are decoded as frames arrive.</p>
         `;
 
         // Create video element
@@ -1600,6 +2049,7 @@ class CameraQRScanner {
         document.body.appendChild(modal);
 
         // Store references
+        this.modal = modal;
         this.scanButton = scanButton;
         this.useButton = useButton;
 
@@ -1644,7 +2094,7 @@ class CameraQRScanner {
         this.scanning = true;
         this.scanInterval = setInterval(() => {
             this.scanFrame();
-        }, 500); // Scan every 500ms
+        }, this.scanIntervalMs);
     }
 
     /**
@@ -1695,10 +2145,25 @@ class CameraQRScanner {
         try {
             let parsedData;
             
+            if (isCompactQRText(qrData)) {
+                try {
+                    parsedData = parseQRText(qrData);
+                } catch (decodeError) {
+                    this.updateScanStatus('❌ Compact QR code could not be decoded');
+                    return;
+                }
+            }
+            
             // First, try to parse as JSON (for structured Kaspa QR codes)
             try {
-                parsedData = JSON.parse(qrData);
+                parsedData = parsedData || JSON.parse(qrData);
                 
+                // Check if it's an animated (fountain-coded) QR frame
+                if (isFountainFrame(parsedData)) {
+                    this.handleFountainQR(parsedData);
+                    return;
+                }
+
                 // Check if it's a multi-part QR
                 if (parsedData.type && parsedData.type.includes('-multipart-qr')) {
                     this.handleMultiPartQR(parsedData);
@@ -1745,20 +2210,29 @@ class CameraQRScanner {
     }
 
     /**
-     * Handle multi-part QR code
+     * Handle multi-part QR code. Parts are collected per multiQRId while scanning continues;
+     * the camera sees the same part many times, so duplicates are dropped silently.
      */
     handleMultiPartQR(qrData) {
         const { multiQRId, part, totalParts } = qrData;
         
-        // Check if we already have this part
-        const existingPart = this.scannedParts.find(p => 
-            p.type === 'multipart' && 
-            p.multiQRId === multiQRId && 
-            p.part === part
-        );
+        if (!multiQRId || !Number.isInteger(part) || !Number.isInteger(totalParts) || part < 1 || part > totalParts) {
+            this.updateScanStatus('⚠️ Invalid multi-part QR code');
+            return;
+        }
+        
+        // Single or animated results from an earlier scan are replaced by the new set
+        if (this.scannedParts.some(p => p.type !== 'multipart')) {
+            this.scannedParts = [];
+            this.fountainDecoder = null;
+        }
         
-        if (existingPart) {
-            this.updateScanStatus(`⚠️ Part ${part} already scanned`);
+        const setParts = this.scannedParts.filter(p => p.multiQRId === multiQRId);
+        if (setParts.some(p => p.part === part)) {
+            return;
+        }
+        if (setParts.length > 0 && setParts[0].totalParts !== totalParts) {
+            this.updateScanStatus(`⚠️ Part ${part} does not match the other parts of this QR set`);
             return;
         }
         
@@ -1774,21 +2248,118 @@ class CameraQRScanner {
         // Sort parts by part number
         this.scannedParts.sort((a, b) => a.part - b.part);
         
-        const currentParts = this.scannedParts.filter(p => p.multiQRId === multiQRId).length;
+        const currentParts = setParts.length + 1;
         
         if (currentParts === totalParts) {
-            this.updateScanStatus(`✅ All ${totalParts} parts scanned! Ready to use.`);
-            this.useButton.disabled = false;
+            // Parts of any other set scanned along the way are dropped
+            this.scannedParts = this.scannedParts.filter(p => p.multiQRId === multiQRId);
+            this.updateScanStatus(`🔍 All ${totalParts} parts scanned, verifying...`);
+            this.verifyCompletedScan(`All ${totalParts} parts scanned`);
             this.stopScanning();
             this.scanButton.textContent = '📷 Start Scanning';
             this.scanButton.style.background = '#28a745';
         } else {
-            this.updateScanStatus(`📱 Part ${part}/${totalParts} scanned. Need ${totalParts - currentParts} more parts.`);
+            const missing = this.getMissingParts(multiQRId, totalParts);
+            this.updateScanStatus(`📱 Part ${part}/${totalParts} scanned. Still missing: ${missing.join(', ')}`);
         }
         
         this.updateScannedPartsDisplay();
     }
 
+    // Part numbers of a multi-part set that have not been scanned yet
+    getMissingParts(multiQRId, totalParts) {
+        const received = new Set(this.scannedParts.filter(p => p.multiQRId === multiQRId).map(p => p.part));
+        return Array.from({ length: totalParts }, (_, i) => i + 1).filter(part => !received.has(part));
+    }
+
+    /**
+     * Handle an animated QR frame; frames may arrive in any order and some may be missed
+     */
+    handleFountainQR(frame) {
+        if (!this.fountainDecoder) {
+            this.fountainDecoder = new FountainDecoder();
+            this.scannedParts = [];
+        }
+
+        const result = this.fountainDecoder.receive(frame);
+        if (!result.accepted) {
+            this.updateScanStatus(`⚠️ ${result.error}`);
+            return;
+        }
+        if (result.duplicate) {
+            return;
+        }
+
+        // Keep up with the sender's frame rate
+        if (this.scanIntervalMs !== ANIMATED_SCAN_INTERVAL && this.scanning) {
+            this.scanIntervalMs = ANIMATED_SCAN_INTERVAL;
+            this.stopScanning();
+            this.startScanning();
+        }
+
+        if (result.complete) {
+            this.scannedParts = [{
+                type: 'fountain',
+                fountainId: result.fountainId,
+                framesReceived: result.framesReceived,
+                totalFragments: result.totalFragments,
+                data: this.fountainDecoder.getResultBytes()
+            }];
+            this.updateScanStatus(`🔍 Animated QR decoded from ${result.framesReceived} frames, verifying...`);
+            this.verifyCompletedScan(`Animated QR decoded from ${result.framesReceived} frames`);
+            this.stopScanning();
+            this.scanButton.textContent = '📷 Start Scanning';
+            this.scanButton.style.background = '#28a745';
+        } else if (result.error) {
+            this.updateScanStatus(`❌ ${result.error}. Clear and scan again.`);
+        } else {
+            this.updateScanStatus(`📡 Animated QR: ${Math.floor(result.progress * 100)}% decoded (${result.framesReceived} frames)`);
+        }
+
+        this.updateScannedPartsDisplay();
+    }
+
+    /**
+     * Check the digests (and HMAC, when paired) of a completed scan before it can be used.
+     * The fingerprint is shown so the operator can compare it with the sending device.
+     */
+    async verifyCompletedScan(summary) {
+        const parts = this.scannedParts;
+        let result;
+        try {
+            if (parts[0].type === 'fountain') {
+                const verification = await this.fountainDecoder.verify();
+                result = verification.valid ?
+                    { success: true, data: this.fountainDecoder.getResultBytes(), ...verification } :
+                    { success: false, error: verification.error };
+            } else {
+                result = await recombineMultiQRData(parts.map(p => p.data));
+            }
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        // Parts were cleared while verifying
+        if (this.scannedParts !== parts) {
+            return;
+        }
+
+        if (!result.success) {
+            this.verifiedPayload = null;
+            this.updateScanStatus(`❌ ${result.error}. Clear and scan again.`);
+            return;
+        }
+
+        this.verifiedPayload = result;
+        this.updateScanStatus(result.legacy ?
+            `✅ ${summary} - legacy set, unverified: it has no SHA-256 digest to compare with the sending device.` :
+            `✅ ${summary} and verified. Fingerprint ${result.fingerprint}${result.authenticated ? ' (HMAC verified)' : ''} - compare it with the sending device.`);
+        this.useButton.disabled = false;
+        
+        // A complete, verified set is handed over right away
+        await this.useScannedData(this.modal);
+    }
+
     /**
      * Update scan status message
      */
@@ -1818,6 +2389,19 @@ class CameraQRScanner {
         const partsDiv = document.getElementById('scanned-parts');
         if (!partsDiv) return;
 
+        if (this.fountainDecoder && (this.scannedParts.length === 0 || this.scannedParts[0].type === 'fountain')) {
+            const progress = this.fountainDecoder.getProgress();
+            const percent = Math.floor(progress.progress * 100);
+            partsDiv.innerHTML = `<strong>Animated QR:</strong>
+                <div style="margin: 8px 0; height: 20px; background: #e9ecef; border-radius: 4px; overflow: hidden;">
+                    <div style="width: ${percent}%; height: 100%; background: ${percent === 100 ? '#28a745' : '#007bff'}; transition: width 0.2s;"></div>
+                </div>
+                <div style="font-size: 0.9em;">
+                    ${progress.decodedFragments}/${progress.totalFragments} fragments decoded from ${progress.framesReceived} frames
+                </div>`;
+            return;
+        }
+
         if (this.scannedParts.length === 0) {
             partsDiv.innerHTML = '<strong>Scanned Parts:</strong><br><em>No parts scanned yet</em>';
             return;
@@ -1842,12 +2426,18 @@ class CameraQRScanner {
             Object.entries(groups).forEach(([multiQRId, parts]) => {
                 const totalParts = parts[0].totalParts;
                 const scannedCount = parts.length;
+                const received = new Set(parts.map(p => p.part));
+                
+                // One cell per part: green when received, grey while missing
+                const cells = Array.from({ length: totalParts }, (_, i) => i + 1).map(part => `
+                    <span style="display: inline-block; min-width: 32px; margin: 2px; padding: 4px 0; text-align: center;
+                        border-radius: 3px; font-size: 0.85em; font-weight: bold;
+                        background: ${received.has(part) ? '#28a745' : '#dee2e6'}; color: ${received.has(part) ? 'white' : '#6c757d'};"
+                        title="Part ${part} ${received.has(part) ? 'received' : 'missing'}">${part}</span>`).join('');
                 
                 html += `<div style="margin: 5px 0; padding: 5px; background: #e8f4f8; border-radius: 3px;">
                     📱 Multi-part QR: ${scannedCount}/${totalParts} parts
-                    <div style="font-size: 0.9em; margin-top: 3px;">
-                        Parts: ${parts.map(p => p.part).join(', ')}
-                    </div>
+                    <div style="margin-top: 5px;">${cells}</div>
                 </div>`;
             });
         }
@@ -1860,6 +2450,8 @@ class CameraQRScanner {
      */
     clearScannedParts() {
         this.scannedParts = [];
+        this.fountainDecoder = null;
+        this.verifiedPayload = null;
         this.updateScannedPartsDisplay();
         this.updateScanStatus('🗑️ Cleared all scanned parts');
         this.useButton.disabled = true;
@@ -1880,23 +2472,30 @@ class CameraQRScanner {
                     isMultiPart: false
                 };
             } else {
-                // Recombine multi-part data
-                const parts = this.scannedParts.map(p => p.data);
-                const recombineResult = recombineMultiQRData(parts);
-                
-                if (!recombineResult.success) {
-                    throw new Error(recombineResult.error);
+                // Multi-part and animated scans were recombined and verified when the last part arrived
+                if (!this.verifiedPayload) {
+                    throw new Error('Scanned data has not been verified');
                 }
 
+                const firstPart = this.scannedParts[0];
+                const decoded = parseQRPayload(this.verifiedPayload.data);
                 finalData = {
                     success: true,
-                    qrData: JSON.parse(recombineResult.data),
-                    data: recombineResult.data,
+                    qrData: decoded.qrData,
+                    data: JSON.stringify(decoded.qrData),
                     isMultiPart: true,
-                    totalParts: parts.length
+                    ...(firstPart.type === 'fountain' ?
+                        { isAnimated: true, fountainId: firstPart.fountainId, totalParts: firstPart.framesReceived } :
+                        { totalParts: this.scannedParts.length }),
+                    fingerprint: this.verifiedPayload.fingerprint,
+                    authenticated: this.verifiedPayload.authenticated,
+                    legacy: !!this.verifiedPayload.legacy
                 };
             }
 
+            // Encrypted transfers are decrypted only after the digests were checked
+            finalData = await openScannedPayload(finalData);
+
             // Call the callback with the scanned data
             if (this.onScanCallback) {
                 await this.onScanCallback(finalData);
@@ -1931,6 +2530,9 @@ class CameraQRScanner {
         this.canvas = null;
         this.context = null;
         this.scannedParts = [];
+        this.fountainDecoder = null;
+        this.verifiedPayload = null;
+        this.scanIntervalMs = SCAN_INTERVAL;
         this.onScanCallback = null;
     }
 }
@@ -2106,7 +2708,7 @@ function showCameraErrorDialog(errorMessage) {
 
 /**
  * Generate QR code for any text/data
- * @param {string} text - Text to encode in QR code
+ * @param {string|Object} text - Text to encode, or structured data encoded in the configured wire format
  * @param {Object} options - QR generation options (currently unused but for future compatibility)
  * @returns {Promise<Object>} - QR generation result
  */
@@ -2116,13 +2718,21 @@ async function generateQRCode(text, options = {}) {
         // Ensure QR libraries are loaded
         await loadQRLibraries();
         
+        let encrypted = false;
+        if (typeof text !== 'string') {
+            const transport = await encryptForTransport(text);
+            text = encodeQRPayload(transport.data);
+            encrypted = transport.encrypted;
+        }
+        
         // Generate QR code data URL
         const qrDataURL = generateQRCodeDataURL(text);
         
         return {
             success: true,
             qrDataURL: qrDataURL,
-            text: text
+            text: text,
+            encrypted: encrypted
         };
         
     } catch (error) {
@@ -2149,10 +2759,11 @@ export {
     generateSubmittedTransactionQR,
     validateTransactionQRData,
     splitDataForMultiQR,
-    generateSimpleChecksum,
     recombineMultiQRData,
     generateMultiPartQR,
     createMultiPartQRDisplay,
     readMultiPartQRFromImages,
+    generateAnimatedQR,
+    startAnimatedQR,
     openCameraQRScanner
 };
\ No newline at end of file
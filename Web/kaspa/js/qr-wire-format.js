@@ -0,0 +1,632 @@
+// Kaspa QR Wire Format Module
+// Versioned compact encoding for air-gap QR payloads: a tagged binary encoding with shared
+// dictionaries and back-references, LZ compression, then base45 so QR alphanumeric mode applies
+import { bytesToHex, hexToBytes } from './encoding-utils.js';
+
+const COMPACT_QR_PREFIX = 'KQR:';
+const QR_WIRE_FORMAT_KEY = 'kaspa_qr_wire_format';
+const QR_WIRE_FORMATS = ['compact', 'json'];
+
+// Envelope: magic, wire version, flags, body. The magic is never '{', so compact bytes and
+// legacy JSON bytes are told apart by their first byte
+const ENVELOPE_MAGIC = 0x4B;
+const WIRE_FORMAT_VERSION = 1;
+const FLAG_COMPRESSED = 0x01;
+
+const TAG_NULL = 0;
+const TAG_FALSE = 1;
+const TAG_TRUE = 2;
+const TAG_UINT = 3;
+const TAG_NEGINT = 4;
+const TAG_FLOAT = 5;
+const TAG_STRING = 6;
+const TAG_HEX = 7;       // lowercase even-length hex string stored as raw bytes
+const TAG_DECIMAL = 8;   // canonical decimal string (sompi amounts) stored as a varint
+const TAG_DICT = 9;      // index into WIRE_DICTIONARY
+const TAG_REF = 10;      // back-reference to an earlier registered value
+const TAG_ARRAY = 11;
+const TAG_MAP = 12;
+const TAG_BYTES = 13;
+const TAG_REGISTER = 0x80; // value is added to the back-reference table
+
+// Values at least this long are registered so repeats cost a couple of bytes
+const MIN_REF_STRING_LENGTH = 8;
+const MIN_REF_CONTAINER_LENGTH = 24;
+
+// Shared string table for wire version 1. Append only - indices are part of the format.
+const WIRE_DICTIONARY = [
+    // QR types and common values
+    'kaspa-unsigned-transaction-qr', 'kaspa-signed-transaction-qr', 'kaspa-submitted-transaction-qr',
+    'kaspa-unsigned-message-qr', 'kaspa-signed-message-qr', 'kaspa-utxo-data', 'kaspa-xpub', 'kaspa-address',
+    'kaspa-unsigned-transaction-multipart-qr', 'kaspa-signed-transaction-multipart-qr',
+    'kaspa-utxo-data-multipart-qr', 'kaspa-unsigned-transaction-fountain-qr',
+    'kaspa-signed-transaction-fountain-qr', 'kaspa-utxo-data-fountain-qr',
+    'unsigned', 'signed', 'submitted', '1.0', '2.0', 'mainnet', 'testnet-10', 'testnet-11', 'devnet', 'simnet',
+    'slow', 'normal', 'fast', 'custom',
+    // Envelope and transaction fields
+    'type', 'version', 'transactionId', 'fromAddress', 'toAddress', 'amount', 'amountInSompi', 'fee', 'feeMode',
+    'networkType', 'timestamp', 'status', 'changeAddress', 'recipients', 'batch', 'sweep', 'payload',
+    'serializedPendingTransaction', 'transactionDetails', 'originalTransactionData', 'feeEstimate',
+    'serializedTransaction', 'signedAt', 'inputs', 'outputs', 'lockTime', 'gas', 'mass', 'subnetworkId',
+    'utxoEntries', 'networkResponse', 'submittedAt', 'pendingTransaction', 'summary', 'transactions',
+    'signedTransaction', 'inputUtxos', 'hasCompleteUtxoData', 'fees', 'aggregateInputAmount',
+    'aggregateOutputAmount', 'changeAmount', 'offlineSigningCapable', 'feeInSompi', 'feeInKas', 'feeRate',
+    'priority', 'label', 'index', 'total',
+    // Transaction and UTXO internals
+    'outpoint', 'address', 'scriptPublicKey', 'blockDaaScore', 'isCoinbase', 'previousOutpoint',
+    'signatureScript', 'sequence', 'sigOpCount', 'utxo', 'value', 'script', 'id', 'prefix', 'payloadHash',
+    // Messages, UTXO snapshots and keys
+    'message', 'signature', 'signerAddress', 'signerPublicKey', 'messageId', 'signingId', 'addresses', 'utxos',
+    'count', 'dataId', 'xpub', 'derivationPath', 'network',
+    // Multi-part and animated frames
+    'multiQRId', 'part', 'totalParts', 'data', 'checksum', 'fountainId', 'seq', 'fragments', 'length',
+    // Integrity fields
+    'digest', 'partDigest', 'mac', 'integrity', 'algorithm', 'SHA-256',
+    // Signed UTXO snapshots
+    'snapshotId', 'daaScore', 'outpoints', 'signerKey',
+    // Encrypted transport envelopes
+    'kaspa-encrypted-payload', 'cipher', 'kdf', 'iterations', 'keyId', 'salt', 'iv', 'ciphertext',
+    'AES-256-GCM', 'HKDF-SHA256', 'PBKDF2-SHA256', 'kaspa-encrypted-payload-multipart-qr',
+    'kaspa-encrypted-payload-fountain-qr',
+    // PSKT bundles
+    'kaspa-pskb', 'kaspa-pskb-multipart-qr', 'kaspa-pskb-fountain-qr', 'pskts', 'role', 'history', 'action',
+    'CREATOR', 'CONSTRUCTOR', 'UPDATER', 'SIGNER', 'COMBINER', 'FINALIZER', 'EXTRACTOR', 'global', 'txVersion',
+    'fallbackLockTime', 'inputsModifiable', 'outputsModifiable', 'inputCount', 'outputCount', 'xpubs',
+    'proprietaries', 'unknowns', 'utxoEntry', 'minTime', 'partialSigs', 'sighashType', 'redeemScript',
+    'bip32Derivations', 'finalScriptSig', 'schnorr'
+];
+
+const dictionaryIndex = new Map(WIRE_DICTIONARY.map((value, index) => [value, index]));
+
+const BASE45_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// Which format new QR codes are written in; 'json' keeps older cold-device versions working
+function getQRWireFormat() {
+    try {
+        const saved = localStorage.getItem(QR_WIRE_FORMAT_KEY);
+        const format = saved !== null ? JSON.parse(saved) : 'compact';
+        return QR_WIRE_FORMATS.includes(format) ? format : 'compact';
+    } catch (error) {
+        console.error('Failed to load QR wire format setting:', error);
+        return 'compact';
+    }
+}
+
+function setQRWireFormat(format) {
+    if (!QR_WIRE_FORMATS.includes(format)) {
+        return false;
+    }
+    try {
+        localStorage.setItem(QR_WIRE_FORMAT_KEY, JSON.stringify(format));
+        return true;
+    } catch (error) {
+        console.error('Failed to save QR wire format setting:', error);
+        return false;
+    }
+}
+
+// Growable byte buffer for the encoder and compressor
+class ByteWriter {
+    constructor(capacity = 1024) {
+        this.bytes = new Uint8Array(capacity);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) {
+            return;
+        }
+        let capacity = this.bytes.length * 2;
+        while (capacity < this.length + extra) {
+            capacity *= 2;
+        }
+        const grown = new Uint8Array(capacity);
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    byte(value) {
+        this.ensure(1);
+        this.bytes[this.length++] = value;
+    }
+
+    write(bytes) {
+        this.ensure(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    varint(value) {
+        while (value >= 0x80) {
+            this.byte((value % 0x80) | 0x80);
+            value = Math.floor(value / 0x80);
+        }
+        this.byte(value);
+    }
+
+    bigVarint(value) {
+        while (value >= 0x80n) {
+            this.byte(Number(value & 0x7Fn) | 0x80);
+            value >>= 7n;
+        }
+        this.byte(Number(value));
+    }
+
+    toBytes() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+class ByteReader {
+    constructor(bytes, offset = 0) {
+        this.bytes = bytes;
+        this.offset = offset;
+    }
+
+    byte() {
+        if (this.offset >= this.bytes.length) {
+            throw new Error('Unexpected end of compact QR data');
+        }
+        return this.bytes[this.offset++];
+    }
+
+    read(length) {
+        if (this.offset + length > this.bytes.length) {
+            throw new Error('Unexpected end of compact QR data');
+        }
+        const slice = this.bytes.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return slice;
+    }
+
+    varint() {
+        let value = 0;
+        let scale = 1;
+        for (;;) {
+            const byte = this.byte();
+            value += (byte & 0x7F) * scale;
+            if (byte < 0x80) {
+                return value;
+            }
+            scale *= 0x80;
+            if (scale > Number.MAX_SAFE_INTEGER) {
+                throw new Error('Compact QR varint is too large');
+            }
+        }
+    }
+
+    bigVarint() {
+        let value = 0n;
+        let shift = 0n;
+        for (;;) {
+            const byte = this.byte();
+            value |= BigInt(byte & 0x7F) << shift;
+            if (byte < 0x80) {
+                return value;
+            }
+            shift += 7n;
+        }
+    }
+}
+
+// Canonical form of a container for back-reference matching; byte arrays must not collide with objects,
+// and BigInts (which JSON.stringify rejects) are tagged so they do not collide with strings
+function containerKey(value) {
+    return JSON.stringify(value, (key, item) => {
+        if (item instanceof Uint8Array) {
+            return { '\u0000bytes': bytesToHex(item) };
+        }
+        return typeof item === 'bigint' ? `\u0000bigint:${item}` : item;
+    });
+}
+
+function encodeValue(writer, value, state) {
+    if (value !== null && typeof value === 'object' && !(value instanceof Uint8Array) && typeof value.toJSON === 'function') {
+        value = value.toJSON();
+    }
+    if (typeof value === 'bigint') {
+        value = value.toString();
+    }
+
+    if (value === null || value === undefined || typeof value === 'function' || typeof value === 'symbol') {
+        writer.byte(TAG_NULL);
+        return;
+    }
+    if (typeof value === 'boolean') {
+        writer.byte(value ? TAG_TRUE : TAG_FALSE);
+        return;
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            // JSON.stringify turns NaN and Infinity into null
+            writer.byte(TAG_NULL);
+        } else if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+            writer.byte(value >= 0 ? TAG_UINT : TAG_NEGINT);
+            writer.varint(value >= 0 ? value : -value - 1);
+        } else {
+            const view = new DataView(new ArrayBuffer(8));
+            view.setFloat64(0, value);
+            writer.byte(TAG_FLOAT);
+            writer.write(new Uint8Array(view.buffer));
+        }
+        return;
+    }
+    if (typeof value === 'string') {
+        encodeString(writer, value, state);
+        return;
+    }
+    if (value instanceof Uint8Array) {
+        writer.byte(TAG_BYTES);
+        writer.varint(value.length);
+        writer.write(value);
+        return;
+    }
+
+    // Arrays and plain objects; identical subtrees (e.g. the pending transaction copies) are sent once
+    const key = containerKey(value);
+    const register = key.length >= MIN_REF_CONTAINER_LENGTH;
+    if (register && state.refs.has(key)) {
+        writer.byte(TAG_REF);
+        writer.varint(state.refs.get(key));
+        return;
+    }
+    if (register) {
+        state.refs.set(key, state.refCount++);
+    }
+
+    if (Array.isArray(value)) {
+        writer.byte(TAG_ARRAY | (register ? TAG_REGISTER : 0));
+        writer.varint(value.length);
+        value.forEach(item => encodeValue(writer, item, state));
+        return;
+    }
+
+    const entries = Object.entries(value).filter(([, item]) =>
+        item !== undefined && typeof item !== 'function' && typeof item !== 'symbol'
+    );
+    writer.byte(TAG_MAP | (register ? TAG_REGISTER : 0));
+    writer.varint(entries.length);
+    for (const [entryKey, item] of entries) {
+        encodeString(writer, entryKey, state);
+        encodeValue(writer, item, state);
+    }
+}
+
+function encodeString(writer, value, state) {
+    if (dictionaryIndex.has(value)) {
+        writer.byte(TAG_DICT);
+        writer.varint(dictionaryIndex.get(value));
+        return;
+    }
+
+    const register = value.length >= MIN_REF_STRING_LENGTH;
+    const key = `s:${value}`;
+    if (register && state.refs.has(key)) {
+        writer.byte(TAG_REF);
+        writer.varint(state.refs.get(key));
+        return;
+    }
+    if (register) {
+        state.refs.set(key, state.refCount++);
+    }
+    const flag = register ? TAG_REGISTER : 0;
+
+    if (value.length <= 40 && /^(0|[1-9][0-9]*)$/.test(value)) {
+        writer.byte(TAG_DECIMAL | flag);
+        writer.bigVarint(BigInt(value));
+    } else if (value.length >= 2 && value.length % 2 === 0 && /^[0-9a-f]+$/.test(value)) {
+        writer.byte(TAG_HEX | flag);
+        writer.varint(value.length / 2);
+        writer.write(hexToBytes(value));
+    } else {
+        const bytes = new TextEncoder().encode(value);
+        writer.byte(TAG_STRING | flag);
+        writer.varint(bytes.length);
+        writer.write(bytes);
+    }
+}
+
+function decodeValue(reader, state) {
+    const tagByte = reader.byte();
+    const register = (tagByte & TAG_REGISTER) !== 0;
+    const tag = tagByte & ~TAG_REGISTER;
+
+    // Registered values take their table slot before their children, matching the encoder's order
+    const slot = register ? state.refs.push(undefined) - 1 : -1;
+    let value;
+
+    switch (tag) {
+        case TAG_NULL: value = null; break;
+        case TAG_FALSE: value = false; break;
+        case TAG_TRUE: value = true; break;
+        case TAG_UINT: value = reader.varint(); break;
+        case TAG_NEGINT: value = -reader.varint() - 1; break;
+        case TAG_FLOAT: {
+            const bytes = reader.read(8);
+            value = new DataView(bytes.buffer, bytes.byteOffset, 8).getFloat64(0);
+            break;
+        }
+        case TAG_STRING: value = new TextDecoder().decode(reader.read(reader.varint())); break;
+        case TAG_HEX: value = bytesToHex(reader.read(reader.varint())); break;
+        case TAG_DECIMAL: value = reader.bigVarint().toString(); break;
+        case TAG_DICT: {
+            const index = reader.varint();
+            if (index >= WIRE_DICTIONARY.length) {
+                throw new Error('Unknown compact QR dictionary entry');
+            }
+            value = WIRE_DICTIONARY[index];
+            break;
+        }
+        case TAG_REF: {
+            const index = reader.varint();
+            if (index >= state.refs.length || state.refs[index] === undefined) {
+                throw new Error('Invalid compact QR back-reference');
+            }
+            const target = state.refs[index];
+            // Containers are copied so consumers can mutate one occurrence safely
+            value = target !== null && typeof target === 'object' && !(target instanceof Uint8Array) ?
+                JSON.parse(JSON.stringify(target)) : target;
+            break;
+        }
+        case TAG_ARRAY: {
+            const count = reader.varint();
+            value = [];
+            for (let i = 0; i < count; i++) {
+                value.push(decodeValue(reader, state));
+            }
+            break;
+        }
+        case TAG_MAP: {
+            const count = reader.varint();
+            value = {};
+            for (let i = 0; i < count; i++) {
+                const key = decodeValue(reader, state);
+                if (typeof key !== 'string') {
+                    throw new Error('Invalid compact QR map key');
+                }
+                value[key] = decodeValue(reader, state);
+            }
+            break;
+        }
+        case TAG_BYTES: value = reader.read(reader.varint()).slice(); break;
+        default:
+            throw new Error(`Unknown compact QR tag ${tag}`);
+    }
+
+    if (register) {
+        state.refs[slot] = value;
+    }
+    return value;
+}
+
+// LZ77 compression (hash-chained matches, 64 KiB window). Sequences are
+// literal count, literals, then match length - 3 and distance; a match length of 0 ends the stream.
+const LZ_MIN_MATCH = 4;
+const LZ_WINDOW = 65535;
+const LZ_MAX_CHAIN = 32;
+// Refuse to inflate a crafted QR into something absurd
+const MAX_DECOMPRESSED_SIZE = 4 * 1024 * 1024;
+
+function lzHash(bytes, i) {
+    return Math.imul((bytes[i] << 16) | (bytes[i + 1] << 8) | bytes[i + 2], 2654435761) >>> 17;
+}
+
+function lzCompress(input) {
+    const writer = new ByteWriter(Math.max(64, input.length));
+    const head = new Map();
+    const previous = new Int32Array(input.length).fill(-1);
+    let literalStart = 0;
+    let i = 0;
+
+    const insert = (position) => {
+        if (position + 2 >= input.length) {
+            return;
+        }
+        const hash = lzHash(input, position);
+        previous[position] = head.has(hash) ? head.get(hash) : -1;
+        head.set(hash, position);
+    };
+
+    while (i < input.length) {
+        let bestLength = 0;
+        let bestDistance = 0;
+
+        if (i + LZ_MIN_MATCH <= input.length) {
+            let candidate = head.has(lzHash(input, i)) ? head.get(lzHash(input, i)) : -1;
+            for (let chain = 0; candidate >= 0 && i - candidate <= LZ_WINDOW && chain < LZ_MAX_CHAIN; chain++) {
+                let length = 0;
+                while (i + length < input.length && input[candidate + length] === input[i + length]) {
+                    length++;
+                }
+                if (length > bestLength) {
+                    bestLength = length;
+                    bestDistance = i - candidate;
+                }
+                candidate = previous[candidate];
+            }
+        }
+
+        if (bestLength >= LZ_MIN_MATCH) {
+            writer.varint(i - literalStart);
+            writer.write(input.subarray(literalStart, i));
+            writer.varint(bestLength - 3);
+            writer.varint(bestDistance);
+            for (let k = 0; k < bestLength; k++) {
+                insert(i + k);
+            }
+            i += bestLength;
+            literalStart = i;
+        } else {
+            insert(i);
+            i++;
+        }
+    }
+
+    writer.varint(i - literalStart);
+    writer.write(input.subarray(literalStart, i));
+    writer.varint(0);
+    return writer.toBytes();
+}
+
+function lzDecompress(input) {
+    const reader = new ByteReader(input);
+    const output = new ByteWriter(input.length * 3);
+
+    for (;;) {
+        output.write(reader.read(reader.varint()));
+        const lengthCode = reader.varint();
+        if (lengthCode === 0) {
+            break;
+        }
+        const length = lengthCode + 3;
+        const distance = reader.varint();
+        if (distance === 0 || distance > output.length) {
+            throw new Error('Corrupt compressed QR data');
+        }
+        if (output.length + length > MAX_DECOMPRESSED_SIZE) {
+            throw new Error('Compressed QR data is too large');
+        }
+        output.ensure(length);
+        // Byte by byte so overlapping matches repeat correctly
+        for (let k = 0; k < length; k++) {
+            output.bytes[output.length] = output.bytes[output.length - distance];
+            output.length++;
+        }
+    }
+
+    if (reader.offset !== input.length) {
+        throw new Error('Trailing bytes after compressed QR data');
+    }
+    return output.toBytes();
+}
+
+function base45Encode(bytes) {
+    let text = '';
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+        let n = bytes[i] * 256 + bytes[i + 1];
+        const c = n % 45; n = (n - c) / 45;
+        const d = n % 45; const e = (n - d) / 45;
+        text += BASE45_ALPHABET[c] + BASE45_ALPHABET[d] + BASE45_ALPHABET[e];
+    }
+    if (bytes.length % 2 === 1) {
+        const n = bytes[bytes.length - 1];
+        text += BASE45_ALPHABET[n % 45] + BASE45_ALPHABET[Math.floor(n / 45)];
+    }
+    return text;
+}
+
+function base45Decode(text) {
+    if (text.length % 3 === 1) {
+        throw new Error('Invalid base45 length');
+    }
+    const values = Array.from(text, char => {
+        const value = BASE45_ALPHABET.indexOf(char);
+        if (value < 0) {
+            throw new Error('Invalid base45 character');
+        }
+        return value;
+    });
+
+    const bytes = [];
+    for (let i = 0; i < values.length; i += 3) {
+        if (i + 2 < values.length) {
+            const n = values[i] + values[i + 1] * 45 + values[i + 2] * 2025;
+            if (n > 0xFFFF) {
+                throw new Error('Invalid base45 triplet');
+            }
+            bytes.push(n >> 8, n & 0xFF);
+        } else {
+            const n = values[i] + values[i + 1] * 45;
+            if (n > 0xFF) {
+                throw new Error('Invalid base45 pair');
+            }
+            bytes.push(n);
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Encode a payload (any JSON-compatible value, Uint8Array allowed) as compact envelope bytes.
+ * BigInts at any depth are sent as decimal strings
+ * @param {*} value - Payload to encode
+ * @param {Object} options - { compress } defaults to true; compression is skipped when it does not help
+ * @returns {Uint8Array} - Envelope bytes
+ */
+function encodeCompactBytes(value, options = {}) {
+    const writer = new ByteWriter();
+    encodeValue(writer, value, { refs: new Map(), refCount: 0 });
+    let body = writer.toBytes();
+    let flags = 0;
+
+    if (options.compress !== false) {
+        const compressed = lzCompress(body);
+        if (compressed.length < body.length) {
+            body = compressed;
+            flags |= FLAG_COMPRESSED;
+        }
+    }
+
+    const envelope = new Uint8Array(body.length + 3);
+    envelope[0] = ENVELOPE_MAGIC;
+    envelope[1] = WIRE_FORMAT_VERSION;
+    envelope[2] = flags;
+    envelope.set(body, 3);
+    return envelope;
+}
+
+function isCompactEnvelope(bytes) {
+    return bytes instanceof Uint8Array && bytes.length >= 3 && bytes[0] === ENVELOPE_MAGIC;
+}
+
+function decodeCompactBytes(bytes) {
+    if (!isCompactEnvelope(bytes)) {
+        throw new Error('Not a compact QR payload');
+    }
+    if (bytes[1] !== WIRE_FORMAT_VERSION) {
+        throw new Error(`Unsupported compact QR version ${bytes[1]} - please update this wallet`);
+    }
+
+    let body = bytes.subarray(3);
+    if (bytes[2] & FLAG_COMPRESSED) {
+        body = lzDecompress(body);
+    }
+
+    const reader = new ByteReader(body);
+    const value = decodeValue(reader, { refs: [] });
+    if (reader.offset !== body.length) {
+        throw new Error('Trailing bytes after compact QR payload');
+    }
+    return value;
+}
+
+// Compact QR text: prefix plus base45, entirely within the QR alphanumeric character set
+function encodeCompactQR(value, options = {}) {
+    return COMPACT_QR_PREFIX + base45Encode(encodeCompactBytes(value, options));
+}
+
+function isCompactQRText(text) {
+    return typeof text === 'string' && text.startsWith(COMPACT_QR_PREFIX);
+}
+
+function decodeCompactQR(text) {
+    if (!isCompactQRText(text)) {
+        throw new Error('Not a compact QR code');
+    }
+    return decodeCompactBytes(base45Decode(text.substring(COMPACT_QR_PREFIX.length)));
+}
+
+export {
+    encodeCompactBytes,
+    decodeCompactBytes,
+    encodeCompactQR,
+    decodeCompactQR,
+    isCompactQRText,
+    isCompactEnvelope,
+    base45Encode,
+    base45Decode,
+    getQRWireFormat,
+    setQRWireFormat,
+    COMPACT_QR_PREFIX,
+    QR_WIRE_FORMATS
+};
@@ -0,0 +1,342 @@
+// Kaspa RPC Connection Pool
+// One shared wRPC connection per network with reconnect backoff, health checks and request timeouts
+import { connectRpcClient } from './node-endpoints.js';
+
+const REQUEST_TIMEOUT = 30000;
+const HEALTH_CHECK_INTERVAL = 30000;
+const HEALTH_CHECK_TIMEOUT = 10000;
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+const MAX_RECONNECT_ATTEMPTS = 6;
+
+const connections = new Map();
+
+function withTimeout(promise, timeout, message) {
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), timeout);
+    });
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class RpcConnection {
+    constructor(networkType) {
+        this.networkType = networkType;
+        this.client = null;
+        this.state = 'disconnected'; // 'connecting', 'connected', 'reconnecting', 'disconnected' or 'closed'
+        this.connectPromise = null;
+        this.healthTimer = null;
+        this.serverInfo = null;
+        this.lastError = null;
+        this.connectListeners = new Set();
+        this.handle = this.createHandle();
+    }
+
+    /**
+     * Resolve with the connected RpcClient. Concurrent callers share one connect or reconnect
+     * attempt, so requests made while reconnecting wait in line behind it.
+     * @param {number} attempts - Connection attempts before giving up (backoff between them)
+     * @returns {Promise<RpcClient>}
+     */
+    connect(attempts = 1) {
+        if (this.state === 'closed') {
+            return Promise.reject(new Error(`RPC connection for ${this.networkType} has been shut down`));
+        }
+        if (this.client && this.state === 'connected') {
+            return Promise.resolve(this.client);
+        }
+        if (!this.connectPromise) {
+            this.connectPromise = this.establish(attempts).finally(() => {
+                this.connectPromise = null;
+            });
+        }
+        return this.connectPromise;
+    }
+
+    async establish(attempts) {
+        if (this.state !== 'reconnecting') {
+            this.state = 'connecting';
+        }
+        await this.dropClient();
+
+        let lastError = null;
+        for (let attempt = 0; attempt < attempts && this.state !== 'closed'; attempt++) {
+            if (attempt > 0) {
+                await delay(Math.min(RECONNECT_BASE_DELAY * 2 ** (attempt - 1), RECONNECT_MAX_DELAY));
+                if (this.state === 'closed') {
+                    break;
+                }
+            }
+
+            try {
+                const client = await connectRpcClient(this.networkType);
+                if (this.state === 'closed') {
+                    await client.disconnect().catch(() => {});
+                    break;
+                }
+
+                this.client = client;
+                this.state = 'connected';
+                this.lastError = null;
+                this.watchClient(client);
+                this.startHealthChecks();
+                this.notifyConnected(client);
+                return client;
+            } catch (error) {
+                lastError = error;
+                if (attempts > 1) {
+                    console.warn(`RPC connect attempt ${attempt + 1}/${attempts} for ${this.networkType} failed:`, error.message);
+                }
+            }
+        }
+
+        if (this.state === 'closed') {
+            throw new Error(`RPC connection for ${this.networkType} has been shut down`);
+        }
+
+        this.state = 'disconnected';
+        this.lastError = lastError ? lastError.message : 'Unknown connection error';
+        throw lastError || new Error(`Network connection failed for ${this.networkType}`);
+    }
+
+    // React to the socket closing underneath us instead of waiting for the next request to fail
+    watchClient(client) {
+        if (typeof client.addEventListener === 'function') {
+            client.addEventListener('disconnect', () => this.handleConnectionLost(client));
+        }
+    }
+
+    /**
+     * Run a listener on every (re)connect with the new RpcClient. Notification
+     * listeners and subscriptions live on the client, so they must be set up again each time.
+     * @param {Function} listener - Called with the connected RpcClient
+     * @returns {Function} - Removes the listener
+     */
+    onConnect(listener) {
+        this.connectListeners.add(listener);
+        if (this.client && this.state === 'connected') {
+            listener(this.client);
+        }
+        return () => this.connectListeners.delete(listener);
+    }
+
+    notifyConnected(client) {
+        for (const listener of this.connectListeners) {
+            try {
+                listener(client);
+            } catch (error) {
+                console.error(`RPC connect listener for ${this.networkType} failed:`, error);
+            }
+        }
+    }
+
+    handleConnectionLost(client) {
+        // Ignore events from clients we already replaced or closed ourselves
+        if (client !== this.client || this.state !== 'connected') {
+            return;
+        }
+
+        console.warn(`RPC connection for ${this.networkType} lost, reconnecting...`);
+        this.state = 'reconnecting';
+        this.stopHealthChecks();
+        this.connect(MAX_RECONNECT_ATTEMPTS).catch(error => {
+            console.error(`RPC reconnect for ${this.networkType} failed:`, error.message);
+        });
+    }
+
+    /**
+     * Call an RpcClient method through the shared connection with a request timeout.
+     * A request that fails because the connection dropped is retried once after reconnecting.
+     * @param {string} method - RpcClient method name (getUtxosByAddresses, getFeeEstimate, ...)
+     * @param {Array} args - Method arguments
+     * @param {Object} options - { timeout } in milliseconds
+     * @returns {Promise<any>} - The RPC response
+     */
+    async request(method, args = [], options = {}) {
+        const timeout = options.timeout || REQUEST_TIMEOUT;
+
+        for (let retry = 0; ; retry++) {
+            const client = await this.connect(retry === 0 ? 1 : MAX_RECONNECT_ATTEMPTS);
+            if (typeof client[method] !== 'function') {
+                throw new Error(`RPC method ${method} is not available`);
+            }
+
+            try {
+                return await withTimeout(client[method](...args), timeout,
+                    `RPC ${method} timed out after ${Math.round(timeout / 1000)} seconds`);
+            } catch (error) {
+                if (retry === 0 && client.isConnected === false) {
+                    this.handleConnectionLost(client);
+                    continue;
+                }
+                if (error.message && error.message.startsWith(`RPC ${method} timed out`)) {
+                    // A hung socket does not always emit disconnect - verify it
+                    this.checkHealth();
+                }
+                throw error;
+            }
+        }
+    }
+
+    // Drop-in stand-in for an RpcClient: every method call is routed through request()
+    createHandle() {
+        return new Proxy({}, {
+            get: (target, property) => {
+                // Not thenable, so the handle can be returned from async functions
+                if (typeof property !== 'string' || property === 'then') {
+                    return undefined;
+                }
+                return (...args) => this.request(property, args);
+            }
+        });
+    }
+
+    async checkHealth() {
+        const client = this.client;
+        if (!client || this.state !== 'connected') {
+            return false;
+        }
+
+        try {
+            this.serverInfo = await withTimeout(client.getServerInfo(), HEALTH_CHECK_TIMEOUT,
+                'RPC health check timed out');
+            return true;
+        } catch (error) {
+            console.warn(`RPC health check for ${this.networkType} failed:`, error.message);
+            this.handleConnectionLost(client);
+            return false;
+        }
+    }
+
+    startHealthChecks() {
+        this.stopHealthChecks();
+        this.healthTimer = setInterval(() => this.checkHealth(), HEALTH_CHECK_INTERVAL);
+    }
+
+    stopHealthChecks() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
+        }
+    }
+
+    async dropClient() {
+        const client = this.client;
+        this.client = null;
+        this.stopHealthChecks();
+
+        if (client) {
+            try {
+                await client.disconnect();
+            } catch (error) {
+                console.warn(`Failed to disconnect RPC client for ${this.networkType}:`, error);
+            }
+        }
+    }
+
+    // Disconnect but stay usable; the next request connects again with the current endpoint settings
+    async reset() {
+        if (this.state === 'closed') {
+            return;
+        }
+        this.state = 'disconnected';
+        this.serverInfo = null;
+        await this.dropClient();
+
+        // Subscribers expect a live connection - bring it back with the new settings
+        if (this.connectListeners.size > 0) {
+            this.connect(MAX_RECONNECT_ATTEMPTS).catch(error => {
+                console.error(`RPC reconnect for ${this.networkType} failed:`, error.message);
+            });
+        }
+    }
+
+    async close() {
+        this.state = 'closed';
+        this.connectListeners.clear();
+        await this.dropClient();
+    }
+
+    getStatus() {
+        return {
+            networkType: this.networkType,
+            state: this.state,
+            serverVersion: this.serverInfo ? this.serverInfo.serverVersion : null,
+            isSynced: this.serverInfo ? !!this.serverInfo.isSynced : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+// Shared connection for a network, created on first use
+function getRpcConnection(networkType) {
+    let connection = connections.get(networkType);
+    if (!connection) {
+        connection = new RpcConnection(networkType);
+        connections.set(networkType, connection);
+    }
+    return connection;
+}
+
+// RpcClient-like handle for a network; method calls are queued, timed out and retried by the pool
+function getRpcClient(networkType) {
+    return getRpcConnection(networkType).handle;
+}
+
+/**
+ * Raw RpcClient for SDK calls that need the real object (PendingTransaction.submit).
+ * With an endpoint override a one-off client is created and release() disconnects it;
+ * otherwise the pooled client is returned and release() leaves it open.
+ * @param {string} networkType - Network type (mainnet, testnet-10, etc.)
+ * @param {Object} options - { endpoint } URL string or endpoint config
+ * @returns {Promise<Object>} - { rpc, release }
+ */
+async function acquireRpcClient(networkType, options = {}) {
+    if (options.endpoint) {
+        const rpc = await connectRpcClient(networkType, { endpoint: options.endpoint });
+        return {
+            rpc: rpc,
+            release: async () => {
+                await rpc.disconnect();
+            }
+        };
+    }
+
+    const rpc = await getRpcConnection(networkType).connect();
+    return {
+        rpc: rpc,
+        release: async () => {}
+    };
+}
+
+// Reconnect a network with fresh settings, e.g. after its node endpoint changed
+async function resetRpcConnection(networkType) {
+    const connection = connections.get(networkType);
+    if (connection) {
+        await connection.reset();
+    }
+}
+
+// Close every pooled connection (on logout)
+async function shutdownRpcPool() {
+    const pooled = Array.from(connections.values());
+    connections.clear();
+    await Promise.all(pooled.map(connection => connection.close()));
+}
+
+function getRpcPoolStatus() {
+    return Array.from(connections.values()).map(connection => connection.getStatus());
+}
+
+export {
+    getRpcConnection,
+    getRpcClient,
+    acquireRpcClient,
+    resetRpcConnection,
+    shutdownRpcPool,
+    getRpcPoolStatus
+};
@@ -1,5 +1,7 @@
 // Kaspa Transaction Serialization Utilities
 // Centralized functions for converting transaction data to/from various formats
+import { sealTransferData, verifyTransferData } from './payload-integrity.js';
+import { encryptForTransport, openTransportPayload } from './transport-encryption.js';
 
 /**
  * Convert BigInt values to strings for JSON serialization
@@ -364,7 +366,14 @@ export function createQRTransactionData(transactionData, type = 'unsigned') {
         networkType: transactionData.networkType,
         timestamp: transactionData.timestamp || new Date().toISOString(),
         status: type,
-        changeAddress: transactionData.changeAddress
+        changeAddress: transactionData.changeAddress,
+        // Batch payments: full recipient list and position within a split batch
+        recipients: transactionData.recipients || null,
+        batch: transactionData.batch || null,
+        // Send max sweeps are rebuilt with no outputs so the fee is taken from the swept amount
+        sweep: transactionData.sweep || false,
+        // Data carrier hex, rebuilt into the transaction when signing
+        payload: transactionData.payload || ''
     };
     
     // Add type-specific data
@@ -374,7 +383,9 @@ export function createQRTransactionData(transactionData, type = 'unsigned') {
                 ...baseData,
                 serializedPendingTransaction: transactionData.serializedPendingTransaction || null,
                 transactionDetails: transactionData.transactionDetails || null,
-                originalTransactionData: transactionData.originalTransactionData || null
+                originalTransactionData: transactionData.originalTransactionData || null,
+                // Fee estimate snapshot (rates, ETAs and when it was taken) for the signing device
+                feeEstimate: transactionData.feeEstimate || null
             };
             
         case 'signed':
@@ -487,6 +498,24 @@ export function convertFromQRFormat(qrData) {
     };
 }
 
+/**
+ * Payment outputs for a transaction, using the recipient list for batch payments
+ * @param {Object} transactionData - Transaction data
+ * @returns {Array} - Outputs with address and amount
+ */
+function getRecipientOutputs(transactionData) {
+    if (Array.isArray(transactionData.recipients) && transactionData.recipients.length > 0) {
+        return transactionData.recipients.map(recipient => ({
+            address: recipient.address,
+            amount: recipient.amountInSompi
+        }));
+    }
+    return [{
+        address: transactionData.toAddress,
+        amount: transactionData.amountInSompi || transactionData.amount
+    }];
+}
+
 /**
  * Comprehensive transaction data cleaning for submission
  * @param {Object} transactionData - Transaction data to clean
@@ -532,10 +561,7 @@ export function cleanTransactionDataForSubmission(transactionData) {
             submissionTransaction = {
                 version: 1,
                 inputs: [],
-                outputs: [{
-                    address: cleaned.toAddress,
-                    amount: cleaned.amountInSompi || cleaned.amount
-                }],
+                outputs: getRecipientOutputs(cleaned),
                 lockTime: 0n,
                 gas: 0n,
                 mass: 0,
@@ -593,10 +619,7 @@ export function cleanTransactionDataForSubmission(transactionData) {
             cleaned.serializedTransaction = {
                 version: 1,
                 inputs: [],
-                outputs: [{
-                    address: cleaned.toAddress,
-                    amount: cleaned.amountInSompi || cleaned.amount
-                }],
+                outputs: getRecipientOutputs(cleaned),
                 lockTime: 0n,
                 gas: 0n,
                 mass: 0,
@@ -632,6 +655,10 @@ export function exportUnsignedTransaction(transactionData) {
         timestamp: new Date().toISOString(),
         status: 'unsigned',
         changeAddress: transactionData.changeAddress,
+        recipients: transactionData.recipients || null,
+        batch: transactionData.batch || null,
+        sweep: transactionData.sweep || false,
+        payload: transactionData.payload || '',
         // Include serialized pending transaction data needed for signing
         serializedPendingTransaction: transactionData.serializedPendingTransaction || null,
         // Include UTXO entries for offline signing
@@ -639,7 +666,9 @@ export function exportUnsignedTransaction(transactionData) {
         // Include transaction summary
         summary: transactionData.summary || null,
         // Include transaction details for comprehensive offline support
-        transactionDetails: transactionData.transactionDetails || null
+        transactionDetails: transactionData.transactionDetails || null,
+        // Include the fee estimate snapshot the transaction was built with
+        feeEstimate: transactionData.feeEstimate || null
     };
     
     // Convert BigInt values to strings for JSON serialization
@@ -684,6 +713,10 @@ export function exportSignedTransaction(signedTransactionData) {
         status: 'signed',
         signedAt: signedTransactionData.signedAt || new Date().toISOString(),
         changeAddress: signedTransactionData.changeAddress,
+        recipients: signedTransactionData.recipients || null,
+        batch: signedTransactionData.batch || null,
+        sweep: signedTransactionData.sweep || false,
+        payload: signedTransactionData.payload || '',
         // Include serialized transaction data for submission
         serializedTransaction: serializedTransaction,
         // Include other relevant data
@@ -732,4 +765,43 @@ export function exportSubmittedTransaction(submittedTransactionData) {
     // Convert BigInt values to strings for JSON serialization
     const serializedData = convertBigIntToString(exportData);
     return JSON.stringify(serializedData, null, 2);
-} 
\ No newline at end of file
+} 
+
+/**
+ * Prepare transfer data for download as a JSON file: sealed with an integrity digest first,
+ * then encrypted when transport encryption is enabled
+ * @param {Object} data - JSON-safe transfer data (BigInt values already converted)
+ * @returns {Promise<Object>} - { json, fingerprint, authenticated, encrypted }
+ */
+export async function prepareTransferFile(data) {
+    const sealed = await sealTransferData(data);
+    const transport = await encryptForTransport(sealed.data);
+    return {
+        json: JSON.stringify(transport.data, null, 2),
+        fingerprint: sealed.fingerprint,
+        authenticated: !!sealed.data.integrity.mac,
+        encrypted: transport.encrypted
+    };
+}
+
+/**
+ * Read an imported JSON transfer file: decrypted first when it is encrypted, then its integrity digest is verified
+ * @param {string} text - File content
+ * @returns {Promise<Object>} - { valid, error, data, fingerprint, authenticated, legacy, encrypted }
+ */
+export async function readTransferFile(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        return { valid: false, error: 'File is not valid JSON' };
+    }
+
+    const opened = await openTransportPayload(parsed);
+    if (!opened.success) {
+        return { valid: false, error: opened.error };
+    }
+
+    const verification = await verifyTransferData(opened.data);
+    return { ...verification, encrypted: opened.encrypted };
+}
@@ -0,0 +1,290 @@
+// Kaspa Shamir Backup Module
+// Splits the entropy of a recovery phrase into M-of-N shares (Shamir's secret sharing over GF(256)).
+// Any M shares rebuild the phrase, fewer reveal nothing about it. Each share is a short uppercase text
+// that can be written down or printed as a QR card:
+//   KSS1-<set id>-<M>OF<N>-<index>-<share data>-<checksum>
+// The checksum is the start of the SHA-256 of everything before it, so typing errors are caught per share
+import { getKaspa, isInitialized } from './init.js';
+import { sha256Hex } from './payload-integrity.js';
+import { bytesToHex, hexToBytes } from './encoding-utils.js';
+
+const SHARE_PREFIX = 'KSS1';
+const MIN_SHARES = 2;
+const MAX_SHARES = 16;
+const CHECKSUM_LENGTH = 8;
+const SHARE_PATTERN = /^KSS1-([0-9A-F]{4})-(\d{1,2})OF(\d{1,2})-(\d{1,2})-([0-9A-F]+)-([0-9A-F]{8})$/;
+
+// Entropy sizes of 12 and 24 word phrases; the SDK rebuilds phrases from entropy of these lengths only
+const WORD_COUNTS_BY_ENTROPY_BYTES = { 16: 12, 32: 24 };
+
+// GF(256) with the AES polynomial x^8 + x^4 + x^3 + x + 1 and generator 3
+const GF_EXP = new Uint8Array(510);
+const GF_LOG = new Uint8Array(256);
+(() => {
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = value;
+        GF_LOG[value] = i;
+        value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+    }
+    for (let i = 255; i < 510; i++) {
+        GF_EXP[i] = GF_EXP[i - 255];
+    }
+})();
+
+function gfMultiply(a, b) {
+    return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+function gfDivide(a, b) {
+    return a === 0 ? 0 : GF_EXP[GF_LOG[a] + 255 - GF_LOG[b]];
+}
+
+// Share y values for x = 1..total of a random polynomial per byte whose constant term is the secret byte
+function splitSecret(secret, threshold, total) {
+    const shares = Array.from({ length: total }, (_, i) => ({ index: i + 1, data: new Uint8Array(secret.length) }));
+    const coefficients = new Uint8Array(threshold - 1);
+
+    for (let position = 0; position < secret.length; position++) {
+        crypto.getRandomValues(coefficients);
+        for (const share of shares) {
+            // Horner's rule, highest coefficient first
+            let y = 0;
+            for (let c = coefficients.length - 1; c >= 0; c--) {
+                y = gfMultiply(y, share.index) ^ coefficients[c];
+            }
+            share.data[position] = gfMultiply(y, share.index) ^ secret[position];
+        }
+    }
+    coefficients.fill(0);
+    return shares;
+}
+
+// Lagrange interpolation at x = 0 over exactly threshold shares with distinct indexes
+function combineSecret(shares) {
+    const secret = new Uint8Array(shares[0].data.length);
+    for (let position = 0; position < secret.length; position++) {
+        let value = 0;
+        for (const share of shares) {
+            let basis = 1;
+            for (const other of shares) {
+                if (other.index !== share.index) {
+                    basis = gfMultiply(basis, gfDivide(other.index, other.index ^ share.index));
+                }
+            }
+            value ^= gfMultiply(share.data[position], basis);
+        }
+        secret[position] = value;
+    }
+    return secret;
+}
+
+async function shareChecksum(body) {
+    return (await sha256Hex(body)).substring(0, CHECKSUM_LENGTH).toUpperCase();
+}
+
+// Share text without the whitespace and case differences of a hand-written copy
+function normalizeShareText(text) {
+    return (typeof text === 'string' ? text : '').replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Split a recovery phrase into M-of-N shares
+ * @param {string} mnemonic - 12 or 24 word recovery phrase
+ * @param {number} threshold - Shares needed to recover (M)
+ * @param {number} total - Shares created (N)
+ * @returns {Promise<Object>} - { success, error, setId, threshold, total, shares: [{ index, text }] }
+ */
+async function createMnemonicShares(mnemonic, threshold, total) {
+    if (!isInitialized()) {
+        return { success: false, error: 'Kaspa WASM not initialized' };
+    }
+    if (!Number.isInteger(threshold) || !Number.isInteger(total) || threshold < MIN_SHARES || total < threshold || total > MAX_SHARES) {
+        return { success: false, error: `Choose between ${MIN_SHARES} and ${MAX_SHARES} shares, and a threshold from ${MIN_SHARES} up to the number of shares` };
+    }
+
+    try {
+        const { Mnemonic } = getKaspa();
+        const entropy = hexToBytes(new Mnemonic(mnemonic.trim()).entropy);
+        if (!WORD_COUNTS_BY_ENTROPY_BYTES[entropy.length]) {
+            return { success: false, error: 'Only 12 and 24 word recovery phrases can be split into shares' };
+        }
+
+        const setId = bytesToHex(crypto.getRandomValues(new Uint8Array(2))).toUpperCase();
+        const shares = [];
+        for (const share of splitSecret(entropy, threshold, total)) {
+            const body = `${SHARE_PREFIX}-${setId}-${threshold}OF${total}-${share.index}-${bytesToHex(share.data).toUpperCase()}`;
+            shares.push({ index: share.index, text: `${body}-${await shareChecksum(body)}` });
+        }
+        entropy.fill(0);
+
+        return { success: true, setId, threshold, total, shares };
+    } catch (error) {
+        return { success: false, error: 'Failed to split the recovery phrase: ' + (error.message || error) };
+    }
+}
+
+/**
+ * Parse and checksum a single share
+ * @param {string} text - Share text; spaces, line breaks and lowercase are accepted
+ * @returns {Promise<Object>} - { valid, error, share: { setId, threshold, total, index, data, text } }
+ */
+async function parseShare(text) {
+    const normalized = normalizeShareText(text);
+    if (!normalized.startsWith(`${SHARE_PREFIX}-`)) {
+        return { valid: false, error: `Not a recovery share - shares start with ${SHARE_PREFIX}-` };
+    }
+
+    const match = SHARE_PATTERN.exec(normalized);
+    if (!match) {
+        return { valid: false, error: 'Share is incomplete or has characters missing' };
+    }
+
+    const [, setId, threshold, total, index, dataHex, checksum] = match;
+    const body = normalized.substring(0, normalized.length - CHECKSUM_LENGTH - 1);
+    if (await shareChecksum(body) !== checksum) {
+        return { valid: false, error: `Checksum mismatch in share ${index} - check it for typing errors` };
+    }
+
+    const share = {
+        setId,
+        threshold: Number(threshold),
+        total: Number(total),
+        index: Number(index),
+        data: hexToBytes(dataHex),
+        text: normalized
+    };
+    if (share.threshold < MIN_SHARES || share.total < share.threshold || share.index < 1 || share.index > share.total ||
+        !WORD_COUNTS_BY_ENTROPY_BYTES[share.data.length]) {
+        return { valid: false, error: `Share ${index} has an invalid header` };
+    }
+
+    return { valid: true, share };
+}
+
+// Phrase from exactly threshold parsed shares of one set
+function rebuildMnemonic(shares) {
+    const { Mnemonic } = getKaspa();
+    const entropy = combineSecret(shares);
+    const mnemonic = Mnemonic.random(WORD_COUNTS_BY_ENTROPY_BYTES[entropy.length]);
+    mnemonic.entropy = bytesToHex(entropy);
+    entropy.fill(0);
+
+    if (!Mnemonic.validate(mnemonic.phrase)) {
+        throw new Error('rebuilt phrase failed validation');
+    }
+    return mnemonic.phrase;
+}
+
+// Parse shares and check they belong to one set; duplicates are dropped
+async function collectShares(shareTexts) {
+    const shares = [];
+    for (const text of shareTexts.filter(entry => normalizeShareText(entry))) {
+        const parsed = await parseShare(text);
+        if (!parsed.valid) {
+            return { success: false, error: parsed.error };
+        }
+
+        const share = parsed.share;
+        const first = shares[0];
+        if (first && (share.setId !== first.setId || share.threshold !== first.threshold || share.total !== first.total)) {
+            return { success: false, error: `Share ${share.index} belongs to another backup (set ${share.setId}, expected ${first.setId})` };
+        }
+        if (!shares.some(existing => existing.index === share.index)) {
+            shares.push(share);
+        }
+    }
+
+    if (shares.length === 0) {
+        return { success: false, error: 'Enter the recovery shares' };
+    }
+    const { setId, threshold } = shares[0];
+    if (shares.length < threshold) {
+        return { success: false, error: `${shares.length} of the ${threshold} shares needed for set ${setId} entered` };
+    }
+    return { success: true, shares };
+}
+
+/**
+ * Rebuild the recovery phrase from shares of one set
+ * @param {Array<string>} shareTexts - At least M shares; duplicates are ignored
+ * @returns {Promise<Object>} - { success, error, mnemonic, setId, threshold, total, used }
+ */
+async function combineMnemonicShares(shareTexts) {
+    if (!isInitialized()) {
+        return { success: false, error: 'Kaspa WASM not initialized' };
+    }
+
+    const collected = await collectShares(shareTexts);
+    if (!collected.success) {
+        return collected;
+    }
+
+    const { setId, threshold, total } = collected.shares[0];
+    try {
+        const mnemonic = rebuildMnemonic(collected.shares.slice(0, threshold));
+        return { success: true, mnemonic, setId, threshold, total, used: threshold };
+    } catch (error) {
+        return { success: false, error: 'Could not rebuild the recovery phrase: ' + (error.message || error) };
+    }
+}
+
+// All ways to pick size items from list, in order
+function combinations(list, size) {
+    if (size === 0) {
+        return [[]];
+    }
+    return list.flatMap((item, i) => combinations(list.slice(i + 1), size - 1).map(rest => [item, ...rest]));
+}
+
+/**
+ * Check that shares rebuild the expected phrase; every M-share combination is tried,
+ * so a freshly created set is proven to recover from any M of its shares
+ * @param {Array<string>} shareTexts - Shares to check
+ * @param {string} mnemonic - Phrase the shares must rebuild
+ * @returns {Promise<Object>} - { success, error, combinations }
+ */
+async function verifyMnemonicShares(shareTexts, mnemonic) {
+    if (!isInitialized()) {
+        return { success: false, error: 'Kaspa WASM not initialized' };
+    }
+
+    const collected = await collectShares(shareTexts);
+    if (!collected.success) {
+        return collected;
+    }
+
+    const expected = mnemonic.trim().split(/\s+/).join(' ');
+    const subsets = combinations(collected.shares, collected.shares[0].threshold);
+    try {
+        for (const subset of subsets) {
+            if (rebuildMnemonic(subset) !== expected) {
+                return { success: false, error: 'Shares rebuild a different recovery phrase' };
+            }
+        }
+    } catch (error) {
+        return { success: false, error: 'Could not rebuild the recovery phrase: ' + (error.message || error) };
+    }
+
+    return { success: true, combinations: subsets.length };
+}
+
+// Share text with the share data in groups of four for writing down
+function formatShareForWriting(text) {
+    const parts = normalizeShareText(text).split('-');
+    if (parts.length !== 6) {
+        return text;
+    }
+    parts[4] = parts[4].match(/.{1,4}/g).join(' ');
+    return parts.join('-');
+}
+
+export {
+    MIN_SHARES,
+    MAX_SHARES,
+    createMnemonicShares,
+    parseShare,
+    combineMnemonicShares,
+    verifyMnemonicShares,
+    formatShareForWriting
+};
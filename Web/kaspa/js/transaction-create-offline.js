@@ -3,6 +3,12 @@
 import { getKaspa, isInitialized } from './init.js';
 import { sompiToKas, kasToSompi, kasNumberToSompi } from './currency-utils.js';
 import { calculateBalanceFromUTXOs } from './balance-manager.js';
+import { createFallbackFeeEstimate, getFeeRateForOption, estimateFeeInSompi } from './fee-calculator.js';
+import { normalizeRecipients, buildBatchTransactions, buildSweepTransactions, expandBatchResults, getRecipientsTotal } from './batch-payments.js';
+import { applyCoinControl } from './coin-control.js';
+import { selectUTXOs, describeSelection } from './utxo-selection.js';
+import { normalizePayload } from './transaction-payload.js';
+import { checkUtxoSnapshot } from './utxo-snapshot.js';
 
 // Helper function to extract scriptPublicKey data from WASM objects
 function extractScriptPublicKeyData(scriptPublicKey) {
@@ -138,6 +144,44 @@ function normalizeAddressForUTXO(address, networkType) {
     }
 }
 
+// Convert cached UTXO entries into plain objects that survive QR/JSON export for offline signing
+function serializeCachedUTXOEntries(entries) {
+    return entries.map((entry, idx) => {
+        
+        // Convert Address object back to string for QR storage
+        const normalizedAddress = entry.address ? entry.address.toString() : null;
+        if (!normalizedAddress) {
+            console.warn('Failed to get address string for UTXO entry:', entry);
+        }
+        
+        // Extract outpoint data more robustly
+        let outpoint;
+        if (entry.outpoint) {
+            outpoint = {
+                transactionId: entry.outpoint.transactionId || entry.outpoint.txId || entry.outpoint.id,
+                index: entry.outpoint.index !== undefined ? entry.outpoint.index : 
+                       (entry.index !== undefined ? entry.index : 0)
+            };
+        } else {
+            // Fallback: try to construct outpoint from direct properties
+            outpoint = {
+                transactionId: entry.transactionId || entry.txId || entry.id || `fallback_${Date.now()}_${idx}`,
+                index: entry.index !== undefined ? entry.index : 0
+            };
+        }
+        
+        return {
+            outpoint: outpoint,
+            address: normalizedAddress,
+            amount: entry.amount || entry.value,
+            scriptPublicKey: extractScriptPublicKeyData(entry.scriptPublicKey),
+            blockDaaScore: entry.blockDaaScore,
+            // Additional metadata that might be useful for offline signing
+            isCoinbase: entry.isCoinbase || false
+        };
+    });
+}
+
 // Create transaction using cached UTXOs (offline mode)
 async function createOfflineTransaction(fromAddress, toAddress, amount, networkType, cachedUTXOs, options = {}) {
 
@@ -153,20 +197,47 @@ async function createOfflineTransaction(fromAddress, toAddress, amount, networkT
         const kaspa = getKaspa();
         const { createTransactions } = kaspa;
 
+        // Batch mode: several recipients, each with an amount and optional label
+        let recipients = null;
+        if (options.recipients) {
+            const recipientCheck = normalizeRecipients(options.recipients);
+            if (!recipientCheck.valid) {
+                throw new Error(recipientCheck.error);
+            }
+            recipients = recipientCheck.recipients;
+        }
+
+        // Optional data carrier (memo / anchoring) as hex
+        const payloadCheck = normalizePayload(options.payload);
+        if (!payloadCheck.valid) {
+            throw new Error(payloadCheck.error);
+        }
+        const payload = payloadCheck.hex;
+
+        // Send max: sweep every cached UTXO to toAddress, the amount is whatever is left after the fee
+        const sendMax = !recipients && options.sendMax === true;
+
         // Convert KAS to sompi manually
         const amountFloat = parseFloat(amount);
 
-        if (isNaN(amountFloat) || amountFloat <= 0) {
+        if (!recipients && !sendMax && (isNaN(amountFloat) || amountFloat <= 0)) {
             throw new Error('Invalid amount: must be a positive number');
         }
 
         // Safe conversion using currency utilities
-        const amountInSompi = kasNumberToSompi(amountFloat);
+        const amountInSompi = recipients ? getRecipientsTotal(recipients) :
+            sendMax ? 0n : kasNumberToSompi(amountFloat);
+
 
 
+        // Coin control: drop locked UTXOs, or restrict to the hand-selected set
+        const coinControl = applyCoinControl(cachedUTXOs.utxos, options.coinControl);
+        if (!coinControl.success) {
+            throw new Error(coinControl.error);
+        }
 
         // FIX: Use WASM SDK deserialization methods to properly convert WASM objects
-        const entries = cachedUTXOs.utxos.map((utxo, index) => {
+        const entries = coinControl.utxos.map((utxo, index) => {
 
 
             // Convert WASM address object to string using SDK methods
@@ -283,8 +354,14 @@ async function createOfflineTransaction(fromAddress, toAddress, amount, networkT
         const { feeOption = 'normal', changeAddress = fromAddress, manualFeeKas } = options;
         
         let priorityFee;
+        let feeRate;
+        let feeEstimate = null;
         let isManualFee = false;
         
+        if (sendMax && manualFeeKas !== undefined && manualFeeKas !== null) {
+            throw new Error('Send max calculates the fee from the transaction mass and cannot use a manual fee');
+        }
+        
         if (manualFeeKas !== undefined && manualFeeKas !== null) {
             // Manual fee mode
             const manualFeeFloat = parseFloat(manualFeeKas);
@@ -294,34 +371,131 @@ async function createOfflineTransaction(fromAddress, toAddress, amount, networkT
             priorityFee = kasNumberToSompi(manualFeeFloat);
             isManualFee = true;
         } else {
-            // Automatic fee calculation based on option
-            const priorityFeeRates = {
-                'slow': 0n,
-                'normal': 1000n, 
-                'fast': 5000n
-            };
-            priorityFee = priorityFeeRates[feeOption] || priorityFeeRates['normal'];
+            // No network here - use the supplied snapshot, the one cached with the UTXOs, or the fallback rates
+            feeEstimate = options.feeEstimate || cachedUTXOs.feeEstimate || createFallbackFeeEstimate(networkType);
+            feeRate = getFeeRateForOption(feeEstimate, feeOption);
+            priorityFee = 0n;
         }
         
         // Check if we have enough balance including fee
-        const totalRequired = amountInSompi + priorityFee;
+        const estimatedFee = isManualFee ? priorityFee : estimateFeeInSompi(1, 2, feeRate, payloadCheck.byteLength);
+        const totalRequired = amountInSompi + estimatedFee;
         
         if (totalBalance < totalRequired) {
             const balanceKas = sompiToKas(totalBalance);
             const requiredKas = sompiToKas(totalRequired);
-            throw new Error(`Insufficient funds. Available: ${balanceKas} KAS, Required: ${requiredKas} KAS (amount + fee)`);
+            throw new Error(`Insufficient funds${coinControl.manual ? ' in selected UTXOs' : ''}. Available: ${balanceKas} KAS, Required: ${requiredKas} KAS (amount + fee)`);
         }
                 
 
 
+        if (recipients) {
+            const batches = await buildBatchTransactions({
+                entries,
+                recipients,
+                changeAddress,
+                networkType,
+                priorityFee,
+                feeRate: isManualFee ? undefined : feeRate,
+                payload,
+                selectionStrategy: coinControl.manual ? null : options.selectionStrategy
+            });
+            
+            return expandBatchResults(batches, {
+                transactionId: (isManualFee ? 'offline_manual_' : 'offline_auto_') + Date.now() + '_' + Math.random().toString(36).substring(7),
+                fromAddress: fromAddress,
+                changeAddress: changeAddress,
+                networkType: networkType,
+                status: 'created_offline',
+                feeMode: isManualFee ? 'manual' : feeOption,
+                feeEstimate: feeEstimate,
+                payload: payload,
+                utxoSource: 'cached',
+                utxoTimestamp: cachedUTXOs.timestamp,
+                utxoCount: cachedUTXOs.count || entries.length,
+                sourceAddresses: sourceAddresses,
+                isMultiAddress: sourceAddresses.length > 1
+            }, (batch) => ({
+                fee: {
+                    priorityFee: priorityFee.toString(),
+                    // The SDK's total: mass fee plus the manual priority fee
+                    feeInSompi: batch.summary.fees,
+                    feeInKas: sompiToKas(batch.summary.fees),
+                    feeRate: isManualFee ? null : feeRate,
+                    estimatedSeconds: feeEstimate?.rates?.[feeOption]?.estimatedSeconds ?? null,
+                    manual: isManualFee
+                },
+                selection: batch.selection,
+                utxoEntries: serializeCachedUTXOEntries(batch.entries)
+            }));
+        }
+
+        if (sendMax) {
+            const { batches, skippedEntries } = await buildSweepTransactions({
+                entries,
+                toAddress,
+                networkType,
+                feeRate,
+                payload
+            });
+            
+            return expandBatchResults(batches, {
+                transactionId: 'offline_auto_' + Date.now() + '_' + Math.random().toString(36).substring(7),
+                fromAddress: fromAddress,
+                changeAddress: toAddress,
+                networkType: networkType,
+                status: 'created_offline',
+                feeMode: feeOption,
+                feeEstimate: feeEstimate,
+                sweep: true,
+                skippedUtxoCount: skippedEntries.length,
+                payload: payload,
+                utxoSource: 'cached',
+                utxoTimestamp: cachedUTXOs.timestamp,
+                utxoCount: cachedUTXOs.count || entries.length,
+                sourceAddresses: sourceAddresses,
+                isMultiAddress: sourceAddresses.length > 1
+            }, (batch) => ({
+                fee: {
+                    priorityFee: '0',
+                    feeInSompi: batch.summary.fees,
+                    feeInKas: sompiToKas(batch.summary.fees),
+                    feeRate: feeRate,
+                    estimatedSeconds: feeEstimate?.rates?.[feeOption]?.estimatedSeconds ?? null,
+                    manual: false
+                },
+                utxoEntries: serializeCachedUTXOEntries(batch.entries)
+            }));
+        }
+
+        // Apply the selection strategy unless the inputs were hand-picked
+        let utxoSelection = null;
+        let transactionEntries = entries;
+        if (!coinControl.manual) {
+            utxoSelection = selectUTXOs(entries, amountInSompi, {
+                strategy: options.selectionStrategy,
+                feeRate: feeRate,
+                fixedFee: isManualFee ? priorityFee : undefined,
+                payloadBytes: payloadCheck.byteLength
+            });
+
+            if (utxoSelection.sufficient) {
+                transactionEntries = utxoSelection.selected;
+            } else if (utxoSelection.error) {
+                throw new Error(utxoSelection.error);
+            }
+        }
+
         // Create transaction - EXACT same call as working online version
         const { transactions, summary } = await createTransactions({
-            entries,
+            entries: transactionEntries,
             outputs: [{
                 address: toAddress,
                 amount: amountInSompi
             }],
             priorityFee: priorityFee,
+            ...(isManualFee ? {} : { feeRate: feeRate }),
+            ...(payload ? { payload: payload } : {}),
             changeAddress: changeAddress,
             networkId: networkType
         });
@@ -357,14 +531,22 @@ async function createOfflineTransaction(fromAddress, toAddress, amount, networkT
             amountInSompi: amountInSompi.toString(),
             fee: {
                 priorityFee: priorityFee.toString(),
-                feeInSompi: priorityFee.toString(),
-                feeInKas: sompiToKas(priorityFee),
+                feeInSompi: isManualFee ? priorityFee.toString() : summary.fees,
+                feeInKas: sompiToKas(isManualFee ? priorityFee : summary.fees),
+                feeRate: isManualFee ? null : feeRate,
+                estimatedSeconds: feeEstimate?.rates?.[feeOption]?.estimatedSeconds ?? null,
                 manual: isManualFee
             },
             summary: summary,
             networkType: networkType,
             status: 'created_offline',
             feeMode: isManualFee ? 'manual' : feeOption,
+            // Snapshot of the estimate used, so the signing device can see how current it was
+            feeEstimate: feeEstimate,
+            // What the selection strategy expected (null when inputs were hand-picked or left to the SDK)
+            selection: describeSelection(utxoSelection),
+            // Data carrier hex ('' when none)
+            payload: payload,
             utxoSource: 'cached',
             utxoTimestamp: cachedUTXOs.timestamp,
             utxoCount: cachedUTXOs.count || entries.length,
@@ -373,40 +555,7 @@ async function createOfflineTransaction(fromAddress, toAddress, amount, networkT
             inputAddresses: [...new Set(inputAddresses)], // Actual addresses used in transaction inputs
             isMultiAddress: sourceAddresses.length > 1 || inputAddresses.length > 1,
             // CRITICAL: Preserve original UTXO entries for offline QR generation
-            utxoEntries: entries.map((entry, idx) => {
-                
-                // Convert Address object back to string for QR storage
-                const normalizedAddress = entry.address ? entry.address.toString() : null;
-                if (!normalizedAddress) {
-                    console.warn('Failed to get address string for UTXO entry:', entry);
-                }
-                
-                // Extract outpoint data more robustly
-                let outpoint;
-                if (entry.outpoint) {
-                    outpoint = {
-                        transactionId: entry.outpoint.transactionId || entry.outpoint.txId || entry.outpoint.id,
-                        index: entry.outpoint.index !== undefined ? entry.outpoint.index : 
-                               (entry.index !== undefined ? entry.index : 0)
-                    };
-                } else {
-                    // Fallback: try to construct outpoint from direct properties
-                    outpoint = {
-                        transactionId: entry.transactionId || entry.txId || entry.id || `fallback_${Date.now()}_${idx}`,
-                        index: entry.index !== undefined ? entry.index : 0
-                    };
-                }
-                
-                return {
-                    outpoint: outpoint,
-                    address: normalizedAddress,
-                    amount: entry.amount || entry.value,
-                    scriptPublicKey: extractScriptPublicKeyData(entry.scriptPublicKey),
-                    blockDaaScore: entry.blockDaaScore,
-                    // Additional metadata that might be useful for offline signing
-                    isCoinbase: entry.isCoinbase || false
-                };
-            })
+            utxoEntries: serializeCachedUTXOEntries(transactionEntries)
         };
 
     } catch (error) {
@@ -452,8 +601,8 @@ async function createOfflineTransactionWithManualFee(fromAddress, toAddress, amo
     });
 }
 
-// Validate cached UTXO data
-function validateCachedUTXOs(cachedUTXOs, networkType) {
+// Validate cached UTXO data; options.walletAddresses rejects snapshots taken for another wallet
+function validateCachedUTXOs(cachedUTXOs, networkType, options = {}) {
     if (!cachedUTXOs) {
         return {
             valid: false,
@@ -482,15 +631,19 @@ function validateCachedUTXOs(cachedUTXOs, networkType) {
         };
     }
     
-    // Check if UTXOs are too old (optional warning)
-    const maxAge = 30 * 60 * 1000; // 30 minutes
-    const now = Date.now();
-    const age = now - (cachedUTXOs.timestamp || 0);
+    // Staleness, outpoint/address consistency and snapshot signature
+    const { errors, warnings } = checkUtxoSnapshot(cachedUTXOs, options);
+    if (errors.length > 0) {
+        return {
+            valid: false,
+            error: errors.join(' ')
+        };
+    }
     
-    if (age > maxAge) {
+    if (warnings.length > 0) {
         return {
             valid: true,
-            warning: `UTXO data is ${Math.floor(age / 60000)} minutes old. Consider refreshing for accuracy.`
+            warning: warnings.join(' ')
         };
     }
     
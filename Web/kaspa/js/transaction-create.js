@@ -1,71 +1,14 @@
 // Kaspa Transaction Creation Module
 import { getKaspa, isInitialized } from './init.js';
-import { calculateTransactionFee } from './fee-calculator.js';
+import { getNetworkFeeRate, getFeeRateForOption, estimateFeeInSompi } from './fee-calculator.js';
 import { fetchUTXOsForAddress, fetchUTXOsForAddresses } from './address-scanner.js';
-import { MAX_UTXOS_PER_TRANSACTION, UTXO_CONSOLIDATION_THRESHOLD } from './constants.js';
+import { UTXO_CONSOLIDATION_THRESHOLD } from './constants.js';
 import { sompiToKas, kasNumberToSompi, kasToSompi } from './currency-utils.js';
 import { getSingleWallet } from './wallet-manager.js';
-
-// Smart UTXO selection to avoid storage mass limits
-function selectOptimalUTXOs(utxos, requiredAmount, maxUtxos = MAX_UTXOS_PER_TRANSACTION) {
-    if (!utxos || utxos.length === 0) {
-        return { selected: [], totalValue: 0n, sufficient: false };
-    }
-
-    // Convert UTXOs to a standardized format and sort by value (largest first)
-    const standardizedUtxos = utxos.map(utxo => ({
-        original: utxo,
-        value: BigInt(utxo.amount || utxo.value || 0)
-    })).sort((a, b) => {
-        // Sort by value descending (largest first)
-        if (a.value > b.value) return -1;
-        if (a.value < b.value) return 1;
-        return 0;
-    });
-
-    let selectedUtxos = [];
-    let totalValue = 0n;
-    const requiredAmountBigInt = BigInt(requiredAmount);
-
-    // Strategy 1: Try to find a single UTXO that covers the amount (best for privacy and fees)
-    for (const utxo of standardizedUtxos) {
-        if (utxo.value >= requiredAmountBigInt) {
-            return {
-                selected: [utxo.original],
-                totalValue: utxo.value,
-                sufficient: true,
-                strategy: 'single-utxo'
-            };
-        }
-    }
-
-    // Strategy 2: Select largest UTXOs first until we have enough (greedy approach)
-    for (const utxo of standardizedUtxos) {
-        if (selectedUtxos.length >= maxUtxos) {
-            break;
-        }
-        
-        selectedUtxos.push(utxo.original);
-        totalValue += utxo.value;
-        
-        if (totalValue >= requiredAmountBigInt) {
-            return {
-                selected: selectedUtxos,
-                totalValue: totalValue,
-                sufficient: true,
-                strategy: 'greedy-selection'
-            };
-        }
-    }
-
-    // If we reach here, we don't have enough funds even with all UTXOs
-    return {
-        selected: selectedUtxos,
-        totalValue: totalValue,
-        sufficient: false,
-        strategy: 'insufficient-funds'
-    };
-}
+import { normalizeRecipients, buildBatchTransactions, buildSweepTransactions, expandBatchResults, getRecipientsTotal } from './batch-payments.js';
+import { applyCoinControl, getUtxosTotal } from './coin-control.js';
+import { selectUTXOs, describeSelection } from './utxo-selection.js';
+import { normalizePayload } from './transaction-payload.js';
 
 // Legacy wrapper for backward compatibility
 async function fetchUTXOs(address, networkType) {
@@ -231,8 +174,45 @@ function extractScriptPublicKeyData(scriptPublicKey) {
     };
 }
 
+// Convert UTXO entries into plain objects that survive QR/JSON export for offline signing
+function serializeUTXOEntries(entries, networkType) {
+    return entries.map((entry, idx) => {
+        
+        const normalizedAddress = normalizeAddressForUTXO(entry.address, networkType);
+        if (!normalizedAddress) {
+            console.warn('Failed to normalize address for UTXO entry:', entry);
+        }
+        
+        // Extract outpoint data more robustly
+        let outpoint;
+        if (entry.outpoint) {
+            outpoint = {
+                transactionId: entry.outpoint.transactionId || entry.outpoint.txId || entry.outpoint.id,
+                index: entry.outpoint.index !== undefined ? entry.outpoint.index : 
+                       (entry.index !== undefined ? entry.index : 0)
+            };
+        } else {
+            // Fallback: try to construct outpoint from direct properties
+            outpoint = {
+                transactionId: entry.transactionId || entry.txId || entry.id || `fallback_${Date.now()}_${idx}`,
+                index: entry.index !== undefined ? entry.index : 0
+            };
+        }
+        
+        return {
+            outpoint: outpoint,
+            address: normalizedAddress,
+            amount: entry.amount || entry.value,
+            scriptPublicKey: extractScriptPublicKeyData(entry.scriptPublicKey),
+            blockDaaScore: entry.blockDaaScore,
+            // Additional metadata that might be useful for offline signing
+            isCoinbase: entry.isCoinbase || false
+        };
+    });
+}
+
 // Create transaction using Kaspa WASM SDK createTransactions with manual fee
-async function createTransactionWithManualFee(fromAddress, toAddress, amount, manualFeeKas, networkType) {
+async function createTransactionWithManualFee(fromAddress, toAddress, amount, manualFeeKas, networkType, options = {}) {
     if (!isInitialized()) {
         throw new Error('Kaspa WASM not initialized');
     }
@@ -266,8 +246,15 @@ async function createTransactionWithManualFee(fromAddress, toAddress, amount, ma
         
         const totalRequired = amountInSompi + manualFeeInSompi;
         
-        // Use smart UTXO selection to avoid storage mass limits
-        const utxoSelection = selectOptimalUTXOs(allEntries, totalRequired);
+        // Select inputs with the chosen strategy; the manual fee is fixed regardless of input count
+        const utxoSelection = selectUTXOs(allEntries, amountInSompi, {
+            strategy: options.selectionStrategy,
+            fixedFee: manualFeeInSompi
+        });
+        
+        if (!utxoSelection.sufficient && utxoSelection.error) {
+            throw new Error(utxoSelection.error);
+        }
         
         if (!utxoSelection.sufficient) {
             const availableKas = sompiToKas(utxoSelection.totalValue);
@@ -296,7 +283,11 @@ async function createTransactionWithManualFee(fromAddress, toAddress, amount, ma
             if (wasmError.message && wasmError.message.includes('Storage mass exceeds maximum')) {
                 // Try with fewer UTXOs
                 const reducedMaxUtxos = Math.max(10, Math.floor(entries.length / 2));                
-                const reducedSelection = selectOptimalUTXOs(allEntries, totalRequired, reducedMaxUtxos);
+                const reducedSelection = selectUTXOs(allEntries, amountInSompi, {
+                    strategy: options.selectionStrategy,
+                    fixedFee: manualFeeInSompi,
+                    maxUtxos: reducedMaxUtxos
+                });
                 
                 if (!reducedSelection.sufficient) {
                     throw new Error(`Transaction too large: This transaction would require ${entries.length} UTXOs, but the maximum allowed is ${reducedMaxUtxos}. Consider consolidating your UTXOs first by sending smaller amounts to yourself.`);
@@ -347,40 +338,9 @@ async function createTransactionWithManualFee(fromAddress, toAddress, amount, ma
             networkType: networkType,
             status: 'created',
             feeMode: 'manual',
+            selection: describeSelection(utxoSelection),
             // CRITICAL: Preserve original UTXO entries for offline QR generation
-            utxoEntries: entries.map((entry, idx) => {
-                
-                const normalizedAddress = normalizeAddressForUTXO(entry.address, networkType);
-                if (!normalizedAddress) {
-                    console.warn('Failed to normalize address for UTXO entry:', entry);
-                }
-                
-                // Extract outpoint data more robustly
-                let outpoint;
-                if (entry.outpoint) {
-                    outpoint = {
-                        transactionId: entry.outpoint.transactionId || entry.outpoint.txId || entry.outpoint.id,
-                        index: entry.outpoint.index !== undefined ? entry.outpoint.index : 
-                               (entry.index !== undefined ? entry.index : 0)
-                    };
-                } else {
-                    // Fallback: try to construct outpoint from direct properties
-                    outpoint = {
-                        transactionId: entry.transactionId || entry.txId || entry.id || `fallback_${Date.now()}_${idx}`,
-                        index: entry.index !== undefined ? entry.index : 0
-                    };
-                }
-                
-                return {
-                    outpoint: outpoint,
-                    address: normalizedAddress,
-                    amount: entry.amount || entry.value,
-                    scriptPublicKey: extractScriptPublicKeyData(entry.scriptPublicKey),
-                    blockDaaScore: entry.blockDaaScore,
-                    // Additional metadata that might be useful for offline signing
-                    isCoinbase: entry.isCoinbase || false
-                };
-            })
+            utxoEntries: serializeUTXOEntries(entries, networkType)
         };
 
     } catch (error) {
@@ -439,16 +399,37 @@ async function createTransaction(fromAddress, toAddress, amount, networkType, op
     try {
         const { createTransactions, kaspaToSompi } = kaspa;
         
+        // Batch mode: several recipients, each with an amount and optional label
+        let recipients = null;
+        if (options.recipients) {
+            const recipientCheck = normalizeRecipients(options.recipients);
+            if (!recipientCheck.valid) {
+                throw new Error(recipientCheck.error);
+            }
+            recipients = recipientCheck.recipients;
+        }
+        
+        // Optional data carrier (memo / anchoring) as hex
+        const payloadCheck = normalizePayload(options.payload);
+        if (!payloadCheck.valid) {
+            throw new Error(payloadCheck.error);
+        }
+        const payload = payloadCheck.hex;
+        
+        // Send max: sweep every UTXO to toAddress, the amount is whatever is left after the fee
+        const sendMax = !recipients && options.sendMax === true;
+        
         // Convert KAS to sompi manually (kaspaToSompi was causing index out of bounds)
         const amountFloat = parseFloat(amount);
         
-        if (isNaN(amountFloat) || amountFloat <= 0) {
+        if (!recipients && !sendMax && (isNaN(amountFloat) || amountFloat <= 0)) {
             console.error('Invalid amount:', amountFloat);
             throw new Error('Invalid amount: must be a positive number');
         }
         
         // Safe conversion using currency utilities
-        const amountInSompi = kasNumberToSompi(amountFloat);
+        const amountInSompi = recipients ? getRecipientsTotal(recipients) :
+            sendMax ? 0n : kasNumberToSompi(amountFloat);
         
         // Check if we have multiple addresses (HD wallet) or single address
         let entries;
@@ -506,26 +487,122 @@ async function createTransaction(fromAddress, toAddress, amount, networkType, op
             throw new Error('No UTXOs found for this address. The address either has no balance, does not exist on the network, or all UTXOs are already spent. Please check the address and ensure it has sufficient funds.');
         }
         
-        // Extract options and calculate priority fee BEFORE UTXO selection
+        // Coin control: drop locked UTXOs, or restrict to the hand-selected set
+        const coinControl = applyCoinControl(entries, options.coinControl);
+        if (!coinControl.success) {
+            throw new Error(coinControl.error);
+        }
+        entries = coinControl.utxos;
+        const manualSelection = coinControl.manual;
+        
+        // Extract options and resolve the fee rate BEFORE UTXO selection
         const { feeOption = 'normal', changeAddress } = options;
         const finalChangeAddress = changeAddress || fromAddress;
         
-        // Calculate priority fee based on option
-        const priorityFeeRates = {
-            'slow': 0n,
-            'normal': 1000n, 
-            'fast': 5000n
-        };
-        const priorityFee = priorityFeeRates[feeOption] || priorityFeeRates['normal'];
+        // Use the caller's estimate snapshot when supplied, otherwise ask the node
+        const feeEstimate = options.feeEstimate || await getNetworkFeeRate(networkType);
+        const feeRate = getFeeRateForOption(feeEstimate, feeOption);
+        const priorityFee = 0n;
         
-        // Apply smart UTXO selection to avoid storage mass limits
-        const totalRequired = amountInSompi + priorityFee; // Rough estimate, actual fee will be calculated by WASM
-        const utxoSelection = selectOptimalUTXOs(entries, totalRequired);
+        if (recipients) {
+            // Each batch picks its inputs with the selection strategy; hand-picked UTXOs are all offered as they are
+            const batches = await buildBatchTransactions({
+                entries,
+                recipients,
+                changeAddress: finalChangeAddress,
+                networkType,
+                priorityFee,
+                feeRate,
+                payload,
+                selectionStrategy: manualSelection ? null : options.selectionStrategy
+            });
+            
+            return expandBatchResults(batches, {
+                transactionId: 'pending_' + Date.now() + '_' + Math.random().toString(36).substring(7),
+                fromAddress: fromAddress,
+                changeAddress: finalChangeAddress,
+                networkType: networkType,
+                status: 'created',
+                feeMode: 'automatic',
+                feeOption: feeOption,
+                feeEstimate: feeEstimate,
+                payload: payload
+            }, (batch) => ({
+                fee: {
+                    priorityFee: priorityFee.toString(),
+                    feeInSompi: batch.summary.fees,
+                    feeInKas: sompiToKas(batch.summary.fees),
+                    changeAmount: batch.summary.changeAmount ? sompiToKas(batch.summary.changeAmount) : '0.00000000',
+                    feeRate: feeRate,
+                    estimatedSeconds: feeEstimate.rates?.[feeOption]?.estimatedSeconds ?? null,
+                    manual: false
+                },
+                selection: batch.selection,
+                utxoEntries: serializeUTXOEntries(batch.entries, networkType)
+            }));
+        }
         
-        if (!utxoSelection.sufficient) {
-            // Try with all UTXOs if selection wasn't sufficient (maybe fee estimation was off)
+        if (sendMax) {
+            const { batches, skippedEntries } = await buildSweepTransactions({
+                entries,
+                toAddress,
+                networkType,
+                feeRate,
+                payload
+            });
+            
+            return expandBatchResults(batches, {
+                transactionId: 'pending_' + Date.now() + '_' + Math.random().toString(36).substring(7),
+                fromAddress: fromAddress,
+                changeAddress: toAddress,
+                networkType: networkType,
+                status: 'created',
+                feeMode: 'automatic',
+                feeOption: feeOption,
+                feeEstimate: feeEstimate,
+                sweep: true,
+                skippedUtxoCount: skippedEntries.length,
+                payload: payload
+            }, (batch) => ({
+                fee: {
+                    priorityFee: '0',
+                    feeInSompi: batch.summary.fees,
+                    feeInKas: sompiToKas(batch.summary.fees),
+                    changeAmount: '0.00000000',
+                    feeRate: feeRate,
+                    estimatedSeconds: feeEstimate.rates?.[feeOption]?.estimatedSeconds ?? null,
+                    manual: false
+                },
+                utxoEntries: serializeUTXOEntries(batch.entries, networkType)
+            }));
+        }
+        
+        // Apply the selection strategy to avoid storage mass limits
+        const totalRequired = amountInSompi + estimateFeeInSompi(1, 2, feeRate, payloadCheck.byteLength); // Rough estimate, actual fee will be calculated by WASM
+        let utxoSelection = null;
+        
+        if (manualSelection) {
+            // Hand-picked inputs are used as given - no automatic selection
+            const selectedTotal = getUtxosTotal(entries);
+            if (selectedTotal < totalRequired) {
+                throw new Error(`Insufficient funds in selected UTXOs. Selected: ${sompiToKas(selectedTotal)} KAS, Required: ${sompiToKas(totalRequired)} KAS (amount + fee)`);
+            }
         } else {
-            entries = utxoSelection.selected;
+            utxoSelection = selectUTXOs(entries, amountInSompi, {
+                strategy: options.selectionStrategy,
+                feeRate: feeRate,
+                payloadBytes: payloadCheck.byteLength
+            });
+            
+            if (!utxoSelection.sufficient) {
+                if (utxoSelection.error) {
+                    throw new Error(utxoSelection.error);
+                }
+                // Try with all UTXOs if selection wasn't sufficient (maybe fee estimation was off)
+                utxoSelection = null;
+            } else {
+                entries = utxoSelection.selected;
+            }
         }
                 
         let transactions, summary;
@@ -538,16 +615,27 @@ async function createTransaction(fromAddress, toAddress, amount, networkType, op
                     amount: amountInSompi
                 }],
                 priorityFee: priorityFee,
+                feeRate: feeRate,
+                ...(payload ? { payload: payload } : {}),
                 changeAddress: finalChangeAddress, // Use provided change address or fallback to fromAddress
                 networkId: networkType
             }));
         } catch (wasmError) {
             // Handle storage mass exceeded error specifically
             if (wasmError.message && wasmError.message.includes('Storage mass exceeds maximum')) {
+                if (manualSelection) {
+                    throw new Error(`Transaction too large: the ${entries.length} selected UTXOs exceed the mass limit. Select fewer UTXOs.`);
+                }
+                
                 // Try with fewer UTXOs
                 const reducedMaxUtxos = Math.max(10, Math.floor(entries.length / 2));
                 
-                const reducedSelection = selectOptimalUTXOs(entries, amountInSompi, reducedMaxUtxos);
+                const reducedSelection = selectUTXOs(entries, amountInSompi, {
+                    strategy: options.selectionStrategy,
+                    feeRate: feeRate,
+                    payloadBytes: payloadCheck.byteLength,
+                    maxUtxos: reducedMaxUtxos
+                });
                 
                 if (!reducedSelection.sufficient) {
                     throw new Error(`Transaction too large: This transaction would require ${entries.length} UTXOs, but the maximum allowed is ${reducedMaxUtxos}. Consider consolidating your UTXOs first by sending smaller amounts to yourself.`);
@@ -561,6 +649,8 @@ async function createTransaction(fromAddress, toAddress, amount, networkType, op
                         amount: amountInSompi
                     }],
                     priorityFee: priorityFee,
+                    feeRate: feeRate,
+                    ...(payload ? { payload: payload } : {}),
                     changeAddress: finalChangeAddress,
                     networkId: networkType
                 }));
@@ -594,46 +684,23 @@ async function createTransaction(fromAddress, toAddress, amount, networkType, op
                 feeInSompi: summary.fees,
                 feeInKas: sompiToKas(summary.fees),
                 changeAmount: summary.changeAmount ? sompiToKas(summary.changeAmount) : '0.00000000',
+                feeRate: feeRate,
+                estimatedSeconds: feeEstimate.rates?.[feeOption]?.estimatedSeconds ?? null,
                 manual: false // Flag to indicate automatic fee
             },
             summary: summary,
             networkType: networkType,
             status: 'created',
             feeMode: 'automatic',
+            feeOption: feeOption,
+            // Snapshot of the estimate used, so the signing device can see how current it was
+            feeEstimate: feeEstimate,
+            // What the selection strategy expected (null when inputs were hand-picked or left to the SDK)
+            selection: describeSelection(utxoSelection),
+            // Data carrier hex ('' when none)
+            payload: payload,
             // CRITICAL: Preserve original UTXO entries for offline QR generation
-            utxoEntries: entries.map((entry, idx) => {
-                
-                const normalizedAddress = normalizeAddressForUTXO(entry.address, networkType);
-                if (!normalizedAddress) {
-                    console.warn('Failed to normalize address for UTXO entry:', entry);
-                }
-                
-                // Extract outpoint data more robustly
-                let outpoint;
-                if (entry.outpoint) {
-                    outpoint = {
-                        transactionId: entry.outpoint.transactionId || entry.outpoint.txId || entry.outpoint.id,
-                        index: entry.outpoint.index !== undefined ? entry.outpoint.index : 
-                               (entry.index !== undefined ? entry.index : 0)
-                    };
-                } else {
-                    // Fallback: try to construct outpoint from direct properties
-                    outpoint = {
-                        transactionId: entry.transactionId || entry.txId || entry.id || `fallback_${Date.now()}_${idx}`,
-                        index: entry.index !== undefined ? entry.index : 0
-                    };
-                }
-                
-                return {
-                    outpoint: outpoint,
-                    address: normalizedAddress,
-                    amount: entry.amount || entry.value,
-                    scriptPublicKey: extractScriptPublicKeyData(entry.scriptPublicKey),
-                    blockDaaScore: entry.blockDaaScore,
-                    // Additional metadata that might be useful for offline signing
-                    isCoinbase: entry.isCoinbase || false
-                };
-            })
+            utxoEntries: serializeUTXOEntries(entries, networkType)
         };
 
     } catch (error) {
@@ -0,0 +1,314 @@
+// Kaspa Transaction History Module
+// Per-wallet ledger of created, signed and submitted transactions plus incoming payments seen in UTXO scans
+import { getWalletStorage, serializeWalletUpdate } from './wallet-storage.js';
+import { sompiToKas } from './currency-utils.js';
+import { getUtxoAddress } from './coin-control.js';
+
+const HISTORY_STATUSES = ['created', 'signed', 'submitted', 'pending', 'confirmed', 'not_found', 'unknown', 'failed'];
+
+// Statuses a "not seen" check cannot downgrade
+const UNVERIFIED_KEEPS_STATUS = ['submitted', 'pending', 'unknown'];
+
+function updateHistory(walletId, mutate) {
+    const storage = getWalletStorage();
+    return serializeWalletUpdate(walletId, 'transaction history',
+        () => storage.getTransactionHistory(walletId),
+        (entries) => storage.saveTransactionHistory(walletId, entries),
+        mutate);
+}
+
+function toSompiString(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    try {
+        return BigInt(value).toString();
+    } catch (error) {
+        return null;
+    }
+}
+
+function appendStatus(entry, status, timestamp, detail = null) {
+    if (entry.status === status && !detail) {
+        return;
+    }
+    entry.status = status;
+    entry.statusHistory.push({ status: status, at: timestamp, ...(detail ? { detail: detail } : {}) });
+    entry.updatedAt = timestamp;
+}
+
+function buildOutgoingEntry(id, transactionData, timestamp) {
+    const recipients = Array.isArray(transactionData.recipients) && transactionData.recipients.length > 0 ?
+        transactionData.recipients.map(recipient => ({
+            address: recipient.address,
+            amount: String(recipient.amount),
+            label: recipient.label || ''
+        })) :
+        [{ address: transactionData.toAddress, amount: String(transactionData.amount || '0'), label: '' }];
+
+    const fee = transactionData.fee || {};
+
+    return {
+        id: id,
+        txid: null,
+        direction: 'outgoing',
+        networkType: transactionData.networkType || null,
+        counterparty: recipients.map(recipient => recipient.address),
+        recipients: recipients,
+        fromAddress: transactionData.fromAddress || null,
+        amount: String(transactionData.amount || '0'),
+        amountInSompi: toSompiString(transactionData.amountInSompi),
+        fee: fee.feeInKas || null,
+        feeInSompi: toSompiString(fee.feeInSompi),
+        payload: transactionData.payload || '',
+        sweep: !!transactionData.sweep,
+        batch: transactionData.batch || null,
+        confirmations: 0,
+        blockHash: null,
+        status: null,
+        statusHistory: [],
+        note: '',
+        source: 'local',
+        createdAt: timestamp,
+        updatedAt: timestamp
+    };
+}
+
+/**
+ * Record a transaction we created, signed or submitted
+ * @param {string} walletId - Wallet ID
+ * @param {Object} transactionData - Transaction data from the create/sign/submit flow
+ * @param {string} status - 'created', 'signed', 'submitted' or 'failed'
+ * @param {Object} options - { id, txid, error } where id defaults to transactionData.transactionId
+ * @returns {Promise<Object>} - { success, entry, error }
+ */
+async function recordTransaction(walletId, transactionData, status, options = {}) {
+    if (!walletId || !transactionData) {
+        return { success: false, error: 'Wallet and transaction data are required' };
+    }
+    if (!HISTORY_STATUSES.includes(status)) {
+        return { success: false, error: `Unknown transaction status: ${status}` };
+    }
+
+    const id = options.id || transactionData.transactionId;
+    if (!id) {
+        return { success: false, error: 'Transaction has no ID' };
+    }
+
+    try {
+        const entry = await updateHistory(walletId, (entries) => {
+            const timestamp = new Date().toISOString();
+            let entry = entries.find(item => item.id === id);
+            if (!entry) {
+                entry = buildOutgoingEntry(id, transactionData, timestamp);
+                entries.push(entry);
+            }
+            if (options.txid) {
+                entry.txid = options.txid;
+            }
+            appendStatus(entry, status, timestamp, options.error || null);
+            return entry;
+        });
+        return { success: true, entry: entry };
+    } catch (error) {
+        console.error('Failed to record transaction:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Apply a getTransactionStatus result to a history entry
+ * @param {string} walletId - Wallet ID
+ * @param {string} entryId - History entry ID
+ * @param {Object} statusResult - { status, confirmations, blockHash, error }
+ * @returns {Promise<Object>} - { success, entry, error }
+ */
+async function updateTransactionStatus(walletId, entryId, statusResult) {
+    if (!statusResult || !HISTORY_STATUSES.includes(statusResult.status)) {
+        return { success: false, error: 'Invalid transaction status result' };
+    }
+
+    try {
+        const entry = await updateHistory(walletId, (entries) => {
+            const entry = entries.find(item => item.id === entryId);
+            if (!entry) {
+                throw new Error('Transaction not found in history');
+            }
+            const timestamp = new Date().toISOString();
+            // Not seen in the mempool or the UTXO set does not prove the transaction was dropped, since its
+            // outputs may be spent already; the entry keeps its status and is only flagged as unverified
+            if (statusResult.status === 'not_found' && UNVERIFIED_KEEPS_STATUS.includes(entry.status)) {
+                entry.unverifiedAt = timestamp;
+                entry.updatedAt = timestamp;
+                return entry;
+            }
+            // A check that could not reach a verdict is recorded but leaves the last known details
+            if (statusResult.status !== 'unknown') {
+                entry.confirmations = statusResult.confirmations !== undefined ? statusResult.confirmations : null;
+                entry.blockHash = statusResult.blockHash || entry.blockHash;
+                delete entry.unverifiedAt;
+            }
+            appendStatus(entry, statusResult.status, timestamp, statusResult.error || null);
+            entry.updatedAt = timestamp;
+            return entry;
+        });
+        return { success: true, entry: entry };
+    } catch (error) {
+        console.error('Failed to update transaction status:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Import incoming payments from a UTXO scan. UTXOs created by transactions already in the
+ * ledger (our own change) and UTXOs on excluded addresses (the HD change chain) are skipped.
+ * @param {string} walletId - Wallet ID
+ * @param {Array} utxos - UTXO entries
+ * @param {Object} options - { networkType, excludeAddresses }
+ * @returns {Promise<Object>} - { success, imported, error }
+ */
+async function importIncomingUtxos(walletId, utxos, options = {}) {
+    if (!walletId || !Array.isArray(utxos) || utxos.length === 0) {
+        return { success: true, imported: 0 };
+    }
+
+    const excluded = new Set(options.excludeAddresses || []);
+
+    // One history entry per funding transaction
+    const byTransaction = new Map();
+    for (const utxo of utxos) {
+        const outpoint = utxo.outpoint || {};
+        const txid = outpoint.transactionId || outpoint.txId || outpoint.id;
+        const address = getUtxoAddress(utxo);
+        if (!txid || excluded.has(address)) {
+            continue;
+        }
+
+        if (!byTransaction.has(txid)) {
+            byTransaction.set(txid, { addresses: new Set(), amount: 0n, blockDaaScore: null, isCoinbase: false });
+        }
+        const item = byTransaction.get(txid);
+        item.addresses.add(address);
+        item.amount += BigInt(utxo.amount || utxo.value || 0);
+        item.blockDaaScore = utxo.blockDaaScore !== undefined && utxo.blockDaaScore !== null ? utxo.blockDaaScore.toString() : item.blockDaaScore;
+        item.isCoinbase = item.isCoinbase || !!utxo.isCoinbase;
+    }
+
+    if (byTransaction.size === 0) {
+        return { success: true, imported: 0 };
+    }
+
+    try {
+        const imported = await updateHistory(walletId, (entries) => {
+            const knownTxids = new Set(entries.map(entry => entry.txid).filter(Boolean));
+            const timestamp = new Date().toISOString();
+            let count = 0;
+
+            for (const [txid, item] of byTransaction) {
+                if (knownTxids.has(txid)) {
+                    continue;
+                }
+                entries.push({
+                    id: `incoming_${txid}`,
+                    txid: txid,
+                    direction: 'incoming',
+                    networkType: options.networkType || null,
+                    // The UTXO set does not reveal the sender; the receiving address is what we know
+                    counterparty: [],
+                    receivingAddresses: Array.from(item.addresses),
+                    amount: sompiToKas(item.amount),
+                    amountInSompi: item.amount.toString(),
+                    fee: null,
+                    feeInSompi: null,
+                    payload: '',
+                    isCoinbase: item.isCoinbase,
+                    blockDaaScore: item.blockDaaScore,
+                    confirmations: null,
+                    blockHash: null,
+                    status: 'confirmed',
+                    statusHistory: [{ status: 'confirmed', at: timestamp }],
+                    note: '',
+                    source: 'utxo-scan',
+                    createdAt: timestamp,
+                    updatedAt: timestamp
+                });
+                count++;
+            }
+            return count;
+        });
+        return { success: true, imported: imported };
+    } catch (error) {
+        console.error('Failed to import incoming transactions:', error);
+        return { success: false, imported: 0, error: error.message };
+    }
+}
+
+async function setTransactionNote(walletId, entryId, note) {
+    try {
+        await updateHistory(walletId, (entries) => {
+            const entry = entries.find(item => item.id === entryId);
+            if (!entry) {
+                throw new Error('Transaction not found in history');
+            }
+            entry.note = (note || '').trim();
+            entry.updatedAt = new Date().toISOString();
+        });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Ledger entries, newest first
+async function getTransactionHistory(walletId) {
+    if (!walletId) {
+        return [];
+    }
+    const entries = (await getWalletStorage().getTransactionHistory(walletId)) || [];
+    return [...entries].sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+/**
+ * Filter history entries for the History view
+ * @param {Array} entries - History entries
+ * @param {Object} filters - { direction, status, search }
+ * @returns {Array} - Matching entries
+ */
+function filterTransactionHistory(entries, filters = {}) {
+    const search = (filters.search || '').trim().toLowerCase();
+
+    return entries.filter(entry => {
+        if (filters.direction && filters.direction !== 'all' && entry.direction !== filters.direction) {
+            return false;
+        }
+        if (filters.status && filters.status !== 'all' && entry.status !== filters.status) {
+            return false;
+        }
+        if (!search) {
+            return true;
+        }
+
+        const haystack = [
+            entry.id,
+            entry.txid,
+            entry.note,
+            entry.amount,
+            entry.fromAddress,
+            ...(entry.counterparty || []),
+            ...(entry.receivingAddresses || []),
+            ...(entry.recipients || []).map(recipient => recipient.label)
+        ].filter(Boolean).join(' ').toLowerCase();
+
+        return haystack.includes(search);
+    });
+}
+
+export {
+    recordTransaction,
+    updateTransactionStatus,
+    importIncomingUtxos,
+    setTransactionNote,
+    getTransactionHistory,
+    filterTransactionHistory,
+    HISTORY_STATUSES
+};
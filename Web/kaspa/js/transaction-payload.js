@@ -0,0 +1,82 @@
+// Kaspa Transaction Payload Module
+// Encodes memo / anchoring data for the transaction payload field and decodes it for review before signing
+import { MAX_TRANSACTION_PAYLOAD_BYTES } from './constants.js';
+import { bytesToHex, hexToBytes } from './encoding-utils.js';
+
+/**
+ * Encode user input as a transaction payload
+ * @param {string} data - UTF-8 text or hex string
+ * @param {string} format - 'text' or 'hex'
+ * @returns {Object} - { valid, hex, byteLength, error }
+ */
+function encodePayload(data, format = 'text') {
+    if (!data) {
+        return { valid: true, hex: '', byteLength: 0 };
+    }
+
+    let hex;
+    if (format === 'hex') {
+        hex = data.trim().replace(/^0x/i, '').toLowerCase();
+        if (!/^[0-9a-f]*$/.test(hex)) {
+            return { valid: false, error: 'Payload hex may only contain 0-9 and a-f' };
+        }
+        if (hex.length % 2 !== 0) {
+            return { valid: false, error: 'Payload hex must have an even number of characters' };
+        }
+    } else if (format === 'text') {
+        hex = bytesToHex(new TextEncoder().encode(data));
+    } else {
+        return { valid: false, error: `Unknown payload format: ${format}` };
+    }
+
+    const byteLength = hex.length / 2;
+    if (byteLength > MAX_TRANSACTION_PAYLOAD_BYTES) {
+        return { valid: false, error: `Payload is ${byteLength} bytes - the maximum is ${MAX_TRANSACTION_PAYLOAD_BYTES} bytes` };
+    }
+
+    return { valid: true, hex: hex, byteLength: byteLength };
+}
+
+/**
+ * Validate a payload hex string as carried in transaction data
+ * @param {string} hex - Payload hex ('' for none)
+ * @returns {Object} - { valid, hex, byteLength, error }
+ */
+function normalizePayload(hex) {
+    if (hex === undefined || hex === null || hex === '') {
+        return { valid: true, hex: '', byteLength: 0 };
+    }
+    if (typeof hex !== 'string') {
+        return { valid: false, error: 'Payload must be a hex string' };
+    }
+    return encodePayload(hex, 'hex');
+}
+
+/**
+ * Decode a payload for display: the text when it is readable UTF-8, always the hex
+ * @param {string} hex - Payload hex
+ * @returns {Object} - { hex, text, byteLength }
+ */
+function decodePayload(hex) {
+    const normalized = normalizePayload(hex);
+    if (!normalized.valid || normalized.byteLength === 0) {
+        return { hex: normalized.hex || '', text: null, byteLength: normalized.byteLength || 0 };
+    }
+
+    let text = null;
+    try {
+        const decoded = new TextDecoder('utf-8', { fatal: true }).decode(hexToBytes(normalized.hex));
+        // Treat control characters other than whitespace as binary data
+        text = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/.test(decoded) ? null : decoded;
+    } catch (error) {
+        text = null;
+    }
+
+    return { hex: normalized.hex, text: text, byteLength: normalized.byteLength };
+}
+
+export {
+    encodePayload,
+    normalizePayload,
+    decodePayload
+};
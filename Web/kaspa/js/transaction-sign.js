@@ -2,6 +2,7 @@
 import { getKaspa, isInitialized } from './init.js';
 import { kasNumberToSompi } from './currency-utils.js';
 import { convertStringToBigInt } from './serialization-utils.js';
+import { buildPaymentOutputs } from './batch-payments.js';
 
 // Sign transaction with private key(s) using SDK's pending transaction sign method
 async function signTransaction(transactionData, privateKeys) {
@@ -178,16 +179,42 @@ async function signTransaction(transactionData, privateKeys) {
                     return normalizedEntry;
                 }));
                 
-                const { transactions } = await createTransactions({
-                    entries: processedEntries,
-                    outputs: [{
-                        address: transactionData.toAddress,
-                        amount: amountInSompi
-                    }],
-                    priorityFee: transactionData.fee ? BigInt(transactionData.fee.priorityFee || '1000') : 1000n,
-                    changeAddress: changeAddress,
-                    networkId: transactionData.networkType
-                });
+                const feeRateOption = transactionData.fee && transactionData.fee.feeRate ?
+                    { feeRate: Number(transactionData.fee.feeRate) } : {};
+                // The payload is part of the signed transaction and must be rebuilt byte for byte
+                const payloadOption = transactionData.payload ? { payload: transactionData.payload } : {};
+
+                let transactions;
+                if (transactionData.sweep) {
+                    // Send max sweeps have no outputs - everything minus the fee goes to the destination
+                    ({ transactions } = await createTransactions({
+                        entries: processedEntries,
+                        outputs: [],
+                        ...feeRateOption,
+                        ...payloadOption,
+                        changeAddress: transactionData.toAddress,
+                        networkId: transactionData.networkType
+                    }));
+                } else {
+                    // Batch payments carry their full recipient list; single sends have one output
+                    const outputs = Array.isArray(transactionData.recipients) && transactionData.recipients.length > 0 ?
+                        buildPaymentOutputs(transactionData.recipients) :
+                        [{
+                            address: transactionData.toAddress,
+                            amount: amountInSompi
+                        }];
+
+                    ({ transactions } = await createTransactions({
+                        entries: processedEntries,
+                        outputs: outputs,
+                        priorityFee: transactionData.fee ? BigInt(transactionData.fee.priorityFee || '1000') : 1000n,
+                        // Rebuild with the same fee rate the transaction was created with
+                        ...feeRateOption,
+                        ...payloadOption,
+                        changeAddress: changeAddress,
+                        networkId: transactionData.networkType
+                    }));
+                }
 
                 if (!transactions || transactions.length === 0) {
                     throw new Error('Failed to recreate transaction - createTransactions returned empty result');
@@ -1,6 +1,8 @@
 // Kaspa Transaction Submission Module
 import { getKaspa, isInitialized } from './init.js';
+import { acquireRpcClient } from './rpc-pool.js';
 import { prepareForWasmDeserialization, cleanTransactionDataForSubmission } from './serialization-utils.js';
+import { getUtxoTransactionId } from './coin-control.js';
 
 // Check if a UTXO is still available (not spent)
 async function checkUTXOAvailability(rpc, transactionId, index) {
@@ -22,19 +24,11 @@ async function submitTransaction(signedTransactionData, networkEndpoint = null)
     }
 
     try {
-        const kaspa = getKaspa();
-        const { RpcClient, Resolver } = kaspa;
-        
         // Determine network type from signed transaction data
         const networkType = signedTransactionData.networkType || 'mainnet';
 
-        // Create RPC client using the SDK's resolver for public nodes
-        const rpc = new RpcClient({
-            networkId: networkType,
-            resolver: new Resolver()
-        });
-
-        await rpc.connect();
+        // Use the pooled connection to the configured node, unless the caller names an endpoint
+        const { rpc, release } = await acquireRpcClient(networkType, { endpoint: networkEndpoint });
         
         try {
             // Check network sync status first
@@ -145,8 +139,8 @@ async function submitTransaction(signedTransactionData, networkEndpoint = null)
             
             throw submitError; // Re-throw to be caught by outer catch
         } finally {
-            // Always disconnect RPC client
-            await rpc.disconnect();
+            // Only disconnects one-off clients; the pooled connection stays open
+            await release();
         }
 
     } catch (error) {
@@ -158,56 +152,75 @@ async function submitTransaction(signedTransactionData, networkEndpoint = null)
     }
 }
 
-// Get transaction status from real Kaspa network
-async function getTransactionStatus(transactionId, networkType = 'mainnet', networkEndpoint = null) {
+// The node answers getMempoolEntry for an unknown transaction with an error rather than an empty result
+function isNotInMempoolError(error) {
+    return /not found|not in (the )?mempool/i.test((error && (error.message || String(error))) || '');
+}
+
+// Confirmations as DAA score elapsed since the block that accepted the output, or null when the
+// node's virtual DAA score cannot be read
+async function getDaaConfirmations(rpc, blockDaaScore) {
+    try {
+        const { virtualDaaScore } = await rpc.getBlockDagInfo();
+        const confirmations = BigInt(virtualDaaScore) - BigInt(blockDaaScore);
+        return confirmations >= 0n ? Number(confirmations) : 0;
+    } catch (error) {
+        console.warn('Could not read virtual DAA score for confirmations:', error);
+        return null;
+    }
+}
+
+// Get transaction status from real Kaspa network. The node has no lookup by transaction ID, so the
+// mempool is checked first and then the UTXO set of the addresses the transaction paid to: outputs
+// there mean the transaction was accepted. Any RPC error gives 'unknown' rather than a guess
+async function getTransactionStatus(transactionId, networkType = 'mainnet', networkEndpoint = null, addresses = []) {
     if (!isInitialized()) {
         throw new Error('Kaspa WASM not initialized');
     }
 
+    const timestamp = new Date().toISOString();
     try {
-        const kaspa = getKaspa();
-        const { RpcClient, Resolver } = kaspa;
-
-        // Create RPC client using the SDK's resolver for public nodes
-        const rpc = new RpcClient({
-            networkId: networkType,
-            resolver: new Resolver()
-        });
-
-        await rpc.connect();
+        // Use the pooled connection to the configured node, unless the caller names an endpoint
+        const { rpc, release } = await acquireRpcClient(networkType, { endpoint: networkEndpoint });
         
         try {
-            // Get transaction information
-            const txResponse = await rpc.getTransaction({
-                transactionId: transactionId,
-                includeBlockVerboseData: true
-            });
-            
-            if (txResponse && txResponse.transaction) {
-                const tx = txResponse.transaction;
-                const isConfirmed = tx.blockHash && tx.blockHash !== '';
-                
-                return {
-                    transactionId: transactionId,
-                    status: isConfirmed ? 'confirmed' : 'pending',
-                    confirmations: isConfirmed ? tx.confirmations || 1 : 0,
-                    blockHash: tx.blockHash || null,
-                    blockTime: tx.blockTime || null,
-                    timestamp: new Date().toISOString()
-                };
-            } else {
-                return {
+            try {
+                const mempoolResponse = await rpc.getMempoolEntry({
                     transactionId: transactionId,
-                    status: 'not_found',
-                    confirmations: 0,
-                    blockHash: null,
-                    timestamp: new Date().toISOString()
-                };
+                    includeOrphanPool: true,
+                    filterTransactionPool: false
+                });
+                if (mempoolResponse && mempoolResponse.mempoolEntry) {
+                    return { transactionId, status: 'pending', confirmations: 0, blockHash: null, timestamp };
+                }
+            } catch (mempoolError) {
+                if (!isNotInMempoolError(mempoolError)) {
+                    throw mempoolError;
+                }
             }
+
+            const watched = [...new Set((addresses || []).filter(Boolean))];
+            if (watched.length > 0) {
+                const { entries } = await rpc.getUtxosByAddresses(watched);
+                const output = (entries || []).find(entry => getUtxoTransactionId(entry) === transactionId);
+                if (output) {
+                    return {
+                        transactionId,
+                        status: 'confirmed',
+                        confirmations: await getDaaConfirmations(rpc, output.blockDaaScore),
+                        blockHash: null,
+                        timestamp
+                    };
+                }
+            }
+
+            // Outputs that were already spent are not in the UTXO set either, so this is only "not seen";
+            // transaction-history keeps a submitted or pending entry as it is and flags it unverified
+            return { transactionId, status: 'not_found', confirmations: 0, blockHash: null, timestamp };
             
         } finally {
-            // Always disconnect RPC client
-            await rpc.disconnect();
+            // Only disconnects one-off clients; the pooled connection stays open
+            await release();
         }
         
     } catch (error) {
@@ -215,8 +228,8 @@ async function getTransactionStatus(transactionId, networkType = 'mainnet', netw
         return {
             transactionId: transactionId,
             status: 'unknown',
-            error: error.message,
-            timestamp: new Date().toISOString()
+            error: error.message || String(error),
+            timestamp
         };
     }
 }
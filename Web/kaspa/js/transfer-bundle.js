@@ -0,0 +1,205 @@
+// Kaspa Transfer Bundle Module
+// One versioned file container (.kaskold) for everything moved over removable media: transactions, messages
+// and UTXO snapshots, each with a manifest saying what it holds, for which network and wallet, and its hash
+import { sha256Hex, formatFingerprint } from './payload-integrity.js';
+import { prepareTransferFile, readTransferFile } from './serialization-utils.js';
+
+const BUNDLE_FORMAT = 'kaskold';
+const BUNDLE_VERSION = '1.0';
+const BUNDLE_EXTENSION = '.kaskold';
+
+// Bundle kinds and the screen that opens them
+const BUNDLE_KINDS = {
+    'unsigned-transaction': { view: 'transaction', label: 'Unsigned transaction' },
+    'signed-transaction': { view: 'transaction', label: 'Signed transaction' },
+    'submitted-transaction': { view: 'transaction', label: 'Submitted transaction' },
+    'unsigned-message': { view: 'message-signing', label: 'Unsigned message' },
+    'signed-message': { view: 'message-signing', label: 'Signed message' },
+    'utxo-snapshot': { view: 'wallet-dashboard', label: 'UTXO snapshot' },
+    'pskb': { view: 'pskt', label: 'Partially signed transactions' }
+};
+
+// Identifies the wallet a bundle was made with: a hash of its first receive address, so the address itself is not disclosed
+async function getWalletFingerprint(walletState) {
+    if (!walletState) {
+        return null;
+    }
+
+    let primaryAddress = null;
+    if (walletState.hdWallet) {
+        const first = walletState.hdWallet.getAllAddresses().find(addressInfo => addressInfo.type === 'receive' && addressInfo.index === 0);
+        primaryAddress = first ? first.address : null;
+    }
+    primaryAddress = primaryAddress || (walletState.currentWallet && walletState.currentWallet.address) || walletState.address;
+
+    return primaryAddress ? formatFingerprint(await sha256Hex(primaryAddress)) : null;
+}
+
+// Kind of a plain JSON file exported before bundles existed, or null when it cannot be told
+function detectLegacyKind(data) {
+    if (!data || typeof data !== 'object') {
+        return null;
+    }
+    if (data.type === 'kaspa-utxo-data') {
+        return 'utxo-snapshot';
+    }
+    if (data.type === 'kaspa-pskb') {
+        return 'pskb';
+    }
+
+    const isMessage = (data.type && data.type.includes('message')) || (data.message !== undefined && !data.transactionId);
+    if (isMessage) {
+        if (data.status === 'signed' || data.signature || data.signatureHex || (data.type && data.type.includes('signed-message') && !data.type.includes('unsigned'))) {
+            return 'signed-message';
+        }
+        return 'unsigned-message';
+    }
+
+    if (data.transactionId) {
+        if (['unsigned', 'signed', 'submitted'].includes(data.status)) {
+            return `${data.status}-transaction`;
+        }
+        if (data.submittedAt || data.networkResponse) {
+            return 'submitted-transaction';
+        }
+        return data.serializedTransaction || data.signedAt ? 'signed-transaction' : 'unsigned-transaction';
+    }
+
+    return null;
+}
+
+function getBundleFilename(kind, manifest) {
+    const date = new Date(manifest.createdAt).toISOString().split('T')[0];
+    return `kaspa-${kind}-${manifest.networkType || 'unknown'}-${date}${BUNDLE_EXTENSION}`;
+}
+
+/**
+ * Pack transfer data into a .kaskold bundle. The bundle is sealed with an integrity digest and,
+ * when transport encryption is on, encrypted like any other transfer file.
+ * @param {Object} payload - JSON-safe transfer data (BigInt values already converted)
+ * @param {Object} options - { kind, networkType, walletFingerprint }
+ * @returns {Promise<Object>} - { success, content, filename, manifest, fingerprint, authenticated, encrypted, error }
+ */
+async function createTransferBundle(payload, options = {}) {
+    try {
+        if (!BUNDLE_KINDS[options.kind]) {
+            throw new Error(`Unknown bundle type: ${options.kind}`);
+        }
+
+        const manifest = {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            kind: options.kind,
+            networkType: options.networkType || payload.networkType || null,
+            walletFingerprint: options.walletFingerprint || null,
+            createdAt: new Date().toISOString(),
+            payloadHash: await sha256Hex(JSON.stringify(payload))
+        };
+
+        const transferFile = await prepareTransferFile({ manifest: manifest, payload: payload });
+        return {
+            success: true,
+            content: transferFile.json,
+            filename: getBundleFilename(options.kind, manifest),
+            manifest: manifest,
+            fingerprint: transferFile.fingerprint,
+            authenticated: transferFile.authenticated,
+            encrypted: transferFile.encrypted
+        };
+    } catch (error) {
+        console.error('Failed to create transfer bundle:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Read a .kaskold bundle, or a plain JSON file exported before bundles existed. Either way the file is
+ * decrypted and its integrity digest checked first; bundles then have their manifest hash checked.
+ * @param {string} text - File content
+ * @returns {Promise<Object>} - { valid, error, data, manifest, kind, view, fingerprint, authenticated, encrypted, legacy, isBundle }
+ */
+async function readTransferBundle(text) {
+    const verification = await readTransferFile(text);
+    if (!verification.valid) {
+        return verification;
+    }
+
+    const content = verification.data;
+    const manifest = content && content.manifest;
+    if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+        const kind = detectLegacyKind(content);
+        return {
+            ...verification,
+            manifest: null,
+            kind: kind,
+            view: kind ? BUNDLE_KINDS[kind].view : null,
+            isBundle: false
+        };
+    }
+
+    if (parseInt(manifest.version, 10) > parseInt(BUNDLE_VERSION, 10)) {
+        return { valid: false, error: `Bundle version ${manifest.version} is newer than this wallet supports - please update` };
+    }
+    if (!BUNDLE_KINDS[manifest.kind]) {
+        return { valid: false, error: `Unknown bundle type: ${manifest.kind}` };
+    }
+    if (await sha256Hex(JSON.stringify(content.payload)) !== manifest.payloadHash) {
+        return { valid: false, error: 'Bundle payload does not match its manifest hash' };
+    }
+
+    return {
+        ...verification,
+        data: content.payload,
+        manifest: manifest,
+        kind: manifest.kind,
+        view: BUNDLE_KINDS[manifest.kind].view,
+        isBundle: true
+    };
+}
+
+// Reasons a bundle does not fit the open wallet; the import still proceeds so the user can decide
+async function checkBundleContext(bundle, walletState) {
+    const warnings = [];
+    if (!bundle.manifest) {
+        return warnings;
+    }
+
+    if (bundle.manifest.networkType && walletState.network && bundle.manifest.networkType !== walletState.network) {
+        warnings.push(`Bundle is for ${bundle.manifest.networkType}, but the wallet is on ${walletState.network}`);
+    }
+    const walletFingerprint = await getWalletFingerprint(walletState);
+    if (bundle.manifest.walletFingerprint && walletFingerprint && bundle.manifest.walletFingerprint !== walletFingerprint) {
+        warnings.push(`Bundle was made by wallet ${bundle.manifest.walletFingerprint}, but this wallet is ${walletFingerprint}`);
+    }
+    return warnings;
+}
+
+function getBundleKindLabel(kind) {
+    return BUNDLE_KINDS[kind] ? BUNDLE_KINDS[kind].label : 'Unknown data';
+}
+
+// Trigger the browser download of a bundle created by createTransferBundle
+function downloadTransferBundle(bundle) {
+    const blob = new Blob([bundle.content], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = bundle.filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+export {
+    getWalletFingerprint,
+    detectLegacyKind,
+    createTransferBundle,
+    readTransferBundle,
+    checkBundleContext,
+    getBundleKindLabel,
+    downloadTransferBundle,
+    BUNDLE_EXTENSION,
+    BUNDLE_KINDS
+};
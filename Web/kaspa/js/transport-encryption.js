@@ -0,0 +1,304 @@
+// Kaspa Transport Encryption Module
+// Optional AES-256-GCM encryption of everything that crosses the air gap (QR codes and JSON files), with a
+// key derived from the device pairing key or from a passphrase typed on both devices
+import { getPairingKey, getPairingKeyFingerprint } from './payload-integrity.js';
+import { encodeCompactBytes, decodeCompactBytes } from './qr-wire-format.js';
+import { bytesToHex, hexToBytes, ensureSubtleCrypto } from './encoding-utils.js';
+
+const TRANSPORT_ENCRYPTION_KEY = 'kaspa_transport_encryption';
+const TRANSPORT_ENCRYPTION_MODES = ['off', 'pairing', 'passphrase'];
+const TRANSPORT_ENVELOPE_TYPE = 'kaspa-encrypted-payload';
+const TRANSPORT_ENVELOPE_VERSION = '1.0';
+const TRANSPORT_CIPHER = 'AES-256-GCM';
+const KDF_PAIRING = 'HKDF-SHA256';
+const KDF_PASSPHRASE = 'PBKDF2-SHA256';
+const PBKDF2_ITERATIONS = 100000;
+const HKDF_INFO = 'kaspa-transport-encryption';
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// Passphrase entered for this session; never written to storage
+let sessionPassphrase = null;
+
+function getTransportEncryptionMode() {
+    try {
+        const saved = localStorage.getItem(TRANSPORT_ENCRYPTION_KEY);
+        const mode = saved !== null ? JSON.parse(saved) : 'off';
+        return TRANSPORT_ENCRYPTION_MODES.includes(mode) ? mode : 'off';
+    } catch (error) {
+        console.error('Failed to load transport encryption setting:', error);
+        return 'off';
+    }
+}
+
+function setTransportEncryptionMode(mode) {
+    if (!TRANSPORT_ENCRYPTION_MODES.includes(mode)) {
+        return false;
+    }
+    try {
+        localStorage.setItem(TRANSPORT_ENCRYPTION_KEY, JSON.stringify(mode));
+        return true;
+    } catch (error) {
+        console.error('Failed to save transport encryption setting:', error);
+        return false;
+    }
+}
+
+function setTransportPassphrase(passphrase) {
+    sessionPassphrase = passphrase || null;
+}
+
+function hasTransportPassphrase() {
+    return !!sessionPassphrase;
+}
+
+function isEncryptedPayload(data) {
+    return !!data && typeof data === 'object' && data.type === TRANSPORT_ENVELOPE_TYPE;
+}
+
+async function derivePairingKey(pairingKey, salt) {
+    const baseKey = await crypto.subtle.importKey('raw', hexToBytes(pairingKey), 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt: salt, info: new TextEncoder().encode(HKDF_INFO) },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function derivePassphraseKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt transfer data into an envelope. The plaintext is the compact binary encoding of the data,
+ * so encrypted payloads stay close to the size of compact QR codes.
+ * @param {*} data - JSON-compatible transfer data
+ * @param {Object} options - { passphrase } to encrypt with a passphrase instead of the pairing key
+ * @returns {Promise<Object>} - Envelope { type, version, cipher, kdf, iterations?, keyId?, salt, iv, ciphertext }
+ */
+async function encryptTransportPayload(data, options = {}) {
+    ensureSubtleCrypto('transport encryption');
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+
+    let key;
+    const header = { type: TRANSPORT_ENVELOPE_TYPE, version: TRANSPORT_ENVELOPE_VERSION, cipher: TRANSPORT_CIPHER };
+    if (options.passphrase) {
+        key = await derivePassphraseKey(options.passphrase, salt, PBKDF2_ITERATIONS);
+        header.kdf = KDF_PASSPHRASE;
+        header.iterations = PBKDF2_ITERATIONS;
+    } else {
+        const pairingKey = getPairingKey();
+        if (!pairingKey) {
+            throw new Error('This device is not paired - pair it in Settings or use a passphrase');
+        }
+        key = await derivePairingKey(pairingKey, salt);
+        header.kdf = KDF_PAIRING;
+        header.keyId = await getPairingKeyFingerprint(pairingKey);
+    }
+
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, encodeCompactBytes(data));
+    return {
+        ...header,
+        salt: bytesToHex(salt),
+        iv: bytesToHex(iv),
+        ciphertext: bytesToHex(new Uint8Array(ciphertext))
+    };
+}
+
+/**
+ * Decrypt an envelope made by encryptTransportPayload
+ * @param {Object} envelope - Encrypted envelope
+ * @param {Object} options - { passphrase } for passphrase-encrypted envelopes
+ * @returns {Promise<Object>} - { success, data, method, error, needsPassphrase }
+ */
+async function decryptTransportPayload(envelope, options = {}) {
+    if (!isEncryptedPayload(envelope)) {
+        return { success: false, error: 'Not an encrypted payload' };
+    }
+    if (envelope.cipher !== TRANSPORT_CIPHER) {
+        return { success: false, error: `Unsupported cipher: ${envelope.cipher}` };
+    }
+
+    try {
+        ensureSubtleCrypto('transport encryption');
+        const salt = hexToBytes(envelope.salt);
+        let key;
+        let method;
+
+        if (envelope.kdf === KDF_PAIRING) {
+            const pairingKey = getPairingKey();
+            if (!pairingKey) {
+                return { success: false, error: 'Payload is encrypted with a pairing key, but this device is not paired' };
+            }
+            const keyId = await getPairingKeyFingerprint(pairingKey);
+            if (envelope.keyId && envelope.keyId !== keyId) {
+                return { success: false, error: `Payload is encrypted for pairing key ${envelope.keyId}, but this device holds ${keyId}` };
+            }
+            key = await derivePairingKey(pairingKey, salt);
+            method = 'pairing';
+        } else if (envelope.kdf === KDF_PASSPHRASE) {
+            if (!options.passphrase) {
+                return { success: false, needsPassphrase: true, error: 'Payload is encrypted with a passphrase' };
+            }
+            // Only the iteration count this wallet writes is accepted; a crafted payload could otherwise stall the tab in PBKDF2
+            if (envelope.iterations !== undefined && envelope.iterations !== PBKDF2_ITERATIONS) {
+                return { success: false, error: `Unsupported key derivation iterations: ${envelope.iterations}` };
+            }
+            key = await derivePassphraseKey(options.passphrase, salt, PBKDF2_ITERATIONS);
+            method = 'passphrase';
+        } else {
+            return { success: false, error: `Unsupported key derivation: ${envelope.kdf}` };
+        }
+
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: hexToBytes(envelope.iv) }, key, hexToBytes(envelope.ciphertext));
+        } catch (error) {
+            return {
+                success: false,
+                needsPassphrase: method === 'passphrase',
+                error: method === 'passphrase' ? 'Wrong passphrase, or the payload was modified' : 'Decryption failed - the payload was modified'
+            };
+        }
+
+        return { success: true, data: decodeCompactBytes(new Uint8Array(plaintext)), method: method };
+    } catch (error) {
+        console.error('Failed to decrypt transport payload:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Passphrase dialog shown above the camera scanner and the app's own modals; resolves null when cancelled
+function promptTransportPassphrase(message) {
+    return new Promise(resolve => {
+        const modal = document.createElement('div');
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.8);
+            z-index: 10001;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            padding: 20px;
+            box-sizing: border-box;
+        `;
+
+        const container = document.createElement('form');
+        container.style.cssText = `
+            background: white;
+            border-radius: 10px;
+            padding: 20px;
+            width: 100%;
+            max-width: 420px;
+        `;
+        container.innerHTML = `
+            <h5 style="margin: 0 0 10px 0;">🔐 Transfer Passphrase</h5>
+            <p style="margin: 0 0 10px 0; font-size: 0.9em; color: #6c757d;"></p>
+            <input type="password" class="form-control mb-3" autocomplete="off" placeholder="Passphrase shared by both devices">
+            <div style="display: flex; justify-content: flex-end; gap: 8px;">
+                <button type="button" class="btn btn-outline-secondary btn-sm">Cancel</button>
+                <button type="submit" class="btn btn-primary btn-sm">Continue</button>
+            </div>
+        `;
+        // Set as text so the message is never interpreted as markup
+        container.querySelector('p').textContent = message;
+
+        const input = container.querySelector('input');
+        const finish = (value) => {
+            modal.remove();
+            resolve(value);
+        };
+        container.querySelector('button[type="button"]').onclick = () => finish(null);
+        container.onsubmit = (e) => {
+            e.preventDefault();
+            if (input.value) {
+                finish(input.value);
+            }
+        };
+
+        modal.appendChild(container);
+        document.body.appendChild(modal);
+        input.focus();
+    });
+}
+
+/**
+ * Encrypt outgoing transfer data according to the transport encryption setting
+ * @param {*} data - Transfer data
+ * @returns {Promise<Object>} - { data, encrypted, method }; data is unchanged when encryption is off
+ */
+async function encryptForTransport(data) {
+    const mode = getTransportEncryptionMode();
+    if (mode === 'off') {
+        return { data: data, encrypted: false, method: null };
+    }
+
+    if (mode === 'pairing') {
+        return { data: await encryptTransportPayload(data), encrypted: true, method: 'pairing' };
+    }
+
+    if (!sessionPassphrase) {
+        const passphrase = await promptTransportPassphrase('Enter the passphrase to encrypt this transfer. The receiving device needs the same passphrase.');
+        if (!passphrase) {
+            throw new Error('Transfer cancelled - a passphrase is required while passphrase encryption is enabled');
+        }
+        sessionPassphrase = passphrase;
+    }
+    return { data: await encryptTransportPayload(data, { passphrase: sessionPassphrase }), encrypted: true, method: 'passphrase' };
+}
+
+/**
+ * Decrypt incoming transfer data when it is encrypted. Pairing-key envelopes decrypt automatically;
+ * passphrase envelopes use the session passphrase or prompt until the right one is entered or the prompt is cancelled.
+ * @param {*} data - Received transfer data
+ * @returns {Promise<Object>} - { success, data, encrypted, method, error }
+ */
+async function openTransportPayload(data) {
+    if (!isEncryptedPayload(data)) {
+        return { success: true, data: data, encrypted: false, method: null };
+    }
+
+    let result = await decryptTransportPayload(data, { passphrase: sessionPassphrase });
+    let prompt = 'This transfer is encrypted. Enter the passphrase used on the sending device.';
+    while (!result.success && result.needsPassphrase) {
+        const passphrase = await promptTransportPassphrase(prompt);
+        if (!passphrase) {
+            return { success: false, encrypted: true, error: 'Decryption cancelled - the transfer is encrypted with a passphrase' };
+        }
+        result = await decryptTransportPayload(data, { passphrase: passphrase });
+        if (result.success) {
+            sessionPassphrase = passphrase;
+        }
+        prompt = 'Wrong passphrase. Try again.';
+    }
+
+    return { ...result, encrypted: true };
+}
+
+export {
+    getTransportEncryptionMode,
+    setTransportEncryptionMode,
+    setTransportPassphrase,
+    hasTransportPassphrase,
+    isEncryptedPayload,
+    encryptTransportPayload,
+    decryptTransportPayload,
+    promptTransportPassphrase,
+    encryptForTransport,
+    openTransportPayload,
+    TRANSPORT_ENCRYPTION_MODES
+};
@@ -0,0 +1,267 @@
+// Kaspa UTXO Selection Module
+// Registry of input selection strategies; every selection reports its expected mass, fee and change
+import { estimateTransactionMass, estimateFeeInSompi } from './fee-calculator.js';
+import { MAX_UTXOS_PER_TRANSACTION } from './constants.js';
+import { getUtxoAddress, getUtxosTotal } from './coin-control.js';
+
+const DEFAULT_SELECTION_STRATEGY = 'largest-first';
+
+// Leftover below ~0.1 KAS cannot form a change output under the storage mass limit (KIP-9),
+// so a selection within this of the target is treated as changeless and the rest goes to fees
+const CHANGELESS_TOLERANCE = 10000000n;
+
+// Branch-and-bound gives up on finding a changeless match after this many search steps
+const BNB_MAX_TRIES = 100000;
+
+function getUtxoValue(utxo) {
+    return BigInt(utxo.amount || utxo.value || 0);
+}
+
+function getUtxoDaaScore(utxo) {
+    try {
+        return BigInt(utxo.blockDaaScore || 0);
+    } catch (error) {
+        return 0n;
+    }
+}
+
+function sortByValue(utxos, descending) {
+    return [...utxos].sort((a, b) => {
+        const valueA = getUtxoValue(a);
+        const valueB = getUtxoValue(b);
+        if (valueA === valueB) return 0;
+        return (valueA > valueB) === descending ? -1 : 1;
+    });
+}
+
+// Fee for spending inputCount inputs into the payment outputs, plus a change output when withChange is set
+function getSelectionFee(inputCount, context, withChange) {
+    if (context.fixedFee !== undefined) {
+        return context.fixedFee;
+    }
+    return estimateFeeInSompi(inputCount, context.outputCount + (withChange ? 1 : 0), context.feeRate, context.payloadBytes);
+}
+
+// Take UTXOs in the given order until the amount and fee are covered
+function selectInOrder(utxos, context) {
+    const selected = [];
+    let total = 0n;
+
+    for (const utxo of utxos) {
+        if (selected.length >= context.maxUtxos) {
+            break;
+        }
+
+        selected.push(utxo);
+        total += getUtxoValue(utxo);
+
+        if (total >= context.amount + getSelectionFee(selected.length, context, true)) {
+            return selected;
+        }
+    }
+
+    return null;
+}
+
+// Depth-first search for the input set closest to amount + fee that needs no change output
+function selectChangeless(utxos, context) {
+    const sorted = sortByValue(utxos, true);
+
+    // remaining[i] is the value of every UTXO from i onwards, used to prune unreachable branches
+    const remaining = new Array(sorted.length + 1).fill(0n);
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        remaining[i] = remaining[i + 1] + getUtxoValue(sorted[i]);
+    }
+
+    const current = [];
+    let best = null;
+    let bestExcess = null;
+    let tries = 0;
+
+    const search = (index, total) => {
+        if (tries++ > BNB_MAX_TRIES || bestExcess === 0n) {
+            return;
+        }
+
+        if (current.length > 0) {
+            const target = context.amount + getSelectionFee(current.length, context, false);
+            if (total >= target) {
+                const excess = total - target;
+                if (excess <= CHANGELESS_TOLERANCE && (bestExcess === null || excess < bestExcess)) {
+                    best = [...current];
+                    bestExcess = excess;
+                }
+                // More inputs would only add to the excess
+                return;
+            }
+        }
+
+        if (index >= sorted.length || current.length >= context.maxUtxos) {
+            return;
+        }
+
+        if (total + remaining[index] < context.amount + getSelectionFee(current.length + 1, context, false)) {
+            return;
+        }
+
+        current.push(sorted[index]);
+        search(index + 1, total + getUtxoValue(sorted[index]));
+        current.pop();
+        search(index + 1, total);
+    };
+
+    search(0, 0n);
+    return best;
+}
+
+const SELECTION_STRATEGIES = {
+    'largest-first': {
+        label: 'Largest first',
+        description: 'One UTXO that covers the payment, otherwise the largest UTXOs. Fewest inputs and lowest fee.',
+        select: (utxos, context) => {
+            const sorted = sortByValue(utxos, true);
+            const single = sorted.find(utxo => getUtxoValue(utxo) >= context.amount + getSelectionFee(1, context, true));
+            return single ? [single] : selectInOrder(sorted, context);
+        }
+    },
+    'branch-and-bound': {
+        label: 'Branch and bound',
+        description: 'Looks for inputs that match the payment closely enough to skip the change output.',
+        select: (utxos, context) =>
+            selectChangeless(utxos, context) || SELECTION_STRATEGIES['largest-first'].select(utxos, context)
+    },
+    'smallest-first': {
+        label: 'Smallest first',
+        description: 'Spends the smallest UTXOs first to consolidate dust. Higher fee.',
+        select: (utxos, context) => selectInOrder(sortByValue(utxos, false), context)
+    },
+    'oldest-first': {
+        label: 'Oldest first',
+        description: 'Spends UTXOs with the lowest DAA score first.',
+        select: (utxos, context) => selectInOrder([...utxos].sort((a, b) => {
+            const scoreA = getUtxoDaaScore(a);
+            const scoreB = getUtxoDaaScore(b);
+            return scoreA < scoreB ? -1 : scoreA > scoreB ? 1 : 0;
+        }), context)
+    },
+    'privacy': {
+        label: 'Privacy',
+        description: 'Never combines inputs from different HD addresses in one transaction.',
+        insufficientError: 'No single address holds enough to cover this payment. Privacy mode does not combine inputs from different addresses - choose another strategy or consolidate first.',
+        select: (utxos, context) => {
+            const byAddress = new Map();
+            for (const utxo of utxos) {
+                const address = getUtxoAddress(utxo);
+                if (!byAddress.has(address)) {
+                    byAddress.set(address, []);
+                }
+                byAddress.get(address).push(utxo);
+            }
+
+            // Among addresses that can pay alone, prefer the fewest inputs, then the smallest total
+            let best = null;
+            for (const addressUtxos of byAddress.values()) {
+                const candidate = SELECTION_STRATEGIES['largest-first'].select(addressUtxos, context);
+                if (!candidate) {
+                    continue;
+                }
+                if (!best || candidate.length < best.length ||
+                    (candidate.length === best.length && getUtxosTotal(candidate) < getUtxosTotal(best))) {
+                    best = candidate;
+                }
+            }
+            return best;
+        }
+    }
+};
+
+/**
+ * Select inputs with a registered strategy and report the expected transaction shape
+ * @param {Array} utxos - Available UTXO entries
+ * @param {bigint} amount - Total paid to recipients in sompi, fee excluded
+ * @param {Object} options - { strategy, feeRate, fixedFee, outputCount, payloadBytes, maxUtxos }
+ * @returns {Object} - { selected, totalValue, sufficient, strategy, mass, fee, change, changeless, error }
+ */
+function selectUTXOs(utxos, amount, options = {}) {
+    const strategy = SELECTION_STRATEGIES[options.strategy] ? options.strategy : DEFAULT_SELECTION_STRATEGY;
+    const context = {
+        amount: BigInt(amount),
+        feeRate: options.feeRate || 0,
+        fixedFee: options.fixedFee !== undefined ? BigInt(options.fixedFee) : undefined,
+        outputCount: options.outputCount || 1,
+        payloadBytes: options.payloadBytes || 0,
+        maxUtxos: options.maxUtxos || MAX_UTXOS_PER_TRANSACTION
+    };
+
+    const selected = utxos && utxos.length > 0 ? SELECTION_STRATEGIES[strategy].select(utxos, context) : null;
+
+    if (!selected) {
+        return {
+            selected: [],
+            totalValue: utxos ? getUtxosTotal(utxos) : 0n,
+            sufficient: false,
+            strategy: strategy,
+            mass: 0,
+            fee: 0n,
+            change: 0n,
+            changeless: false,
+            error: utxos && utxos.length > 0 ? SELECTION_STRATEGIES[strategy].insufficientError || null : null
+        };
+    }
+
+    const totalValue = getUtxosTotal(selected);
+    const changelessFee = getSelectionFee(selected.length, context, false);
+    const excess = totalValue - context.amount - changelessFee;
+    const changeless = excess <= CHANGELESS_TOLERANCE;
+    const fee = changeless ? changelessFee + excess : getSelectionFee(selected.length, context, true);
+
+    return {
+        selected: selected,
+        totalValue: totalValue,
+        sufficient: true,
+        strategy: strategy,
+        mass: estimateTransactionMass(selected.length, context.outputCount + (changeless ? 0 : 1), context.payloadBytes),
+        fee: fee,
+        change: changeless ? 0n : totalValue - context.amount - fee,
+        changeless: changeless,
+        error: null
+    };
+}
+
+// Serializable summary of a strategy selection for the transaction result
+function describeSelection(utxoSelection) {
+    if (!utxoSelection || !utxoSelection.sufficient) {
+        return null;
+    }
+    return {
+        strategy: utxoSelection.strategy,
+        inputCount: utxoSelection.selected.length,
+        mass: utxoSelection.mass,
+        fee: utxoSelection.fee.toString(),
+        change: utxoSelection.change.toString(),
+        changeless: utxoSelection.changeless
+    };
+}
+
+// Strategies with their own insufficient error (privacy) must not fall back to every UTXO when they come up short
+function canWidenSelection(strategy) {
+    const definition = SELECTION_STRATEGIES[strategy] || SELECTION_STRATEGIES[DEFAULT_SELECTION_STRATEGY];
+    return !definition.insufficientError;
+}
+
+// Strategy list for settings and selectors
+function getSelectionStrategies() {
+    return Object.entries(SELECTION_STRATEGIES).map(([id, strategy]) => ({
+        id: id,
+        label: strategy.label,
+        description: strategy.description
+    }));
+}
+
+export {
+    selectUTXOs,
+    describeSelection,
+    canWidenSelection,
+    getSelectionStrategies,
+    DEFAULT_SELECTION_STRATEGY
+};
@@ -0,0 +1,197 @@
+// Kaspa UTXO Snapshot Module
+// UTXO sets handed from the online (watch) device to the cold signer. A snapshot records the network,
+// the DAA score and time it was taken, the addresses and outpoints it covers, and is optionally
+// signed with the pairing key shared by the online and offline devices.
+import { getRpcClient } from './rpc-pool.js';
+import { sha256Hex, formatFingerprint, sealPayload, verifyPayloadMac, getPairingKey, getPairingKeyFingerprint } from './payload-integrity.js';
+import { getUtxoKey, getUtxoAddress } from './coin-control.js';
+import { UTXO_SNAPSHOT_WARN_AGE, UTXO_SNAPSHOT_MAX_AGE } from './constants.js';
+
+const UTXO_SNAPSHOT_VERSION = '2.0';
+
+// Clocks on the two devices rarely agree exactly
+const CLOCK_SKEW_TOLERANCE = 5 * 60 * 1000;
+
+// Virtual DAA score of the node when the snapshot is taken, or null when it cannot be reached
+async function getSnapshotDaaScore(networkType) {
+    try {
+        const serverInfo = await getRpcClient(networkType).getServerInfo();
+        return serverInfo && serverInfo.virtualDaaScore !== undefined ? serverInfo.virtualDaaScore.toString() : null;
+    } catch (error) {
+        console.warn('Could not read DAA score for UTXO snapshot:', error);
+        return null;
+    }
+}
+
+// Fields covered by the snapshot digest and signature, in a fixed order
+function canonicalSnapshotContent(snapshot) {
+    return JSON.stringify({
+        snapshotId: snapshot.snapshotId,
+        networkType: snapshot.networkType,
+        daaScore: snapshot.daaScore,
+        timestamp: snapshot.timestamp,
+        addresses: snapshot.addresses,
+        outpoints: snapshot.outpoints,
+        utxos: snapshot.utxos,
+        feeEstimate: snapshot.feeEstimate
+    });
+}
+
+/**
+ * Build a snapshot for QR or file transfer
+ * @param {Object} utxoData - { utxos, addresses, networkType, timestamp, daaScore, feeEstimate } with BigInt values already converted to strings
+ * @returns {Promise<Object>} - { snapshot, fingerprint, signed }
+ */
+async function createUtxoSnapshot(utxoData) {
+    const utxos = utxoData.utxos || [];
+    const snapshot = {
+        type: 'kaspa-utxo-data',
+        version: UTXO_SNAPSHOT_VERSION,
+        snapshotId: `utxo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        networkType: utxoData.networkType,
+        daaScore: utxoData.daaScore !== undefined && utxoData.daaScore !== null ? String(utxoData.daaScore) : null,
+        timestamp: utxoData.timestamp || Date.now(),
+        addresses: utxoData.addresses || [],
+        outpoints: utxos.map(getUtxoKey),
+        utxos: utxos,
+        count: utxos.length,
+        feeEstimate: utxoData.feeEstimate || null
+    };
+
+    const seal = await sealPayload(canonicalSnapshotContent(snapshot));
+    snapshot.digest = seal.digest;
+    if (seal.mac) {
+        snapshot.signature = seal.mac;
+        snapshot.signerKey = await getPairingKeyFingerprint();
+    }
+
+    return { snapshot: snapshot, fingerprint: seal.fingerprint, signed: !!seal.mac };
+}
+
+/**
+ * Check an imported snapshot's digest and signature. Unsigned snapshots pass here;
+ * validateCachedUTXOs decides whether they may be used.
+ * @param {Object} data - Snapshot as received (string amounts, before BigInt conversion)
+ * @returns {Promise<Object>} - { valid, error, snapshot } where snapshot is the verification summary to cache
+ */
+async function verifyUtxoSnapshot(data) {
+    if (!data || data.type !== 'kaspa-utxo-data' || !Array.isArray(data.utxos)) {
+        return { valid: false, error: 'Not a UTXO snapshot' };
+    }
+
+    // Version 1.0 data predates snapshots: nothing to verify
+    if (!data.digest) {
+        return {
+            valid: true,
+            snapshot: { legacy: true, signed: false, verified: false, daaScore: null, takenAt: data.timestamp || null }
+        };
+    }
+
+    const content = canonicalSnapshotContent(data);
+    if (await sha256Hex(content) !== data.digest) {
+        return { valid: false, error: 'UTXO snapshot digest mismatch - the snapshot was modified' };
+    }
+
+    const signed = !!data.signature;
+    const macResult = signed ? await verifyPayloadMac(content, data.signature) : { verified: false };
+    if (signed && macResult.paired && !macResult.verified) {
+        return { valid: false, error: 'UTXO snapshot signature does not match this device\'s pairing key' };
+    }
+
+    return {
+        valid: true,
+        snapshot: {
+            legacy: false,
+            snapshotId: data.snapshotId,
+            daaScore: data.daaScore || null,
+            takenAt: data.timestamp,
+            signed: signed,
+            verified: macResult.verified,
+            signerKey: data.signerKey || null,
+            fingerprint: formatFingerprint(data.digest)
+        }
+    };
+}
+
+/**
+ * Staleness, consistency and signature checks for cached UTXO data
+ * @param {Object} cachedUTXOs - Cached UTXO data ({ utxos, addresses, outpoints, timestamp, imported, snapshot })
+ * @param {Object} options - { walletAddresses, now }
+ * @returns {Object} - { errors, warnings }
+ */
+function checkUtxoSnapshot(cachedUTXOs, options = {}) {
+    const errors = [];
+    const warnings = [];
+    const now = options.now || Date.now();
+
+    // Age
+    const age = now - (cachedUTXOs.timestamp || 0);
+    if (cachedUTXOs.timestamp > now + CLOCK_SKEW_TOLERANCE) {
+        warnings.push('UTXO snapshot is dated in the future - check the clocks on both devices.');
+    } else if (age > UTXO_SNAPSHOT_MAX_AGE) {
+        errors.push(`UTXO data is ${Math.floor(age / 3600000)} hours old. Take a fresh snapshot on the online device.`);
+    } else if (age > UTXO_SNAPSHOT_WARN_AGE) {
+        warnings.push(`UTXO data is ${Math.floor(age / 60000)} minutes old. Consider refreshing for accuracy.`);
+    }
+
+    // Outpoints and addresses must agree with the UTXO entries
+    const keys = cachedUTXOs.utxos.map(getUtxoKey).filter(Boolean);
+    if (new Set(keys).size !== keys.length) {
+        errors.push('UTXO snapshot lists the same outpoint more than once.');
+    }
+    if (Array.isArray(cachedUTXOs.outpoints)) {
+        const outpoints = new Set(cachedUTXOs.outpoints);
+        if (outpoints.size !== keys.length || keys.some(key => !outpoints.has(key))) {
+            errors.push('UTXO snapshot outpoints do not match its UTXO entries.');
+        }
+    }
+
+    const addresses = Array.isArray(cachedUTXOs.addresses) ? cachedUTXOs.addresses.filter(Boolean) : [];
+    if (addresses.length > 0) {
+        const covered = new Set(addresses);
+        const outside = cachedUTXOs.utxos.filter(utxo => {
+            const address = getUtxoAddress(utxo);
+            return address && !covered.has(address);
+        });
+        if (outside.length > 0) {
+            errors.push(`UTXO snapshot contains ${outside.length} UTXO(s) outside the address set it covers.`);
+        }
+
+        if (Array.isArray(options.walletAddresses) && options.walletAddresses.length > 0) {
+            const wallet = new Set(options.walletAddresses);
+            if (!addresses.some(address => wallet.has(address))) {
+                errors.push('UTXO snapshot covers none of this wallet\'s addresses.');
+            }
+        }
+    }
+
+    // Imported snapshots should come from our own online device
+    if (cachedUTXOs.imported) {
+        const snapshot = cachedUTXOs.snapshot || { legacy: true, signed: false, verified: false };
+        const paired = !!getPairingKey();
+
+        if (!snapshot.signed) {
+            const reason = snapshot.legacy ? 'uses the legacy format and is not signed' : 'is not signed';
+            if (paired) {
+                errors.push(`UTXO snapshot ${reason}, and this device only accepts snapshots signed by its paired online device.`);
+            } else {
+                warnings.push(`UTXO snapshot ${reason} - pair this device with the online device to verify where it came from.`);
+            }
+        } else if (!snapshot.verified) {
+            if (paired) {
+                errors.push('UTXO snapshot signature was not verified with this device\'s pairing key. Import it again.');
+            } else {
+                warnings.push('UTXO snapshot is signed, but this device is not paired so the signature could not be checked.');
+            }
+        }
+    }
+
+    return { errors: errors, warnings: warnings };
+}
+
+export {
+    getSnapshotDaaScore,
+    createUtxoSnapshot,
+    verifyUtxoSnapshot,
+    checkUtxoSnapshot
+};
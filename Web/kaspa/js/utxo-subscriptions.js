@@ -0,0 +1,153 @@
+// Kaspa UTXO Subscriptions Module
+// Keeps a utxos-changed subscription for a set of addresses alive across reconnects of the pooled connection
+import { getRpcConnection } from './rpc-pool.js';
+import { getUtxoAddress } from './coin-control.js';
+
+function getEntryAmount(entry) {
+    try {
+        return BigInt(entry.amount || entry.value || 0);
+    } catch (error) {
+        return 0n;
+    }
+}
+
+/**
+ * Per-address totals for a utxos-changed notification
+ * @param {Array} added - Added UTXO entries
+ * @param {Array} removed - Removed (spent) UTXO entries
+ * @returns {Map} - address -> { added, removed, addedCount, removedCount } with amounts in sompi
+ */
+function summarizeUtxoChanges(added, removed) {
+    const summary = new Map();
+    const getSummary = (address) => {
+        if (!summary.has(address)) {
+            summary.set(address, { added: 0n, removed: 0n, addedCount: 0, removedCount: 0 });
+        }
+        return summary.get(address);
+    };
+
+    for (const entry of added) {
+        const item = getSummary(getUtxoAddress(entry));
+        item.added += getEntryAmount(entry);
+        item.addedCount++;
+    }
+    for (const entry of removed) {
+        const item = getSummary(getUtxoAddress(entry));
+        item.removed += getEntryAmount(entry);
+        item.removedCount++;
+    }
+
+    return summary;
+}
+
+export class UtxoSubscription {
+    /**
+     * @param {string} networkType - Network type (mainnet, testnet-10, etc.)
+     * @param {Function} onChange - Called with { added, removed, summary } for every notification
+     */
+    constructor(networkType, onChange) {
+        this.networkType = networkType;
+        this.onChange = onChange;
+        this.addresses = new Set();
+        this.client = null;
+        this.listener = null;
+        this.removeConnectListener = null;
+    }
+
+    /**
+     * Subscribe to UTXO changes for the given addresses
+     * @param {Array<string>} addresses - Addresses to watch
+     */
+    async start(addresses = []) {
+        addresses.filter(Boolean).forEach(address => this.addresses.add(address));
+
+        const connection = getRpcConnection(this.networkType);
+        if (!this.removeConnectListener) {
+            this.removeConnectListener = connection.onConnect(client => this.attach(client));
+        }
+        // Connecting triggers attach() through the listener
+        await connection.connect();
+    }
+
+    // Register the notification listener and subscription on a freshly connected client
+    attach(client) {
+        this.detachListener();
+
+        this.client = client;
+        this.listener = (event) => this.handleEvent(client, event);
+        client.addEventListener('utxos-changed', this.listener);
+
+        if (this.addresses.size > 0) {
+            client.subscribeUtxosChanged(Array.from(this.addresses)).catch(error => {
+                console.error('Failed to subscribe to UTXO changes:', error);
+            });
+        }
+    }
+
+    handleEvent(client, event) {
+        if (client !== this.client) {
+            return;
+        }
+
+        const data = (event && event.data) || {};
+        const added = (data.added || []).filter(entry => this.addresses.has(getUtxoAddress(entry)));
+        const removed = (data.removed || []).filter(entry => this.addresses.has(getUtxoAddress(entry)));
+        if (added.length === 0 && removed.length === 0) {
+            return;
+        }
+
+        try {
+            this.onChange({ added, removed, summary: summarizeUtxoChanges(added, removed) });
+        } catch (error) {
+            console.error('UTXO change handler failed:', error);
+        }
+    }
+
+    /**
+     * Add addresses to a running subscription (e.g. newly generated receive addresses)
+     * @param {Array<string>} addresses - Addresses to watch
+     */
+    async addAddresses(addresses) {
+        const newAddresses = addresses.filter(address => address && !this.addresses.has(address));
+        if (newAddresses.length === 0) {
+            return;
+        }
+
+        newAddresses.forEach(address => this.addresses.add(address));
+        if (this.client) {
+            await this.client.subscribeUtxosChanged(newAddresses);
+        }
+    }
+
+    detachListener() {
+        if (this.client && this.listener) {
+            try {
+                this.client.removeEventListener('utxos-changed', this.listener);
+            } catch (error) {
+                // Client already disconnected
+            }
+        }
+        this.client = null;
+        this.listener = null;
+    }
+
+    async stop() {
+        if (this.removeConnectListener) {
+            this.removeConnectListener();
+            this.removeConnectListener = null;
+        }
+
+        const client = this.client;
+        const addresses = Array.from(this.addresses);
+        this.detachListener();
+        this.addresses.clear();
+
+        if (client && addresses.length > 0) {
+            try {
+                await client.unsubscribeUtxosChanged(addresses);
+            } catch (error) {
+                // The connection may already be closed (logout)
+            }
+        }
+    }
+}
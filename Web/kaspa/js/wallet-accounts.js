@@ -0,0 +1,246 @@
+// Kaspa Wallet Accounts Module
+// BIP44 accounts under one seed (m/44'/111111'/<account>'). Labels and the account opened at login are
+// kept on the wallet's storage entry; keys, xpubs and balances are derived from the seed when needed
+import { getWalletStorage, serializeWalletUpdate } from './wallet-storage.js';
+import { UnifiedWalletManager } from './wallet-manager.js';
+import { sompiToKas } from './currency-utils.js';
+import { buildAccountPath, SCANNING_DEFAULTS } from './constants.js';
+
+const MAX_ACCOUNT_LABEL_LENGTH = 40;
+
+// Standard account-level path; custom derivation paths do not take part in account management
+const ACCOUNT_PATH_PATTERN = /^m\/44'\/111111'\/(\d+)'$/;
+
+function getAccountPath(accountIndex) {
+    return buildAccountPath(`${accountIndex}'`);
+}
+
+// Account index of an account-level path, or null for custom paths
+function getAccountIndex(derivationPath) {
+    const match = ACCOUNT_PATH_PATTERN.exec(derivationPath || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+// Wallets saved before accounts existed only have account 0
+function normalizeAccounts(walletEntry) {
+    const accounts = walletEntry && Array.isArray(walletEntry.accounts) && walletEntry.accounts.length > 0
+        ? walletEntry.accounts
+        : [{ index: 0, label: 'Main account', createdAt: walletEntry ? walletEntry.createdAt || null : null }];
+    return [...accounts].sort((a, b) => a.index - b.index);
+}
+
+function validateAccountLabel(label) {
+    const trimmed = typeof label === 'string' ? label.trim() : '';
+    if (!trimmed) {
+        return { valid: false, error: 'Account label is required' };
+    }
+    if (trimmed.length > MAX_ACCOUNT_LABEL_LENGTH) {
+        return { valid: false, error: `Account label must be at most ${MAX_ACCOUNT_LABEL_LENGTH} characters` };
+    }
+    return { valid: true, label: trimmed };
+}
+
+function updateAccounts(walletId, mutate) {
+    const storage = getWalletStorage();
+    return serializeWalletUpdate(walletId, 'accounts',
+        async () => {
+            const walletEntry = await storage.getWallet(walletId);
+            if (!walletEntry) {
+                throw new Error('Wallet not found');
+            }
+            return { accounts: normalizeAccounts(walletEntry), activeAccount: walletEntry.activeAccount || 0 };
+        },
+        (state) => storage.updateWalletAccounts(walletId, state.accounts, state.activeAccount),
+        mutate);
+}
+
+/**
+ * Accounts of a saved wallet
+ * @param {string} walletId - Wallet ID
+ * @returns {Promise<Object>} - { accounts, activeAccount }
+ */
+async function getWalletAccounts(walletId) {
+    const walletEntry = walletId ? await getWalletStorage().getWallet(walletId) : null;
+    return {
+        accounts: normalizeAccounts(walletEntry),
+        activeAccount: (walletEntry && walletEntry.activeAccount) || 0
+    };
+}
+
+/**
+ * Add the next account (highest index + 1)
+ * @param {string} walletId - Wallet ID
+ * @param {string} label - Account label
+ * @returns {Promise<Object>} - { success, account, error }
+ */
+async function createAccount(walletId, label) {
+    const labelCheck = validateAccountLabel(label);
+    if (!labelCheck.valid) {
+        return { success: false, error: labelCheck.error };
+    }
+
+    try {
+        const account = await updateAccounts(walletId, (state) => {
+            if (state.accounts.some(item => item.label.toLowerCase() === labelCheck.label.toLowerCase())) {
+                throw new Error(`An account named "${labelCheck.label}" already exists`);
+            }
+            const created = {
+                index: Math.max(...state.accounts.map(item => item.index)) + 1,
+                label: labelCheck.label,
+                createdAt: Date.now()
+            };
+            state.accounts.push(created);
+            return created;
+        });
+        return { success: true, account: account };
+    } catch (error) {
+        console.error('Failed to create account:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+async function renameAccount(walletId, accountIndex, label) {
+    const labelCheck = validateAccountLabel(label);
+    if (!labelCheck.valid) {
+        return { success: false, error: labelCheck.error };
+    }
+
+    try {
+        await updateAccounts(walletId, (state) => {
+            const account = state.accounts.find(item => item.index === accountIndex);
+            if (!account) {
+                throw new Error('Account not found');
+            }
+            if (state.accounts.some(item => item !== account && item.label.toLowerCase() === labelCheck.label.toLowerCase())) {
+                throw new Error(`An account named "${labelCheck.label}" already exists`);
+            }
+            account.label = labelCheck.label;
+        });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Remember the account to open at the next login
+async function setActiveAccount(walletId, accountIndex) {
+    try {
+        await updateAccounts(walletId, (state) => {
+            if (!state.accounts.some(item => item.index === accountIndex)) {
+                throw new Error('Account not found');
+            }
+            state.activeAccount = accountIndex;
+        });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// Separate manager for another account of the same seed; the active account's manager is left untouched
+async function createAccountManager(hdWallet, accountIndex) {
+    const manager = new UnifiedWalletManager(hdWallet.mnemonic, hdWallet.network, getAccountPath(accountIndex), true, hdWallet.passphrase, hdWallet.extendedKey);
+    await manager.initialize();
+    return manager;
+}
+
+/**
+ * Extended public key of an account
+ * @param {Object} hdWallet - HD wallet manager of the open wallet (supplies seed, passphrase and network)
+ * @param {number} accountIndex - Account index
+ * @returns {Promise<Object>} - { success, xpub, derivationPath, error }
+ */
+async function getAccountXPub(hdWallet, accountIndex) {
+    try {
+        const manager = await createAccountManager(hdWallet, accountIndex);
+        return { success: true, xpub: await manager.getXPub(), derivationPath: manager.derivationPath };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Discover the funded addresses and balance of each account
+ * @param {Object} hdWallet - HD wallet manager of the open wallet
+ * @param {Array} accounts - Account entries to check
+ * @param {Function} onProgress - Called with (account, result) after each account
+ * @returns {Promise<Object>} - { success, balances, totalSompi, total }
+ */
+async function discoverAccountBalances(hdWallet, accounts, onProgress = null) {
+    const balances = [];
+    let totalSompi = 0n;
+
+    for (const account of accounts) {
+        let result;
+        try {
+            const manager = await createAccountManager(hdWallet, account.index);
+            const discovery = await manager.checkHDWalletBalance();
+            result = discovery.success
+                ? {
+                    index: account.index,
+                    success: true,
+                    balanceSompi: discovery.totalBalanceSompi,
+                    balance: discovery.totalBalance,
+                    addressesFound: discovery.addressesFound,
+                    addressesWithBalance: discovery.addressesWithBalance
+                }
+                : { index: account.index, success: false, error: discovery.error };
+        } catch (error) {
+            result = { index: account.index, success: false, error: error.message };
+        }
+
+        if (result.success) {
+            totalSompi += result.balanceSompi;
+        }
+        balances.push(result);
+        if (onProgress) {
+            onProgress(account, result);
+        }
+    }
+
+    return {
+        success: balances.every(result => result.success),
+        balances: balances,
+        totalSompi: totalSompi,
+        total: sompiToKas(totalSompi)
+    };
+}
+
+/**
+ * First receive address of an account that has never held UTXOs, for transfers between accounts
+ * @param {Object} hdWallet - HD wallet manager of the open wallet
+ * @param {number} accountIndex - Receiving account
+ * @returns {Promise<Object>} - { success, address, derivationPath, error }
+ */
+async function getAccountReceiveAddress(hdWallet, accountIndex) {
+    try {
+        const manager = await createAccountManager(hdWallet, accountIndex);
+        // addressHasUTXOs treats a failed query as used, so make sure the node is reachable first
+        await manager.initializeRpc();
+        let addressInfo = manager.addresses.receive.get(0);
+
+        for (let checked = 0; await manager.addressHasUTXOs(addressInfo.address); checked++) {
+            if (checked >= SCANNING_DEFAULTS.MAX_ADDRESSES) {
+                throw new Error('No unused receive address found in the account');
+            }
+            addressInfo = await manager.generateNextReceiveAddress();
+        }
+
+        return { success: true, address: addressInfo.address, derivationPath: addressInfo.derivationPath };
+    } catch (error) {
+        console.error('Failed to get account receive address:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+export {
+    getAccountPath,
+    getAccountIndex,
+    getWalletAccounts,
+    createAccount,
+    renameAccount,
+    setActiveAccount,
+    getAccountXPub,
+    discoverAccountBalances,
+    getAccountReceiveAddress
+};
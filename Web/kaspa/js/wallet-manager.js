@@ -6,11 +6,18 @@
 
 import { getKaspa, isInitialized } from './init.js';
 import { sompiToKas, kasToSompi } from './currency-utils.js';
-import { DEFAULT_ACCOUNT_PATH, buildDerivationPath } from './constants.js';
+import { DEFAULT_ACCOUNT_PATH } from './constants.js';
+import { getRpcConnection, getRpcClient } from './rpc-pool.js';
+import { UtxoSubscription } from './utxo-subscriptions.js';
+import { getUtxoKey, getUtxoTransactionId, getUtxoAddress } from './coin-control.js';
 
 export class UnifiedWalletManager {
-    constructor(mnemonic, network, derivationPath = DEFAULT_ACCOUNT_PATH, isHDWallet = true) {
+    constructor(mnemonic, network, derivationPath = DEFAULT_ACCOUNT_PATH, isHDWallet = true, passphrase = null, extendedKey = null) {
         this.mnemonic = mnemonic;
+        // Optional BIP39 passphrase; kept in memory only, every seed derivation needs it
+        this.passphrase = passphrase || null;
+        // Extended private key (xprv/kprv) of wallets restored without a mnemonic; takes the place of the seed
+        this.extendedKey = extendedKey || null;
         this.network = network;
         this.derivationPath = derivationPath;
         this.isHDWallet = isHDWallet;
@@ -24,6 +31,10 @@ export class UnifiedWalletManager {
         this.kaspa = null;
         this.xPrv = null;
         this.rpc = null;
+        this.utxoSubscription = null;
+        this.utxoChangeListeners = new Set();
+        // Transactions this wallet submitted; their outputs back to our addresses are change, not payments
+        this.ownTransactionIds = new Set();
     }
 
     /**
@@ -37,10 +48,8 @@ export class UnifiedWalletManager {
         this.kaspa = getKaspa();
         
         if (this.isHDWallet) {
-            const { Mnemonic, XPrv } = this.kaspa;
-            const mnemonicObj = new Mnemonic(this.mnemonic);
-            const seed = mnemonicObj.toSeed();
-            this.xPrv = new XPrv(seed);
+            const { XPrv } = this.kaspa;
+            this.xPrv = this.extendedKey ? XPrv.fromXPrv(this.extendedKey) : new XPrv(this.getSeed());
             
             // Generate initial receive address
             await this.generateNextReceiveAddress();
@@ -48,30 +57,28 @@ export class UnifiedWalletManager {
     }
 
     /**
-     * Initialize RPC connection (reusable)
+     * Seed of the mnemonic, salted with the BIP39 passphrase when the wallet has one
      */
-    async initializeRpc() {
-        if (this.rpc) return this.rpc;
-
-        const { Resolver, RpcClient } = this.kaspa;
-        const resolver = new Resolver();
-        this.rpc = new RpcClient({
-            networkId: this.network,
-            resolver: resolver
-        });
+    getSeed() {
+        const { Mnemonic } = this.kaspa;
+        const mnemonic = new Mnemonic(this.mnemonic);
+        return this.passphrase ? mnemonic.toSeed(this.passphrase) : mnemonic.toSeed();
+    }
 
-        await this.rpc.connect();
+    /**
+     * Initialize RPC connection (shared per network through the RPC pool)
+     */
+    async initializeRpc() {
+        await getRpcConnection(this.network).connect();
+        this.rpc = getRpcClient(this.network);
         return this.rpc;
     }
 
     /**
-     * Clean up RPC connection
+     * Release the RPC handle; the pooled connection stays open for other modules
      */
     async cleanup() {
-        if (this.rpc) {
-            await this.rpc.disconnect();
-            this.rpc = null;
-        }
+        this.rpc = null;
     }
 
     /**
@@ -89,13 +96,6 @@ export class UnifiedWalletManager {
             // Import currency conversion function
             const { sompiToKas } = await import('./currency-utils.js');
             
-            const { Mnemonic, XPrv, createAddress } = this.kaspa;
-            
-            // Create wallet from mnemonic using the working method
-            const mnemonic = new Mnemonic(this.mnemonic);
-            const seed = mnemonic.toSeed();
-            const xPrv = new XPrv(seed);
-            
             let totalBalance = 0n;
             const addressesWithBalance = [];
             const gapLimit = 20;
@@ -106,12 +106,9 @@ export class UnifiedWalletManager {
                 let index = 0;
                 
                 while (consecutiveEmpty < gapLimit && index < 100) {
-                    // Use the proper derivation path format from constants
-                    const fullPath = buildDerivationPath(this.derivationPath.split('/')[3], change, index);
-                    const addressXPrv = xPrv.derivePath(fullPath);
-                    const privateKey = addressXPrv.toPrivateKey();
-                    const address = createAddress(privateKey.toPublicKey(), this.network);
-                    const addressString = address.toString();
+                    // Addresses of this manager's account (m/44'/111111'/<account>'/<change>/<index>)
+                    const addressInfo = await this.generateAddress(change === 0 ? 'receive' : 'change', index);
+                    const addressString = addressInfo.address;
                                         
                     // Use centralized balance manager for consistent balance checking
                     const { getBalanceByAddressRPC } = await import('./balance-manager.js');
@@ -150,7 +147,7 @@ export class UnifiedWalletManager {
                             index: index,
                             utxos: utxos,
                             utxoCount: utxos.length,
-                            derivationPath: fullPath
+                            derivationPath: addressInfo.derivationPath
                         });
                         
                         // Update internal address tracking
@@ -159,8 +156,8 @@ export class UnifiedWalletManager {
                             address: addressString,
                             index: index,
                             type: change === 0 ? 'receive' : 'change',
-                            derivationPath: fullPath,
-                            privateKey: privateKey.toString(),
+                            derivationPath: addressInfo.derivationPath,
+                            privateKey: addressInfo.privateKey,
                             used: true,
                             balance: addressBalance,
                             utxos: utxos
@@ -374,6 +371,7 @@ export class UnifiedWalletManager {
         });
         
         this.currentReceiveIndex++;
+        this.watchAddress(addressInfo.address);
         return addressInfo;
     }
 
@@ -394,6 +392,7 @@ export class UnifiedWalletManager {
         });
         
         this.currentChangeIndex++;
+        this.watchAddress(addressInfo.address);
         return addressInfo;
     }
 
@@ -678,6 +677,111 @@ export class UnifiedWalletManager {
         this.totalBalance = total;        
     }
 
+    /**
+     * Subscribe to UTXO changes for every known receive and change address.
+     * Balances, used flags and UTXOs then update as notifications arrive.
+     */
+    async startUtxoSubscription() {
+        if (this.utxoSubscription) {
+            return;
+        }
+
+        this.utxoSubscription = new UtxoSubscription(this.network, (changes) => this.applyUtxoChanges(changes));
+        try {
+            await this.utxoSubscription.start(this.getAllAddresses().map(addressInfo => addressInfo.address));
+        } catch (error) {
+            await this.stopUtxoSubscription();
+            throw error;
+        }
+    }
+
+    async stopUtxoSubscription() {
+        if (this.utxoSubscription) {
+            const subscription = this.utxoSubscription;
+            this.utxoSubscription = null;
+            await subscription.stop();
+        }
+    }
+
+    // Add a newly generated address to the running subscription
+    watchAddress(address) {
+        if (this.utxoSubscription) {
+            this.utxoSubscription.addAddresses([address]).catch(error => {
+                console.error('Failed to subscribe new address to UTXO changes:', error);
+            });
+        }
+    }
+
+    /**
+     * Register a listener for applied UTXO changes
+     * @param {Function} listener - Called with { added, removed, incoming }
+     * @returns {Function} - Removes the listener
+     */
+    onUtxosChanged(listener) {
+        this.utxoChangeListeners.add(listener);
+        return () => this.utxoChangeListeners.delete(listener);
+    }
+
+    // Mark a submitted transaction as our own so its outputs to our addresses are not reported as incoming
+    registerOwnTransaction(transactionId) {
+        if (transactionId) {
+            this.ownTransactionIds.add(transactionId);
+        }
+    }
+
+    /**
+     * Apply a utxos-changed notification to the cached address state
+     */
+    applyUtxoChanges({ added, removed, summary }) {
+        const removedKeys = new Set(removed.map(getUtxoKey));
+        const incoming = [];
+
+        // Outputs are own change when their transaction was submitted here or also pays one of our change-chain
+        // addresses; everything else, even when it arrives together with one of our spends, is a payment
+        const changeAddresses = new Set(Array.from(this.addresses.change.values(), addressInfo => addressInfo.address));
+        const ownTransactionIds = new Set(this.ownTransactionIds);
+        for (const entry of added) {
+            if (changeAddresses.has(getUtxoAddress(entry))) {
+                ownTransactionIds.add(getUtxoTransactionId(entry));
+            }
+        }
+
+        for (const addressInfo of this.getAllAddresses()) {
+            const change = summary.get(addressInfo.address);
+            if (!change) {
+                continue;
+            }
+
+            const currentBalance = typeof addressInfo.balance === 'bigint' ? addressInfo.balance : BigInt((addressInfo.balance || 0).toString());
+            const newBalance = currentBalance + change.added - change.removed;
+            addressInfo.balance = newBalance > 0n ? newBalance : 0n;
+
+            const addressAdded = added.filter(entry => getUtxoAddress(entry) === addressInfo.address);
+            addressInfo.utxos = (addressInfo.utxos || [])
+                .filter(utxo => !removedKeys.has(getUtxoKey(utxo)))
+                .concat(addressAdded);
+
+            if (change.addedCount > 0) {
+                addressInfo.used = true;
+                const received = addressAdded.filter(entry => !ownTransactionIds.has(getUtxoTransactionId(entry)));
+                if (received.length > 0) {
+                    const amount = received.reduce((sum, entry) => sum + BigInt(entry.amount || entry.value || 0), 0n);
+                    incoming.push({ address: addressInfo.address, amount: amount, count: received.length, utxos: received });
+                }
+            }
+        }
+
+        this.recalculateTotalBalance();
+
+        for (const listener of this.utxoChangeListeners) {
+            try {
+                listener({ added, removed, incoming });
+            } catch (error) {
+                console.error('UTXO change listener failed:', error);
+            }
+        }
+    }
+
     /**
      * Check if we should generate a new receive address for privacy and security
      */
@@ -791,12 +895,14 @@ let singleWalletInstance = null;
 /**
  * Get or create HD wallet instance
  */
-export function getHDWallet(mnemonic, network, derivationPath) {
+export function getHDWallet(mnemonic, network, derivationPath, passphrase = null, extendedKey = null) {
     if (!hdWalletInstance ||
         hdWalletInstance.mnemonic !== mnemonic ||
+        hdWalletInstance.passphrase !== (passphrase || null) ||
+        hdWalletInstance.extendedKey !== (extendedKey || null) ||
         hdWalletInstance.network !== network ||
         hdWalletInstance.derivationPath !== derivationPath) {
-        hdWalletInstance = new UnifiedWalletManager(mnemonic, network, derivationPath, true);
+        hdWalletInstance = new UnifiedWalletManager(mnemonic, network, derivationPath, true, passphrase, extendedKey);
     }
 
     // Always reset cached balances to ensure fresh discovery
@@ -93,6 +93,48 @@ function restoreWalletFromPrivateKey(privateKeyString, networkType) {
     }
 }
 
+// Restore wallet from an extended private key (xprv/kprv). accountPath is relative to the key:
+// an account path such as m/44'/111111'/0' for a master key, or "m" for a key exported at account level
+function restoreWalletFromExtendedKey(extendedKeyString, networkType, accountPath) {
+    if (!isInitialized()) {
+        throw new Error('Kaspa WASM not initialized');
+    }
+
+    try {
+        const kaspa = getKaspa();
+        const { XPrv } = kaspa;
+
+        let xPrv;
+        try {
+            xPrv = XPrv.fromXPrv(extendedKeyString.trim());
+        } catch (error) {
+            throw new Error('Invalid extended private key. Please check the key and try again.');
+        }
+
+        // First receive address of the account
+        const privateKey = xPrv.derivePath(`${accountPath}/0/0`).toPrivateKey();
+        const publicAddress = privateKey.toPublicKey().toAddress(networkType).toString();
+
+        return {
+            success: true,
+            mnemonic: null,
+            extendedPrivateKey: extendedKeyString.trim(),
+            publicAddress: publicAddress,
+            privateKey: privateKey.toString(),
+            networkType: networkType,
+            derivationPath: accountPath,
+            restoredFrom: 'extendedKey'
+        };
+
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message,
+            restoredFrom: 'extendedKey'
+        };
+    }
+}
+
 // Validate mnemonic phrase
 function validateMnemonic(mnemonicPhrase) {
     if (!isInitialized()) {
@@ -167,6 +209,35 @@ function validatePrivateKey(privateKeyString) {
     }
 }
 
+// Validate extended private key; depth tells a master key (0) from an account-level export (3)
+function validateExtendedPrivateKey(extendedKeyString) {
+    if (!isInitialized()) {
+        throw new Error('Kaspa WASM not initialized');
+    }
+
+    const trimmed = extendedKeyString.trim();
+    if (/^(kpub|ktub|xpub|tpub)/.test(trimmed)) {
+        return {
+            isValid: false,
+            error: 'This is an extended public key. Use the Watch-Only method to import it without signing.'
+        };
+    }
+
+    try {
+        const { XPrv } = getKaspa();
+        const xPrv = XPrv.fromXPrv(trimmed);
+        return {
+            isValid: true,
+            depth: typeof xPrv.depth === 'number' ? xPrv.depth : null
+        };
+    } catch (error) {
+        return {
+            isValid: false,
+            error: 'Invalid extended private key. Expected a key starting with kprv, ktrv, xprv or tprv.'
+        };
+    }
+}
+
 // Get wallet information (for display)
 function getWalletInfo(restorationResult) {
     if (!restorationResult.success) {
@@ -186,7 +257,9 @@ function getWalletInfo(restorationResult) {
 export {
     restoreWalletFromMnemonic,
     restoreWalletFromPrivateKey,
+    restoreWalletFromExtendedKey,
     validateMnemonic,
     validatePrivateKey,
+    validateExtendedPrivateKey,
     getWalletInfo
 }; 
\ No newline at end of file
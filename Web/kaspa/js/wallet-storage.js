@@ -9,6 +9,9 @@ class WalletStorage {
     constructor() {
         this.storageKey = 'kaspa_wallets';
         this.currentWalletKey = 'kaspa_current_wallet';
+        this.lockedUtxosKey = 'kaspa_locked_utxos';
+        this.historyKeyPrefix = 'kaspa_history_';
+        this.paymentRequestsKeyPrefix = 'kaspa_payment_requests_';
         this.initialized = false;
         this.initializationPromise = null;
     }
@@ -86,7 +89,7 @@ class WalletStorage {
             
             await this.ensureInitialized();
             
-            const { privateKey, address, network, mnemonic, derivationPath } = walletData;
+            const { privateKey, address, network, mnemonic, extendedPrivateKey, derivationPath, passphraseRequired, accounts, activeAccount } = walletData;
             
             // Validate required fields
             if (!privateKey || !address || !network) {
@@ -106,6 +109,19 @@ class WalletStorage {
                 encryptedMnemonic = walletEncryption.serializeEncryptedData(encryptedMnemonicData);
             }
 
+            // Wallets restored from an xprv/kprv keep the extended key in place of a mnemonic
+            let encryptedExtendedKey = null;
+            if (extendedPrivateKey) {
+                const encryptedExtendedKeyData = await walletEncryption.encryptPrivateKey(extendedPrivateKey, password);
+                encryptedExtendedKey = walletEncryption.serializeEncryptedData(encryptedExtendedKeyData);
+            }
+
+            // Whether the seed needs a BIP39 passphrase is stored encrypted, so storage does not reveal
+            // which wallets have one; the passphrase itself is never stored
+            const encryptedPassphraseMarker = walletEncryption.serializeEncryptedData(
+                await walletEncryption.encryptPrivateKey(JSON.stringify({ passphraseRequired: !!passphraseRequired }), password)
+            );
+
             // Create wallet entry
             const walletEntry = {
                 id: walletId,
@@ -113,7 +129,12 @@ class WalletStorage {
                 network: network,
                 encryptedPrivateKey: serializedEncryptedKey,
                 encryptedMnemonic: encryptedMnemonic,
+                encryptedExtendedKey: encryptedExtendedKey,
+                encryptedPassphraseMarker: encryptedPassphraseMarker,
                 derivationPath: derivationPath || null,
+                // BIP44 account labels and the account last opened; the keys are derived from the seed
+                accounts: accounts || null,
+                activeAccount: activeAccount || 0,
                 createdAt: Date.now(),
                 lastUsed: Date.now(),
                 label: `Wallet ${address.substring(0, 8)}...`
@@ -197,6 +218,19 @@ class WalletStorage {
                 mnemonic = await walletEncryption.decryptPrivateKey(encryptedMnemonicData, password);
             }
 
+            let extendedPrivateKey = null;
+            if (wallet.encryptedExtendedKey) {
+                const encryptedExtendedKeyData = walletEncryption.deserializeEncryptedData(wallet.encryptedExtendedKey);
+                extendedPrivateKey = await walletEncryption.decryptPrivateKey(encryptedExtendedKeyData, password);
+            }
+
+            // Wallets saved before passphrase support have no marker and never need one
+            let passphraseRequired = false;
+            if (wallet.encryptedPassphraseMarker) {
+                const markerData = walletEncryption.deserializeEncryptedData(wallet.encryptedPassphraseMarker);
+                passphraseRequired = !!JSON.parse(await walletEncryption.decryptPrivateKey(markerData, password)).passphraseRequired;
+            }
+
             // Update last used timestamp
             await this.updateLastUsed(walletId);
 
@@ -206,7 +240,11 @@ class WalletStorage {
                 network: wallet.network,
                 privateKey: privateKey,
                 mnemonic: mnemonic,
+                extendedPrivateKey: extendedPrivateKey,
+                passphraseRequired: passphraseRequired,
                 derivationPath: wallet.derivationPath,
+                accounts: wallet.accounts || null,
+                activeAccount: wallet.activeAccount || 0,
                 label: wallet.label,
                 createdAt: wallet.createdAt,
                 lastUsed: wallet.lastUsed
@@ -216,6 +254,82 @@ class WalletStorage {
         }
     }
 
+    /**
+     * Save a watch-only wallet. It holds no secrets, so nothing is encrypted and no password is needed
+     * @param {Object} walletData - { address, network, xpub, watchAddresses, derivationPath, label }
+     * @returns {Promise<string>} Wallet ID
+     */
+    async saveWatchOnlyWallet(walletData) {
+        try {
+            await this.ensureInitialized();
+
+            const { address, network, xpub, watchAddresses, derivationPath, label } = walletData;
+
+            if (!address || !network || (!xpub && !(watchAddresses && watchAddresses.length > 0))) {
+                throw new Error('Missing required wallet data: address, network, and an extended public key or addresses');
+            }
+
+            const walletId = this.generateWalletId(address, network);
+
+            const walletEntry = {
+                id: walletId,
+                address: address,
+                network: network,
+                watchOnly: true,
+                xpub: xpub || null,
+                watchAddresses: xpub ? null : watchAddresses,
+                derivationPath: derivationPath || null,
+                createdAt: Date.now(),
+                lastUsed: Date.now(),
+                label: label || `Watch-only ${address.substring(0, 8)}...`
+            };
+
+            const existingWallets = await this.getAllWallets();
+
+            if (existingWallets.some(w => w.id === walletId)) {
+                throw new Error('Wallet already exists in storage');
+            }
+
+            existingWallets.push(walletEntry);
+            await localforage.setItem(this.storageKey, existingWallets);
+
+            return walletId;
+        } catch (error) {
+            console.error('🗄️ STORAGE: Failed to save watch-only wallet:', error);
+            throw new Error(`Failed to save wallet: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open a watch-only wallet (the counterpart of decryptWallet, without a password)
+     * @param {string} walletId - Wallet ID
+     * @returns {Promise<Object>} Wallet data
+     */
+    async openWatchOnlyWallet(walletId) {
+        const wallet = await this.getWallet(walletId);
+        if (!wallet) {
+            throw new Error('Wallet not found');
+        }
+        if (!wallet.watchOnly) {
+            throw new Error('Wallet is not watch-only');
+        }
+
+        await this.updateLastUsed(walletId);
+
+        return {
+            id: wallet.id,
+            address: wallet.address,
+            network: wallet.network,
+            watchOnly: true,
+            xpub: wallet.xpub,
+            watchAddresses: wallet.watchAddresses,
+            derivationPath: wallet.derivationPath,
+            label: wallet.label,
+            createdAt: wallet.createdAt,
+            lastUsed: wallet.lastUsed
+        };
+    }
+
     /**
      * Update wallet label
      * @param {string} walletId - Wallet ID
@@ -241,6 +355,33 @@ class WalletStorage {
         }
     }
 
+    /**
+     * Update the BIP44 accounts of a wallet
+     * @param {string} walletId - Wallet ID
+     * @param {Array} accounts - Account entries ({ index, label, createdAt })
+     * @param {number} activeAccount - Index of the account opened at login
+     * @returns {Promise<boolean>} Success status
+     */
+    async updateWalletAccounts(walletId, accounts, activeAccount) {
+        try {
+            const wallets = await this.getAllWallets();
+            const walletIndex = wallets.findIndex(w => w.id === walletId);
+
+            if (walletIndex === -1) {
+                throw new Error('Wallet not found');
+            }
+
+            wallets[walletIndex].accounts = accounts;
+            wallets[walletIndex].activeAccount = activeAccount;
+            await localforage.setItem(this.storageKey, wallets);
+
+            return true;
+        } catch (error) {
+            console.error('Failed to update wallet accounts:', error);
+            return false;
+        }
+    }
+
     /**
      * Update last used timestamp
      * @param {string} walletId - Wallet ID
@@ -280,6 +421,9 @@ class WalletStorage {
             }
 
             await localforage.setItem(this.storageKey, filteredWallets);
+            await this.saveLockedUtxos(walletId, []);
+            await localforage.removeItem(this.historyKeyPrefix + walletId);
+            await localforage.removeItem(this.paymentRequestsKeyPrefix + walletId);
             
             // Clear current wallet if it was the deleted one
             const currentWalletId = await this.getCurrentWalletId();
@@ -390,6 +534,111 @@ class WalletStorage {
         }
     }
 
+    /**
+     * Get UTXOs locked by coin control for a wallet
+     * @param {string} walletId - Wallet ID
+     * @returns {Promise<Array>} Array of locked UTXO keys ("transactionId:index")
+     */
+    async getLockedUtxos(walletId) {
+        try {
+            await this.ensureInitialized();
+            const lockedUtxos = await localforage.getItem(this.lockedUtxosKey);
+            return (lockedUtxos && lockedUtxos[walletId]) || [];
+        } catch (error) {
+            console.error('Failed to get locked UTXOs:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save UTXOs locked by coin control for a wallet
+     * @param {string} walletId - Wallet ID
+     * @param {Array} utxoKeys - Locked UTXO keys ("transactionId:index")
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveLockedUtxos(walletId, utxoKeys) {
+        try {
+            await this.ensureInitialized();
+            const lockedUtxos = (await localforage.getItem(this.lockedUtxosKey)) || {};
+
+            if (utxoKeys && utxoKeys.length > 0) {
+                lockedUtxos[walletId] = [...new Set(utxoKeys)];
+            } else {
+                delete lockedUtxos[walletId];
+            }
+
+            await localforage.setItem(this.lockedUtxosKey, lockedUtxos);
+            return true;
+        } catch (error) {
+            console.error('Failed to save locked UTXOs:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the transaction history ledger of a wallet
+     * @param {string} walletId - Wallet ID
+     * @returns {Promise<Array|null>} Array of history entries, or null when storage could not be read
+     */
+    async getTransactionHistory(walletId) {
+        try {
+            await this.ensureInitialized();
+            return (await localforage.getItem(this.historyKeyPrefix + walletId)) || [];
+        } catch (error) {
+            console.error('Failed to get transaction history:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save the transaction history ledger of a wallet
+     * @param {string} walletId - Wallet ID
+     * @param {Array} entries - History entries
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveTransactionHistory(walletId, entries) {
+        try {
+            await this.ensureInitialized();
+            await localforage.setItem(this.historyKeyPrefix + walletId, entries);
+            return true;
+        } catch (error) {
+            console.error('Failed to save transaction history:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the payment requests (invoices) issued by a wallet
+     * @param {string} walletId - Wallet ID
+     * @returns {Promise<Array|null>} Array of payment requests, or null when storage could not be read
+     */
+    async getPaymentRequests(walletId) {
+        try {
+            await this.ensureInitialized();
+            return (await localforage.getItem(this.paymentRequestsKeyPrefix + walletId)) || [];
+        } catch (error) {
+            console.error('Failed to get payment requests:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save the payment requests (invoices) issued by a wallet
+     * @param {string} walletId - Wallet ID
+     * @param {Array} requests - Payment requests
+     * @returns {Promise<boolean>} Success status
+     */
+    async savePaymentRequests(walletId, requests) {
+        try {
+            await this.ensureInitialized();
+            await localforage.setItem(this.paymentRequestsKeyPrefix + walletId, requests);
+            return true;
+        } catch (error) {
+            console.error('Failed to save payment requests:', error);
+            return false;
+        }
+    }
+
     /**
      * Clear all wallets (dangerous operation)
      * @returns {Promise<boolean>} Success status
@@ -398,6 +647,12 @@ class WalletStorage {
         try {
             await localforage.removeItem(this.storageKey);
             await localforage.removeItem(this.currentWalletKey);
+            await localforage.removeItem(this.lockedUtxosKey);
+
+            const keys = await localforage.keys();
+            for (const key of keys.filter(key => key.startsWith(this.historyKeyPrefix) || key.startsWith(this.paymentRequestsKeyPrefix))) {
+                await localforage.removeItem(key);
+            }
             return true;
         } catch (error) {
             console.error('Failed to clear all wallets:', error);
@@ -457,6 +712,44 @@ class WalletStorage {
     }
 }
 
+// Pending read-modify-write per wallet and record kind; an entry is dropped once its last update settles
+const walletUpdateQueues = new Map();
+
+/**
+ * Serialize a read-modify-write of one kind of per-wallet record, so concurrent updates
+ * (e.g. a UTXO notification and a user edit) cannot overwrite each other
+ * @param {string} walletId - Wallet ID
+ * @param {string} key - Record kind, used in queue keys and error messages (e.g. 'transaction history')
+ * @param {Function} read - async () => current records, or null when storage could not be read
+ * @param {Function} write - async (records) => true when saved
+ * @param {Function} mutate - (records) => result; changes records in place
+ * @returns {Promise<*>} - Result of mutate
+ */
+function serializeWalletUpdate(walletId, key, read, write, mutate) {
+    const queueKey = `${key}:${walletId}`;
+    const previous = walletUpdateQueues.get(queueKey) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+        const records = await read();
+        // Writing back after a failed read would replace the stored records with only this change
+        if (records === null || records === undefined) {
+            throw new Error(`Failed to read ${key}`);
+        }
+        const result = mutate(records);
+        if (!await write(records)) {
+            throw new Error(`Failed to save ${key}`);
+        }
+        return result;
+    });
+
+    walletUpdateQueues.set(queueKey, next);
+    next.catch(() => {}).then(() => {
+        if (walletUpdateQueues.get(queueKey) === next) {
+            walletUpdateQueues.delete(queueKey);
+        }
+    });
+    return next;
+}
+
 // Create singleton instance
 let walletStorageInstance = null;
 
@@ -470,4 +763,4 @@ function getWalletStorage() {
 // For backward compatibility
 const walletStorage = getWalletStorage();
 
-export { walletStorage, WalletStorage, getWalletStorage }; 
\ No newline at end of file
+export { walletStorage, WalletStorage, getWalletStorage, serializeWalletUpdate }; 
\ No newline at end of file
@@ -0,0 +1,285 @@
+// Kaspa Watch-Only Wallet Module
+// Wallets without private keys: addresses come from an account extended public key (xpub/kpub) or from a
+// fixed list. Balances, history and discovery work as usual; transactions are created unsigned for a cold
+// device to sign
+import { getKaspa, isInitialized } from './init.js';
+import { UnifiedWalletManager } from './wallet-manager.js';
+import { sompiToKas } from './currency-utils.js';
+import { getUtxoAddress } from './coin-control.js';
+import { NETWORK_PREFIXES } from './constants.js';
+
+// Kaspa (kpub/ktub) and BIP32 (xpub/tpub) extended key prefixes
+const PUBLIC_KEY_PATTERN = /^(kpub|ktub|xpub|tpub)[1-9A-HJ-NP-Za-km-z]{100,}$/;
+const PRIVATE_KEY_PATTERN = /^(kprv|ktrv|xprv|tprv)/;
+
+const NO_PRIVATE_KEYS_ERROR = 'Watch-only wallets hold no private keys - sign on the device that has the seed';
+
+/**
+ * Parse an extended public key, as plain text or as the kaspa-xpub QR data the dashboard exports
+ * @param {string} text - Key or JSON
+ * @param {string} networkType - Network of the wallet; exports for another network are rejected
+ * @returns {Object} - { valid, error, xpub, derivationPath }
+ */
+function parseExtendedPublicKey(text, networkType) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) {
+        return { valid: false, error: 'Extended public key is required' };
+    }
+
+    let xpub = trimmed;
+    let derivationPath = null;
+    if (trimmed.startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            return { valid: false, error: 'Extended public key data is not valid JSON' };
+        }
+        if (data.type !== 'kaspa-xpub' || typeof data.xpub !== 'string') {
+            return { valid: false, error: 'JSON is not an exported Kaspa extended public key' };
+        }
+        if (data.network && networkType && data.network !== networkType) {
+            return { valid: false, error: `Extended public key was exported on ${data.network}, but ${networkType} is selected` };
+        }
+        xpub = data.xpub.trim();
+        derivationPath = data.derivationPath || null;
+    }
+
+    if (PRIVATE_KEY_PATTERN.test(xpub)) {
+        return { valid: false, error: 'This is an extended private key. Enter the public key (kpub/xpub) so no secret is stored' };
+    }
+    if (!PUBLIC_KEY_PATTERN.test(xpub)) {
+        return { valid: false, error: 'Not an extended public key - expected a key starting with kpub, ktub, xpub or tpub' };
+    }
+    if (isInitialized()) {
+        const { XPub } = getKaspa();
+        try {
+            new XPub(xpub);
+        } catch (error) {
+            return { valid: false, error: 'Invalid extended public key: ' + (error.message || error) };
+        }
+    }
+
+    return { valid: true, xpub: xpub, derivationPath: derivationPath };
+}
+
+/**
+ * Parse a list of addresses separated by new lines, spaces, commas or semicolons
+ * @param {string} text - Address list
+ * @param {string} networkType - Every address must belong to this network
+ * @returns {Object} - { valid, error, addresses } with duplicates removed, in input order
+ */
+function parseWatchAddresses(text, networkType) {
+    const entries = (typeof text === 'string' ? text : '').split(/[\s,;]+/).filter(Boolean);
+    if (entries.length === 0) {
+        return { valid: false, error: 'Enter at least one address' };
+    }
+
+    const expectedPrefix = NETWORK_PREFIXES[networkType] || 'kaspa';
+    const addresses = [];
+    for (const entry of entries) {
+        const address = entry.toLowerCase();
+        if (!address.startsWith(`${expectedPrefix}:`)) {
+            return { valid: false, error: `${entry} is not a ${networkType} address (expected ${expectedPrefix}:...)` };
+        }
+        if (isInitialized()) {
+            const { Address } = getKaspa();
+            if (!Address.validate(address)) {
+                return { valid: false, error: `${entry} is not a valid Kaspa address` };
+            }
+        }
+        if (!addresses.includes(address)) {
+            addresses.push(address);
+        }
+    }
+
+    return { valid: true, addresses: addresses };
+}
+
+export class WatchOnlyWalletManager extends UnifiedWalletManager {
+    /**
+     * @param {string} network - Network type
+     * @param {Object} source - { xpub, addresses, derivationPath }; an account xpub, or a fixed address list
+     */
+    constructor(network, { xpub = null, addresses = null, derivationPath = null } = {}) {
+        super(null, network, derivationPath, true, null);
+        this.isWatchOnly = true;
+        this.xpub = xpub;
+        this.watchAddresses = xpub ? null : (addresses || []);
+        this.xPub = null;
+    }
+
+    async initialize() {
+        if (!isInitialized()) {
+            throw new Error('Kaspa WASM not initialized');
+        }
+
+        this.kaspa = getKaspa();
+
+        if (this.xpub) {
+            const { XPub } = this.kaspa;
+            this.xPub = new XPub(this.xpub);
+            if (this.addresses.receive.size === 0) {
+                await this.generateNextReceiveAddress();
+            }
+        } else if (this.addresses.receive.size === 0) {
+            if (this.watchAddresses.length === 0) {
+                throw new Error('Watch-only wallet has no addresses');
+            }
+            this.watchAddresses.forEach((address, index) => {
+                this.addresses.receive.set(index, {
+                    address: address,
+                    index: index,
+                    type: 'receive',
+                    derivationPath: null,
+                    privateKey: null,
+                    used: false,
+                    balance: 0n,
+                    utxos: []
+                });
+            });
+            this.currentReceiveIndex = this.watchAddresses.length;
+        }
+    }
+
+    getSeed() {
+        throw new Error(NO_PRIVATE_KEYS_ERROR);
+    }
+
+    async generateAddress(type, index) {
+        const typeIndex = type === 'receive' ? 0 : 1;
+
+        if (!this.xpub) {
+            const listed = type === 'receive' ? this.addresses.receive.get(index) : null;
+            if (!listed) {
+                throw new Error('Address list wallets cannot derive new addresses');
+            }
+            return { address: listed.address, index, type, derivationPath: null, privateKey: null };
+        }
+
+        const address = this.xPub.deriveChild(typeIndex, false).deriveChild(index, false)
+            .toPublicKey().toAddress(this.network).toString();
+
+        return {
+            address,
+            index,
+            type,
+            derivationPath: this.derivationPath ? `${this.derivationPath}/${typeIndex}/${index}` : null,
+            privateKey: null
+        };
+    }
+
+    // A fixed address list reuses its addresses: the first one without funds is handed out for receiving
+    getListedReceiveAddress() {
+        const listed = Array.from(this.addresses.receive.values());
+        return listed.find(addressInfo => !addressInfo.used && !(addressInfo.balance > 0n)) || listed[0];
+    }
+
+    async generateNextReceiveAddress() {
+        return this.xpub ? super.generateNextReceiveAddress() : this.getListedReceiveAddress();
+    }
+
+    async generateNextChangeAddress() {
+        return this.xpub ? super.generateNextChangeAddress() : this.addresses.receive.get(0);
+    }
+
+    async shouldGenerateNewReceiveAddress() {
+        return this.xpub ? super.shouldGenerateNewReceiveAddress() : false;
+    }
+
+    async getCurrentReceiveAddress() {
+        return this.xpub ? super.getCurrentReceiveAddress() : this.getListedReceiveAddress().address;
+    }
+
+    async getCurrentChangeAddress() {
+        return this.xpub ? super.getCurrentChangeAddress() : this.addresses.receive.get(0).address;
+    }
+
+    /**
+     * Gap-limit discovery for an xpub; one UTXO query over the whole list otherwise
+     */
+    async checkHDWalletBalance() {
+        if (this.xpub) {
+            return super.checkHDWalletBalance();
+        }
+
+        const listed = Array.from(this.addresses.receive.values());
+        const utxoResult = await this.fetchUTXOsForAddresses(listed.map(addressInfo => addressInfo.address));
+        if (!utxoResult.success) {
+            console.error('Watch-only balance check failed:', utxoResult.error);
+            return {
+                success: false,
+                error: utxoResult.error,
+                totalBalance: 0,
+                totalBalanceSompi: 0n,
+                addressesFound: 0,
+                addressesWithBalance: []
+            };
+        }
+
+        let totalBalance = 0n;
+        const addressesWithBalance = [];
+        for (const addressInfo of listed) {
+            const utxos = utxoResult.utxos.filter(utxo => getUtxoAddress(utxo) === addressInfo.address);
+            const balance = utxos.reduce((sum, utxo) => sum + BigInt(utxo.amount || utxo.value || 0), 0n);
+            addressInfo.balance = balance;
+            addressInfo.utxos = utxos;
+            if (balance > 0n) {
+                addressInfo.used = true;
+                totalBalance += balance;
+                addressesWithBalance.push({
+                    address: addressInfo.address,
+                    balance: sompiToKas(balance),
+                    balanceSompi: balance,
+                    change: 0,
+                    index: addressInfo.index,
+                    utxos: utxos,
+                    utxoCount: utxos.length,
+                    derivationPath: null
+                });
+            }
+        }
+
+        this.totalBalance = totalBalance;
+
+        return {
+            success: true,
+            totalBalance: sompiToKas(totalBalance),
+            totalBalanceSompi: totalBalance,
+            addressesFound: addressesWithBalance.length,
+            addressesWithBalance: addressesWithBalance
+        };
+    }
+
+    async getXPub() {
+        if (!this.xpub) {
+            throw new Error('This watch-only wallet was imported from addresses and has no extended public key');
+        }
+        return this.xpub;
+    }
+
+    async derivePrivateKeyForAddress(targetAddress) {
+        throw new Error(NO_PRIVATE_KEYS_ERROR);
+    }
+}
+
+/**
+ * Build and initialize the manager for a stored (or freshly imported) watch-only wallet
+ * @param {Object} wallet - { network, xpub, watchAddresses, derivationPath }
+ * @returns {Promise<WatchOnlyWalletManager>}
+ */
+async function createWatchOnlyManager(wallet) {
+    const manager = new WatchOnlyWalletManager(wallet.network, {
+        xpub: wallet.xpub,
+        addresses: wallet.watchAddresses,
+        derivationPath: wallet.derivationPath
+    });
+    await manager.initialize();
+    return manager;
+}
+
+export {
+    parseExtendedPublicKey,
+    parseWatchAddresses,
+    createWatchOnlyManager
+};